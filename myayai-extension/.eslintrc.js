@@ -26,7 +26,30 @@ module.exports = {
     PromptOptimizer: 'readonly',
     HealthMonitor: 'readonly',
     ErrorHandler: 'readonly',
-    Logger: 'readonly'
+    Logger: 'readonly',
+    MessageProtocol: 'readonly',
+    RulePackManager: 'readonly',
+    TextDiff: 'readonly',
+    TransformationTrace: 'readonly',
+    ProtectedRegions: 'readonly',
+    IntentVerifier: 'readonly',
+    PromptTokenizer: 'readonly',
+    PricingRegistry: 'readonly',
+    ContextBudget: 'readonly',
+    PromptSuggestions: 'readonly',
+    PromptTemplates: 'readonly',
+    TemplateLibrary: 'readonly',
+    SlashCommands: 'readonly',
+    PromptLinter: 'readonly',
+    ScoringCalibrator: 'readonly',
+    PromptComparison: 'readonly',
+    PromptHistory: 'readonly',
+    SensitiveDataDetector: 'readonly',
+    RedactionVault: 'readonly',
+    LLMRewriteProvider: 'readonly',
+    TaskClassifier: 'readonly',
+    CustomRoleManager: 'readonly',
+    OptimizationRules: 'readonly'
   },
   rules: {
     // Code Quality
@@ -87,6 +110,18 @@ module.exports = {
       env: {
         jest: true
       },
+      globals: {
+        createMemoryStorage: 'readonly'
+      },
+      rules: {
+        'no-console': 'off'
+      }
+    },
+    {
+      files: ['scripts/**/*.js'],
+      env: {
+        node: true
+      },
       rules: {
         'no-console': 'off'
       }
@@ -1,6 +1,24 @@
 // MyAyAI Extension Background Helper Functions
 // Additional utilities and background tasks
 
+// The optimizer scripts register their classes on self when loaded as modules
+import '../utils/message-protocol.js';
+import '../optimization/rule-packs.js';
+import '../optimization/text-diff.js';
+import '../optimization/transformation-trace.js';
+import '../optimization/protected-regions.js';
+import '../optimization/intent-verifier.js';
+import '../optimization/tokenizer.js';
+import '../optimization/task-classifier.js';
+import '../optimization/custom-roles.js';
+import '../optimization/optimization-rules.js';
+import '../optimization/quality-scorer.js';
+import '../optimization/scoring-calibrator.js';
+import '../optimization/rewrite-provider.js';
+import '../content/platform-detectors.js';
+import '../optimization/prompt-optimizer.js';
+import { achievements } from '../ui/achievements.js';
+
 /**
  * Background utilities for MyAyAI Extension
  */
@@ -535,22 +553,81 @@ if (typeof module !== 'undefined' && module.exports) {
     self.BackgroundUtils = BackgroundUtils;
 }
 
-// Import error handling and monitoring systems
-try {
-    importScripts('./update-manager.js');
-    importScripts('../utils/error-handler.js');
-    importScripts('../utils/logger.js');
-    importScripts('../utils/health-monitor.js');
-} catch (error) {
-    console.error('Failed to import monitoring systems:', error);
-}
-
-// At the top, import necessary classes
-// Assuming ES6 modules or global
+// The error handling and monitoring modules need the page's window and document, so they
+// are not loaded in the service worker and the checks below leave them unset
 
 const optimizer = new PromptOptimizer();
 const scorer = new QualityScorer();
-const achievements = new Achievements(); // But Achievements uses chrome.storage, ok in background
+const messageProtocol = new MessageProtocol();
+const MESSAGE_TYPES = MessageProtocol.TYPES;
+
+// Declared message types this listener answers; the popup, content script and privacy
+// listeners answer the rest
+const BACKGROUND_MESSAGE_TYPES = new Set([
+    MESSAGE_TYPES.OPTIMIZE_PROMPT,
+    MESSAGE_TYPES.RECORD_FEEDBACK,
+    MESSAGE_TYPES.HEALTH_CHECK,
+    MESSAGE_TYPES.ERROR_REPORT,
+    MESSAGE_TYPES.PLATFORM_RECOVERY_REQUEST,
+    MESSAGE_TYPES.GET_HEALTH_STATUS,
+    MESSAGE_TYPES.GET_HEALTH_REPORT,
+    MESSAGE_TYPES.PERFORMANCE_METRICS,
+    MESSAGE_TYPES.VALIDATE_SELECTORS
+]);
+
+// Weights learned from the user's thumbs-up/down feedback, shared by both scorers
+const scoringCalibrator = typeof ScoringCalibrator !== 'undefined'
+    ? new ScoringCalibrator(chrome.storage.local, scorer)
+    : null;
+
+async function loadLearnedWeights() {
+    if (!scoringCalibrator) {
+        return;
+    }
+
+    try {
+        await scoringCalibrator.load();
+        scoringCalibrator.applyTo(optimizer.scorer);
+    } catch (error) {
+        console.error('Failed to load learned scoring weights:', error);
+    }
+}
+
+loadLearnedWeights();
+
+// Optional model-backed rewrites; the optimizer falls back to its rules when this fails
+const rewriteProvider = typeof LLMRewriteProvider !== 'undefined' ? new LLMRewriteProvider() : null;
+
+async function loadRewriteProvider() {
+    if (!rewriteProvider) {
+        return;
+    }
+
+    try {
+        await rewriteProvider.loadConfig();
+        optimizer.setRewriteProvider(rewriteProvider);
+    } catch (error) {
+        console.error('Failed to load rewrite provider settings:', error);
+    }
+}
+
+loadRewriteProvider();
+
+chrome.storage.onChanged.addListener((changes, areaName) => {
+    if (scoringCalibrator && areaName === 'local' && changes[ScoringCalibrator.WEIGHTS_KEY]) {
+        loadLearnedWeights();
+    }
+    if (rewriteProvider && areaName === 'local' && changes[LLMRewriteProvider.CONFIG_KEY]) {
+        loadRewriteProvider();
+    }
+});
+
+// Content scripts keep the redaction key in session storage, which is memory-only and
+// cleared when the browser closes; Chrome limits it to extension pages unless opened up
+if (chrome.storage.session?.setAccessLevel) {
+    chrome.storage.session.setAccessLevel({ accessLevel: 'TRUSTED_AND_UNTRUSTED_CONTEXTS' })
+        .catch(error => console.error('Failed to share session storage with content scripts:', error));
+}
 
 // Initialize monitoring systems
 let updateManager, errorHandler, logger, healthMonitor;
@@ -576,6 +653,12 @@ try {
 // Add at the end:
 
 chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
+  // Leave declared messages meant for other listeners to them
+  const declaredType = messageProtocol.resolveType(message);
+  if (declaredType && !BACKGROUND_MESSAGE_TYPES.has(declaredType)) {
+    return false;
+  }
+
   // Wrap message handling in error handling
   const handleMessage = async () => {
     try {
@@ -583,56 +666,76 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
         logger.debug('Received message', { type: message.type || message.action, sender: sender.tab?.url });
       }
 
+      // Validate against the declared protocol (legacy names are normalized)
+      const { type, payload } = messageProtocol.assertValid(message);
+
       // Handle optimization requests
-      if (message.action === 'optimizePrompt') {
-        const original = message.content;
-        const platform = message.platform;
+      if (type === MESSAGE_TYPES.OPTIMIZE_PROMPT) {
+        const original = payload.text;
+        const platform = payload.platform;
 
+        await optimizer.tokenizer.loadEncoding(platform);
         const originalScore = scorer.calculateQualityScore(original);
-        const optimized = optimizer.optimizePrompt(original, platform);
-        const optimizedScore = scorer.calculateQualityScore(optimized);
-        const improvement = ((optimizedScore - originalScore) / originalScore) * 100;
+        const result = await optimizer.optimizeWithProvider(original, platform, payload.style, { bot: payload.bot });
+        const optimizedScore = scorer.calculateQualityScore(result.optimized);
+        const improvement = ((optimizedScore.overall - originalScore.overall) / originalScore.overall) * 100;
 
         // Assume timeSaved based on length or something, e.g. original.length / 10 seconds
         const timeSaved = Math.floor(original.length / 10);
 
         const data = await achievements.trackOptimization(improvement, platform, timeSaved);
         return {
-          optimizedText: optimized,
+          optimizedText: result.optimized,
+          trace: result.trace,
+          verification: result.verification,
+          provider: result.provider,
           achievementData: data
         };
       }
 
+      // Handle thumbs-up/down feedback, which recalibrates the scoring weights
+      if (type === MESSAGE_TYPES.RECORD_FEEDBACK) {
+        if (!scoringCalibrator) {
+          return { recorded: false };
+        }
+
+        const { recalibrated } = await scoringCalibrator.recordFeedback(payload);
+        if (recalibrated) {
+          scoringCalibrator.applyTo(optimizer.scorer);
+        }
+        return { recorded: true, recalibrated };
+      }
+
       // Handle health check requests
-      if (message.type === 'health_check') {
+      if (type === MESSAGE_TYPES.HEALTH_CHECK) {
         return { status: 'ok', timestamp: Date.now() };
       }
 
       // Handle error reports from content scripts
-      if (message.type === 'ERROR_REPORT' || message.type === 'error_report') {
+      if (type === MESSAGE_TYPES.ERROR_REPORT) {
         if (errorHandler) {
-          errorHandler.logError(new Error(message.payload.error), {
+          errorHandler.logError(new Error(payload.error || payload.message), {
             source: 'content_script',
             tabId: sender.tab?.id,
             url: sender.tab?.url,
-            platform: message.payload.platform,
-            context: message.payload.context,
-            stack: message.payload.stack
+            platform: payload.platform,
+            context: payload.context,
+            stack: payload.stack
           });
         }
         return { status: 'logged' };
       }
 
       // Handle platform recovery requests
-      if (message.type === 'platform_recovery_request') {
+      if (type === MESSAGE_TYPES.PLATFORM_RECOVERY_REQUEST) {
         if (updateManager && updateManager.detectPlatformChange) {
-          await updateManager.detectPlatformChange(message.url, sender.tab?.id);
+          await updateManager.detectPlatformChange(payload.url, sender.tab?.id);
         }
         return { status: 'recovery_attempted' };
       }
 
       // Handle health status requests
-      if (message.type === 'get_health_status') {
+      if (type === MESSAGE_TYPES.GET_HEALTH_STATUS) {
         if (healthMonitor) {
           return healthMonitor.getHealthSummary();
         }
@@ -640,7 +743,7 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
       }
 
       // Handle detailed health reports
-      if (message.type === 'get_health_report') {
+      if (type === MESSAGE_TYPES.GET_HEALTH_REPORT) {
         if (healthMonitor) {
           return healthMonitor.getDetailedReport();
         }
@@ -648,19 +751,19 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
       }
 
       // Handle performance metrics
-      if (message.type === 'performance_metrics') {
+      if (type === MESSAGE_TYPES.PERFORMANCE_METRICS) {
         if (updateManager && updateManager.recordPerformanceMetrics) {
-          await updateManager.recordPerformanceMetrics(message.metrics);
+          await updateManager.recordPerformanceMetrics(payload.metrics);
         }
         return { status: 'recorded' };
       }
 
       // Handle validate selectors requests
-      if (message.type === 'validate_selectors') {
+      if (type === MESSAGE_TYPES.VALIDATE_SELECTORS) {
         let validSelectors = 0;
         const results = [];
         
-        for (const selector of message.selectors) {
+        for (const selector of payload.selectors) {
           try {
             const elements = document.querySelectorAll(selector);
             if (elements.length > 0) {
@@ -681,6 +784,11 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
       return { error: 'Unknown message type', type: message.type || message.action };
 
     } catch (error) {
+      // Contract violations are reported back to the sender, not logged as internal errors
+      if (error instanceof MessageProtocol.ValidationError) {
+        return messageProtocol.createErrorResponse(error);
+      }
+
       if (errorHandler) {
         errorHandler.logError(error, {
           component: 'BackgroundScript',
@@ -4,7 +4,7 @@
  */
 
 // Import all background scripts
-importScripts('./background.js');
+import './background.js';
 
 // Service worker setup
 console.log('[MyAyAI] Service worker starting...');
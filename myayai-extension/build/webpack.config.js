@@ -143,6 +143,134 @@ module.exports = (env = {}) => {
             from: 'content/ui-injector.js',
             to: 'content/ui-injector.js'
           },
+          {
+            from: 'optimization/rule-packs.js',
+            to: 'optimization/rule-packs.js'
+          },
+          {
+            from: 'optimization/text-diff.js',
+            to: 'optimization/text-diff.js'
+          },
+          {
+            from: 'optimization/transformation-trace.js',
+            to: 'optimization/transformation-trace.js'
+          },
+          {
+            from: 'optimization/protected-regions.js',
+            to: 'optimization/protected-regions.js'
+          },
+          {
+            from: 'optimization/intent-verifier.js',
+            to: 'optimization/intent-verifier.js'
+          },
+          {
+            from: 'optimization/encodings',
+            to: 'optimization/encodings'
+          },
+          {
+            from: 'optimization/tokenizer.js',
+            to: 'optimization/tokenizer.js'
+          },
+          {
+            from: 'optimization/pricing-registry.js',
+            to: 'optimization/pricing-registry.js'
+          },
+          {
+            from: 'optimization/context-budget.js',
+            to: 'optimization/context-budget.js'
+          },
+          {
+            from: 'optimization/prompt-suggestions.js',
+            to: 'optimization/prompt-suggestions.js'
+          },
+          {
+            from: 'optimization/template-library.js',
+            to: 'optimization/template-library.js'
+          },
+          {
+            from: 'optimization/prompt-templates.js',
+            to: 'optimization/prompt-templates.js'
+          },
+          {
+            from: 'utils/message-protocol.js',
+            to: 'utils/message-protocol.js'
+          },
+          {
+            from: 'content/review-overlay.js',
+            to: 'content/review-overlay.js'
+          },
+          {
+            from: 'optimization/slash-commands.js',
+            to: 'optimization/slash-commands.js'
+          },
+          {
+            from: 'content/template-picker.js',
+            to: 'content/template-picker.js'
+          },
+          {
+            from: 'content/slash-menu.js',
+            to: 'content/slash-menu.js'
+          },
+          {
+            from: 'optimization/prompt-linter.js',
+            to: 'optimization/prompt-linter.js'
+          },
+          {
+            from: 'content/lint-panel.js',
+            to: 'content/lint-panel.js'
+          },
+          {
+            from: 'optimization/quality-scorer.js',
+            to: 'optimization/quality-scorer.js'
+          },
+          {
+            from: 'optimization/scoring-calibrator.js',
+            to: 'optimization/scoring-calibrator.js'
+          },
+          {
+            from: 'content/feedback-controls.js',
+            to: 'content/feedback-controls.js'
+          },
+          {
+            from: 'optimization/prompt-comparison.js',
+            to: 'optimization/prompt-comparison.js'
+          },
+          {
+            from: 'optimization/prompt-history.js',
+            to: 'optimization/prompt-history.js'
+          },
+          {
+            from: 'content/history-panel.js',
+            to: 'content/history-panel.js'
+          },
+          {
+            from: 'optimization/sensitive-data-detector.js',
+            to: 'optimization/sensitive-data-detector.js'
+          },
+          {
+            from: 'content/sensitive-data-panel.js',
+            to: 'content/sensitive-data-panel.js'
+          },
+          {
+            from: 'optimization/redaction-vault.js',
+            to: 'optimization/redaction-vault.js'
+          },
+          {
+            from: 'optimization/rewrite-provider.js',
+            to: 'optimization/rewrite-provider.js'
+          },
+          {
+            from: 'optimization/task-classifier.js',
+            to: 'optimization/task-classifier.js'
+          },
+          {
+            from: 'optimization/optimization-rules.js',
+            to: 'optimization/optimization-rules.js'
+          },
+          {
+            from: 'optimization/custom-roles.js',
+            to: 'optimization/custom-roles.js'
+          },
           {
             from: 'content/content.css',
             to: 'content/content.css'
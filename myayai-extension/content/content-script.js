@@ -7,12 +7,27 @@ class MyAyAIContentScript {
     constructor() {
         this.platformDetectors = null;
         this.uiInjector = null;
+        this.contextBudget = null;
+        this.slashMenu = null;
+        this.promptLinter = null;
+        this.feedbackControls = null;
+        this.pendingFeedback = null;
+        this.promptHistory = null;
+        this.sensitiveData = null;
+        this.sensitiveOverride = null;
+        this.redactionVault = null;
+        this.historyUrl = null;
+        this.historySentAt = 0;
         this.mutationObserver = null;
         this.currentInput = null;
         this.currentPlatform = null;
         this.isInitialized = false;
         this.cleanupCallbacks = [];
         this.debounceTimer = null;
+        this.budgetTimer = null;
+        this.lintTimer = null;
+        this.pastedContent = [];
+        this.budgetOverride = null;
         this.errorHandler = null;
         this.logger = null;
         this.fallbackUI = null;
@@ -24,6 +39,10 @@ class MyAyAIContentScript {
         this.config = {
             minCharThreshold: 10,
             debounceDelay: 300,
+            budgetDelay: 200,
+            lintDelay: 400,
+            // A navigation this soon after a send is a new chat getting its URL
+            historyMoveWindow: 10000,
             observerThrottle: 100,
             retryAttempts: 3,
             retryDelay: 1000
@@ -99,6 +118,13 @@ class MyAyAIContentScript {
             // Initialize components with error boundaries
             this.platformDetectors = await this.safeInitialize(() => new PlatformDetectors(), 'PlatformDetectors');
             this.uiInjector = await this.safeInitialize(() => new UIInjector(), 'UIInjector');
+            this.contextBudget = await this.safeInitialize(() => this.createContextBudget(), 'ContextBudget');
+            this.slashMenu = await this.safeInitialize(() => this.createSlashMenu(), 'SlashMenu');
+            this.promptLinter = await this.safeInitialize(() => this.createPromptLinter(), 'PromptLinter');
+            this.feedbackControls = await this.safeInitialize(() => this.createFeedbackControls(), 'FeedbackControls');
+            this.promptHistory = await this.safeInitialize(() => this.createPromptHistory(), 'PromptHistory');
+            this.sensitiveData = await this.safeInitialize(() => this.createSensitiveDataDetector(), 'SensitiveDataDetector');
+            this.redactionVault = await this.safeInitialize(() => this.createRedactionVault(), 'RedactionVault');
 
             // Detect current platform
             this.currentPlatform = await this.safeExecute(
@@ -124,7 +150,14 @@ class MyAyAIContentScript {
 
             // Set up observers and listeners
             await this.safeExecute(() => this.setupMutationObserver(), 'mutation observer setup');
+            await this.safeExecute(() => this.setupSensitiveData(), 'sensitive data setup');
+            await this.safeExecute(() => this.setupRedaction(), 'redaction setup');
             await this.safeExecute(() => this.setupInputMonitoring(), 'input monitoring setup');
+            await this.safeExecute(() => this.setupBudgetTracking(), 'context budget setup');
+            await this.safeExecute(() => this.setupSlashCommands(), 'slash command setup');
+            await this.safeExecute(() => this.setupLinting(), 'prompt linter setup');
+            await this.safeExecute(() => this.setupPromptHistory(), 'prompt history setup');
+            await this.safeExecute(() => this.setupMessageHandling(), 'message handling setup');
             await this.safeExecute(() => this.setupNavigationHandling(), 'navigation handling setup');
             await this.safeExecute(() => this.setupResizeHandling(), 'resize handling setup');
 
@@ -337,6 +370,420 @@ class MyAyAIContentScript {
     setupInputMonitoring() {
         const removeListener = this.platformDetectors.monitorInputChanges(this.handleInputChange);
         this.cleanupCallbacks.push(removeListener);
+
+        const handleSend = (event) => this.handleSend(event);
+        document.addEventListener('click', handleSend, true);
+        document.addEventListener('keydown', handleSend, true);
+
+        this.cleanupCallbacks.push(() => {
+            document.removeEventListener('click', handleSend, true);
+            document.removeEventListener('keydown', handleSend, true);
+        });
+    }
+
+    /**
+     * Create the secret and personal data detector; without it prompts are sent unscanned and redaction is off
+     */
+    createSensitiveDataDetector() {
+        if (!window.SensitiveDataDetector) return null;
+        return new window.SensitiveDataDetector();
+    }
+
+    /**
+     * Load detector actions, patterns and allow lists and follow changes made in the popup
+     */
+    async setupSensitiveData() {
+        if (!this.sensitiveData) return;
+
+        await this.sensitiveData.loadConfig();
+
+        if (typeof chrome !== 'undefined' && chrome.storage?.onChanged) {
+            const handleStorageChange = (changes, areaName) => {
+                if (areaName === 'sync' && changes[window.SensitiveDataDetector.CONFIG_KEY]) {
+                    this.sensitiveData.loadConfig()
+                        .catch(error => console.warn('[MyAyAI] Failed to reload sensitive data settings:', error));
+                }
+            };
+
+            chrome.storage.onChanged.addListener(handleStorageChange);
+            this.cleanupCallbacks.push(() => chrome.storage.onChanged.removeListener(handleStorageChange));
+        }
+    }
+
+    /**
+     * Hold back a prompt that contains secrets or personal data until the user has reviewed it.
+     * A prompt the user chose to send anyway goes through unchanged.
+     */
+    holdSensitivePrompt(event) {
+        if (!this.sensitiveData) return false;
+
+        const content = this.platformDetectors.getInputContent(this.currentInput);
+        if (this.sensitiveOverride !== null && this.sensitiveOverride === content) {
+            this.sensitiveOverride = null;
+            return false;
+        }
+
+        const findings = this.sensitiveData.scan(content, window.location.hostname);
+        if (findings.length === 0) return false;
+
+        event.preventDefault();
+        event.stopImmediatePropagation();
+        this.reviewSensitiveData(this.currentInput, findings);
+        return true;
+    }
+
+    async reviewSensitiveData(input, findings) {
+        const verdict = this.sensitiveData.getVerdict(findings);
+
+        if (!window.SensitiveDataPanel) {
+            const labels = Array.from(new Set(findings.map(finding => finding.label))).join(', ');
+            if (verdict === 'block') {
+                this.uiInjector.showNotification(`Sending blocked: ${labels}. Remove it first.`, 'error');
+            } else {
+                this.sensitiveOverride = this.platformDetectors.getInputContent(input);
+                this.uiInjector.showNotification(`Contains ${labels}. Send again to send it anyway.`, 'warning');
+            }
+            return;
+        }
+
+        const panel = new window.SensitiveDataPanel(this.sensitiveData);
+        const decision = await panel.open({
+            site: window.location.hostname,
+            getText: () => this.platformDetectors.getInputContent(input),
+            setText: (text) => this.uiInjector.setInputContent(input, text),
+            redact: this.redactionVault?.isEnabled()
+                ? () => this.uiInjector.setInputContent(input, this.platformDetectors.getInputContent(input))
+                : null
+        });
+
+        input.focus();
+        if (decision === 'send') {
+            this.sensitiveOverride = this.platformDetectors.getInputContent(input);
+            this.submitPrompt();
+        }
+    }
+
+    /**
+     * Create the placeholder vault used in redaction mode; needs the sensitive data detector
+     */
+    createRedactionVault() {
+        if (!window.RedactionVault || !this.sensitiveData) return null;
+        return new window.RedactionVault(this.sensitiveData);
+    }
+
+    /**
+     * Redact text as it is inserted into the composer, and put the original values back
+     * into text copied from the page
+     */
+    async setupRedaction() {
+        if (!this.redactionVault) return;
+
+        await this.redactionVault.load(window.location.hostname);
+        this.uiInjector.setRedactionVault(this.redactionVault);
+
+        const handleCopy = (event) => this.handleRedactedCopy(event);
+        document.addEventListener('copy', handleCopy, true);
+        this.cleanupCallbacks.push(() => document.removeEventListener('copy', handleCopy, true));
+
+        if (typeof chrome !== 'undefined' && chrome.storage?.onChanged) {
+            const handleStorageChange = (changes, areaName) => {
+                const change = changes[window.RedactionVault.STORAGE_KEY];
+                if (areaName === 'local' && change && change.newValue === undefined) {
+                    this.redactionVault.reset();
+                }
+            };
+
+            chrome.storage.onChanged.addListener(handleStorageChange);
+            this.cleanupCallbacks.push(() => chrome.storage.onChanged.removeListener(handleStorageChange));
+        }
+    }
+
+    handleRedactedCopy(event) {
+        const site = window.location.hostname;
+        const selected = String(window.getSelection() || '');
+        if (!event.clipboardData || !this.redactionVault.hasPlaceholders(selected, site)) return;
+
+        event.clipboardData.setData('text/plain', this.redactionVault.restore(selected, site));
+        event.preventDefault();
+    }
+
+    /**
+     * Offer to copy responses that mention placeholders with the original values put back
+     */
+    attachRestoreButtons() {
+        const site = window.location.hostname;
+
+        this.findResponses().forEach(response => {
+            if (!this.redactionVault.hasPlaceholders(response.innerText || response.textContent, site)) return;
+
+            this.uiInjector.attachRestoreButton(response, async() => {
+                try {
+                    const text = this.redactionVault.restore(response.innerText || response.textContent, site);
+                    await navigator.clipboard.writeText(text);
+                    this.uiInjector.showNotification('Copied with the original values');
+                } catch (error) {
+                    console.warn('[MyAyAI] Could not copy the response:', error);
+                    this.uiInjector.showNotification('Could not copy the response', 'error');
+                }
+            });
+        });
+    }
+
+    /**
+     * Press the site's send button, or ask the user to when there is none to press
+     */
+    submitPrompt() {
+        const submitSelector = this.currentPlatform?.submitSelector;
+        const button = submitSelector ? document.querySelector(submitSelector) : null;
+
+        if (button && !button.disabled) {
+            button.click();
+        } else {
+            this.uiInjector.showNotification('Press send again to send your prompt', 'warning');
+        }
+    }
+
+    /**
+     * Create the context budget meter; optional, so a missing module only disables the indicator
+     */
+    createContextBudget() {
+        if (!window.ContextBudget) return null;
+        return new window.ContextBudget();
+    }
+
+    /**
+     * Load the site model's context window and follow model changes made in the popup
+     */
+    async setupBudgetTracking() {
+        if (!this.contextBudget) return;
+
+        const pricing = this.contextBudget.pricing;
+        await pricing.load();
+
+        // Counts are estimates until this site's encoding arrives, then the indicator catches up
+        this.contextBudget.tokenizer.loadEncoding(this.currentPlatform?.id).then(loaded => {
+            if (loaded) this.updateBudget(this.currentInput);
+        });
+
+        if (typeof chrome !== 'undefined' && chrome.storage?.onChanged) {
+            const handleStorageChange = (changes) => {
+                const keys = [pricing.constructor.STORAGE_KEY, pricing.constructor.SITE_MODELS_KEY];
+                if (keys.some(key => changes[key])) {
+                    pricing.load().then(() => this.updateBudget(this.currentInput));
+                }
+            };
+
+            chrome.storage.onChanged.addListener(handleStorageChange);
+            this.cleanupCallbacks.push(() => chrome.storage.onChanged.removeListener(handleStorageChange));
+        }
+    }
+
+    /**
+     * Create the /command menu; without it a typed /command stays plain text for the site
+     */
+    createSlashMenu() {
+        if (!window.SlashMenu) return null;
+        return new window.SlashMenu(this.uiInjector);
+    }
+
+    /**
+     * Load personal templates for /commands and reload them when the popup edits the library
+     */
+    async setupSlashCommands() {
+        if (!this.slashMenu) return;
+
+        await this.slashMenu.load();
+        this.cleanupCallbacks.push(() => this.slashMenu.close());
+
+        const library = this.slashMenu.commands.templates.library;
+        if (library && typeof chrome !== 'undefined' && chrome.storage?.onChanged) {
+            const handleStorageChange = (changes) => {
+                if (changes[library.constructor.STORAGE_KEY]) {
+                    library.load().catch(error => console.warn('[MyAyAI] Failed to reload templates:', error));
+                }
+            };
+
+            chrome.storage.onChanged.addListener(handleStorageChange);
+            this.cleanupCallbacks.push(() => chrome.storage.onChanged.removeListener(handleStorageChange));
+        }
+    }
+
+    /**
+     * Create the prompt linter; without it the composer gets no problem badge or lint panel
+     */
+    createPromptLinter() {
+        if (!window.PromptLinter) return null;
+        return new window.PromptLinter();
+    }
+
+    /**
+     * Load the user's rule severities and follow changes made in the popup
+     */
+    async setupLinting() {
+        if (!this.promptLinter) return;
+
+        await this.promptLinter.loadConfig();
+
+        if (typeof chrome !== 'undefined' && chrome.storage?.onChanged) {
+            const handleStorageChange = (changes, areaName) => {
+                if (areaName === 'sync' && changes[window.PromptLinter.CONFIG_KEY]) {
+                    this.promptLinter.loadConfig().then(() => this.updateLint(this.currentInput));
+                }
+            };
+
+            chrome.storage.onChanged.addListener(handleStorageChange);
+            this.cleanupCallbacks.push(() => chrome.storage.onChanged.removeListener(handleStorageChange));
+        }
+    }
+
+    /**
+     * Create the response rating buttons; without them responses cannot be rated and the learned weights stay put
+     */
+    createFeedbackControls() {
+        if (!window.FeedbackControls) return null;
+        return new window.FeedbackControls();
+    }
+
+    /**
+     * Remember a sent prompt so the response to it can be rated
+     */
+    trackFeedbackSend() {
+        if (!this.feedbackControls || !this.currentPlatform?.responseSelector) return;
+
+        const prompt = this.platformDetectors.getInputContent(this.currentInput).trim();
+        if (!prompt) return;
+
+        this.pendingFeedback = { prompt, responseCount: this.findResponses().length };
+    }
+
+    findResponses() {
+        return document.querySelectorAll(this.currentPlatform.responseSelector);
+    }
+
+    /**
+     * Once the response to the last sent prompt shows up, add rating buttons below it
+     */
+    attachResponseFeedback() {
+        const responses = this.findResponses();
+        if (responses.length <= this.pendingFeedback.responseCount) return;
+
+        const { prompt } = this.pendingFeedback;
+        this.pendingFeedback = null;
+
+        this.feedbackControls.attachToResponse(responses[responses.length - 1], rating => this.feedbackControls.submit({
+            prompt,
+            rating,
+            target: 'response',
+            platform: this.currentPlatform.id
+        }));
+    }
+
+    /**
+     * Create the prompt version history; without it there is no version tree to diff or restore from
+     */
+    createPromptHistory() {
+        if (!window.PromptHistory) return null;
+        return new window.PromptHistory();
+    }
+
+    /**
+     * Record applied optimizations in this conversation's version tree
+     */
+    setupPromptHistory() {
+        if (!this.promptHistory) return;
+
+        this.historyUrl = window.location.href;
+
+        const handleOptimized = (event) => {
+            const { original, optimized, platform } = event.detail;
+            this.recordHistory(() => this.promptHistory.recordOptimization(window.location.href, {
+                original,
+                optimized,
+                platform
+            }));
+        };
+
+        document.addEventListener('myayai-optimized', handleOptimized);
+        this.cleanupCallbacks.push(() => document.removeEventListener('myayai-optimized', handleOptimized));
+    }
+
+    /**
+     * Add a sent prompt to the version tree
+     */
+    recordHistorySend() {
+        if (!this.promptHistory) return;
+
+        const text = this.platformDetectors.getInputContent(this.currentInput).trim();
+        if (!text) return;
+
+        this.historySentAt = Date.now();
+        this.recordHistory(() => this.promptHistory.recordSend(window.location.href, {
+            text,
+            platform: this.currentPlatform?.id
+        }));
+    }
+
+    async recordHistory(record) {
+        try {
+            await record();
+            await this.showHistoryButton(this.currentInput);
+        } catch (error) {
+            console.warn('[MyAyAI] Failed to record prompt history:', error);
+        }
+    }
+
+    /**
+     * Show the history button once this conversation has versions
+     */
+    async showHistoryButton(input) {
+        if (!this.promptHistory || !input || !window.HistoryPanel) return;
+
+        const conversation = await this.promptHistory.getConversation(window.location.href);
+        if (conversation && conversation.versions.length > 0) {
+            this.uiInjector.injectHistoryButton(input, () => this.openHistoryPanel(input));
+        }
+    }
+
+    async openHistoryPanel(input) {
+        const panel = new window.HistoryPanel(this.promptHistory);
+        await panel.open({
+            url: window.location.href,
+            setText: (text) => this.uiInjector.setInputContent(input, text)
+        });
+
+        input.focus();
+    }
+
+    /**
+     * Handle requests from the popup, such as inserting a filled-in template
+     */
+    setupMessageHandling() {
+        if (typeof chrome === 'undefined' || !chrome.runtime?.onMessage || !window.MessageProtocol) return;
+
+        const protocol = new window.MessageProtocol();
+        const listener = protocol.createListener({
+            [window.MessageProtocol.TYPES.INSERT_PROMPT]: (payload) => this.insertPrompt(payload.text)
+        });
+
+        chrome.runtime.onMessage.addListener(listener);
+        this.cleanupCallbacks.push(() => chrome.runtime.onMessage.removeListener(listener));
+    }
+
+    /**
+     * Replace the composer content with text from outside the page
+     */
+    insertPrompt(text) {
+        const input = this.currentInput || this.platformDetectors.findActiveInput(this.currentPlatform);
+        if (!input) {
+            throw new Error('No message box found on this page');
+        }
+
+        const inserted = this.uiInjector.setInputContent(input, text);
+        if (inserted) {
+            input.focus();
+        }
+
+        return { inserted };
     }
 
     /**
@@ -411,6 +858,14 @@ class MyAyAIContentScript {
         if (shouldRescan) {
             this.debouncedScanForInputs();
         }
+
+        if (this.pendingFeedback) {
+            this.attachResponseFeedback();
+        }
+
+        if (this.redactionVault?.hasMappings(window.location.hostname) && this.currentPlatform?.responseSelector) {
+            this.attachRestoreButtons();
+        }
     }
 
     /**
@@ -423,6 +878,14 @@ class MyAyAIContentScript {
                 return;
             }
 
+            if (event?.type === 'paste') {
+                this.trackPastedContent(input, event);
+            }
+
+            if (this.slashMenu) {
+                this.slashMenu.handleInput(input, event);
+            }
+
             const hasMinContent = this.platformDetectors.hasMinimumContent(input, this.config.minCharThreshold);
 
             if (hasMinContent && !this.uiInjector.activeButtons.has(input)) {
@@ -434,16 +897,171 @@ class MyAyAIContentScript {
                 this.uiInjector.hideButton(input);
             }
 
+            this.scheduleBudgetUpdate(input);
+            this.scheduleLint(input);
+
         } catch (error) {
             console.warn('[MyAyAI] Error handling input change:', error);
         }
     }
 
+    /**
+     * Remember pasted text the site moved out of the composer (e.g. into an attachment),
+     * so it still counts against the context window until the prompt is sent
+     */
+    trackPastedContent(input, event) {
+        const pasted = event.clipboardData?.getData('text/plain');
+        if (!pasted || !pasted.trim()) return;
+
+        setTimeout(() => {
+            const content = this.platformDetectors.getInputContent(input);
+            if (!content.includes(pasted.trim().slice(0, 200))) {
+                this.pastedContent.push(pasted);
+                this.updateBudget(input);
+            }
+        }, this.config.budgetDelay);
+    }
+
+    scheduleBudgetUpdate(input) {
+        clearTimeout(this.budgetTimer);
+        this.budgetTimer = setTimeout(() => this.updateBudget(input), this.config.budgetDelay);
+    }
+
+    /**
+     * Measure the prompt and refresh the indicator next to the optimize button
+     */
+    measureBudget(input) {
+        const content = this.platformDetectors.getInputContent(input);
+        return this.contextBudget.measure(content, this.currentPlatform?.id, this.pastedContent);
+    }
+
+    updateBudget(input) {
+        if (!this.contextBudget || !input) return;
+
+        const hasMinContent = this.platformDetectors.hasMinimumContent(input, this.config.minCharThreshold);
+        if (!hasMinContent && this.pastedContent.length === 0) {
+            this.uiInjector.hideBudgetIndicator(input);
+            return;
+        }
+
+        const budget = this.measureBudget(input);
+        this.uiInjector.showBudgetIndicator(input, {
+            level: budget.level,
+            label: this.contextBudget.formatLabel(budget),
+            description: this.contextBudget.describe(budget)
+        });
+    }
+
+    scheduleLint(input) {
+        clearTimeout(this.lintTimer);
+        this.lintTimer = setTimeout(() => this.updateLint(input), this.config.lintDelay);
+    }
+
+    /**
+     * Lint the prompt and show the problem count; the badge opens the lint panel
+     */
+    updateLint(input) {
+        if (!this.promptLinter || !input) return;
+
+        if (!this.platformDetectors.hasMinimumContent(input, this.config.minCharThreshold)) {
+            this.uiInjector.hideLintIndicator(input);
+            return;
+        }
+
+        const diagnostics = this.promptLinter.lint(this.platformDetectors.getInputContent(input));
+        if (diagnostics.length === 0) {
+            this.uiInjector.hideLintIndicator(input);
+            return;
+        }
+
+        const counts = this.promptLinter.summarize(diagnostics);
+        const level = ['error', 'warning', 'info'].find(severity => counts[severity] > 0);
+        const summary = ['error', 'warning', 'info']
+            .filter(severity => counts[severity] > 0)
+            .map(severity => `${counts[severity]} ${severity}${counts[severity] === 1 ? '' : 's'}`)
+            .join(', ');
+
+        this.uiInjector.showLintIndicator(input, {
+            level,
+            label: `${diagnostics.length} ${diagnostics.length === 1 ? 'issue' : 'issues'}`,
+            description: `${summary}. Click to review and fix.`,
+            onClick: () => this.openLintPanel(input)
+        });
+    }
+
+    async openLintPanel(input) {
+        if (!window.LintPanel) return;
+
+        const panel = new window.LintPanel(this.promptLinter);
+        await panel.open({
+            getText: () => this.uiInjector.getInputContent(input),
+            setText: (text) => this.uiInjector.setInputContent(input, text)
+        });
+
+        input.focus();
+        this.updateLint(input);
+    }
+
+    /**
+     * Every send goes through here, so the guards that can hold a prompt back run
+     * before anything records it as sent
+     */
+    handleSend(event) {
+        if (!this.currentInput || !this.isSendEvent(event)) return;
+
+        if (this.holdSensitivePrompt(event) || this.holdOversizedPrompt(event)) return;
+
+        this.trackFeedbackSend();
+        this.recordHistorySend();
+    }
+
+    /**
+     * Warn once before sending a prompt that does not fit the context window.
+     * Sending the same prompt again goes through.
+     */
+    holdOversizedPrompt(event) {
+        if (!this.contextBudget) return false;
+
+        const content = this.platformDetectors.getInputContent(this.currentInput);
+        const warning = this.contextBudget.getSendWarning(this.measureBudget(this.currentInput));
+
+        if (warning && this.budgetOverride !== content) {
+            event.preventDefault();
+            event.stopImmediatePropagation();
+            this.budgetOverride = content;
+            this.uiInjector.showNotification(`${warning}. Send again to send it anyway.`, 'warning');
+            return true;
+        }
+
+        this.budgetOverride = null;
+        this.pastedContent = [];
+        return false;
+    }
+
+    isSendEvent(event) {
+        if (event.type === 'keydown') {
+            return event.key === 'Enter' && !event.shiftKey && !event.isComposing &&
+                this.currentInput.contains(event.target);
+        }
+
+        const submitSelector = this.currentPlatform?.submitSelector;
+        return Boolean(submitSelector && event.target.closest?.(submitSelector));
+    }
+
     /**
      * Handle navigation changes (SPA)
      */
     handleNavigation() {
         console.log('[MyAyAI] Navigation detected, rescanning...');
+
+        // A new chat gets its own URL after the first send; keep its history with it
+        if (this.promptHistory && this.historyUrl !== window.location.href) {
+            if (Date.now() - this.historySentAt < this.config.historyMoveWindow) {
+                this.promptHistory.moveConversation(this.historyUrl, window.location.href)
+                    .catch(error => console.warn('[MyAyAI] Failed to move prompt history:', error));
+            }
+            this.historyUrl = window.location.href;
+        }
         
         // Clear current state
         this.cleanup(false); // Don't remove listeners, just clear UI
@@ -482,6 +1100,9 @@ class MyAyAIContentScript {
                 if (this.platformDetectors.hasMinimumContent(input, this.config.minCharThreshold)) {
                     this.uiInjector.injectOptimizeButton(input, this.currentPlatform);
                 }
+
+                this.uiInjector.injectTemplateButton(input);
+                this.showHistoryButton(input).catch(error => console.warn('[MyAyAI] Failed to load prompt history:', error));
                 
                 this.currentInput = input;
                 
@@ -746,6 +1367,11 @@ class MyAyAIContentScript {
                 clearTimeout(this.debounceTimer);
                 this.debounceTimer = null;
             }
+            clearTimeout(this.budgetTimer);
+            clearTimeout(this.lintTimer);
+            this.pastedContent = [];
+            this.budgetOverride = null;
+            this.sensitiveOverride = null;
 
             // Clean up UI
             if (this.uiInjector) {
@@ -765,6 +1391,7 @@ class MyAyAIContentScript {
                     }
                 });
                 this.cleanupCallbacks = [];
+                this.pendingFeedback = null;
 
                 this.isInitialized = false;
             }
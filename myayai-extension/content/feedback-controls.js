@@ -0,0 +1,180 @@
+/**
+ * Feedback Controls for MyAyAI Extension
+ * Thumbs-up/down buttons for optimized prompts and AI responses; ratings recalibrate the quality scorer
+ */
+
+class FeedbackControls {
+    static DISMISS_DELAY = 10000;
+
+    constructor() {
+        this.toastId = 'myayai-feedback-toast';
+        this.dismissTimer = null;
+        this.initializeStyles();
+    }
+
+    initializeStyles() {
+        const styleId = 'myayai-feedback-styles';
+        if (document.getElementById(styleId)) return;
+
+        const styles = `
+            .myayai-feedback {
+                display: inline-flex;
+                align-items: center;
+                gap: 6px;
+                font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif;
+                font-size: 12px;
+                color: #6b7280;
+            }
+
+            .myayai-feedback button {
+                border: 1px solid #d1d5db;
+                background: #ffffff;
+                border-radius: 6px;
+                padding: 2px 6px;
+                font-size: 13px;
+                line-height: 16px;
+                cursor: pointer;
+            }
+
+            .myayai-feedback button:hover:not(:disabled) {
+                border-color: #667eea;
+            }
+
+            .myayai-feedback button:disabled {
+                cursor: default;
+                opacity: 0.5;
+            }
+
+            .myayai-feedback button.selected {
+                opacity: 1;
+                border-color: #667eea;
+                background: rgba(102, 126, 234, 0.12);
+            }
+
+            .myayai-feedback-response {
+                display: flex;
+                margin: 6px 0;
+            }
+
+            .myayai-feedback-toast {
+                position: fixed;
+                right: 20px;
+                bottom: 80px;
+                z-index: 1000000;
+                padding: 8px 12px;
+                border-radius: 10px;
+                background: #ffffff;
+                box-shadow: 0 8px 30px rgba(0, 0, 0, 0.15);
+            }
+        `;
+
+        const styleElement = document.createElement('style');
+        styleElement.id = styleId;
+        styleElement.textContent = styles;
+        document.head.appendChild(styleElement);
+    }
+
+    /**
+     * A label with 👍 and 👎 buttons. onRate receives 'up' or 'down' and may return a promise;
+     * the buttons lock once the rating is saved.
+     */
+    createControls(label, onRate) {
+        const controls = document.createElement('div');
+        controls.className = 'myayai-feedback';
+        controls.innerHTML = `
+            <span class="myayai-feedback-label"></span>
+            <button type="button" data-rating="up" aria-label="Helpful" title="Helpful">👍</button>
+            <button type="button" data-rating="down" aria-label="Not helpful" title="Not helpful">👎</button>
+        `;
+
+        const labelElement = controls.querySelector('.myayai-feedback-label');
+        labelElement.textContent = label;
+
+        const buttons = Array.from(controls.querySelectorAll('button'));
+        buttons.forEach(button => {
+            button.addEventListener('click', async(event) => {
+                event.preventDefault();
+                event.stopPropagation();
+                buttons.forEach(other => {
+                    other.disabled = true;
+                });
+
+                try {
+                    await onRate(button.dataset.rating);
+                    button.classList.add('selected');
+                    labelElement.textContent = 'Thanks for the feedback';
+                    controls.dispatchEvent(new CustomEvent('myayai-rated', { detail: button.dataset.rating }));
+                } catch (error) {
+                    console.warn('[MyAyAI] Failed to save feedback:', error);
+                    labelElement.textContent = 'Could not save feedback';
+                    buttons.forEach(other => {
+                        other.disabled = false;
+                    });
+                }
+            });
+        });
+
+        return controls;
+    }
+
+    /**
+     * Ask about an optimization that was just applied, in a toast that dismisses itself
+     */
+    showForOptimization(onRate) {
+        this.hideToast();
+
+        const toast = this.createControls('Was this optimization helpful?', onRate);
+        toast.id = this.toastId;
+        toast.classList.add('myayai-feedback-toast');
+        toast.addEventListener('myayai-rated', () => this.scheduleHide(1500));
+        document.body.appendChild(toast);
+
+        this.scheduleHide(FeedbackControls.DISMISS_DELAY);
+        return toast;
+    }
+
+    /**
+     * Put rating buttons right after an AI response, once per response
+     */
+    attachToResponse(response, onRate) {
+        if (!response || response.dataset.myayaiFeedback) return null;
+
+        const controls = this.createControls('Rate this response', onRate);
+        controls.classList.add('myayai-feedback-response');
+        response.dataset.myayaiFeedback = 'true';
+        response.insertAdjacentElement('afterend', controls);
+        return controls;
+    }
+
+    /**
+     * Send a rating to the background, which stores it and recalibrates the scoring weights
+     */
+    async submit(feedback) {
+        if (typeof chrome === 'undefined' || !chrome.runtime || !window.MessageProtocol) {
+            return { recorded: false };
+        }
+
+        const protocol = new window.MessageProtocol();
+        const response = await protocol.send(window.MessageProtocol.TYPES.RECORD_FEEDBACK, feedback);
+        if (!response || !response.recorded) {
+            throw new Error('Feedback was not recorded');
+        }
+        return response;
+    }
+
+    scheduleHide(delay) {
+        clearTimeout(this.dismissTimer);
+        this.dismissTimer = setTimeout(() => this.hideToast(), delay);
+    }
+
+    hideToast() {
+        clearTimeout(this.dismissTimer);
+        const toast = document.getElementById(this.toastId);
+        if (toast && toast.parentNode) {
+            toast.parentNode.removeChild(toast);
+        }
+    }
+}
+
+// Export for use in other scripts
+window.FeedbackControls = FeedbackControls;
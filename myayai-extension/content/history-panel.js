@@ -0,0 +1,345 @@
+/**
+ * History Panel Overlay for MyAyAI Extension
+ * Browses the version tree of the prompts in this conversation, diffs any two versions
+ * and restores one into the composer
+ */
+
+class HistoryPanel {
+    constructor(history = null) {
+        this.history = history || new (window.PromptHistory || PromptHistory)();
+        this.overlayId = 'myayai-history-overlay';
+        this.initializeStyles();
+    }
+
+    initializeStyles() {
+        const styleId = 'myayai-history-styles';
+        if (document.getElementById(styleId)) return;
+
+        const styles = `
+            .myayai-history-overlay {
+                position: fixed;
+                inset: 0;
+                z-index: 1000001;
+                background: rgba(15, 23, 42, 0.45);
+                display: flex;
+                align-items: center;
+                justify-content: center;
+                font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif;
+            }
+
+            .myayai-history-dialog {
+                background: #ffffff;
+                color: #1f2937;
+                border-radius: 12px;
+                box-shadow: 0 20px 60px rgba(0, 0, 0, 0.3);
+                width: min(720px, calc(100vw - 32px));
+                max-height: calc(100vh - 64px);
+                display: flex;
+                flex-direction: column;
+                overflow: hidden;
+            }
+
+            .myayai-history-header {
+                padding: 16px 20px 8px;
+                font-size: 16px;
+                font-weight: 600;
+            }
+
+            .myayai-history-list {
+                list-style: none;
+                margin: 0;
+                padding: 0 20px;
+                max-height: 220px;
+                overflow-y: auto;
+            }
+
+            .myayai-history-item {
+                display: flex;
+                gap: 8px;
+                align-items: baseline;
+                padding: 6px 8px;
+                border-top: 1px solid #e5e7eb;
+                font-size: 13px;
+                cursor: pointer;
+            }
+
+            .myayai-history-item.selected {
+                background: rgba(102, 126, 234, 0.12);
+            }
+
+            .myayai-history-kind {
+                flex: none;
+                font-size: 11px;
+                font-weight: 600;
+                color: #667eea;
+            }
+
+            .myayai-history-preview {
+                flex: 1;
+                overflow: hidden;
+                white-space: nowrap;
+                text-overflow: ellipsis;
+            }
+
+            .myayai-history-meta {
+                flex: none;
+                font-size: 11px;
+                color: #6b7280;
+            }
+
+            .myayai-history-compare {
+                display: flex;
+                align-items: center;
+                gap: 8px;
+                padding: 12px 20px 0;
+                font-size: 13px;
+            }
+
+            .myayai-history-compare select {
+                flex: 1;
+                min-width: 0;
+                font-size: 12px;
+            }
+
+            .myayai-history-diff {
+                margin: 8px 20px 0;
+                padding: 10px;
+                max-height: 200px;
+                overflow-y: auto;
+                border-radius: 8px;
+                background: #f9fafb;
+                font-size: 13px;
+                line-height: 1.5;
+                white-space: pre-wrap;
+            }
+
+            .myayai-history-diff ins {
+                background: rgba(76, 175, 80, 0.2);
+                text-decoration: none;
+            }
+
+            .myayai-history-diff del {
+                background: rgba(244, 67, 54, 0.2);
+            }
+
+            .myayai-history-empty {
+                padding: 12px 0;
+                font-size: 13px;
+                color: #6b7280;
+            }
+
+            .myayai-history-actions {
+                display: flex;
+                justify-content: flex-end;
+                gap: 8px;
+                padding: 12px 20px 16px;
+            }
+
+            .myayai-history-dialog button {
+                border: 1px solid #d1d5db;
+                background: #ffffff;
+                color: #1f2937;
+                border-radius: 8px;
+                padding: 6px 12px;
+                font-size: 13px;
+                cursor: pointer;
+            }
+
+            .myayai-history-actions .myayai-history-restore {
+                background: linear-gradient(135deg, #667eea 0%, #764ba2 100%);
+                border-color: transparent;
+                color: #ffffff;
+            }
+
+            .myayai-history-actions .myayai-history-restore:disabled {
+                opacity: 0.5;
+                cursor: default;
+            }
+        `;
+
+        const styleElement = document.createElement('style');
+        styleElement.id = styleId;
+        styleElement.textContent = styles;
+        document.head.appendChild(styleElement);
+    }
+
+    /**
+     * Show the history for url. Restoring puts the version in the composer through setText.
+     * Resolves with the restored version, or null when closed without restoring.
+     */
+    async open({ url, setText }) {
+        this.close();
+
+        const conversation = await this.history.getConversation(url);
+        const rows = this.history.flatten(conversation);
+
+        return new Promise(resolve => {
+            const overlay = document.createElement('div');
+            overlay.id = this.overlayId;
+            overlay.className = 'myayai-history-overlay';
+            overlay.innerHTML = `
+                <div class="myayai-history-dialog" role="dialog" aria-modal="true" aria-labelledby="myayai-history-title">
+                    <div class="myayai-history-header" id="myayai-history-title">Prompt history</div>
+                    <ul class="myayai-history-list" role="listbox" aria-label="Prompt versions"></ul>
+                    <div class="myayai-history-compare">
+                        <select class="myayai-history-from" aria-label="Compare from"></select>
+                        <span>→</span>
+                        <select class="myayai-history-to" aria-label="Compare to"></select>
+                    </div>
+                    <div class="myayai-history-diff" aria-live="polite"></div>
+                    <div class="myayai-history-actions">
+                        <button type="button" class="myayai-history-close">Close</button>
+                        <button type="button" class="myayai-history-restore">Restore</button>
+                    </div>
+                </div>
+            `;
+
+            const finish = (restored = null) => {
+                document.removeEventListener('keydown', onKeyDown, true);
+                this.close();
+                resolve(restored);
+            };
+            const onKeyDown = (event) => {
+                if (event.key === 'Escape') {
+                    event.stopPropagation();
+                    finish();
+                }
+            };
+
+            this.view = { overlay, url, rows, fromId: null, toId: null };
+            overlay.querySelector('.myayai-history-close').addEventListener('click', () => finish());
+            overlay.querySelector('.myayai-history-restore').addEventListener('click', async() => {
+                try {
+                    const version = await this.history.restore(url, this.view.toId);
+                    setText(version.text);
+                    finish(version);
+                } catch (error) {
+                    console.warn('[MyAyAI] Could not restore prompt version:', error);
+                }
+            });
+            overlay.querySelector('.myayai-history-from').addEventListener('change', (event) => {
+                this.select(this.view.toId, event.target.value);
+            });
+            overlay.querySelector('.myayai-history-to').addEventListener('change', (event) => {
+                this.select(event.target.value, this.view.fromId);
+            });
+            overlay.addEventListener('click', (event) => {
+                if (event.target === overlay) finish();
+            });
+            document.addEventListener('keydown', onKeyDown, true);
+
+            document.body.appendChild(overlay);
+            this.render();
+
+            const current = rows.find(row => row.isHead) || rows[rows.length - 1];
+            if (current) {
+                this.select(current.version.id);
+            }
+            overlay.querySelector('.myayai-history-close').focus();
+        });
+    }
+
+    render() {
+        const { overlay, rows } = this.view;
+        const list = overlay.querySelector('.myayai-history-list');
+        const restore = overlay.querySelector('.myayai-history-restore');
+
+        list.innerHTML = '';
+        restore.disabled = rows.length === 0;
+        overlay.querySelector('.myayai-history-compare').hidden = rows.length === 0;
+
+        if (!rows.length) {
+            const empty = document.createElement('li');
+            empty.className = 'myayai-history-empty';
+            empty.textContent = 'No prompt versions in this conversation yet';
+            list.appendChild(empty);
+            return;
+        }
+
+        rows.forEach(row => {
+            const item = document.createElement('li');
+            item.className = 'myayai-history-item';
+            item.dataset.id = row.version.id;
+            item.setAttribute('role', 'option');
+            item.style.paddingLeft = `${8 + row.depth * 16}px`;
+
+            const kind = document.createElement('span');
+            kind.className = 'myayai-history-kind';
+            kind.textContent = this.history.describe(row);
+
+            const preview = document.createElement('span');
+            preview.className = 'myayai-history-preview';
+            preview.textContent = row.version.text;
+
+            const meta = document.createElement('span');
+            meta.className = 'myayai-history-meta';
+            meta.textContent = [
+                row.isHead ? 'current' : '',
+                row.version.sentAt ? 'sent' : '',
+                new Date(row.version.createdAt).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })
+            ].filter(Boolean).join(' · ');
+
+            item.append(kind, preview, meta);
+            item.addEventListener('click', () => this.select(row.version.id));
+            list.appendChild(item);
+        });
+
+        ['.myayai-history-from', '.myayai-history-to'].forEach(selector => {
+            const select = overlay.querySelector(selector);
+            select.innerHTML = '';
+            rows.forEach(row => {
+                const option = document.createElement('option');
+                option.value = row.version.id;
+                option.textContent = `${this.history.describe(row)}: ${row.version.text.slice(0, 40)}`;
+                select.appendChild(option);
+            });
+        });
+    }
+
+    /**
+     * Select the version to restore and diff it against fromId, its parent by default
+     */
+    async select(toId, fromId = null) {
+        const { overlay, rows, url } = this.view;
+        const to = rows.find(row => row.version.id === toId);
+        if (!to) return;
+
+        this.view.toId = toId;
+        this.view.fromId = fromId || to.version.parentId || toId;
+
+        overlay.querySelectorAll('.myayai-history-item').forEach(item => {
+            const selected = item.dataset.id === toId;
+            item.classList.toggle('selected', selected);
+            item.setAttribute('aria-selected', String(selected));
+        });
+        overlay.querySelector('.myayai-history-from').value = this.view.fromId;
+        overlay.querySelector('.myayai-history-to').value = toId;
+        overlay.querySelector('.myayai-history-restore').textContent = `Restore ${this.history.describe(to)}`;
+
+        const { ops } = await this.history.diff(url, this.view.fromId, toId);
+        if (!this.view) return;
+
+        const diff = overlay.querySelector('.myayai-history-diff');
+        diff.innerHTML = '';
+        ops.forEach(op => {
+            if (op.type === 'equal') {
+                diff.appendChild(document.createTextNode(op.text));
+                return;
+            }
+            const change = document.createElement(op.type === 'insert' ? 'ins' : 'del');
+            change.textContent = op.text;
+            diff.appendChild(change);
+        });
+    }
+
+    close() {
+        const overlay = document.getElementById(this.overlayId);
+        if (overlay && overlay.parentNode) {
+            overlay.parentNode.removeChild(overlay);
+        }
+        this.view = null;
+    }
+}
+
+// Export for use in other scripts
+window.HistoryPanel = HistoryPanel;
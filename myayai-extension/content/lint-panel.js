@@ -0,0 +1,256 @@
+/**
+ * Lint Panel Overlay for MyAyAI Extension
+ * Lists the prompt linter's diagnostics for the composer and applies fixes one at a time or all at once
+ */
+
+class LintPanel {
+    constructor(linter = null) {
+        this.linter = linter || new (window.PromptLinter || PromptLinter)();
+        this.overlayId = 'myayai-lint-overlay';
+        this.initializeStyles();
+    }
+
+    initializeStyles() {
+        const styleId = 'myayai-lint-styles';
+        if (document.getElementById(styleId)) return;
+
+        const styles = `
+            .myayai-lint-overlay {
+                position: fixed;
+                inset: 0;
+                z-index: 1000001;
+                background: rgba(15, 23, 42, 0.45);
+                display: flex;
+                align-items: center;
+                justify-content: center;
+                font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif;
+            }
+
+            .myayai-lint-dialog {
+                background: #ffffff;
+                color: #1f2937;
+                border-radius: 12px;
+                box-shadow: 0 20px 60px rgba(0, 0, 0, 0.3);
+                width: min(560px, calc(100vw - 32px));
+                max-height: calc(100vh - 64px);
+                display: flex;
+                flex-direction: column;
+                overflow: hidden;
+            }
+
+            .myayai-lint-header {
+                padding: 16px 20px 8px;
+                font-size: 16px;
+                font-weight: 600;
+            }
+
+            .myayai-lint-list {
+                list-style: none;
+                margin: 0;
+                padding: 0 20px;
+                overflow-y: auto;
+                flex: 1;
+            }
+
+            .myayai-lint-item {
+                display: flex;
+                align-items: flex-start;
+                gap: 8px;
+                padding: 8px 0;
+                border-top: 1px solid #e5e7eb;
+                font-size: 13px;
+            }
+
+            .myayai-lint-severity {
+                flex: none;
+                width: 8px;
+                height: 8px;
+                margin-top: 5px;
+                border-radius: 50%;
+                background: #3b82f6;
+            }
+
+            .myayai-lint-item.warning .myayai-lint-severity {
+                background: #f59e0b;
+            }
+
+            .myayai-lint-item.error .myayai-lint-severity {
+                background: #f44336;
+            }
+
+            .myayai-lint-text {
+                flex: 1;
+            }
+
+            .myayai-lint-rule {
+                display: block;
+                font-family: ui-monospace, SFMono-Regular, Menlo, Consolas, monospace;
+                font-size: 11px;
+                color: #6b7280;
+            }
+
+            .myayai-lint-empty {
+                padding: 12px 0;
+                font-size: 13px;
+                color: #4caf50;
+            }
+
+            .myayai-lint-actions {
+                display: flex;
+                justify-content: flex-end;
+                gap: 8px;
+                padding: 12px 20px 16px;
+            }
+
+            .myayai-lint-dialog button {
+                border: 1px solid #d1d5db;
+                background: #ffffff;
+                color: #1f2937;
+                border-radius: 8px;
+                padding: 6px 12px;
+                font-size: 13px;
+                cursor: pointer;
+            }
+
+            .myayai-lint-actions .myayai-lint-fix-all {
+                background: linear-gradient(135deg, #667eea 0%, #764ba2 100%);
+                border-color: transparent;
+                color: #ffffff;
+            }
+
+            .myayai-lint-actions .myayai-lint-fix-all:disabled {
+                opacity: 0.5;
+                cursor: default;
+            }
+        `;
+
+        const styleElement = document.createElement('style');
+        styleElement.id = styleId;
+        styleElement.textContent = styles;
+        document.head.appendChild(styleElement);
+    }
+
+    /**
+     * Show the diagnostics for the text behind getText; fixes go through setText.
+     * Resolves when the panel is closed.
+     */
+    open({ getText, setText }) {
+        this.close();
+
+        return new Promise(resolve => {
+            const overlay = document.createElement('div');
+            overlay.id = this.overlayId;
+            overlay.className = 'myayai-lint-overlay';
+            overlay.innerHTML = `
+                <div class="myayai-lint-dialog" role="dialog" aria-modal="true" aria-labelledby="myayai-lint-title">
+                    <div class="myayai-lint-header" id="myayai-lint-title"></div>
+                    <ul class="myayai-lint-list"></ul>
+                    <div class="myayai-lint-actions">
+                        <button type="button" class="myayai-lint-close">Close</button>
+                        <button type="button" class="myayai-lint-fix-all"></button>
+                    </div>
+                </div>
+            `;
+
+            const finish = () => {
+                document.removeEventListener('keydown', onKeyDown, true);
+                this.close();
+                resolve();
+            };
+            const onKeyDown = (event) => {
+                if (event.key === 'Escape') {
+                    event.stopPropagation();
+                    finish();
+                }
+            };
+
+            this.view = { overlay, getText, setText };
+            overlay.querySelector('.myayai-lint-close').addEventListener('click', finish);
+            overlay.querySelector('.myayai-lint-fix-all').addEventListener('click', () => {
+                this.update(this.linter.fixAll(getText()).output);
+            });
+            overlay.addEventListener('click', (event) => {
+                if (event.target === overlay) finish();
+            });
+            document.addEventListener('keydown', onKeyDown, true);
+
+            document.body.appendChild(overlay);
+            this.render();
+            overlay.querySelector('.myayai-lint-close').focus();
+        });
+    }
+
+    update(text) {
+        this.view.setText(text);
+        this.render();
+    }
+
+    render() {
+        const { overlay, getText } = this.view;
+        const text = getText();
+        const diagnostics = this.linter.lint(text);
+        const fixable = diagnostics.filter(diagnostic => diagnostic.fix).length;
+        const list = overlay.querySelector('.myayai-lint-list');
+
+        overlay.querySelector('.myayai-lint-header').textContent = diagnostics.length
+            ? `${diagnostics.length} prompt ${diagnostics.length === 1 ? 'problem' : 'problems'}`
+            : 'Prompt check';
+
+        const fixAll = overlay.querySelector('.myayai-lint-fix-all');
+        fixAll.textContent = fixable ? `Fix all (${fixable})` : 'Fix all';
+        fixAll.disabled = fixable === 0;
+
+        list.innerHTML = '';
+        if (!diagnostics.length) {
+            const empty = document.createElement('li');
+            empty.className = 'myayai-lint-empty';
+            empty.textContent = 'No problems found';
+            list.appendChild(empty);
+            return;
+        }
+
+        diagnostics.forEach(diagnostic => {
+            const item = document.createElement('li');
+            item.className = `myayai-lint-item ${diagnostic.severity}`;
+            item.dataset.rule = diagnostic.ruleId;
+
+            const severity = document.createElement('span');
+            severity.className = 'myayai-lint-severity';
+            severity.title = diagnostic.severity;
+
+            const message = document.createElement('span');
+            message.className = 'myayai-lint-text';
+            message.textContent = diagnostic.message;
+
+            const rule = document.createElement('span');
+            rule.className = 'myayai-lint-rule';
+            rule.textContent = `${diagnostic.severity} · ${diagnostic.ruleId}`;
+            message.appendChild(rule);
+
+            item.append(severity, message);
+
+            if (diagnostic.fix) {
+                const fix = document.createElement('button');
+                fix.type = 'button';
+                fix.className = 'myayai-lint-fix';
+                fix.textContent = 'Fix';
+                fix.setAttribute('aria-label', `Fix: ${diagnostic.message}`);
+                fix.addEventListener('click', () => this.update(this.linter.applyFix(text, diagnostic)));
+                item.appendChild(fix);
+            }
+
+            list.appendChild(item);
+        });
+    }
+
+    close() {
+        const overlay = document.getElementById(this.overlayId);
+        if (overlay && overlay.parentNode) {
+            overlay.parentNode.removeChild(overlay);
+        }
+        this.view = null;
+    }
+}
+
+// Export for use in other scripts
+window.LintPanel = LintPanel;
@@ -19,7 +19,8 @@ class PlatformDetectors {
                     ]
                 },
                 containerClass: 'myayai-chatgpt',
-                submitSelector: 'button[data-testid="send-button"]'
+                submitSelector: 'button[data-testid="send-button"]',
+                responseSelector: '[data-message-author-role="assistant"]'
             },
             claude: {
                 name: 'Claude',
@@ -34,7 +35,8 @@ class PlatformDetectors {
                     ]
                 },
                 containerClass: 'myayai-claude',
-                submitSelector: 'button[aria-label*="Send"]'
+                submitSelector: 'button[aria-label*="Send"]',
+                responseSelector: '.font-claude-message'
             },
             perplexity: {
                 name: 'Perplexity',
@@ -49,7 +51,8 @@ class PlatformDetectors {
                     ]
                 },
                 containerClass: 'myayai-perplexity',
-                submitSelector: 'button[aria-label*="Submit"]'
+                submitSelector: 'button[aria-label*="Submit"]',
+                responseSelector: 'div[class*="prose"]'
             },
             gemini: {
                 name: 'Gemini',
@@ -64,7 +67,8 @@ class PlatformDetectors {
                     ]
                 },
                 containerClass: 'myayai-gemini',
-                submitSelector: 'button[aria-label*="Send"]'
+                submitSelector: 'button[aria-label*="Send"]',
+                responseSelector: 'model-response'
             },
             copilot: {
                 name: 'Copilot',
@@ -79,7 +83,8 @@ class PlatformDetectors {
                     ]
                 },
                 containerClass: 'myayai-copilot',
-                submitSelector: 'button[title*="Submit"]'
+                submitSelector: 'button[title*="Submit"]',
+                responseSelector: '[data-content="ai-message"]'
             },
             poe: {
                 name: 'Poe',
@@ -94,7 +99,13 @@ class PlatformDetectors {
                     ]
                 },
                 containerClass: 'myayai-poe',
-                submitSelector: 'button[class*="send"]'
+                submitSelector: 'button[class*="send"]',
+                responseSelector: '[class*="Message_botMessageBubble"]',
+                // Poe hosts many bots; the chat header names the selected one, and new chats use poe.com/<bot>
+                bots: {
+                    selector: '[class*="BotHeader_textContainer"] p, [class*="ChatHeader_botName"]',
+                    reservedPaths: ['chat', 'chats', 'explore', 'settings', 'login', 'create_bot', 'edit_bot', 'profile', 'api_key']
+                }
             },
             characterai: {
                 name: 'Character.AI',
@@ -109,7 +120,74 @@ class PlatformDetectors {
                     ]
                 },
                 containerClass: 'myayai-characterai',
-                submitSelector: 'button[aria-label*="Send"]'
+                submitSelector: 'button[aria-label*="Send"]',
+                responseSelector: 'div[class*="char-msg"]'
+            },
+            deepseek: {
+                name: 'DeepSeek',
+                domains: ['chat.deepseek.com'],
+                selectors: {
+                    primary: 'textarea#chat-input',
+                    fallback: [
+                        'textarea[placeholder*="DeepSeek"]',
+                        'div[contenteditable="true"][role="textbox"]',
+                        'form textarea'
+                    ]
+                },
+                containerClass: 'myayai-deepseek',
+                submitSelector: 'div[role="button"][aria-disabled]',
+                responseSelector: '.ds-markdown'
+            },
+            mistral: {
+                name: 'Mistral Le Chat',
+                domains: ['chat.mistral.ai'],
+                selectors: {
+                    primary: 'textarea[placeholder*="Le Chat"]',
+                    fallback: [
+                        'div[contenteditable="true"].ProseMirror',
+                        'textarea[placeholder*="Ask"]',
+                        'form textarea'
+                    ]
+                },
+                containerClass: 'myayai-mistral',
+                submitSelector: 'button[type="submit"]',
+                responseSelector: 'div[class*="prose"]'
+            },
+            grok: {
+                name: 'Grok',
+                // Grok also runs inside X, but only under /i/grok
+                domains: ['grok.com', 'x.com/i/grok'],
+                selectors: {
+                    primary: 'textarea[aria-label*="Grok"]',
+                    fallback: [
+                        'div[contenteditable="true"].ProseMirror',
+                        'textarea[placeholder*="Ask"]',
+                        'form textarea'
+                    ]
+                },
+                containerClass: 'myayai-grok',
+                submitSelector: 'button[type="submit"][aria-label*="Submit"]',
+                responseSelector: '.message-bubble'
+            },
+            huggingchat: {
+                name: 'HuggingChat',
+                domains: ['huggingface.co/chat'],
+                selectors: {
+                    primary: 'textarea[placeholder*="Ask anything"]',
+                    fallback: [
+                        'form textarea[enterkeyhint="send"]',
+                        '.chat-input textarea',
+                        'form textarea'
+                    ]
+                },
+                containerClass: 'myayai-huggingchat',
+                submitSelector: 'button[name="submit"]',
+                responseSelector: '[data-message-role="assistant"]',
+                // HuggingChat runs many open models; the model settings link names the current one
+                bots: {
+                    selector: 'a[href*="/chat/settings/"]',
+                    path: /^\/chat\/models\/([^/]+\/[^/]+)/
+                }
             }
         };
     }
@@ -118,10 +196,8 @@ class PlatformDetectors {
      * Detect current platform based on hostname
      */
     detectCurrentPlatform() {
-        const hostname = window.location.hostname;
-        
         for (const [key, platform] of Object.entries(this.platforms)) {
-            if (platform.domains.some(domain => hostname.includes(domain))) {
+            if (platform.domains.some(domain => this.matchesDomain(domain))) {
                 return { id: key, ...platform };
             }
         }
@@ -129,6 +205,41 @@ class PlatformDetectors {
         return null;
     }
 
+    /**
+     * Whether the page is on a platform domain. A domain with a path, such as 'huggingface.co/chat',
+     * only matches that host and the pages under the path.
+     */
+    matchesDomain(domain) {
+        const { hostname, pathname = '' } = window.location;
+        const slash = domain.indexOf('/');
+        if (slash === -1) return hostname.includes(domain);
+
+        const path = domain.slice(slash);
+        return hostname === domain.slice(0, slash) && (pathname === path || pathname.startsWith(`${path}/`));
+    }
+
+    /**
+     * Name of the bot selected on a platform that hosts several, such as Poe or HuggingChat, or null
+     */
+    detectActiveBot(platform = null) {
+        const currentPlatform = platform || this.detectCurrentPlatform();
+        if (!currentPlatform?.bots) return null;
+
+        const header = document.querySelector(currentPlatform.bots.selector);
+        const name = header?.textContent.trim();
+        if (name) return name;
+
+        if (currentPlatform.bots.path) {
+            const match = window.location.pathname.match(currentPlatform.bots.path);
+            return match ? decodeURIComponent(match[1]) : null;
+        }
+
+        const [segment] = window.location.pathname.split('/').filter(Boolean);
+        if (!segment || currentPlatform.bots.reservedPaths.includes(segment)) return null;
+
+        return decodeURIComponent(segment);
+    }
+
     /**
      * Find the active input element for the current platform
      */
@@ -347,5 +458,9 @@ class PlatformDetectors {
     }
 }
 
-// Export for use in other scripts
-window.PlatformDetectors = PlatformDetectors;
+// Export for use in other scripts; the background service worker has no window
+if (typeof window !== 'undefined') {
+    window.PlatformDetectors = PlatformDetectors;
+} else {
+    self.PlatformDetectors = PlatformDetectors;
+}
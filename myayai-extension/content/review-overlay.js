@@ -0,0 +1,413 @@
+/**
+ * Optimization Review Overlay for MyAyAI Extension
+ * Splits an optimization into per-rule hunks that can be accepted or rejected before applying
+ */
+
+class OptimizationReview {
+    constructor() {
+        this.differ = new (window.TextDiff || TextDiff)();
+        this.overlayId = 'myayai-review-overlay';
+        this.categories = this.initializeCategories();
+        this.initializeStyles();
+    }
+
+    /**
+     * Hunk categories, matched against trace rule id prefixes in order
+     */
+    initializeCategories() {
+        return [
+            { prefix: 'provider.', label: 'Model rewrite' },
+            { prefix: 'core.expert-role', label: 'Role prefix' },
+            { prefix: 'core.output-requirements', label: 'Output requirements' },
+            { prefix: 'core.task-requirements', label: 'Task requirements' },
+            { prefix: 'core.', label: 'Clarity & context' },
+            { prefix: 'style.', label: 'Style additions' },
+            { prefix: 'platform.', label: 'Platform tuning' },
+            { prefix: 'rule-pack.', label: 'Rule pack requirements' },
+            { prefix: 'length.', label: 'Length trimming' }
+        ];
+    }
+
+    initializeStyles() {
+        const styleId = 'myayai-review-styles';
+        if (document.getElementById(styleId)) return;
+
+        const styles = `
+            .myayai-review-overlay {
+                position: fixed;
+                inset: 0;
+                z-index: 1000001;
+                background: rgba(15, 23, 42, 0.45);
+                display: flex;
+                align-items: center;
+                justify-content: center;
+                font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif;
+            }
+
+            .myayai-review-dialog {
+                background: #ffffff;
+                color: #1f2937;
+                border-radius: 12px;
+                box-shadow: 0 20px 60px rgba(0, 0, 0, 0.3);
+                width: min(640px, calc(100vw - 32px));
+                max-height: calc(100vh - 64px);
+                display: flex;
+                flex-direction: column;
+                overflow: hidden;
+            }
+
+            .myayai-review-header {
+                padding: 16px 20px 8px;
+                font-size: 16px;
+                font-weight: 600;
+            }
+
+            .myayai-review-hunks {
+                overflow-y: auto;
+                padding: 0 20px;
+                flex: 1;
+            }
+
+            .myayai-review-hunk {
+                display: flex;
+                gap: 10px;
+                padding: 10px 0;
+                border-top: 1px solid #e5e7eb;
+                cursor: pointer;
+            }
+
+            .myayai-review-hunk-label {
+                font-size: 13px;
+                font-weight: 600;
+            }
+
+            .myayai-review-hunk-reason {
+                font-size: 12px;
+                color: #6b7280;
+            }
+
+            .myayai-review-hunk-change {
+                font-size: 12px;
+                white-space: pre-wrap;
+                margin-top: 4px;
+            }
+
+            .myayai-review-hunk-change ins {
+                background: #dcfce7;
+                text-decoration: none;
+            }
+
+            .myayai-review-hunk-change del {
+                background: #fee2e2;
+            }
+
+            .myayai-review-preview {
+                margin: 8px 20px;
+                padding: 10px;
+                max-height: 140px;
+                overflow-y: auto;
+                background: #f9fafb;
+                border-radius: 8px;
+                font-size: 12px;
+                white-space: pre-wrap;
+            }
+
+            .myayai-review-actions {
+                display: flex;
+                justify-content: flex-end;
+                gap: 8px;
+                padding: 12px 20px 16px;
+            }
+
+            .myayai-review-actions button {
+                border: 1px solid #d1d5db;
+                background: #ffffff;
+                color: #1f2937;
+                border-radius: 8px;
+                padding: 8px 14px;
+                font-size: 13px;
+                cursor: pointer;
+            }
+
+            .myayai-review-actions .myayai-review-apply {
+                background: linear-gradient(135deg, #667eea 0%, #764ba2 100%);
+                border-color: transparent;
+                color: #ffffff;
+            }
+        `;
+
+        const styleElement = document.createElement('style');
+        styleElement.id = styleId;
+        styleElement.textContent = styles;
+        document.head.appendChild(styleElement);
+    }
+
+    /**
+     * Break an optimization into hunks, one per rule that produced changes
+     */
+    buildReview(original, optimized, trace = []) {
+        const changes = [];
+        const ops = [];
+        let current = null;
+
+        const startChange = () => {
+            current = { index: changes.length, removed: '', inserted: '', entry: null };
+            changes.push(current);
+            return current;
+        };
+
+        this.differ.diff(original, optimized).forEach(op => {
+            if (op.type === 'equal') {
+                current = null;
+                ops.push(op);
+                return;
+            }
+
+            if (op.type === 'delete') {
+                const change = current || startChange();
+                change.removed += op.text;
+                ops.push({ ...op, change: change.index });
+                return;
+            }
+
+            // Consecutive rules often append back to back; split them apart again
+            this.splitInsertion(op.text, trace).forEach((segment, index) => {
+                const change = index === 0 && current ? current : startChange();
+                change.inserted += segment.text;
+                change.entry = change.entry || segment.entry;
+                ops.push({ type: 'insert', text: segment.text, change: change.index });
+            });
+        });
+
+        const hunks = new Map();
+        changes.forEach(change => {
+            const entry = change.entry || this.attributeChange(change, trace);
+            const ruleId = entry ? entry.ruleId : 'other';
+
+            if (!hunks.has(ruleId)) {
+                hunks.set(ruleId, {
+                    id: ruleId,
+                    label: this.getCategoryLabel(ruleId),
+                    reason: entry ? entry.reason : 'Unattributed edit',
+                    stage: entry ? entry.stage : null,
+                    changes: [],
+                    accepted: true
+                });
+            }
+
+            hunks.get(ruleId).changes.push(change);
+        });
+
+        return { original, optimized, ops, hunks: Array.from(hunks.values()) };
+    }
+
+    /**
+     * Split inserted text into segments at the spans each trace entry inserted.
+     * Leading whitespace stays with the segment that follows it.
+     */
+    splitInsertion(text, trace) {
+        const matches = [];
+
+        trace.forEach(entry => {
+            entry.inserted.forEach(span => {
+                const needle = span.text.trim();
+                const start = needle ? text.indexOf(needle) : -1;
+                if (start !== -1) {
+                    matches.push({ start, end: start + needle.length, entry });
+                }
+            });
+        });
+
+        matches.sort((a, b) => a.start - b.start || (b.end - b.start) - (a.end - a.start));
+
+        const segments = [];
+        let offset = 0;
+
+        for (const match of matches) {
+            if (match.start < offset) continue; // Overlaps an earlier, longer match
+
+            const gap = text.slice(offset, match.start);
+            if (gap.trim()) {
+                segments.push({ text: gap, entry: null });
+                offset = match.start;
+            }
+
+            segments.push({ text: text.slice(offset, match.end), entry: match.entry });
+            offset = match.end;
+        }
+
+        const rest = text.slice(offset);
+        if (rest) {
+            if (!rest.trim() && segments.length > 0) {
+                segments[segments.length - 1].text += rest;
+            } else {
+                segments.push({ text: rest, entry: null });
+            }
+        }
+
+        return segments;
+    }
+
+    /**
+     * Find the trace entry that produced a change, preferring the latest rule
+     */
+    attributeChange(change, trace) {
+        const overlaps = (spanText, changeText) => {
+            const span = spanText.trim();
+            const text = changeText.trim();
+            if (!span || !text) return spanText === changeText && spanText.length > 0;
+            return span.includes(text) || text.includes(span);
+        };
+
+        for (let i = trace.length - 1; i >= 0; i--) {
+            const entry = trace[i];
+            const inserted = change.inserted && entry.inserted.some(span => overlaps(span.text, change.inserted));
+            const removed = change.removed && entry.removed.some(span => overlaps(span.text, change.removed));
+
+            if (inserted || removed) {
+                return entry;
+            }
+        }
+
+        return null;
+    }
+
+    getCategoryLabel(ruleId) {
+        const category = this.categories.find(item => ruleId.startsWith(item.prefix));
+        return category ? category.label : 'Other changes';
+    }
+
+    /**
+     * Rebuild the prompt keeping only the changes of accepted hunks
+     */
+    mergeAccepted(review) {
+        const acceptedChanges = new Set();
+        review.hunks
+            .filter(hunk => hunk.accepted)
+            .forEach(hunk => hunk.changes.forEach(change => acceptedChanges.add(change.index)));
+
+        return review.ops.map(op => {
+            if (op.type === 'equal') return op.text;
+
+            const accepted = acceptedChanges.has(op.change);
+            if (op.type === 'insert') return accepted ? op.text : '';
+            return accepted ? '' : op.text;
+        }).join('');
+    }
+
+    /**
+     * Show the review overlay. Resolves with the merged text, or null if cancelled.
+     */
+    open(original, optimized, trace = []) {
+        this.close();
+
+        const review = this.buildReview(original, optimized, trace);
+        if (review.hunks.length === 0) {
+            return Promise.resolve(optimized);
+        }
+
+        return new Promise(resolve => {
+            const overlay = document.createElement('div');
+            overlay.id = this.overlayId;
+            overlay.className = 'myayai-review-overlay';
+            overlay.innerHTML = `
+                <div class="myayai-review-dialog" role="dialog" aria-modal="true" aria-labelledby="myayai-review-title">
+                    <div class="myayai-review-header" id="myayai-review-title">Review optimization</div>
+                    <div class="myayai-review-hunks"></div>
+                    <div class="myayai-review-preview" aria-live="polite"></div>
+                    <div class="myayai-review-actions">
+                        <button type="button" class="myayai-review-cancel">Cancel</button>
+                        <button type="button" class="myayai-review-apply">Apply selected</button>
+                    </div>
+                </div>
+            `;
+
+            const list = overlay.querySelector('.myayai-review-hunks');
+            const preview = overlay.querySelector('.myayai-review-preview');
+            const updatePreview = () => {
+                preview.textContent = this.mergeAccepted(review);
+            };
+
+            review.hunks.forEach(hunk => {
+                list.appendChild(this.createHunkElement(hunk, updatePreview));
+            });
+            updatePreview();
+
+            const finish = (result) => {
+                document.removeEventListener('keydown', onKeyDown, true);
+                this.close();
+                resolve(result);
+            };
+            const onKeyDown = (event) => {
+                if (event.key === 'Escape') {
+                    event.stopPropagation();
+                    finish(null);
+                }
+            };
+
+            overlay.querySelector('.myayai-review-cancel').addEventListener('click', () => finish(null));
+            overlay.querySelector('.myayai-review-apply').addEventListener('click', () => finish(this.mergeAccepted(review)));
+            overlay.addEventListener('click', (event) => {
+                if (event.target === overlay) finish(null);
+            });
+            document.addEventListener('keydown', onKeyDown, true);
+
+            document.body.appendChild(overlay);
+            overlay.querySelector('.myayai-review-apply').focus();
+        });
+    }
+
+    createHunkElement(hunk, onChange) {
+        const item = document.createElement('label');
+        item.className = 'myayai-review-hunk';
+        item.dataset.ruleId = hunk.id;
+
+        const checkbox = document.createElement('input');
+        checkbox.type = 'checkbox';
+        checkbox.checked = hunk.accepted;
+        checkbox.addEventListener('change', () => {
+            hunk.accepted = checkbox.checked;
+            onChange();
+        });
+
+        const body = document.createElement('div');
+        const label = document.createElement('div');
+        label.className = 'myayai-review-hunk-label';
+        label.textContent = hunk.label;
+
+        const reason = document.createElement('div');
+        reason.className = 'myayai-review-hunk-reason';
+        reason.textContent = hunk.reason;
+
+        const change = document.createElement('div');
+        change.className = 'myayai-review-hunk-change';
+        hunk.changes.forEach(({ removed, inserted }) => {
+            if (removed.trim()) {
+                const del = document.createElement('del');
+                del.textContent = removed.trim();
+                change.appendChild(del);
+                change.appendChild(document.createTextNode(' '));
+            }
+            if (inserted.trim()) {
+                const ins = document.createElement('ins');
+                ins.textContent = inserted.trim();
+                change.appendChild(ins);
+                change.appendChild(document.createTextNode(' '));
+            }
+        });
+
+        body.append(label, reason, change);
+        item.append(checkbox, body);
+        return item;
+    }
+
+    close() {
+        const overlay = document.getElementById(this.overlayId);
+        if (overlay && overlay.parentNode) {
+            overlay.parentNode.removeChild(overlay);
+        }
+    }
+}
+
+// Export for use in other scripts
+window.OptimizationReview = OptimizationReview;
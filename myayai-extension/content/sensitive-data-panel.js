@@ -0,0 +1,267 @@
+/**
+ * Sensitive Data Panel for MyAyAI Extension
+ * Shown when a prompt about to be sent contains secrets or personal data: remove each finding,
+ * allow it on this site, or send anyway when nothing left is blocking
+ */
+
+class SensitiveDataPanel {
+    constructor(detector = null) {
+        this.detector = detector || new (window.SensitiveDataDetector || SensitiveDataDetector)();
+        this.overlayId = 'myayai-sensitive-overlay';
+        this.initializeStyles();
+    }
+
+    initializeStyles() {
+        const styleId = 'myayai-sensitive-styles';
+        if (document.getElementById(styleId)) return;
+
+        const styles = `
+            .myayai-sensitive-overlay {
+                position: fixed;
+                inset: 0;
+                z-index: 1000001;
+                background: rgba(15, 23, 42, 0.45);
+                display: flex;
+                align-items: center;
+                justify-content: center;
+                font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif;
+            }
+
+            .myayai-sensitive-dialog {
+                background: #ffffff;
+                color: #1f2937;
+                border-radius: 12px;
+                box-shadow: 0 20px 60px rgba(0, 0, 0, 0.3);
+                width: min(520px, calc(100vw - 32px));
+                max-height: calc(100vh - 64px);
+                display: flex;
+                flex-direction: column;
+                overflow: hidden;
+            }
+
+            .myayai-sensitive-header {
+                padding: 16px 20px 4px;
+                font-size: 16px;
+                font-weight: 600;
+            }
+
+            .myayai-sensitive-summary {
+                padding: 0 20px 8px;
+                font-size: 13px;
+                color: #6b7280;
+            }
+
+            .myayai-sensitive-list {
+                list-style: none;
+                margin: 0;
+                padding: 0 20px;
+                overflow-y: auto;
+                flex: 1;
+            }
+
+            .myayai-sensitive-item {
+                display: flex;
+                align-items: center;
+                gap: 8px;
+                padding: 8px 0;
+                border-top: 1px solid #e5e7eb;
+                font-size: 13px;
+            }
+
+            .myayai-sensitive-text {
+                flex: 1;
+            }
+
+            .myayai-sensitive-detail {
+                display: block;
+                font-family: ui-monospace, SFMono-Regular, Menlo, Consolas, monospace;
+                font-size: 11px;
+                color: #6b7280;
+            }
+
+            .myayai-sensitive-item.block .myayai-sensitive-label::before {
+                content: '⛔ ';
+            }
+
+            .myayai-sensitive-item.warn .myayai-sensitive-label::before {
+                content: '⚠️ ';
+            }
+
+            .myayai-sensitive-empty {
+                padding: 12px 0;
+                font-size: 13px;
+                color: #4caf50;
+            }
+
+            .myayai-sensitive-actions {
+                display: flex;
+                justify-content: flex-end;
+                gap: 8px;
+                padding: 12px 20px 16px;
+            }
+
+            .myayai-sensitive-dialog button {
+                border: 1px solid #d1d5db;
+                background: #ffffff;
+                color: #1f2937;
+                border-radius: 8px;
+                padding: 6px 12px;
+                font-size: 13px;
+                cursor: pointer;
+            }
+
+            .myayai-sensitive-actions .myayai-sensitive-send {
+                background: linear-gradient(135deg, #667eea 0%, #764ba2 100%);
+                border-color: transparent;
+                color: #ffffff;
+            }
+
+            .myayai-sensitive-actions .myayai-sensitive-send:disabled {
+                opacity: 0.5;
+                cursor: default;
+            }
+        `;
+
+        const styleElement = document.createElement('style');
+        styleElement.id = styleId;
+        styleElement.textContent = styles;
+        document.head.appendChild(styleElement);
+    }
+
+    /**
+     * Review the findings in the text behind getText for site; removals go through setText.
+     * redact, when given, swaps every finding for a placeholder.
+     * Resolves with 'send' when the user chose to send, or 'cancel'.
+     */
+    open({ site, getText, setText, redact = null }) {
+        this.close();
+
+        return new Promise(resolve => {
+            const overlay = document.createElement('div');
+            overlay.id = this.overlayId;
+            overlay.className = 'myayai-sensitive-overlay';
+            overlay.innerHTML = `
+                <div class="myayai-sensitive-dialog" role="alertdialog" aria-modal="true"
+                    aria-labelledby="myayai-sensitive-title" aria-describedby="myayai-sensitive-summary">
+                    <div class="myayai-sensitive-header" id="myayai-sensitive-title"></div>
+                    <div class="myayai-sensitive-summary" id="myayai-sensitive-summary"></div>
+                    <ul class="myayai-sensitive-list"></ul>
+                    <div class="myayai-sensitive-actions">
+                        <button type="button" class="myayai-sensitive-cancel">Keep editing</button>
+                        <button type="button" class="myayai-sensitive-redact" hidden>Use placeholders</button>
+                        <button type="button" class="myayai-sensitive-send"></button>
+                    </div>
+                </div>
+            `;
+
+            const finish = (decision) => {
+                document.removeEventListener('keydown', onKeyDown, true);
+                this.close();
+                resolve(decision);
+            };
+            const onKeyDown = (event) => {
+                if (event.key === 'Escape') {
+                    event.stopPropagation();
+                    finish('cancel');
+                }
+            };
+
+            this.view = { overlay, site, getText, setText, redact };
+            overlay.querySelector('.myayai-sensitive-cancel').addEventListener('click', () => finish('cancel'));
+            overlay.querySelector('.myayai-sensitive-send').addEventListener('click', () => finish('send'));
+            overlay.querySelector('.myayai-sensitive-redact').addEventListener('click', () => {
+                redact();
+                this.render();
+            });
+            overlay.addEventListener('click', (event) => {
+                if (event.target === overlay) finish('cancel');
+            });
+            document.addEventListener('keydown', onKeyDown, true);
+
+            document.body.appendChild(overlay);
+            this.render();
+            overlay.querySelector('.myayai-sensitive-cancel').focus();
+        });
+    }
+
+    render() {
+        const { overlay, site, getText } = this.view;
+        const text = getText();
+        const findings = this.detector.scan(text, site);
+        const verdict = this.detector.getVerdict(findings);
+        const list = overlay.querySelector('.myayai-sensitive-list');
+
+        overlay.querySelector('.myayai-sensitive-header').textContent = verdict === 'block'
+            ? 'Sending blocked: sensitive data'
+            : 'Check before sending';
+        overlay.querySelector('.myayai-sensitive-summary').textContent = verdict === 'block'
+            ? 'Remove or allow the blocked items to send this prompt.'
+            : 'This prompt may contain information you did not mean to share.';
+
+        const send = overlay.querySelector('.myayai-sensitive-send');
+        send.textContent = verdict ? 'Send anyway' : 'Send';
+        send.disabled = verdict === 'block';
+
+        const redact = overlay.querySelector('.myayai-sensitive-redact');
+        redact.hidden = !this.view.redact || !findings.length;
+        redact.title = 'Replace each value with a placeholder such as [EMAIL_1]; copying the answer puts them back';
+
+        list.innerHTML = '';
+        if (!findings.length) {
+            const empty = document.createElement('li');
+            empty.className = 'myayai-sensitive-empty';
+            empty.textContent = 'Nothing sensitive left';
+            list.appendChild(empty);
+            return;
+        }
+
+        findings.forEach(finding => {
+            const item = document.createElement('li');
+            item.className = `myayai-sensitive-item ${finding.action}`;
+            item.dataset.detector = finding.detectorId;
+            item.innerHTML = `
+                <span class="myayai-sensitive-text">
+                    <span class="myayai-sensitive-label"></span>
+                    <span class="myayai-sensitive-detail"></span>
+                </span>
+                <button type="button" class="myayai-sensitive-remove">Remove</button>
+                <button type="button" class="myayai-sensitive-allow">Allow here</button>
+            `;
+
+            item.querySelector('.myayai-sensitive-label').textContent = finding.label;
+            item.querySelector('.myayai-sensitive-detail').textContent = `${finding.preview} · ${finding.action}`;
+
+            const remove = item.querySelector('.myayai-sensitive-remove');
+            remove.setAttribute('aria-label', `Remove ${finding.label} from the prompt`);
+            remove.addEventListener('click', () => {
+                this.view.setText(this.detector.removeFinding(getText(), finding));
+                this.render();
+            });
+
+            const allow = item.querySelector('.myayai-sensitive-allow');
+            allow.title = `Stop flagging this value on ${site}`;
+            allow.setAttribute('aria-label', `Allow this ${finding.label} on ${site}`);
+            allow.addEventListener('click', async() => {
+                try {
+                    await this.detector.allowValue(site, finding.value);
+                    if (this.view) this.render();
+                } catch (error) {
+                    console.warn('[MyAyAI] Could not update the allow list:', error);
+                }
+            });
+
+            list.appendChild(item);
+        });
+    }
+
+    close() {
+        const overlay = document.getElementById(this.overlayId);
+        if (overlay && overlay.parentNode) {
+            overlay.parentNode.removeChild(overlay);
+        }
+        this.view = null;
+    }
+}
+
+// Export for use in other scripts
+window.SensitiveDataPanel = SensitiveDataPanel;
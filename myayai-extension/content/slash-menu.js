@@ -0,0 +1,281 @@
+/**
+ * Slash Command Menu for MyAyAI Extension
+ * Inline completion menu for /commands typed in the composer; choosing one expands it into its template
+ */
+
+class SlashMenu {
+    static NAVIGATION_KEYS = Object.freeze(['ArrowDown', 'ArrowUp', 'Enter', 'Tab', 'Escape']);
+
+    constructor(uiInjector, commands = null) {
+        this.uiInjector = uiInjector;
+        this.commands = commands || new (window.SlashCommands || SlashCommands)();
+        this.menuId = 'myayai-slash-menu';
+        this.state = null;
+        this.handleKeyDown = this.handleKeyDown.bind(this);
+        this.initializeStyles();
+    }
+
+    initializeStyles() {
+        const styleId = 'myayai-slash-styles';
+        if (document.getElementById(styleId)) return;
+
+        const styles = `
+            .myayai-slash-menu {
+                position: fixed;
+                z-index: 1000000;
+                min-width: 260px;
+                max-width: 360px;
+                margin: 0;
+                padding: 4px;
+                list-style: none;
+                background: #ffffff;
+                color: #1f2937;
+                border: 1px solid #e5e7eb;
+                border-radius: 10px;
+                box-shadow: 0 8px 24px rgba(0, 0, 0, 0.15);
+                font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif;
+                font-size: 13px;
+            }
+
+            .myayai-slash-option {
+                padding: 6px 10px;
+                border-radius: 6px;
+                cursor: pointer;
+            }
+
+            .myayai-slash-option[aria-selected="true"] {
+                background: #eef2ff;
+            }
+
+            .myayai-slash-name {
+                font-weight: 600;
+                color: #667eea;
+            }
+
+            .myayai-slash-description {
+                display: block;
+                font-size: 12px;
+                color: #6b7280;
+            }
+        `;
+
+        const styleElement = document.createElement('style');
+        styleElement.id = styleId;
+        styleElement.textContent = styles;
+        document.head.appendChild(styleElement);
+    }
+
+    load() {
+        return this.commands.load();
+    }
+
+    /**
+     * Called for each monitored input event: open, filter or close the menu as the user types
+     */
+    handleInput(input, event) {
+        if (event?.type === 'blur') {
+            this.close();
+            return;
+        }
+
+        // Keys the menu handles itself would otherwise reset the selection
+        if (event?.type === 'keyup' && SlashMenu.NAVIGATION_KEYS.includes(event.key)) return;
+
+        const caret = this.getCaretOffset(input);
+        const text = this.uiInjector.getInputContent(input);
+        const trigger = caret === null ? null : this.commands.parseTrigger(text, caret);
+        const matches = trigger ? this.commands.match(trigger.query) : [];
+
+        if (!matches.length) {
+            this.close();
+            return;
+        }
+
+        const unchanged = this.state && this.state.input === input &&
+            this.state.trigger.start === trigger.start && this.state.trigger.query === trigger.query;
+
+        if (!unchanged) {
+            this.show(input, trigger, matches);
+        }
+    }
+
+    show(input, trigger, matches) {
+        let menu = document.getElementById(this.menuId);
+        if (!menu) {
+            menu = document.createElement('ul');
+            menu.id = this.menuId;
+            menu.className = 'myayai-slash-menu';
+            menu.setAttribute('role', 'listbox');
+            menu.setAttribute('aria-label', 'Slash commands');
+            // Keep focus in the composer while clicking an option
+            menu.addEventListener('mousedown', (event) => event.preventDefault());
+            document.body.appendChild(menu);
+            window.addEventListener('keydown', this.handleKeyDown, true);
+        }
+
+        this.state = { input, trigger, matches, selected: 0, menu };
+        menu.innerHTML = '';
+
+        matches.forEach((command, index) => {
+            const option = document.createElement('li');
+            option.id = `${this.menuId}-${index}`;
+            option.className = 'myayai-slash-option';
+            option.setAttribute('role', 'option');
+            option.dataset.command = command.name;
+
+            const name = document.createElement('span');
+            name.className = 'myayai-slash-name';
+            name.textContent = `/${command.name}`;
+
+            const description = document.createElement('span');
+            description.className = 'myayai-slash-description';
+            description.textContent = `${command.title} · ${command.description}`;
+
+            option.append(name, description);
+            option.addEventListener('click', () => this.choose(command));
+            menu.appendChild(option);
+        });
+
+        this.select(0);
+        this.position(menu, input);
+    }
+
+    /**
+     * Above the composer, which usually sits at the bottom of the page
+     */
+    position(menu, input) {
+        const rect = input.getBoundingClientRect();
+        menu.style.left = `${Math.max(8, rect.left)}px`;
+        menu.style.bottom = `${Math.max(8, window.innerHeight - rect.top + 6)}px`;
+    }
+
+    select(index) {
+        const { matches, menu } = this.state;
+        this.state.selected = (index + matches.length) % matches.length;
+
+        menu.querySelectorAll('.myayai-slash-option').forEach((option, optionIndex) => {
+            option.setAttribute('aria-selected', String(optionIndex === this.state.selected));
+        });
+        menu.setAttribute('aria-activedescendant', `${this.menuId}-${this.state.selected}`);
+    }
+
+    /**
+     * Runs on window in the capture phase, before the page sees Enter as "send"
+     */
+    handleKeyDown(event) {
+        if (!this.state || event.target !== this.state.input || event.isComposing) return;
+
+        const { selected, matches } = this.state;
+        const actions = {
+            ArrowDown: () => this.select(selected + 1),
+            ArrowUp: () => this.select(selected - 1),
+            Enter: () => this.choose(matches[selected]),
+            Tab: () => this.choose(matches[selected]),
+            Escape: () => this.close()
+        };
+
+        const action = !event.shiftKey && actions[event.key];
+        if (!action) return;
+
+        event.preventDefault();
+        event.stopPropagation();
+        action();
+    }
+
+    /**
+     * Fill in the command's template and put the result where the /command was typed.
+     * Cancelling the form leaves the typed command alone.
+     */
+    async choose(command) {
+        if (!this.state) return;
+
+        const { input, trigger } = this.state;
+        const typed = this.uiInjector.getInputContent(input).slice(trigger.start, trigger.end);
+        const templates = this.commands.templates;
+        const template = templates.getTemplate(command.templateId);
+        this.close();
+        if (!template) return;
+
+        let expansion;
+        if (!template.fields.length) {
+            expansion = templates.render(template.template);
+        } else if (window.TemplatePicker) {
+            expansion = await new window.TemplatePicker(templates).open(template.id);
+        } else {
+            expansion = templates.preview(template.template);
+        }
+
+        if (expansion === null) {
+            input.focus();
+            return;
+        }
+
+        // The page may have changed the text while the form was open; then append instead
+        const current = this.uiInjector.getInputContent(input);
+        const target = current.slice(trigger.start, trigger.end) === typed
+            ? trigger
+            : { start: current.length, end: current.length };
+        const { text, caret } = this.commands.expand(current, target, expansion);
+
+        this.uiInjector.setInputContent(input, text);
+        input.focus();
+        this.setCaretOffset(input, caret);
+    }
+
+    /**
+     * Caret position as a character offset into the input's text, or null if text is selected
+     */
+    getCaretOffset(input) {
+        if (input.tagName === 'TEXTAREA' || input.tagName === 'INPUT') {
+            return input.selectionStart === input.selectionEnd ? input.selectionEnd : null;
+        }
+
+        const selection = window.getSelection();
+        if (!selection || !selection.rangeCount || !selection.isCollapsed || !input.contains(selection.focusNode)) {
+            return null;
+        }
+
+        const range = document.createRange();
+        range.selectNodeContents(input);
+        range.setEnd(selection.focusNode, selection.focusOffset);
+        return range.toString().length;
+    }
+
+    setCaretOffset(input, offset) {
+        if (input.tagName === 'TEXTAREA' || input.tagName === 'INPUT') {
+            input.setSelectionRange(offset, offset);
+            return;
+        }
+
+        const walker = document.createTreeWalker(input, NodeFilter.SHOW_TEXT);
+        let remaining = offset;
+        let node = walker.nextNode();
+
+        while (node) {
+            if (remaining <= node.length) {
+                const range = document.createRange();
+                range.setStart(node, remaining);
+                range.collapse(true);
+
+                const selection = window.getSelection();
+                selection.removeAllRanges();
+                selection.addRange(range);
+                return;
+            }
+            remaining -= node.length;
+            node = walker.nextNode();
+        }
+    }
+
+    close() {
+        const menu = document.getElementById(this.menuId);
+        if (menu && menu.parentNode) {
+            menu.parentNode.removeChild(menu);
+        }
+        window.removeEventListener('keydown', this.handleKeyDown, true);
+        this.state = null;
+    }
+}
+
+// Export for use in other scripts
+window.SlashMenu = SlashMenu;
@@ -0,0 +1,411 @@
+/**
+ * Template Picker Overlay for MyAyAI Extension
+ * Lets the user choose a prompt template, fill in its placeholders and insert the result
+ */
+
+class TemplatePicker {
+    constructor(templates = null) {
+        this.templates = templates || new (window.PromptTemplates || PromptTemplates)();
+        this.overlayId = 'myayai-template-overlay';
+        this.initializeStyles();
+    }
+
+    initializeStyles() {
+        const styleId = 'myayai-template-styles';
+        if (document.getElementById(styleId)) return;
+
+        const styles = `
+            .myayai-template-overlay {
+                position: fixed;
+                inset: 0;
+                z-index: 1000001;
+                background: rgba(15, 23, 42, 0.45);
+                display: flex;
+                align-items: center;
+                justify-content: center;
+                font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif;
+            }
+
+            .myayai-template-dialog {
+                background: #ffffff;
+                color: #1f2937;
+                border-radius: 12px;
+                box-shadow: 0 20px 60px rgba(0, 0, 0, 0.3);
+                width: min(560px, calc(100vw - 32px));
+                max-height: calc(100vh - 64px);
+                display: flex;
+                flex-direction: column;
+                overflow: hidden;
+            }
+
+            .myayai-template-header {
+                padding: 16px 20px 8px;
+                font-size: 16px;
+                font-weight: 600;
+            }
+
+            .myayai-template-body {
+                overflow-y: auto;
+                padding: 0 20px;
+                flex: 1;
+            }
+
+            .myayai-template-search,
+            .myayai-template-field input,
+            .myayai-template-field textarea,
+            .myayai-template-field select {
+                width: 100%;
+                box-sizing: border-box;
+                border: 1px solid #d1d5db;
+                border-radius: 8px;
+                padding: 8px 10px;
+                font: inherit;
+                font-size: 13px;
+                color: inherit;
+                background: #ffffff;
+            }
+
+            .myayai-template-category {
+                margin: 12px 0 4px;
+                font-size: 11px;
+                font-weight: 600;
+                text-transform: uppercase;
+                color: #6b7280;
+            }
+
+            .myayai-template-option {
+                display: block;
+                width: 100%;
+                text-align: left;
+                border: none;
+                background: none;
+                padding: 8px 0;
+                border-top: 1px solid #e5e7eb;
+                font-size: 13px;
+                color: inherit;
+                cursor: pointer;
+            }
+
+            .myayai-template-option:hover,
+            .myayai-template-option:focus {
+                color: #667eea;
+            }
+
+            .myayai-template-field {
+                display: block;
+                margin: 10px 0;
+                font-size: 13px;
+                font-weight: 600;
+            }
+
+            .myayai-template-field textarea {
+                min-height: 72px;
+                resize: vertical;
+            }
+
+            .myayai-template-field .myayai-template-code {
+                font-family: ui-monospace, SFMono-Regular, Menlo, Consolas, monospace;
+                font-size: 12px;
+            }
+
+            .myayai-template-field.invalid input,
+            .myayai-template-field.invalid textarea,
+            .myayai-template-field.invalid select {
+                border-color: #f44336;
+            }
+
+            .myayai-template-error {
+                display: block;
+                font-weight: 400;
+                font-size: 12px;
+                color: #f44336;
+            }
+
+            .myayai-template-preview {
+                margin: 8px 0;
+                padding: 10px;
+                max-height: 120px;
+                overflow-y: auto;
+                background: #f9fafb;
+                border-radius: 8px;
+                font-size: 12px;
+                white-space: pre-wrap;
+            }
+
+            .myayai-template-actions {
+                display: flex;
+                justify-content: flex-end;
+                gap: 8px;
+                padding: 12px 20px 16px;
+            }
+
+            .myayai-template-actions button {
+                border: 1px solid #d1d5db;
+                background: #ffffff;
+                color: #1f2937;
+                border-radius: 8px;
+                padding: 8px 14px;
+                font-size: 13px;
+                cursor: pointer;
+            }
+
+            .myayai-template-actions .myayai-template-insert {
+                background: linear-gradient(135deg, #667eea 0%, #764ba2 100%);
+                border-color: transparent;
+                color: #ffffff;
+            }
+        `;
+
+        const styleElement = document.createElement('style');
+        styleElement.id = styleId;
+        styleElement.textContent = styles;
+        document.head.appendChild(styleElement);
+    }
+
+    /**
+     * Show the picker, or go straight to one template's form. Resolves with the rendered prompt,
+     * or null if cancelled.
+     */
+    open(templateId = null) {
+        this.close();
+
+        return new Promise(resolve => {
+            const overlay = document.createElement('div');
+            overlay.id = this.overlayId;
+            overlay.className = 'myayai-template-overlay';
+            overlay.innerHTML = `
+                <form class="myayai-template-dialog" role="dialog" aria-modal="true" aria-labelledby="myayai-template-title" novalidate>
+                    <div class="myayai-template-header" id="myayai-template-title"></div>
+                    <div class="myayai-template-body"></div>
+                    <div class="myayai-template-actions">
+                        <button type="button" class="myayai-template-cancel">Cancel</button>
+                    </div>
+                </form>
+            `;
+
+            const finish = (result) => {
+                document.removeEventListener('keydown', onKeyDown, true);
+                this.close();
+                resolve(result);
+            };
+            const onKeyDown = (event) => {
+                if (event.key === 'Escape') {
+                    event.stopPropagation();
+                    finish(null);
+                }
+            };
+
+            this.view = { overlay, finish, submit: null };
+            overlay.querySelector('.myayai-template-cancel').addEventListener('click', () => finish(null));
+            overlay.querySelector('.myayai-template-dialog').addEventListener('submit', (event) => {
+                // Enter submits the current view, never the page
+                event.preventDefault();
+                if (this.view?.submit) this.view.submit();
+            });
+            overlay.addEventListener('click', (event) => {
+                if (event.target === overlay) finish(null);
+            });
+            document.addEventListener('keydown', onKeyDown, true);
+
+            document.body.appendChild(overlay);
+            const template = templateId ? this.templates.getTemplate(templateId) : null;
+            if (template) {
+                this.showForm(template, '');
+            } else {
+                this.showList();
+            }
+
+            // Personal templates arrive once storage answers; refresh the list if it is still shown
+            this.templates.load().then(() => {
+                if (this.view?.overlay === overlay && this.view.refreshList) {
+                    this.view.refreshList();
+                }
+            }).catch(error => console.error('[MyAyAI] Failed to load personal templates:', error));
+        });
+    }
+
+    /**
+     * Template list, grouped by category and filtered by the search box
+     */
+    showList(query = '') {
+        const { overlay } = this.view;
+        const body = overlay.querySelector('.myayai-template-body');
+
+        overlay.querySelector('.myayai-template-header').textContent = 'Insert a template';
+        this.setActions([]);
+        body.innerHTML = '';
+
+        const search = document.createElement('input');
+        search.type = 'search';
+        search.className = 'myayai-template-search';
+        search.placeholder = 'Search templates';
+        search.setAttribute('aria-label', 'Search templates');
+        search.value = query;
+
+        const results = document.createElement('div');
+        const renderResults = () => {
+            results.innerHTML = '';
+            this.templates.search(search.value).forEach(template => {
+                if (!results.querySelector(`[data-category="${template.category}"]`)) {
+                    const heading = document.createElement('div');
+                    heading.className = 'myayai-template-category';
+                    heading.dataset.category = template.category;
+                    heading.textContent = template.categoryLabel;
+                    results.appendChild(heading);
+                }
+
+                const option = document.createElement('button');
+                option.type = 'button';
+                option.className = 'myayai-template-option';
+                option.dataset.templateId = template.id;
+                option.textContent = template.title;
+                option.addEventListener('click', () => this.showForm(template, search.value));
+                results.appendChild(option);
+            });
+        };
+
+        search.addEventListener('input', renderResults);
+        renderResults();
+
+        this.view.refreshList = renderResults;
+        this.view.submit = () => results.querySelector('.myayai-template-option')?.click();
+
+        body.append(search, results);
+        search.focus();
+    }
+
+    /**
+     * One input per placeholder, with a live preview of the rendered prompt
+     */
+    showForm(template, query) {
+        const { overlay, finish } = this.view;
+        const body = overlay.querySelector('.myayai-template-body');
+        const values = {};
+
+        overlay.querySelector('.myayai-template-header').textContent = template.title;
+        this.view.refreshList = null;
+        body.innerHTML = '';
+
+        const preview = document.createElement('div');
+        preview.className = 'myayai-template-preview';
+        preview.setAttribute('aria-live', 'polite');
+        const updatePreview = () => {
+            preview.textContent = this.templates.preview(template.template, values);
+        };
+
+        template.fields.forEach(field => {
+            body.appendChild(this.createFieldElement(field, value => {
+                values[field.name] = value;
+                updatePreview();
+            }));
+        });
+
+        updatePreview();
+        body.appendChild(preview);
+
+        const insert = () => {
+            const { valid, errors } = this.templates.validate(template.template, values);
+            this.showErrors(body, errors);
+
+            if (valid) {
+                finish(this.templates.render(template.template, values));
+            } else {
+                body.querySelector('.invalid input, .invalid textarea, .invalid select')?.focus();
+            }
+        };
+
+        this.setActions([
+            { label: 'Back', className: 'myayai-template-back', onClick: () => this.showList(query) },
+            { label: 'Insert', className: 'myayai-template-insert', onClick: insert }
+        ]);
+
+        this.view.submit = insert;
+
+        body.querySelector('input, textarea, select')?.focus();
+    }
+
+    createFieldElement(field, onInput) {
+        const label = document.createElement('label');
+        label.className = 'myayai-template-field';
+        label.dataset.field = field.name;
+        label.textContent = field.required ? field.label : `${field.label} (optional)`;
+
+        const input = this.createInput(field);
+        input.name = field.name;
+        input.required = field.required;
+        input.addEventListener(field.type === 'choice' ? 'change' : 'input', () => onInput(input.value));
+
+        const error = document.createElement('span');
+        error.className = 'myayai-template-error';
+        error.setAttribute('role', 'alert');
+
+        label.append(input, error);
+        return label;
+    }
+
+    /**
+     * Text box, textarea or select for the field type, prefilled with the field's default
+     */
+    createInput(field) {
+        if (field.type === 'choice') {
+            const select = document.createElement('select');
+            const choices = field.defaultValue ? field.options : ['', ...field.options];
+
+            choices.forEach(choice => {
+                const option = document.createElement('option');
+                option.value = choice;
+                option.textContent = choice || (field.required ? 'Choose…' : 'None');
+                select.appendChild(option);
+            });
+
+            select.value = field.defaultValue;
+            return select;
+        }
+
+        const input = document.createElement(field.multiline ? 'textarea' : 'input');
+        if (!field.multiline) input.type = 'text';
+        if (field.type === 'code') {
+            input.classList.add('myayai-template-code');
+            input.spellcheck = false;
+        }
+        input.value = field.defaultValue;
+        return input;
+    }
+
+    showErrors(body, errors) {
+        body.querySelectorAll('.myayai-template-field').forEach(label => {
+            const message = errors[label.dataset.field] || '';
+            label.classList.toggle('invalid', Boolean(message));
+            label.querySelector('.myayai-template-error').textContent = message;
+            label.querySelector('input, textarea, select').setAttribute('aria-invalid', String(Boolean(message)));
+        });
+    }
+
+    /**
+     * Replace the buttons after Cancel
+     */
+    setActions(actions) {
+        const container = this.view.overlay.querySelector('.myayai-template-actions');
+        container.querySelectorAll('button:not(.myayai-template-cancel)').forEach(button => button.remove());
+
+        actions.forEach(({ label, className, onClick }) => {
+            const button = document.createElement('button');
+            button.type = 'button';
+            button.className = className;
+            button.textContent = label;
+            button.addEventListener('click', onClick);
+            container.appendChild(button);
+        });
+    }
+
+    close() {
+        const overlay = document.getElementById(this.overlayId);
+        if (overlay && overlay.parentNode) {
+            overlay.parentNode.removeChild(overlay);
+        }
+        this.view = null;
+    }
+}
+
+// Export for use in other scripts
+window.TemplatePicker = TemplatePicker;
@@ -10,16 +10,37 @@ import { achievements } from '../ui/achievements.js'; // If needed, but since ba
 class UIInjector {
     constructor() {
         this.activeButtons = new Map();
+        this.budgetIndicators = new Map();
+        this.templateButtons = new Map();
+        this.lintIndicators = new Map();
+        this.historyButtons = new Map();
+        this.restoreButtons = new Map();
         this.animationDuration = 300;
         this.buttonId = 'myayai-optimize-button';
         this.containerId = 'myayai-ui-container';
         this.isInitialized = false;
         this.currentInput = null;
         this.currentPlatform = null;
+        this.reviewBeforeApply = true;
+        this.redactionVault = null;
         
         this.initializeStyles();
     }
 
+    /**
+     * Load user preferences that affect how optimizations are applied
+     */
+    async loadPreferences() {
+        try {
+            if (typeof chrome !== 'undefined' && chrome.storage) {
+                const { reviewBeforeApply } = await chrome.storage.sync.get(['reviewBeforeApply']);
+                this.reviewBeforeApply = reviewBeforeApply !== false;
+            }
+        } catch (error) {
+            console.warn('[MyAyAI] Could not load preferences:', error);
+        }
+    }
+
     /**
      * Initialize global styles for the UI
      */
@@ -145,6 +166,112 @@ class UIInjector {
                 box-shadow: 0 4px 20px rgba(244, 67, 54, 0.3);
             }
 
+            .myayai-notification.warning {
+                background: #f59e0b;
+                box-shadow: 0 4px 20px rgba(245, 158, 11, 0.3);
+            }
+
+            .myayai-template-button,
+            .myayai-history-button {
+                position: absolute;
+                z-index: 999999;
+                width: 28px;
+                height: 28px;
+                border: none;
+                border-radius: 8px;
+                background: rgba(102, 126, 234, 0.12);
+                color: #667eea;
+                font-size: 14px;
+                cursor: pointer;
+                pointer-events: auto;
+                transition: background ${this.animationDuration}ms ease;
+            }
+
+            .myayai-template-button:hover,
+            .myayai-history-button:hover {
+                background: rgba(102, 126, 234, 0.25);
+            }
+
+            .myayai-restore-button {
+                display: inline-block;
+                margin: 4px 0;
+                border: 1px solid #d1d5db;
+                border-radius: 6px;
+                background: #ffffff;
+                color: #374151;
+                font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif;
+                font-size: 12px;
+                padding: 2px 8px;
+                cursor: pointer;
+            }
+
+            .myayai-restore-button:hover {
+                background: rgba(102, 126, 234, 0.12);
+            }
+
+            .myayai-budget-indicator {
+                position: absolute;
+                z-index: 999999;
+                padding: 3px 8px;
+                border-radius: 10px;
+                background: rgba(55, 65, 81, 0.85);
+                color: white;
+                font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif;
+                font-size: 11px;
+                line-height: 14px;
+                white-space: nowrap;
+                pointer-events: auto;
+                opacity: 0;
+                transition: opacity ${this.animationDuration}ms ease, background ${this.animationDuration}ms ease;
+            }
+
+            .myayai-budget-indicator.show {
+                opacity: 1;
+            }
+
+            .myayai-budget-indicator.warning {
+                background: #f59e0b;
+            }
+
+            .myayai-budget-indicator.over {
+                background: #f44336;
+            }
+
+            .myayai-budget-indicator.unknown {
+                background: rgba(107, 114, 128, 0.85);
+                font-style: italic;
+            }
+
+            .myayai-lint-indicator {
+                position: absolute;
+                z-index: 999999;
+                padding: 3px 8px;
+                border: none;
+                border-radius: 10px;
+                background: rgba(59, 130, 246, 0.85);
+                color: white;
+                font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif;
+                font-size: 11px;
+                line-height: 14px;
+                white-space: nowrap;
+                cursor: pointer;
+                pointer-events: auto;
+                opacity: 0;
+                transition: opacity ${this.animationDuration}ms ease, background ${this.animationDuration}ms ease;
+            }
+
+            .myayai-lint-indicator.show {
+                opacity: 1;
+            }
+
+            .myayai-lint-indicator.warning {
+                background: #f59e0b;
+            }
+
+            .myayai-lint-indicator.error {
+                background: #f44336;
+            }
+
             /* Platform-specific adjustments */
             .myayai-chatgpt .myayai-optimize-button {
                 border-radius: 8px;
@@ -311,6 +438,192 @@ class UIInjector {
         }
     }
 
+    /**
+     * Add the template picker button to the top corner of the input
+     */
+    injectTemplateButton(input) {
+        if (!input || this.templateButtons.has(input) || !window.TemplatePicker) return;
+
+        const button = document.createElement('button');
+        button.type = 'button';
+        button.className = 'myayai-template-button';
+        button.textContent = '📋';
+        button.title = 'Insert a prompt template';
+        button.setAttribute('aria-label', 'Insert a prompt template');
+        button.addEventListener('click', (event) => {
+            event.preventDefault();
+            event.stopPropagation();
+            this.openTemplatePicker(input);
+        });
+
+        this.getOrCreateContainer(input).appendChild(button);
+        this.templateButtons.set(input, button);
+        this.positionTemplateButton(button, input);
+    }
+
+    positionTemplateButton(button, input) {
+        const container = button.parentElement;
+        if (!container) return;
+
+        const inputRect = input.getBoundingClientRect();
+        const containerRect = container.getBoundingClientRect();
+
+        button.style.top = `${inputRect.top - containerRect.top + 8}px`;
+        button.style.right = `${containerRect.right - inputRect.right + 10}px`;
+    }
+
+    /**
+     * Let the user fill in a template and put the result in the composer
+     */
+    async openTemplatePicker(input) {
+        try {
+            const picker = new window.TemplatePicker();
+            const prompt = await picker.open();
+            if (prompt === null) return;
+
+            this.setInputContent(input, prompt);
+            input.focus();
+        } catch (error) {
+            console.error('[MyAyAI] Template picker failed:', error);
+            this.showNotification('Could not open templates', 'error');
+        }
+    }
+
+    removeTemplateButton(input) {
+        const button = this.templateButtons.get(input);
+        if (button && button.parentNode) {
+            button.parentNode.removeChild(button);
+        }
+        this.templateButtons.delete(input);
+    }
+
+    /**
+     * Add the prompt history button below the template button; clicking it runs onClick
+     */
+    injectHistoryButton(input, onClick) {
+        if (!input || this.historyButtons.has(input)) return;
+
+        const button = document.createElement('button');
+        button.type = 'button';
+        button.className = 'myayai-history-button';
+        button.textContent = '🕘';
+        button.title = 'Prompt history';
+        button.setAttribute('aria-label', 'Show prompt history for this conversation');
+        button.addEventListener('click', (event) => {
+            event.preventDefault();
+            event.stopPropagation();
+            onClick();
+        });
+
+        this.getOrCreateContainer(input).appendChild(button);
+        this.historyButtons.set(input, button);
+        this.positionHistoryButton(button, input);
+    }
+
+    positionHistoryButton(button, input) {
+        const container = button.parentElement;
+        if (!container) return;
+
+        const inputRect = input.getBoundingClientRect();
+        const containerRect = container.getBoundingClientRect();
+
+        button.style.top = `${inputRect.top - containerRect.top + 40}px`;
+        button.style.right = `${containerRect.right - inputRect.right + 10}px`;
+    }
+
+    removeHistoryButton(input) {
+        const button = this.historyButtons.get(input);
+        if (button && button.parentNode) {
+            button.parentNode.removeChild(button);
+        }
+        this.historyButtons.delete(input);
+    }
+
+    /**
+     * Add a "Copy with originals" button below a response that contains redaction placeholders
+     */
+    attachRestoreButton(response, onClick) {
+        if (!response || this.restoreButtons.has(response)) return;
+
+        const button = document.createElement('button');
+        button.type = 'button';
+        button.className = 'myayai-restore-button';
+        button.textContent = '📋 Copy with originals';
+        button.title = 'Copy this response with the redacted values put back';
+        button.addEventListener('click', (event) => {
+            event.preventDefault();
+            event.stopPropagation();
+            onClick();
+        });
+
+        response.insertAdjacentElement('afterend', button);
+        this.restoreButtons.set(response, button);
+    }
+
+    removeRestoreButton(response) {
+        const button = this.restoreButtons.get(response);
+        if (button && button.parentNode) {
+            button.parentNode.removeChild(button);
+        }
+        this.restoreButtons.delete(response);
+    }
+
+    /**
+     * Show or update the context budget indicator next to the optimize button
+     */
+    showBudgetIndicator(input, { level, label, description }) {
+        if (!input) return;
+
+        let indicator = this.budgetIndicators.get(input);
+        if (!indicator) {
+            indicator = document.createElement('div');
+            indicator.className = 'myayai-budget-indicator';
+            indicator.setAttribute('role', 'status');
+            this.getOrCreateContainer(input).appendChild(indicator);
+            this.budgetIndicators.set(input, indicator);
+
+            requestAnimationFrame(() => {
+                indicator.classList.add('show');
+            });
+        }
+
+        indicator.textContent = label;
+        indicator.title = description;
+        indicator.setAttribute('aria-label', `Context budget: ${description}`);
+        indicator.classList.toggle('warning', level === 'warning');
+        indicator.classList.toggle('over', level === 'over');
+        indicator.classList.toggle('unknown', level === 'unknown');
+
+        this.positionBudgetIndicator(indicator, input);
+    }
+
+    /**
+     * Place the indicator to the left of the optimize button
+     */
+    positionBudgetIndicator(indicator, input) {
+        const container = indicator.parentElement;
+        if (!container) return;
+
+        const inputRect = input.getBoundingClientRect();
+        const containerRect = container.getBoundingClientRect();
+
+        indicator.style.top = `${inputRect.top - containerRect.top + inputRect.height - 40}px`;
+        indicator.style.right = `${containerRect.right - inputRect.right + 60}px`;
+    }
+
+    hideBudgetIndicator(input) {
+        const indicator = this.budgetIndicators.get(input);
+        if (!indicator) return;
+
+        this.budgetIndicators.delete(input);
+        indicator.classList.remove('show');
+        setTimeout(() => {
+            if (indicator.parentNode) {
+                indicator.parentNode.removeChild(indicator);
+            }
+        }, this.animationDuration);
+    }
+
     /**
      * Handle optimize button click
      */
@@ -334,9 +647,33 @@ class UIInjector {
             const response = await this.requestOptimization(content, platform);
             
             if (response && response.optimizedText) {
+                const verification = response.verification;
+                if (verification && verification.blocked) {
+                    this.showNotification(`${verification.summary}. Your prompt was left unchanged.`, 'warning');
+                    return;
+                }
+
+                // Let the user accept or reject individual changes
+                const finalText = await this.reviewOptimization(content, response);
+                if (finalText === null) {
+                    this.showNotification('Optimization discarded');
+                    return;
+                }
+
                 // Replace input content
-                this.setInputContent(input, response.optimizedText);
-                this.showNotification('Prompt optimized successfully!');
+                this.setInputContent(input, finalText);
+                input.dispatchEvent(new CustomEvent('myayai-optimized', {
+                    bubbles: true,
+                    detail: { original: content, optimized: this.getInputContent(input), platform: platform?.id }
+                }));
+                if (verification && !verification.passed) {
+                    this.showNotification(`${verification.summary}. Please review before sending.`, 'warning');
+                } else if (response.provider && !response.provider.used) {
+                    this.showNotification(`${response.provider.label} unavailable (${response.provider.error}); used the built-in rules`, 'warning');
+                } else {
+                    this.showNotification('Prompt optimized successfully!');
+                }
+                this.requestOptimizationFeedback(finalText, platform);
                 
                 // Hide button temporarily
                 this.hideButton(input);
@@ -372,38 +709,61 @@ class UIInjector {
         }
     }
 
+    /**
+     * Show the per-change review overlay. Resolves with the text to apply, or null if cancelled.
+     */
+    async reviewOptimization(original, response) {
+        await this.loadPreferences();
+
+        if (!this.reviewBeforeApply || !window.OptimizationReview) {
+            return response.optimizedText;
+        }
+
+        const review = new window.OptimizationReview();
+        return review.open(original, response.optimizedText, response.trace || []);
+    }
+
+    /**
+     * Ask for a thumbs-up/down on the applied optimization; ratings tune the quality scorer
+     */
+    requestOptimizationFeedback(prompt, platform) {
+        if (!window.FeedbackControls) return;
+
+        const feedback = new window.FeedbackControls();
+        feedback.showForOptimization(rating => feedback.submit({
+            prompt,
+            rating,
+            target: 'optimization',
+            platform: platform?.id
+        }));
+    }
+
     /**
      * Request optimization from extension
      */
     async requestOptimization(content, platform) {
-        return new Promise((resolve, reject) => {
-            const message = {
-                type: 'OPTIMIZE_PROMPT',
-                payload: {
-                    text: content,
-                    platform: platform?.name || 'Unknown',
-                    url: window.location.href
-                }
-            };
-
-            // Send to extension background script
-            if (chrome && chrome.runtime) {
-                chrome.runtime.sendMessage(message, (response) => {
-                    if (chrome.runtime.lastError) {
-                        reject(new Error(chrome.runtime.lastError.message));
-                    } else {
-                        resolve(response);
-                    }
+        // Send to extension background script
+        if (typeof chrome !== 'undefined' && chrome.runtime && window.MessageProtocol) {
+            const protocol = new window.MessageProtocol();
+            const bot = platform?.bots && window.PlatformDetectors
+                ? new window.PlatformDetectors().detectActiveBot(platform)
+                : null;
+            return protocol.send(window.MessageProtocol.TYPES.OPTIMIZE_PROMPT, {
+                text: content,
+                platform: platform?.id || 'unknown',
+                url: window.location.href,
+                ...(bot && { bot })
+            });
+        }
+
+        // Fallback for testing or if chrome API unavailable
+        return new Promise((resolve) => {
+            setTimeout(() => {
+                resolve({
+                    optimizedText: `[OPTIMIZED] ${content}`,
+                    suggestions: ['More specific', 'Better context', 'Clearer intent']
                 });
-            } else {
-                // Fallback for testing or if chrome API unavailable
-                setTimeout(() => {
-                    resolve({
-                        optimizedText: `[OPTIMIZED] ${content}`,
-                        suggestions: ['More specific', 'Better context', 'Clearer intent']
-                    });
-                }, 1000);
-            }
+            }, 1000);
         });
     }
 
@@ -502,6 +862,67 @@ class UIInjector {
         }
     }
 
+    /**
+     * Show or update the prompt linter badge; clicking it runs onClick
+     */
+    showLintIndicator(input, { level, label, description, onClick }) {
+        if (!input) return;
+
+        let indicator = this.lintIndicators.get(input);
+        if (!indicator) {
+            indicator = document.createElement('button');
+            indicator.type = 'button';
+            indicator.className = 'myayai-lint-indicator';
+            indicator.addEventListener('click', (event) => {
+                event.preventDefault();
+                event.stopPropagation();
+                if (indicator.onLintClick) indicator.onLintClick();
+            });
+            this.getOrCreateContainer(input).appendChild(indicator);
+            this.lintIndicators.set(input, indicator);
+
+            requestAnimationFrame(() => {
+                indicator.classList.add('show');
+            });
+        }
+
+        indicator.onLintClick = onClick;
+        indicator.textContent = label;
+        indicator.title = description;
+        indicator.setAttribute('aria-label', `Prompt check: ${description}`);
+        indicator.classList.toggle('warning', level === 'warning');
+        indicator.classList.toggle('error', level === 'error');
+
+        this.positionLintIndicator(indicator, input);
+    }
+
+    /**
+     * Place the badge to the left of the template button
+     */
+    positionLintIndicator(indicator, input) {
+        const container = indicator.parentElement;
+        if (!container) return;
+
+        const inputRect = input.getBoundingClientRect();
+        const containerRect = container.getBoundingClientRect();
+
+        indicator.style.top = `${inputRect.top - containerRect.top + 10}px`;
+        indicator.style.right = `${containerRect.right - inputRect.right + 44}px`;
+    }
+
+    hideLintIndicator(input) {
+        const indicator = this.lintIndicators.get(input);
+        if (!indicator) return;
+
+        this.lintIndicators.delete(input);
+        indicator.classList.remove('show');
+        setTimeout(() => {
+            if (indicator.parentNode) {
+                indicator.parentNode.removeChild(indicator);
+            }
+        }, this.animationDuration);
+    }
+
     /**
      * Clean up all buttons
      */
@@ -509,6 +930,26 @@ class UIInjector {
         this.activeButtons.forEach((button, input) => {
             this.hideButton(input);
         });
+
+        this.budgetIndicators.forEach((indicator, input) => {
+            this.hideBudgetIndicator(input);
+        });
+
+        this.templateButtons.forEach((button, input) => {
+            this.removeTemplateButton(input);
+        });
+
+        this.lintIndicators.forEach((indicator, input) => {
+            this.hideLintIndicator(input);
+        });
+
+        this.historyButtons.forEach((button, input) => {
+            this.removeHistoryButton(input);
+        });
+
+        this.restoreButtons.forEach((button, response) => {
+            this.removeRestoreButton(response);
+        });
         
         // Remove platform classes
         document.body.className = document.body.className
@@ -534,12 +975,24 @@ class UIInjector {
     }
 
     /**
-     * Set input content (textarea or contenteditable)
+     * Use a RedactionVault to swap sensitive values for placeholders whenever content is inserted
      */
-    setInputContent(input, content) {
+    setRedactionVault(vault) {
+        this.redactionVault = vault;
+    }
+
+    /**
+     * Set input content (textarea or contenteditable). With redaction on, sensitive values
+     * go in as placeholders such as [EMAIL_1].
+     */
+    setInputContent(input, text) {
         if (!input) return false;
         
         try {
+            const content = this.redactionVault && this.redactionVault.isEnabled()
+                ? this.redactionVault.redact(text, window.location.hostname).text
+                : text;
+
             if (input.tagName === 'TEXTAREA' || input.tagName === 'INPUT') {
                 input.value = content;
                 input.dispatchEvent(new Event('input', { bubbles: true }));
@@ -583,6 +1036,22 @@ class UIInjector {
                 this.positionButton(button, input, container);
             }
         });
+
+        this.budgetIndicators.forEach((indicator, input) => {
+            this.positionBudgetIndicator(indicator, input);
+        });
+
+        this.templateButtons.forEach((button, input) => {
+            this.positionTemplateButton(button, input);
+        });
+
+        this.lintIndicators.forEach((indicator, input) => {
+            this.positionLintIndicator(indicator, input);
+        });
+
+        this.historyButtons.forEach((button, input) => {
+            this.positionHistoryButton(button, input);
+        });
     }
 }
 
@@ -0,0 +1,106 @@
+/**
+ * MyAyAI Context Budget
+ * Measures how much of the site model's context window a prompt and its pasted content use
+ */
+
+class ContextBudget {
+    static LEVELS = Object.freeze({
+        OK: 'ok',
+        WARNING: 'warning',
+        OVER: 'over',
+        UNKNOWN: 'unknown'
+    });
+
+    // Share of the window at which the indicator turns to a warning
+    static WARNING_RATIO = 0.8;
+
+    constructor(tokenizer = null, pricing = null) {
+        this.tokenizer = tokenizer || new (self.PromptTokenizer || PromptTokenizer)();
+        this.pricing = pricing || new (self.PricingRegistry || PricingRegistry)();
+    }
+
+    /**
+     * Measure a prompt plus any pasted content the site moved out of the composer
+     */
+    measure(prompt, platform, attachments = []) {
+        const promptTokens = this.tokenizer.countTokens(prompt || '', platform);
+        const attachmentTokens = attachments.reduce((sum, text) => sum + this.tokenizer.countTokens(text, platform), 0);
+        const tokens = promptTokens + attachmentTokens;
+        const model = this.pricing.getModelPricing(platform);
+        const limit = model ? model.contextWindow : null;
+
+        return {
+            platform,
+            modelId: model ? model.modelId : null,
+            modelName: model ? model.name : null,
+            promptTokens,
+            attachmentTokens,
+            tokens,
+            limit,
+            remaining: limit ? limit - tokens : null,
+            ratio: limit ? tokens / limit : null,
+            level: this.getLevel(tokens, limit)
+        };
+    }
+
+    getLevel(tokens, limit) {
+        const levels = ContextBudget.LEVELS;
+
+        if (!limit) return levels.UNKNOWN;
+        if (tokens > limit) return levels.OVER;
+        if (tokens >= limit * ContextBudget.WARNING_RATIO) return levels.WARNING;
+        return levels.OK;
+    }
+
+    /**
+     * Short label for the composer indicator, e.g. "12.4k / 128k", or "12.4k / ?" when the window is unknown
+     */
+    formatLabel(budget) {
+        if (!budget.limit) return `${this.formatTokens(budget.tokens)} / ?`;
+        return `${this.formatTokens(budget.tokens)} / ${this.formatTokens(budget.limit)}`;
+    }
+
+    /**
+     * Tooltip text describing the budget in full
+     */
+    describe(budget) {
+        const pasted = budget.attachmentTokens > 0 ? ` (${budget.attachmentTokens.toLocaleString('en-US')} from pasted content)` : '';
+        const used = `${budget.tokens.toLocaleString('en-US')} tokens${pasted}`;
+
+        if (!budget.modelName) {
+            return `${used}; context window unknown because this site has no pricing entry`;
+        }
+
+        if (!budget.limit) {
+            return `${used}; no context window known for ${budget.modelName}`;
+        }
+
+        const percent = Math.round(budget.ratio * 100);
+        return `${used} of ${budget.modelName}'s ${budget.limit.toLocaleString('en-US')}-token context window (${percent}%)`;
+    }
+
+    /**
+     * Warning to show before sending, or '' when the prompt fits
+     */
+    getSendWarning(budget) {
+        if (budget.level !== ContextBudget.LEVELS.OVER) return '';
+
+        const over = (budget.tokens - budget.limit).toLocaleString('en-US');
+        return `This prompt is ${over} tokens over ${budget.modelName}'s context window and will likely be truncated or rejected`;
+    }
+
+    formatTokens(count) {
+        if (count < 1000) return String(count);
+        if (count < 1000000) return `${Number((count / 1000).toFixed(count < 10000 ? 1 : 0))}k`;
+        return `${Number((count / 1000000).toFixed(1))}M`;
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ContextBudget;
+} else if (typeof window !== 'undefined') {
+    window.ContextBudget = ContextBudget;
+} else {
+    self.ContextBudget = ContextBudget;
+}
@@ -0,0 +1,136 @@
+/**
+ * MyAyAI Custom Roles
+ * Expert roles the user defines in the popup. OptimizationRules prefers them over the built-in
+ * roles for the task types they are associated with.
+ */
+
+class CustomRoleManager {
+    static STORAGE_KEY = 'myayai_custom_roles';
+
+    static MAX_ROLES = 50;
+
+    static MAX_ENHANCEMENTS = 8;
+
+    constructor(storage = null) {
+        this.storage = storage || (typeof chrome !== 'undefined' && chrome.storage ? chrome.storage.local : null);
+        this.roles = [];
+        this.loaded = false;
+    }
+
+    async load() {
+        if (this.storage) {
+            const data = await this.storage.get([CustomRoleManager.STORAGE_KEY]);
+            const stored = data[CustomRoleManager.STORAGE_KEY];
+            this.roles = Array.isArray(stored) ? stored.filter(role => this.validateRole(role).length === 0) : [];
+        }
+
+        this.loaded = true;
+        return this.roles;
+    }
+
+    async save() {
+        if (this.storage) {
+            await this.storage.set({ [CustomRoleManager.STORAGE_KEY]: this.roles });
+        }
+    }
+
+    async ensureLoaded() {
+        if (!this.loaded) {
+            await this.load();
+        }
+    }
+
+    /**
+     * Trim a role from the popup form; enhancements may be a list or one per line
+     */
+    normalizeRole({ name = '', prefix = '', enhancements = [], taskTypes = [] }) {
+        const lines = Array.isArray(enhancements) ? enhancements : String(enhancements).split('\n');
+
+        return {
+            name: String(name).trim().replace(/\s+/g, ' '),
+            prefix: String(prefix).trim().replace(/[,\s]+$/, ''),
+            enhancements: lines.map(line => String(line).trim()).filter(Boolean),
+            taskTypes: [...new Set(taskTypes)]
+        };
+    }
+
+    validateRole(role) {
+        const errors = [];
+
+        if (typeof role?.name !== 'string' || !role.name || role.name.length > 60) {
+            errors.push('Role name must be 1 to 60 characters');
+        }
+        if (typeof role?.prefix !== 'string' || !role.prefix) {
+            errors.push('Role prefix is required, such as "As a tax accountant"');
+        }
+        if (!this.isStringArray(role?.enhancements) || role.enhancements.length > CustomRoleManager.MAX_ENHANCEMENTS) {
+            errors.push(`A role can have up to ${CustomRoleManager.MAX_ENHANCEMENTS} enhancements`);
+        }
+
+        const validTaskType = taskType => /^[a-z][a-z0-9_]*$/.test(taskType);
+        if (!this.isStringArray(role?.taskTypes) || !role.taskTypes.every(validTaskType)) {
+            errors.push('Task types must be task type ids, such as "legal"');
+        }
+
+        return errors;
+    }
+
+    /**
+     * Create a role, or replace the role with the same name
+     */
+    async saveRole(input) {
+        await this.ensureLoaded();
+
+        const role = this.normalizeRole(input);
+        const errors = this.validateRole(role);
+        if (errors.length > 0) {
+            throw new Error(errors.join('; '));
+        }
+
+        const index = this.roles.findIndex(existing => existing.name.toLowerCase() === role.name.toLowerCase());
+        if (index === -1 && this.roles.length >= CustomRoleManager.MAX_ROLES) {
+            throw new Error(`You can have up to ${CustomRoleManager.MAX_ROLES} custom roles`);
+        }
+
+        if (index === -1) {
+            this.roles.push(role);
+        } else {
+            this.roles[index] = role;
+        }
+
+        await this.save();
+        return role;
+    }
+
+    async removeRole(name) {
+        await this.ensureLoaded();
+
+        const before = this.roles.length;
+        this.roles = this.roles.filter(role => role.name !== name);
+
+        if (this.roles.length === before) {
+            return false;
+        }
+
+        await this.save();
+        return true;
+    }
+
+    async listRoles() {
+        await this.ensureLoaded();
+        return this.roles.map(role => ({ ...role }));
+    }
+
+    isStringArray(value) {
+        return Array.isArray(value) && value.every(item => typeof item === 'string');
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = CustomRoleManager;
+} else if (typeof window !== 'undefined') {
+    window.CustomRoleManager = CustomRoleManager;
+} else {
+    self.CustomRoleManager = CustomRoleManager;
+}
@@ -0,0 +1,203 @@
+/**
+ * MyAyAI Intent Verifier
+ * Checks that an optimized prompt still carries the user's numbers, names, identifiers and constraints
+ */
+
+class IntentVerifier {
+    static FACT_TYPES = Object.freeze({
+        NUMBER: 'number',
+        ENTITY: 'entity',
+        IDENTIFIER: 'identifier',
+        CONSTRAINT: 'constraint'
+    });
+
+    constructor() {
+        this.patterns = this.initializePatterns();
+    }
+
+    initializePatterns() {
+        return {
+            number: /(?<![\w.])\d+(?:[.,:]\d+)*%?(?![\w])/g,
+            identifier: /(?<![\w$.])(?:[A-Za-z_$][\w$]*(?:\.[A-Za-z_$][\w$]*)+|[a-z_$][\w$]*[A-Z][\w$]*|[A-Za-z$][\w$]*_[\w$]*)(?:\(\))?/g,
+            inlineCode: /`([^`\n]+)`/g,
+            entity: /\b[A-Z][\w&'-]*(?:[ \t]+[A-Z][\w&'-]*)*/g,
+            clause: /[^.!?\n]+[.!?]?/g,
+            constraint: new RegExp(`\\b(?:${[
+                'must', 'never', 'always', 'only', 'exactly', 'without', 'avoid',
+                'do not', 'don\'t', 'should not', 'shouldn\'t', 'at least', 'at most',
+                'no more than', 'no less than', 'fewer than', 'less than', 'more than',
+                'up to', 'limit(?:ed)? to', 'maximum', 'minimum', 'required?'
+            ].join('|')})\\b`, 'i'),
+            notIdentifier: /^(?:e\.g|i\.e|etc|vs)$/i,
+            sentenceStart: /(?:^|[.!?:]\s+|\n\s*(?:[-*•]\s*|\d+\.\s*)?)$/
+        };
+    }
+
+    /**
+     * Extract the facts an optimization must preserve, deduplicated per type
+     */
+    extractFacts(text) {
+        const facts = [];
+        const seen = new Set();
+        const add = (type, value) => {
+            const key = this.getFactKey(type, value);
+            if (!key || seen.has(`${type}:${key}`)) return;
+
+            seen.add(`${type}:${key}`);
+            facts.push({ type, value, key });
+        };
+
+        this.extractNumbers(text).forEach(value => add(IntentVerifier.FACT_TYPES.NUMBER, value));
+
+        const identifiers = this.extractIdentifiers(text);
+        identifiers.forEach(value => add(IntentVerifier.FACT_TYPES.IDENTIFIER, value));
+
+        this.extractEntities(text)
+            .filter(value => !identifiers.includes(value))
+            .forEach(value => add(IntentVerifier.FACT_TYPES.ENTITY, value));
+
+        this.extractConstraints(text).forEach(value => add(IntentVerifier.FACT_TYPES.CONSTRAINT, value));
+
+        return facts;
+    }
+
+    extractNumbers(text) {
+        return text.match(this.patterns.number) || [];
+    }
+
+    extractIdentifiers(text) {
+        const code = Array.from(text.matchAll(this.patterns.inlineCode), match => match[1].trim());
+        const names = (text.match(this.patterns.identifier) || [])
+            .filter(value => !this.patterns.notIdentifier.test(value));
+
+        return [...code, ...names];
+    }
+
+    /**
+     * Capitalized names. A sentence's first word is dropped since it is capitalized anyway.
+     */
+    extractEntities(text) {
+        const entities = [];
+
+        for (const match of text.matchAll(this.patterns.entity)) {
+            let words = match[0].split(/[ \t]+/);
+
+            if (this.patterns.sentenceStart.test(text.slice(0, match.index)) && !this.isAcronym(words[0])) {
+                words = words.slice(1);
+            }
+
+            const value = words.join(' ').replace(/'s$/, '');
+            if (value && value !== 'I') {
+                entities.push(value);
+            }
+        }
+
+        return entities;
+    }
+
+    extractConstraints(text) {
+        return (text.match(this.patterns.clause) || [])
+            .map(clause => clause.trim())
+            .filter(clause => this.patterns.constraint.test(clause));
+    }
+
+    isAcronym(word) {
+        return /^[A-Z0-9]{2,}$/.test(word);
+    }
+
+    /**
+     * Comparison key so formatting-only changes (1,000 vs 1000, don't vs do not) still match
+     */
+    getFactKey(type, value) {
+        if (type === IntentVerifier.FACT_TYPES.NUMBER) {
+            return value.replace(/,(?=\d{3}(?!\d))/g, '');
+        }
+
+        if (type === IntentVerifier.FACT_TYPES.CONSTRAINT) {
+            return this.normalizeClause(value);
+        }
+
+        return value;
+    }
+
+    normalizeClause(text) {
+        return text
+            .toLowerCase()
+            .replace(/[’']/g, '\'')
+            .replace(/\bcan't\b/g, 'cannot')
+            .replace(/\bwon't\b/g, 'will not')
+            .replace(/n't\b/g, ' not')
+            .replace(/[^a-z0-9%]+/g, ' ')
+            .trim();
+    }
+
+    /**
+     * Count how often a fact occurs in a text
+     */
+    countOccurrences(fact, text) {
+        const types = IntentVerifier.FACT_TYPES;
+
+        if (fact.type === types.NUMBER) {
+            return this.extractNumbers(text).filter(value => this.getFactKey(types.NUMBER, value) === fact.key).length;
+        }
+
+        if (fact.type === types.CONSTRAINT) {
+            return this.normalizeClause(text).split(fact.key).length - 1;
+        }
+
+        const escaped = fact.value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+        return (text.match(new RegExp(`(?<![\\w$])${escaped}(?![\\w$])`, 'g')) || []).length;
+    }
+
+    /**
+     * Diff the facts of the original against the optimized text.
+     * A fact is "dropped" when it no longer appears and "altered" when fewer occurrences survive.
+     * Mode 'block' marks failed results as blocked, 'flag' only reports them and 'off' skips the check.
+     */
+    verify(original, optimized, mode = 'flag') {
+        if (mode === 'off') {
+            return { passed: true, blocked: false, factCount: 0, issues: [], summary: '' };
+        }
+
+        const facts = this.extractFacts(original);
+        const issues = [];
+
+        facts.forEach(fact => {
+            const expected = this.countOccurrences(fact, original);
+            const actual = this.countOccurrences(fact, optimized);
+
+            if (actual === 0) {
+                issues.push({ type: fact.type, value: fact.value, problem: 'dropped' });
+            } else if (actual < expected) {
+                issues.push({ type: fact.type, value: fact.value, problem: 'altered', expected, actual });
+            }
+        });
+
+        return {
+            passed: issues.length === 0,
+            blocked: issues.length > 0 && mode === 'block',
+            factCount: facts.length,
+            issues,
+            summary: this.summarize(issues)
+        };
+    }
+
+    summarize(issues) {
+        if (issues.length === 0) return '';
+
+        const shown = issues.slice(0, 3).map(issue => `"${issue.value}"`).join(', ');
+        const more = issues.length > 3 ? ` and ${issues.length - 3} more` : '';
+        const noun = issues.length === 1 ? 'detail' : 'details';
+
+        return `Optimization changed ${issues.length} ${noun} from your prompt: ${shown}${more}`;
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = IntentVerifier;
+} else if (typeof window !== 'undefined') {
+    window.IntentVerifier = IntentVerifier;
+} else {
+    self.IntentVerifier = IntentVerifier;
+}
@@ -12,11 +12,16 @@ class OptimizationEngine {
             cacheResults: true,
             maxCacheSize: 100,
             enableAnalytics: true,
+            // 'block' keeps the original prompt when facts are lost, 'flag' only reports them, 'off' skips the check
+            intentVerification: 'block',
             ...options
         };
         
         this.analyzer = new (self.PromptAnalyzer || PromptAnalyzer)();
-        this.suggestions = new (self.PromptSuggestions || PromptSuggestions)();
+        this.suggestions = new (self.PromptSuggestions || PromptSuggestions)(
+            self.TemplateLibrary ? new self.TemplateLibrary() : null
+        );
+        this.intentVerifier = new (self.IntentVerifier || IntentVerifier)();
         this.cache = new Map();
         this.analytics = {
             optimizations: 0,
@@ -36,6 +41,17 @@ class OptimizationEngine {
                 if (data.optimizationAnalytics) {
                     this.analytics = { ...this.analytics, ...data.optimizationAnalytics };
                 }
+
+                // Keep the user's templates current for template suggestions
+                const library = this.suggestions.templateLibrary;
+                if (library) {
+                    await library.load();
+                    chrome.storage.onChanged?.addListener((changes) => {
+                        if (changes[library.constructor.STORAGE_KEY]) {
+                            library.load().catch(error => console.error('[MyAyAI] Failed to reload templates:', error));
+                        }
+                    });
+                }
             }
             
             console.log('OptimizationEngine initialized successfully');
@@ -88,13 +104,24 @@ class OptimizationEngine {
             );
 
             // Generate optimized version
-            const optimizedPrompt = this.suggestions.generateOptimizedPrompt(
+            let optimizedPrompt = this.suggestions.generateOptimizedPrompt(
                 prompt, 
                 analysis, 
                 suggestions, 
                 optimizationOptions
             );
 
+            // Verify the user's numbers, names, identifiers and constraints survived
+            const verification = this.intentVerifier.verify(
+                prompt,
+                optimizedPrompt,
+                optimizationOptions.intentVerification || this.options.intentVerification
+            );
+            if (verification.blocked) {
+                console.warn(`${verification.summary}; keeping original prompt`);
+                optimizedPrompt = prompt;
+            }
+
             // Generate alternatives if requested
             let alternatives = [];
             if (optimizationOptions.generateAlternatives) {
@@ -122,6 +149,7 @@ class OptimizationEngine {
                 suggestions: optimizationOptions.includeSuggestions ? suggestions : null,
                 alternatives: alternatives,
                 improvement: improvement,
+                verification: verification,
                 metadata: {
                     optimizationLevel: optimizationOptions.level,
                     platform: optimizationOptions.platform,
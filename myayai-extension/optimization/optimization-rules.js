@@ -5,12 +5,49 @@
 
 class OptimizationRules {
     constructor() {
+        const Classifier = self.TaskClassifier || (typeof TaskClassifier !== 'undefined' ? TaskClassifier : null);
+        // Kept across rule pack reloads so the user's labels stay trained in
+        this.classifier = Classifier ? new Classifier() : null;
+        // User-defined roles, also kept across rule pack reloads
+        this.customRoles = [];
+        // Styles added through registerStyle, re-applied over the built-ins on every reset
+        this.registeredStyles = {};
+        this.resetToBuiltIns();
+    }
+
+    /**
+     * Restore the built-in rule set, dropping any layered rule packs
+     */
+    resetToBuiltIns() {
         this.platformRules = this.initializePlatformRules();
         this.styleRules = this.initializeStyleRules();
         this.taskDetectionPatterns = this.initializeTaskPatterns();
         this.expertRoles = this.initializeExpertRoles();
         this.outputStructures = this.initializeOutputStructures();
         this.contextualConstraints = this.initializeConstraints();
+        this.promptConstraints = [];
+        this.activeRulePacks = [];
+
+        for (const id of Object.keys(this.registeredStyles)) {
+            this.applyRegisteredStyle(id);
+        }
+    }
+
+    /**
+     * Add or replace a style's rules and output structure. Rules take the shape of the built-in
+     * styleRules entries; constraints lists the requirements generateConstraints adds for it.
+     */
+    registerStyle(id, { rules = {}, outputStructure = null } = {}) {
+        this.registeredStyles[id] = { rules, outputStructure };
+        this.applyRegisteredStyle(id);
+    }
+
+    applyRegisteredStyle(id) {
+        const { rules, outputStructure } = this.registeredStyles[id];
+        this.styleRules[id] = { name: id, ...rules };
+        if (outputStructure) {
+            this.outputStructures[id] = outputStructure;
+        }
     }
 
     /**
@@ -48,6 +85,7 @@ class OptimizationRules {
                     ]
                 },
                 maxOptimalLength: 4000,
+                maxOptimalTokens: 1000,
                 preferredStructure: 'conversational_structured'
             },
 
@@ -81,6 +119,7 @@ class OptimizationRules {
                     ]
                 },
                 maxOptimalLength: 8000,
+                maxOptimalTokens: 2000,
                 preferredStructure: 'analytical_hierarchical'
             },
 
@@ -114,6 +153,7 @@ class OptimizationRules {
                     ]
                 },
                 maxOptimalLength: 2000,
+                maxOptimalTokens: 500,
                 preferredStructure: 'research_focused'
             },
 
@@ -147,7 +187,215 @@ class OptimizationRules {
                     ]
                 },
                 maxOptimalLength: 1500,
+                maxOptimalTokens: 375,
                 preferredStructure: 'direct_factual'
+            },
+
+            copilot: {
+                name: 'Copilot',
+                strengths: ['web_search', 'current_information', 'productivity', 'business_context'],
+                weaknesses: ['very_long_prompts', 'deep_code_debugging', 'long_form_creative_writing'],
+                optimizations: {
+                    prefixRules: [
+                        'State the goal in the first sentence',
+                        'Mention the Microsoft 365 app when the task involves one',
+                        'Ask for current information explicitly'
+                    ],
+                    structureRules: [
+                        'Keep the request to a few short paragraphs',
+                        'Ask for bullet points or short sections',
+                        'Put requirements in a short list'
+                    ],
+                    suffixRules: [
+                        'Add: "Cite the web sources you use"',
+                        'Add: "Keep the answer scannable"',
+                        'Request actionable recommendations'
+                    ],
+                    avoidPatterns: [
+                        'Prompts near the input limit',
+                        'Long pasted documents',
+                        'Deeply nested instructions'
+                    ]
+                },
+                maxOptimalLength: 4000,
+                maxOptimalTokens: 1000,
+                preferredStructure: 'scannable_grounded'
+            },
+
+            poe: {
+                name: 'Poe',
+                strengths: ['model_choice', 'multi_bot_conversations', 'custom_bots'],
+                weaknesses: ['depends_on_selected_bot', 'custom_bot_instructions'],
+                optimizations: {
+                    prefixRules: [
+                        'Optimize for the model behind the selected or @-mentioned bot',
+                        'Keep @-mentions of other bots intact'
+                    ],
+                    structureRules: [
+                        'Follow the structure rules of the bot\'s model',
+                        'For custom bots, state the answer you expect first'
+                    ],
+                    suffixRules: [
+                        'Add: "Start with a direct answer, then explain"'
+                    ],
+                    avoidPatterns: [
+                        'Instructions that conflict with a custom bot\'s prompt',
+                        'Assuming every bot has the same context length'
+                    ]
+                },
+                // Bot name prefixes, lowercase, mapped to the platform whose rules fit the bot's model
+                bots: {
+                    chatgpt: ['gpt', 'chatgpt', 'o1', 'o3', 'o4'],
+                    claude: ['claude'],
+                    gemini: ['gemini'],
+                    perplexity: ['perplexity', 'web-search']
+                },
+                maxOptimalLength: 4000,
+                maxOptimalTokens: 1000,
+                preferredStructure: 'bot_dependent'
+            },
+
+            characterai: {
+                name: 'Character.AI',
+                strengths: ['roleplay', 'character_consistency', 'casual_conversation', 'storytelling'],
+                weaknesses: ['factual_accuracy', 'structured_output', 'code_generation', 'research'],
+                // Messages are spoken in character, so task framing and style additions are skipped
+                roleplay: true,
+                optimizations: {
+                    prefixRules: [
+                        'Speak as your own character, not to an assistant'
+                    ],
+                    structureRules: [
+                        'Describe actions and setting in *asterisks*',
+                        'Put directions to the character in (OOC: ...) notes'
+                    ],
+                    suffixRules: [
+                        'Add: "(OOC: Stay in character)"',
+                        'Give the character something to respond to'
+                    ],
+                    avoidPatterns: [
+                        'Headings, bullet lists and report formats',
+                        'Expert role framing',
+                        'Requests for citations or sources'
+                    ]
+                },
+                maxOptimalLength: 1000,
+                maxOptimalTokens: 250,
+                preferredStructure: 'in_character_dialogue'
+            },
+
+            deepseek: {
+                name: 'DeepSeek',
+                strengths: ['reasoning', 'mathematics', 'code_generation', 'long_context'],
+                weaknesses: ['few_shot_examples', 'language_mixing', 'current_information'],
+                optimizations: {
+                    prefixRules: [
+                        'State the problem directly instead of describing a persona at length',
+                        'Describe the task rather than giving many examples'
+                    ],
+                    structureRules: [
+                        'Put all instructions in the message itself',
+                        'Say what the final answer should look like'
+                    ],
+                    suffixRules: [
+                        'Add: "Give your final answer at the end, clearly marked"',
+                        'Name the language the answer should be in'
+                    ],
+                    avoidPatterns: [
+                        'Several worked examples before the question',
+                        'Telling the model how to reason step by step',
+                        'Questions about very recent events without search'
+                    ]
+                },
+                maxOptimalLength: 8000,
+                maxOptimalTokens: 2000,
+                preferredStructure: 'direct_problem_statement'
+            },
+
+            mistral: {
+                name: 'Mistral Le Chat',
+                strengths: ['multilingual', 'code_generation', 'concise_answers', 'web_search'],
+                weaknesses: ['implicit_requirements', 'very_long_prompts'],
+                optimizations: {
+                    prefixRules: [
+                        'Start with the task in one clear sentence',
+                        'Ask for a web search when the answer depends on current information'
+                    ],
+                    structureRules: [
+                        'List requirements explicitly',
+                        'Name the output format'
+                    ],
+                    suffixRules: [
+                        'Add: "Format the answer in Markdown"',
+                        'Add: "Search the web and cite your sources" for current topics'
+                    ],
+                    avoidPatterns: [
+                        'Requirements implied only by examples',
+                        'Unstated output formats'
+                    ]
+                },
+                maxOptimalLength: 6000,
+                maxOptimalTokens: 1500,
+                preferredStructure: 'explicit_instructions'
+            },
+
+            grok: {
+                name: 'Grok',
+                strengths: ['real_time_information', 'x_posts', 'current_events', 'direct_answers'],
+                weaknesses: ['formal_documents', 'source_verification'],
+                optimizations: {
+                    prefixRules: [
+                        'Ask for the latest posts on X when the topic is trending or breaking',
+                        'Ask the question directly'
+                    ],
+                    structureRules: [
+                        'Lead with the answer, then the detail',
+                        'Keep the prompt conversational'
+                    ],
+                    suffixRules: [
+                        'Add: "Say how recent the posts and sources are"',
+                        'Add: "Lead with a direct answer"'
+                    ],
+                    avoidPatterns: [
+                        'Treating X posts as verified facts',
+                        'Long formal preambles'
+                    ]
+                },
+                maxOptimalLength: 6000,
+                maxOptimalTokens: 1500,
+                preferredStructure: 'answer_first'
+            },
+
+            huggingchat: {
+                name: 'HuggingChat',
+                strengths: ['model_choice', 'open_models', 'custom_assistants'],
+                weaknesses: ['depends_on_selected_model', 'smaller_context_windows', 'current_information'],
+                optimizations: {
+                    prefixRules: [
+                        'Optimize for the family of the selected model',
+                        'State the task plainly for smaller open models'
+                    ],
+                    structureRules: [
+                        'Follow the structure rules of the model\'s family',
+                        'Keep instructions short and explicit'
+                    ],
+                    suffixRules: [
+                        'Add: "Start with a direct answer, then explain"'
+                    ],
+                    avoidPatterns: [
+                        'Long pasted documents',
+                        'Assuming every model has the same context length'
+                    ]
+                },
+                // Model id prefixes, lowercase, mapped to the platform whose rules fit the model
+                bots: {
+                    deepseek: ['deepseek'],
+                    mistral: ['mistralai/', 'mistral', 'mixtral'],
+                    chatgpt: ['openai/gpt', 'gpt-oss']
+                },
+                maxOptimalLength: 4000,
+                maxOptimalTokens: 1000,
+                preferredStructure: 'model_dependent'
             }
         };
     }
@@ -319,6 +567,91 @@ class OptimizationRules {
                     'researcher', 'professor', 'academic analyst', 'scholar',
                     'research scientist', 'subject matter expert', 'doctoral advisor'
                 ]
+            },
+
+            concise: {
+                name: 'Concise',
+                description: 'Minimal wording and short, direct answers',
+                characteristics: {
+                    tone: 'direct_neutral',
+                    structure: 'minimal',
+                    language: 'plain_short',
+                    focus: 'essentials_only'
+                },
+                // Requirements generateConstraints adds for this style
+                constraints: [
+                    'Answer in as few words as the question allows',
+                    'Skip the preamble and the recap'
+                ],
+                expertRoles: ['subject matter expert', 'analyst']
+            },
+
+            casual: {
+                name: 'Casual',
+                description: 'Friendly, conversational and plain-spoken',
+                characteristics: {
+                    tone: 'friendly_informal',
+                    structure: 'loose_conversational',
+                    language: 'everyday_words',
+                    focus: 'approachability'
+                },
+                // Requirements generateConstraints adds for this style
+                constraints: [
+                    'Use a friendly, conversational tone',
+                    'Avoid jargon and formal phrasing'
+                ],
+                expertRoles: ['subject matter expert', 'storyteller']
+            },
+
+            socratic: {
+                name: 'Socratic',
+                description: 'Guides the user to the answer with questions',
+                characteristics: {
+                    tone: 'inquisitive_patient',
+                    structure: 'question_led',
+                    language: 'open_questions',
+                    focus: 'reasoning_discovery'
+                },
+                // Requirements generateConstraints adds for this style
+                constraints: [
+                    'Ask one question at a time and wait for the answer',
+                    'Hold back the solution until I have reasoned it out'
+                ],
+                expertRoles: ['educator', 'professor']
+            },
+
+            eli5: {
+                name: 'Explain Like I\'m Five',
+                description: 'Very simple language with everyday analogies',
+                characteristics: {
+                    tone: 'warm_simple',
+                    structure: 'short_steps',
+                    language: 'simple_words',
+                    focus: 'intuition'
+                },
+                // Requirements generateConstraints adds for this style
+                constraints: [
+                    'Use short sentences and simple words',
+                    'Explain with an everyday analogy'
+                ],
+                expertRoles: ['educator', 'health educator']
+            },
+
+            tutor: {
+                name: 'Tutor',
+                description: 'Step-by-step teaching with examples and practice',
+                characteristics: {
+                    tone: 'encouraging_patient',
+                    structure: 'step_by_step',
+                    language: 'clear_instructional',
+                    focus: 'learning_practice'
+                },
+                // Requirements generateConstraints adds for this style
+                constraints: [
+                    'Teach one step at a time with a worked example',
+                    'End with a practice question and its answer'
+                ],
+                expertRoles: ['educator', 'trainer', 'subject matter expert']
             }
         };
     }
@@ -386,6 +719,84 @@ class OptimizationRules {
                 confidence: 0.8,
                 suggestedStyles: ['academic', 'technical'],
                 expertRoles: ['educator', 'trainer', 'subject matter expert']
+            },
+
+            data: {
+                patterns: [
+                    /\bSQL\b|query|queries|database table|\bjoin\b|schema/i,
+                    /dataset|data set|spreadsheet|\bCSV\b|Excel|dataframe|pandas/i,
+                    /aggregate|group by|pivot|metric|dashboard|chart|visuali[sz]/i,
+                    /analy[sz]e (the |this |my )?data|data analysis|trend|correlat|regression|average|median/i
+                ],
+                confidence: 0.9,
+                suggestedStyles: ['technical', 'professional'],
+                expertRoles: ['data analyst', 'analytics engineer', 'database administrator'],
+                outputStructure: 'data_analysis'
+            },
+
+            legal: {
+                patterns: [
+                    /legal|\blaw\b|lawyer|attorney|court/i,
+                    /contract|agreement|clause|terms of|\bNDA\b|lease/i,
+                    /liabilit|compliance|GDPR|regulation|statute|jurisdiction/i,
+                    /\bsue\b|lawsuit|litigation|copyright|trademark|patent/i
+                ],
+                confidence: 0.9,
+                suggestedStyles: ['professional', 'academic'],
+                expertRoles: ['legal analyst', 'contracts specialist', 'compliance officer'],
+                outputStructure: 'legal_analysis'
+            },
+
+            medical: {
+                patterns: [
+                    /medical|medicine|clinical|health|patient/i,
+                    /symptom|diagnos|treatment|therapy|disease|infection/i,
+                    /doctor|physician|nurse|hospital|prescri/i,
+                    /medication|dosage|\bdose\b|\bdrugs?\b|side effects?/i
+                ],
+                confidence: 0.9,
+                suggestedStyles: ['academic', 'professional'],
+                expertRoles: ['medical information specialist', 'clinical researcher', 'health educator'],
+                outputStructure: 'medical_information'
+            },
+
+            translation: {
+                patterns: [
+                    /translat/i,
+                    /\b(English|French|Spanish|German|Italian|Portuguese|Chinese|Japanese|Korean|Arabic|Russian)\b/i,
+                    /language|native speaker|locali[sz]|idiom|fluent/i,
+                    /tone|formal|informal|register|dialect/i
+                ],
+                confidence: 0.9,
+                suggestedStyles: ['professional', 'creative'],
+                expertRoles: ['professional translator', 'localization specialist', 'linguist'],
+                outputStructure: 'translation'
+            },
+
+            summarization: {
+                patterns: [
+                    /summar|tl;?dr|recap|condense|digest/i,
+                    /key points|main points|takeaways|highlights|gist/i,
+                    /shorten|bullet points|in \d+ (words|sentences|bullets)/i,
+                    /(this|the following|attached|pasted) (text|article|document|email|transcript|report|thread|paper)/i
+                ],
+                confidence: 0.9,
+                suggestedStyles: ['professional', 'academic'],
+                expertRoles: ['editor', 'analyst', 'research assistant'],
+                outputStructure: 'summary'
+            },
+
+            image_generation: {
+                patterns: [
+                    /image|picture|photo|illustration|render|artwork|wallpaper|logo/i,
+                    /midjourney|dall-?e|stable diffusion|image prompt|generate an? (image|picture|photo)/i,
+                    /in the style of|photorealistic|cinematic|lighting|\b[48]k\b|aspect ratio|--ar\b/i,
+                    /portrait|landscape|scene|composition|camera|lens|close-up/i
+                ],
+                confidence: 0.9,
+                suggestedStyles: ['creative'],
+                expertRoles: ['art director', 'visual artist', 'photographer'],
+                outputStructure: 'image_prompt'
             }
         };
     }
@@ -433,6 +844,402 @@ class OptimizationRules {
                     'Include relevant literature and citations',
                     'Address limitations and future research directions'
                 ]
+            },
+
+            'data analyst': {
+                prefix: 'As a data analyst fluent in SQL, spreadsheets and statistics',
+                enhancements: [
+                    'Check the data for nulls, duplicates and outliers first',
+                    'Show the query or formula behind every number',
+                    'Separate what the data shows from how it is interpreted'
+                ]
+            },
+
+            'legal analyst': {
+                prefix: 'As a legal analyst experienced in contracts, regulation and compliance',
+                enhancements: [
+                    'Identify the governing jurisdiction',
+                    'Quote the clauses and laws the analysis relies on',
+                    'Point out ambiguities and risks for each party'
+                ]
+            },
+
+            'medical information specialist': {
+                prefix: 'As a medical information specialist who explains clinical evidence accurately and plainly',
+                enhancements: [
+                    'Follow current clinical guidelines',
+                    'Distinguish strong evidence from limited evidence',
+                    'Point out when a clinician should be consulted'
+                ]
+            },
+
+            'professional translator': {
+                prefix: 'As a professional translator and native-level speaker of both languages',
+                enhancements: [
+                    'Translate meaning rather than word for word',
+                    'Keep tone, register and formatting',
+                    'Leave names, numbers and code untranslated'
+                ]
+            },
+
+            editor: {
+                prefix: 'As an experienced editor who writes accurate, concise summaries',
+                enhancements: [
+                    'Keep only what the source says',
+                    'Lead with the main point',
+                    'Preserve key figures, names and dates'
+                ]
+            },
+
+            'art director': {
+                prefix: 'As an art director who writes detailed prompts for image generation models',
+                enhancements: [
+                    'Describe the subject, setting and mood concretely',
+                    'Specify style, lighting, color and composition',
+                    'Name anything that should be left out'
+                ]
+            },
+
+            'strategy advisor': {
+                prefix: 'As a strategy advisor who helps leadership teams set direction and make trade-offs',
+                enhancements: [
+                    'Frame options against the organization\'s goals',
+                    'Weigh short-term gains against long-term position',
+                    'Recommend one option and explain why'
+                ]
+            },
+
+            'project manager': {
+                prefix: 'As an experienced project manager who delivers work on time and within scope',
+                enhancements: [
+                    'Break the work into milestones with owners',
+                    'Identify dependencies and risks',
+                    'Include a realistic timeline'
+                ]
+            },
+
+            'industry expert': {
+                prefix: 'As an industry expert with deep knowledge of market trends and practices',
+                enhancements: [
+                    'Ground advice in how the industry actually operates',
+                    'Reference relevant benchmarks and examples',
+                    'Note regional or sector differences'
+                ]
+            },
+
+            'executive coach': {
+                prefix: 'As an executive coach who helps leaders communicate and decide under pressure',
+                enhancements: [
+                    'Focus on behaviors the reader can change',
+                    'Offer concrete phrasing and scripts',
+                    'Consider the perspective of each stakeholder'
+                ]
+            },
+
+            'operations specialist': {
+                prefix: 'As an operations specialist focused on efficient processes and cost control',
+                enhancements: [
+                    'Map the current process before changing it',
+                    'Quantify time and cost savings',
+                    'Flag operational risks of each change'
+                ]
+            },
+
+            artist: {
+                prefix: 'As an artist with a distinctive voice and a strong sense of craft',
+                enhancements: [
+                    'Favor vivid, specific imagery',
+                    'Take creative risks while staying on brief',
+                    'Explain the artistic choices'
+                ]
+            },
+
+            designer: {
+                prefix: 'As a designer who balances aesthetics with usability',
+                enhancements: [
+                    'Consider the audience and context of use',
+                    'Specify layout, color and typography choices',
+                    'Offer alternatives with their trade-offs'
+                ]
+            },
+
+            storyteller: {
+                prefix: 'As a storyteller skilled at narrative structure and character',
+                enhancements: [
+                    'Build a clear arc with tension and resolution',
+                    'Show rather than tell',
+                    'Give characters distinct voices'
+                ]
+            },
+
+            innovator: {
+                prefix: 'As an innovator who turns unusual ideas into workable concepts',
+                enhancements: [
+                    'Challenge the obvious assumptions',
+                    'Combine ideas from other fields',
+                    'Outline how to test each idea quickly'
+                ]
+            },
+
+            'creative consultant': {
+                prefix: 'As a creative consultant who helps brands develop memorable campaigns',
+                enhancements: [
+                    'Tie creative ideas to the business goal',
+                    'Propose several distinct directions',
+                    'Suggest how to measure impact'
+                ]
+            },
+
+            'brand strategist': {
+                prefix: 'As a brand strategist experienced in positioning and brand voice',
+                enhancements: [
+                    'Define the audience and what sets the brand apart',
+                    'Keep messaging consistent with the brand',
+                    'Give examples of the voice in use'
+                ]
+            },
+
+            'system architect': {
+                prefix: 'As a system architect experienced in designing reliable, scalable systems',
+                enhancements: [
+                    'Describe components and how they interact',
+                    'Address scaling, failure modes and data consistency',
+                    'Justify technology choices with trade-offs'
+                ]
+            },
+
+            'technical lead': {
+                prefix: 'As a technical lead who guides teams through design and delivery',
+                enhancements: [
+                    'Balance technical quality with delivery deadlines',
+                    'Break the work into reviewable steps',
+                    'Call out risks and open decisions'
+                ]
+            },
+
+            'DevOps engineer': {
+                prefix: 'As a DevOps engineer experienced in CI/CD, infrastructure as code and observability',
+                enhancements: [
+                    'Automate repeatable steps',
+                    'Include monitoring, alerting and rollback',
+                    'Follow least-privilege security practices'
+                ]
+            },
+
+            'data scientist': {
+                prefix: 'As a data scientist experienced in statistics and machine learning',
+                enhancements: [
+                    'State assumptions about the data and model',
+                    'Choose evaluation metrics that fit the problem',
+                    'Explain results in plain terms'
+                ]
+            },
+
+            'security specialist': {
+                prefix: 'As a security specialist experienced in threat modeling and secure design',
+                enhancements: [
+                    'Identify threats and attack surfaces',
+                    'Recommend mitigations ranked by risk',
+                    'Reference established standards such as OWASP'
+                ]
+            },
+
+            professor: {
+                prefix: 'As a university professor who explains complex topics rigorously',
+                enhancements: [
+                    'Define key terms precisely',
+                    'Build from fundamentals to advanced ideas',
+                    'Point to foundational sources'
+                ]
+            },
+
+            'academic analyst': {
+                prefix: 'As an academic analyst who evaluates arguments and evidence critically',
+                enhancements: [
+                    'Assess the strength of each argument',
+                    'Separate evidence from interpretation',
+                    'Note gaps in the literature'
+                ]
+            },
+
+            scholar: {
+                prefix: 'As a scholar with deep knowledge of the field\'s literature and debates',
+                enhancements: [
+                    'Situate the question in existing scholarship',
+                    'Represent competing schools of thought fairly',
+                    'Cite primary sources where possible'
+                ]
+            },
+
+            'research scientist': {
+                prefix: 'As a research scientist experienced in experimental design',
+                enhancements: [
+                    'Formulate testable hypotheses',
+                    'Control for confounding variables',
+                    'Describe how results would be validated'
+                ]
+            },
+
+            'subject matter expert': {
+                prefix: 'As a subject matter expert with practical and theoretical knowledge of the topic',
+                enhancements: [
+                    'Give accurate, up-to-date information',
+                    'Explain the reasoning behind recommendations',
+                    'Note common misconceptions'
+                ]
+            },
+
+            'doctoral advisor': {
+                prefix: 'As a doctoral advisor who guides students through research projects',
+                enhancements: [
+                    'Sharpen the research question',
+                    'Suggest methods suited to the question',
+                    'Point out weaknesses a reviewer would raise'
+                ]
+            },
+
+            'content strategist': {
+                prefix: 'As a content strategist who plans content that reaches and converts an audience',
+                enhancements: [
+                    'Define the audience and goal of each piece',
+                    'Plan distribution channels and formats',
+                    'Suggest metrics for success'
+                ]
+            },
+
+            analyst: {
+                prefix: 'As an analyst who turns information into clear, well-supported conclusions',
+                enhancements: [
+                    'Separate facts from assumptions',
+                    'Support conclusions with the data provided',
+                    'Highlight uncertainties'
+                ]
+            },
+
+            'academic expert': {
+                prefix: 'As an academic expert recognized for rigorous, well-sourced work',
+                enhancements: [
+                    'Use precise terminology',
+                    'Support claims with citations',
+                    'Acknowledge limitations and counterarguments'
+                ]
+            },
+
+            educator: {
+                prefix: 'As an experienced educator who makes difficult ideas easy to understand',
+                enhancements: [
+                    'Start from what the learner already knows',
+                    'Use examples and analogies',
+                    'Check understanding with short questions'
+                ]
+            },
+
+            trainer: {
+                prefix: 'As a corporate trainer who designs practical, hands-on learning',
+                enhancements: [
+                    'Set clear learning objectives',
+                    'Include exercises that practice the skill',
+                    'Keep each part short and focused'
+                ]
+            },
+
+            'analytics engineer': {
+                prefix: 'As an analytics engineer who builds reliable data models and pipelines',
+                enhancements: [
+                    'Write clear, testable SQL',
+                    'Document metric definitions',
+                    'Consider data freshness and quality checks'
+                ]
+            },
+
+            'database administrator': {
+                prefix: 'As a database administrator experienced in performance tuning and data integrity',
+                enhancements: [
+                    'Consider indexes and query plans',
+                    'Protect data integrity with constraints and transactions',
+                    'Plan for backups and migrations'
+                ]
+            },
+
+            'contracts specialist': {
+                prefix: 'As a contracts specialist experienced in drafting and negotiating agreements',
+                enhancements: [
+                    'Use clear, unambiguous language',
+                    'Identify obligations, deadlines and remedies for each party',
+                    'Point out missing or one-sided terms'
+                ]
+            },
+
+            'compliance officer': {
+                prefix: 'As a compliance officer familiar with regulatory requirements and audits',
+                enhancements: [
+                    'Identify which regulations apply',
+                    'List concrete controls and documentation needed',
+                    'Flag areas of regulatory risk'
+                ]
+            },
+
+            'clinical researcher': {
+                prefix: 'As a clinical researcher who evaluates medical evidence and trial data',
+                enhancements: [
+                    'Rate the quality of the evidence',
+                    'Distinguish correlation from causation',
+                    'Note the populations the evidence applies to'
+                ]
+            },
+
+            'health educator': {
+                prefix: 'As a health educator who explains health topics in plain language',
+                enhancements: [
+                    'Avoid jargon or define it',
+                    'Give practical, safe steps',
+                    'Encourage professional care when appropriate'
+                ]
+            },
+
+            'localization specialist': {
+                prefix: 'As a localization specialist who adapts content for different markets',
+                enhancements: [
+                    'Adapt cultural references, units and formats',
+                    'Keep brand voice consistent across languages',
+                    'Flag content that may not suit the target market'
+                ]
+            },
+
+            linguist: {
+                prefix: 'As a linguist with expertise in grammar, meaning and usage across languages',
+                enhancements: [
+                    'Explain nuances of meaning and usage',
+                    'Point out regional variations',
+                    'Give examples in context'
+                ]
+            },
+
+            'research assistant': {
+                prefix: 'As a research assistant who gathers and organizes information carefully',
+                enhancements: [
+                    'Stick to what the sources say',
+                    'Organize findings clearly',
+                    'Note where information is missing or conflicting'
+                ]
+            },
+
+            'visual artist': {
+                prefix: 'As a visual artist with a strong grasp of composition, color and style',
+                enhancements: [
+                    'Describe the image in concrete visual terms',
+                    'Choose a coherent style and palette',
+                    'Consider focal point and balance'
+                ]
+            },
+
+            photographer: {
+                prefix: 'As a professional photographer experienced in lighting and composition',
+                enhancements: [
+                    'Specify camera angle, lens and depth of field',
+                    'Describe the lighting and time of day',
+                    'Describe the mood the image should convey'
+                ]
             }
         };
     }
@@ -487,6 +1294,62 @@ class OptimizationRules {
                     'References'
                 ],
                 format: 'academic_paper'
+            },
+
+            // Task-specific structures, referenced by a task type's outputStructure
+            data_analysis: {
+                structure: ['Question', 'Query or Method', 'Results', 'Interpretation', 'Caveats'],
+                format: 'data_analysis'
+            },
+
+            legal_analysis: {
+                structure: ['Issue', 'Applicable Law', 'Analysis', 'Risks', 'Recommended Next Steps'],
+                format: 'legal_memo'
+            },
+
+            medical_information: {
+                structure: ['Overview', 'Possible Causes or Options', 'What the Evidence Says', 'When to See a Doctor'],
+                format: 'patient_information'
+            },
+
+            translation: {
+                structure: ['Translation', 'Translator Notes'],
+                format: 'translation'
+            },
+
+            summary: {
+                structure: ['Summary', 'Key Points', 'Action Items'],
+                format: 'summary'
+            },
+
+            image_prompt: {
+                structure: ['Subject', 'Setting', 'Style', 'Lighting and Color', 'Composition', 'Exclusions'],
+                format: 'image_prompt'
+            },
+
+            concise: {
+                structure: ['Answer', 'Key Details'],
+                format: 'short_answer'
+            },
+
+            casual: {
+                structure: ['Quick Answer', 'Explanation', 'Tips'],
+                format: 'conversational'
+            },
+
+            socratic: {
+                structure: ['Guiding Question', 'Hint', 'Follow-up Question'],
+                format: 'dialogue'
+            },
+
+            eli5: {
+                structure: ['Simple Explanation', 'Everyday Analogy', 'One-Sentence Recap'],
+                format: 'plain_explanation'
+            },
+
+            tutor: {
+                structure: ['Learning Goal', 'Step-by-Step Explanation', 'Worked Example', 'Practice Question', 'Answer'],
+                format: 'lesson'
             }
         };
     }
@@ -515,6 +1378,40 @@ class OptimizationRules {
                 quick: { timeframe: 'minutes', detail_level: 'summary' },
                 thorough: { timeframe: 'hours', detail_level: 'comprehensive' },
                 research: { timeframe: 'days', detail_level: 'exhaustive' }
+            },
+
+            // Requirements added to prompts of each task type
+            taskTypes: {
+                data: [
+                    'State the SQL dialect or tool the answer assumes',
+                    'Show each query or formula with the result it produces',
+                    'Call out assumptions about the data, such as nulls, duplicates and units'
+                ],
+                legal: [
+                    'State which jurisdiction the answer assumes',
+                    'Cite the laws, clauses or cases relied on',
+                    'Flag where a licensed lawyer should review the answer'
+                ],
+                medical: [
+                    'Base the answer on current clinical guidelines and cite them',
+                    'Say which symptoms or situations need prompt medical attention',
+                    'Treat this as general information, not a diagnosis'
+                ],
+                translation: [
+                    'Keep names, numbers, formatting and code unchanged',
+                    'Match the tone and register of the source text',
+                    'Flag idioms or terms that have no direct equivalent'
+                ],
+                summarization: [
+                    'Use only information from the provided text',
+                    'Keep the key figures, names and dates',
+                    'Lead with the main point, then the supporting details'
+                ],
+                image_generation: [
+                    'Describe the subject, setting, style, lighting and composition',
+                    'Give the aspect ratio and level of detail',
+                    'List anything that should not appear in the image'
+                ]
             }
         };
     }
@@ -526,6 +1423,27 @@ class OptimizationRules {
         return this.platformRules[platform] || this.platformRules.chatgpt;
     }
 
+    /**
+     * Token budget for a platform. Rules that only set maxOptimalLength get a characters / 4 estimate.
+     */
+    getMaxOptimalTokens(platform) {
+        const platformRules = this.getPlatformRules(platform);
+        return platformRules.maxOptimalTokens || Math.round(platformRules.maxOptimalLength / 4);
+    }
+
+    /**
+     * Platform whose rules fit a bot on a multi-bot platform such as Poe or HuggingChat, matched by name
+     * prefix, or null
+     */
+    getBotPlatform(platform, bot) {
+        const bots = this.getPlatformRules(platform).bots;
+        if (!bots || !bot) return null;
+
+        const name = bot.replace(/^@/, '').toLowerCase();
+        const match = Object.entries(bots).find(([, prefixes]) => prefixes.some(prefix => name.startsWith(prefix)));
+        return match && this.platformRules[match[0]] ? match[0] : null;
+    }
+
     /**
      * Get style-specific optimization rules
      */
@@ -534,27 +1452,40 @@ class OptimizationRules {
     }
 
     /**
-     * Detect task type from prompt text
+     * Output structure a style asks for, or null
+     */
+    getStyleStructure(style) {
+        return this.outputStructures[style] || null;
+    }
+
+    /**
+     * Detect task type from prompt text. A rule pack pattern added to a built-in type decides
+     * that type outright. Otherwise task types the classifier knows use its calibrated
+     * probability; types added by rule packs, or all types when no classifier is loaded, use
+     * the share of their patterns that match.
      */
     detectTaskType(prompt) {
         const results = {};
+        const prediction = this.classifyTask(prompt);
         
         for (const [taskType, config] of Object.entries(this.taskDetectionPatterns)) {
-            let matches = 0;
-            let totalPatterns = config.patterns.length;
-            
-            for (const pattern of config.patterns) {
-                if (pattern.test(prompt)) {
-                    matches++;
-                }
+            const classified = prediction && taskType in prediction.probabilities;
+            let confidence;
+            if (config.packPatterns?.some(pattern => pattern.test(prompt))) {
+                confidence = 1;
+            } else if (classified) {
+                confidence = prediction.probabilities[taskType];
+            } else {
+                confidence = this.matchTaskPatterns(prompt, config);
             }
-            
-            const confidence = (matches / totalPatterns) * config.confidence;
-            if (confidence > 0.3) {
+            const threshold = classified ? this.classifier.constructor.MIN_CONFIDENCE : 0.3;
+
+            if (confidence > threshold) {
                 results[taskType] = {
                     confidence,
                     suggestedStyles: config.suggestedStyles,
-                    expertRoles: config.expertRoles
+                    expertRoles: this.getTaskRoles(taskType),
+                    ...(prediction && { probabilities: prediction.probabilities })
                 };
             }
         }
@@ -566,6 +1497,18 @@ class OptimizationRules {
         return sortedResults.length > 0 ? sortedResults[0] : null;
     }
 
+    /**
+     * Calibrated probability of each task type, or null without a classifier
+     */
+    classifyTask(prompt) {
+        return this.classifier ? this.classifier.predict(prompt) : null;
+    }
+
+    matchTaskPatterns(prompt, config) {
+        const matches = config.patterns.filter(pattern => pattern.test(prompt)).length;
+        return (matches / config.patterns.length) * config.confidence;
+    }
+
     /**
      * Get expert role for detected task and style
      */
@@ -573,6 +1516,12 @@ class OptimizationRules {
         const styleRules = this.getStyleRules(style);
         const expertRoles = styleRules.expertRoles || ['expert'];
         
+        // The user's own roles for this task win over the style's roles
+        const customRole = this.customRoles.find(role => role.taskTypes.includes(taskType));
+        if (customRole) {
+            return customRole.name;
+        }
+
         if (taskType && this.taskDetectionPatterns[taskType]) {
             const taskRoles = this.taskDetectionPatterns[taskType].expertRoles;
             // Find intersection of style and task roles
@@ -585,6 +1534,47 @@ class OptimizationRules {
         return expertRoles[0];
     }
 
+    /**
+     * Use the user's own roles, from CustomRoleManager
+     */
+    setCustomRoles(roles = []) {
+        this.customRoles = roles;
+    }
+
+    /**
+     * Prefix and enhancements of a role; the user's roles override built-in ones with the same name
+     */
+    getRoleDefinition(name) {
+        const customRole = this.customRoles.find(role => role.name === name);
+        return customRole || this.expertRoles[name] || null;
+    }
+
+    /**
+     * Roles for a task type, the user's own first
+     */
+    getTaskRoles(taskType) {
+        const custom = this.customRoles
+            .filter(role => role.taskTypes.includes(taskType))
+            .map(role => role.name);
+        const builtIn = this.taskDetectionPatterns[taskType]?.expertRoles || [];
+        return [...new Set([...custom, ...builtIn])];
+    }
+
+    /**
+     * Requirements for prompts of a task type
+     */
+    getTaskConstraints(taskType) {
+        return (taskType && this.contextualConstraints.taskTypes?.[taskType]) || [];
+    }
+
+    /**
+     * Output structure a task type asks for, or null
+     */
+    getOutputStructure(taskType) {
+        const name = taskType && this.taskDetectionPatterns[taskType]?.outputStructure;
+        return (name && this.outputStructures[name]) || null;
+    }
+
     /**
      * Generate contextual constraints based on prompt analysis
      */
@@ -616,10 +1606,136 @@ class OptimizationRules {
             constraints.push('Include specific implementation details and code examples');
         } else if (style === 'creative') {
             constraints.push('Explore multiple creative approaches and alternatives');
+        } else if (this.styleRules[style]?.constraints) {
+            constraints.push(...this.styleRules[style].constraints);
         }
+
+        // Task-based constraints
+        const taskType = this.detectTaskType(prompt)?.[0];
+        constraints.push(...this.getTaskConstraints(taskType));
+        const outputStructure = this.getOutputStructure(taskType);
+        if (outputStructure) {
+            constraints.push(`Structure the response as: ${outputStructure.structure.join(', ')}`);
+        }
+
+        // Rule pack constraints
+        constraints.push(...this.getPackConstraints(prompt, style, platform));
         
         return constraints;
     }
+
+    /**
+     * Layer rule packs over the built-in rules, in order. Replaces any previously applied packs.
+     */
+    applyRulePacks(packs = []) {
+        this.resetToBuiltIns();
+
+        for (const pack of packs) {
+            this.mergeRulePack(pack);
+            this.activeRulePacks.push(pack.id);
+        }
+
+        return this.activeRulePacks;
+    }
+
+    /**
+     * Merge a single validated pack: objects merge deeply, lists are extended, values are overridden
+     */
+    mergeRulePack(pack) {
+        const rules = pack.rules || {};
+
+        for (const [section, value] of Object.entries(rules)) {
+            if (section === 'promptConstraints') {
+                value.forEach((constraint, index) => {
+                    this.promptConstraints.push({
+                        id: constraint.id || `${pack.id}:${index}`,
+                        packId: pack.id,
+                        text: constraint.text,
+                        when: this.compileConstraintCondition(constraint.when)
+                    });
+                });
+            } else if (section === 'taskDetectionPatterns') {
+                for (const [taskType, config] of Object.entries(value)) {
+                    const compiled = { ...config };
+                    if (config.patterns) {
+                        compiled.patterns = config.patterns.map(pattern => new RegExp(pattern, 'i'));
+                    }
+
+                    if (!this.taskDetectionPatterns[taskType]) {
+                        if (!compiled.patterns || compiled.patterns.length === 0) {
+                            console.warn(`[OptimizationRules] Rule pack ${pack.id}: no patterns for "${taskType}", skipped`);
+                            continue;
+                        }
+                        this.taskDetectionPatterns[taskType] = {
+                            confidence: 0.8,
+                            suggestedStyles: [],
+                            expertRoles: [],
+                            ...compiled
+                        };
+                    } else {
+                        // Kept apart from the built-in patterns so detectTaskType can let them overrule the classifier
+                        if (compiled.patterns) {
+                            compiled.packPatterns = compiled.patterns;
+                        }
+                        this.mergeRuleValues(this.taskDetectionPatterns[taskType], compiled);
+                    }
+                }
+            } else if (this[section]) {
+                this.mergeRuleValues(this[section], value);
+            }
+        }
+    }
+
+    mergeRuleValues(target, source) {
+        for (const [key, value] of Object.entries(source)) {
+            const current = target[key];
+
+            if (Array.isArray(current) && Array.isArray(value)) {
+                const added = value.filter(item => !current.some(existing => String(existing) === String(item)));
+                target[key] = [...current, ...added];
+            } else if (this.isMergeableObject(current) && this.isMergeableObject(value)) {
+                target[key] = this.mergeRuleValues({ ...current }, value);
+            } else {
+                target[key] = value;
+            }
+        }
+
+        return target;
+    }
+
+    isMergeableObject(value) {
+        return value !== null && typeof value === 'object' && !Array.isArray(value) && !(value instanceof RegExp);
+    }
+
+    compileConstraintCondition(when = {}) {
+        return {
+            platforms: when.platforms || null,
+            styles: when.styles || null,
+            taskTypes: when.taskTypes || null,
+            pattern: when.pattern ? new RegExp(when.pattern, 'i') : null
+        };
+    }
+
+    /**
+     * Rule pack constraints whose conditions match the prompt
+     */
+    getPackConstraints(prompt, style, platform) {
+        if (this.promptConstraints.length === 0) {
+            return [];
+        }
+
+        const needsTaskType = this.promptConstraints.some(constraint => constraint.when.taskTypes);
+        const taskType = needsTaskType ? this.detectTaskType(prompt)?.[0] : null;
+
+        return this.promptConstraints
+            .filter(({ when }) =>
+                (!when.platforms || when.platforms.includes(platform)) &&
+                (!when.styles || when.styles.includes(style)) &&
+                (!when.taskTypes || when.taskTypes.includes(taskType)) &&
+                (!when.pattern || when.pattern.test(prompt))
+            )
+            .map(constraint => constraint.text);
+    }
 }
 
 // Export for use in other modules
@@ -0,0 +1,398 @@
+/**
+ * MyAyAI Pricing Registry
+ * Versioned per-platform model pricing used for cost metrics, with importable tables
+ */
+
+class PricingRegistry {
+    static FORMAT_VERSION = 1;
+
+    static STORAGE_KEY = 'myayai_pricing_table';
+
+    static SITE_MODELS_KEY = 'myayai_site_models';
+
+    /**
+     * Built-in table. Prices are list prices per `per` tokens and contextWindow is the model's
+     * total token limit; import a newer table to update them.
+     * Copilot is priced at the API rates of the OpenAI model it runs. Poe, Character.AI and
+     * HuggingChat are left out on purpose: Poe bills per bot in points, Character.AI has no
+     * public API and HuggingChat is free and runs many open models.
+     */
+    static BUILT_IN_TABLE = Object.freeze({
+        formatVersion: 1,
+        version: '2025.1.0',
+        currency: 'USD',
+        per: 1000000,
+        platforms: {
+            chatgpt: {
+                name: 'ChatGPT',
+                defaultModel: 'gpt-4o',
+                models: {
+                    'gpt-4o': { name: 'GPT-4o', input: 2.5, output: 10, contextWindow: 128000 },
+                    'gpt-4o-mini': { name: 'GPT-4o mini', input: 0.15, output: 0.6, contextWindow: 128000 },
+                    o1: { name: 'o1', input: 15, output: 60, contextWindow: 200000 },
+                    'gpt-3.5-turbo': { name: 'GPT-3.5 Turbo', input: 0.5, output: 1.5, contextWindow: 16385 }
+                }
+            },
+            claude: {
+                name: 'Claude',
+                defaultModel: 'claude-3-5-sonnet',
+                models: {
+                    'claude-3-5-sonnet': { name: 'Claude 3.5 Sonnet', input: 3, output: 15, contextWindow: 200000 },
+                    'claude-3-5-haiku': { name: 'Claude 3.5 Haiku', input: 0.8, output: 4, contextWindow: 200000 },
+                    'claude-3-opus': { name: 'Claude 3 Opus', input: 15, output: 75, contextWindow: 200000 }
+                }
+            },
+            gemini: {
+                name: 'Gemini',
+                defaultModel: 'gemini-1.5-pro',
+                models: {
+                    'gemini-1.5-pro': { name: 'Gemini 1.5 Pro', input: 1.25, output: 5, contextWindow: 2000000 },
+                    'gemini-1.5-flash': { name: 'Gemini 1.5 Flash', input: 0.075, output: 0.3, contextWindow: 1000000 }
+                }
+            },
+            perplexity: {
+                name: 'Perplexity',
+                defaultModel: 'sonar',
+                models: {
+                    sonar: { name: 'Sonar', input: 1, output: 1, contextWindow: 127072 },
+                    'sonar-pro': { name: 'Sonar Pro', input: 3, output: 15, contextWindow: 200000 }
+                }
+            },
+            copilot: {
+                name: 'Copilot',
+                defaultModel: 'gpt-4o',
+                models: {
+                    'gpt-4o': { name: 'GPT-4o', input: 2.5, output: 10, contextWindow: 128000 }
+                }
+            },
+            deepseek: {
+                name: 'DeepSeek',
+                defaultModel: 'deepseek-chat',
+                models: {
+                    'deepseek-chat': { name: 'DeepSeek-V3', input: 0.27, output: 1.1, contextWindow: 64000 },
+                    'deepseek-reasoner': { name: 'DeepSeek-R1', input: 0.55, output: 2.19, contextWindow: 64000 }
+                }
+            },
+            mistral: {
+                name: 'Mistral Le Chat',
+                defaultModel: 'mistral-large',
+                models: {
+                    'mistral-large': { name: 'Mistral Large', input: 2, output: 6, contextWindow: 128000 },
+                    'mistral-small': { name: 'Mistral Small', input: 0.2, output: 0.6, contextWindow: 32000 }
+                }
+            },
+            grok: {
+                name: 'Grok',
+                defaultModel: 'grok-2',
+                models: {
+                    'grok-2': { name: 'Grok 2', input: 2, output: 10, contextWindow: 131072 }
+                }
+            }
+        }
+    });
+
+    constructor(storage = null, settingsStorage = null) {
+        const chromeStorage = typeof chrome !== 'undefined' && chrome.storage ? chrome.storage : null;
+        this.storage = storage || (chromeStorage ? chromeStorage.local : null);
+        this.settingsStorage = settingsStorage || (chromeStorage ? chromeStorage.sync : null);
+        this.importedTable = null;
+        this.siteModels = {};
+        this.loaded = false;
+    }
+
+    /**
+     * Load the imported table and per-site model choices from storage
+     */
+    async load() {
+        if (this.storage) {
+            const data = await this.storage.get([PricingRegistry.STORAGE_KEY]);
+            this.importedTable = data[PricingRegistry.STORAGE_KEY] || null;
+        }
+
+        if (this.settingsStorage) {
+            const settings = await this.settingsStorage.get([PricingRegistry.SITE_MODELS_KEY]);
+            this.siteModels = settings[PricingRegistry.SITE_MODELS_KEY] || {};
+        }
+
+        this.loaded = true;
+        return this.getTable();
+    }
+
+    async ensureLoaded() {
+        if (!this.loaded) {
+            await this.load();
+        }
+    }
+
+    /**
+     * The active table: the imported one unless a release ships a newer built-in
+     */
+    getTable() {
+        const builtIn = PricingRegistry.BUILT_IN_TABLE;
+        const imported = this.importedTable;
+
+        if (imported && this.compareVersions(imported.version, builtIn.version) >= 0) {
+            return imported;
+        }
+
+        return builtIn;
+    }
+
+    isUsingImportedTable() {
+        return this.getTable() === this.importedTable;
+    }
+
+    /**
+     * Compare dotted version strings numerically ("2025.2.10" > "2025.2.9")
+     */
+    compareVersions(a, b) {
+        const left = String(a).split('.');
+        const right = String(b).split('.');
+
+        for (let i = 0; i < Math.max(left.length, right.length); i++) {
+            const diff = (parseInt(left[i], 10) || 0) - (parseInt(right[i], 10) || 0);
+            if (diff !== 0) return Math.sign(diff);
+        }
+
+        return 0;
+    }
+
+    /**
+     * Parse a table from a JSON string or plain object
+     */
+    parseTable(input) {
+        if (typeof input !== 'string') {
+            return input;
+        }
+
+        try {
+            return JSON.parse(input);
+        } catch (error) {
+            throw new Error(`Pricing table is not valid JSON: ${error.message}`);
+        }
+    }
+
+    /**
+     * Validate a table against the pricing format
+     */
+    validateTable(table) {
+        const errors = [];
+
+        if (!this.isPlainObject(table)) {
+            return { valid: false, errors: ['Pricing table must be a JSON object'] };
+        }
+
+        if (table.formatVersion !== PricingRegistry.FORMAT_VERSION) {
+            errors.push(`formatVersion must be ${PricingRegistry.FORMAT_VERSION}`);
+        }
+
+        if (typeof table.version !== 'string' || !/^\d+(\.\d+)*$/.test(table.version)) {
+            errors.push('version must be a dotted number such as "2025.1.0"');
+        }
+
+        if (typeof table.currency !== 'string' || !/^[A-Z]{3}$/.test(table.currency)) {
+            errors.push('currency must be a 3-letter ISO code such as "USD"');
+        }
+
+        if (!this.isNonNegativeNumber(table.per) || table.per === 0) {
+            errors.push('per must be a positive number of tokens');
+        }
+
+        if (!this.isPlainObject(table.platforms) || Object.keys(table.platforms).length === 0) {
+            errors.push('platforms must be a non-empty object');
+            return { valid: false, errors };
+        }
+
+        for (const [platform, entry] of Object.entries(table.platforms)) {
+            errors.push(...this.validatePlatform(entry, `platforms.${platform}`));
+        }
+
+        return { valid: errors.length === 0, errors };
+    }
+
+    validatePlatform(entry, path) {
+        if (!this.isPlainObject(entry) || !this.isPlainObject(entry.models) || Object.keys(entry.models).length === 0) {
+            return [`${path}.models must be a non-empty object`];
+        }
+
+        const errors = [];
+
+        if (entry.name !== undefined && typeof entry.name !== 'string') {
+            errors.push(`${path}.name must be a string`);
+        }
+
+        if (!entry.models[entry.defaultModel]) {
+            errors.push(`${path}.defaultModel must name one of its models`);
+        }
+
+        for (const [modelId, model] of Object.entries(entry.models)) {
+            const modelPath = `${path}.models.${modelId}`;
+
+            if (!this.isPlainObject(model)) {
+                errors.push(`${modelPath} must be an object`);
+                continue;
+            }
+
+            ['input', 'output']
+                .filter(rate => !this.isNonNegativeNumber(model[rate]))
+                .forEach(rate => errors.push(`${modelPath}.${rate} must be a non-negative number`));
+
+            if (model.contextWindow !== undefined && !(Number.isInteger(model.contextWindow) && model.contextWindow > 0)) {
+                errors.push(`${modelPath}.contextWindow must be a positive integer`);
+            }
+
+            if (model.name !== undefined && typeof model.name !== 'string') {
+                errors.push(`${modelPath}.name must be a string`);
+            }
+        }
+
+        return errors;
+    }
+
+    /**
+     * Validate and store an imported table
+     */
+    async importTable(input) {
+        await this.ensureLoaded();
+
+        const table = this.parseTable(input);
+        const { valid, errors } = this.validateTable(table);
+
+        if (!valid) {
+            throw new Error(`Invalid pricing table: ${errors.join('; ')}`);
+        }
+
+        if (this.compareVersions(table.version, PricingRegistry.BUILT_IN_TABLE.version) < 0) {
+            throw new Error(`Pricing table ${table.version} is older than the built-in table ${PricingRegistry.BUILT_IN_TABLE.version}`);
+        }
+
+        this.importedTable = { ...table, importedAt: Date.now() };
+
+        if (this.storage) {
+            await this.storage.set({ [PricingRegistry.STORAGE_KEY]: this.importedTable });
+        }
+
+        return this.importedTable;
+    }
+
+    /**
+     * Drop the imported table and go back to the built-in prices
+     */
+    async resetTable() {
+        await this.ensureLoaded();
+        this.importedTable = null;
+
+        if (this.storage) {
+            await this.storage.remove(PricingRegistry.STORAGE_KEY);
+        }
+    }
+
+    /**
+     * The active table's entry for a platform, or null when the platform is not priced
+     */
+    getPlatformEntry(platform) {
+        return this.getTable().platforms[platform] || null;
+    }
+
+    /**
+     * Model used on a site: the user's choice if it is still priced, otherwise the table default
+     */
+    getSiteModel(platform) {
+        const entry = this.getPlatformEntry(platform);
+        if (!entry) return null;
+
+        const chosen = this.siteModels[platform];
+        return chosen && entry.models[chosen] ? chosen : entry.defaultModel;
+    }
+
+    async setSiteModel(platform, modelId) {
+        await this.ensureLoaded();
+
+        const entry = this.getPlatformEntry(platform);
+        if (!entry) {
+            throw new Error(`No pricing for ${platform}`);
+        }
+
+        if (!entry.models[modelId]) {
+            throw new Error(`Unknown model '${modelId}' for ${platform}`);
+        }
+
+        this.siteModels = { ...this.siteModels, [platform]: modelId };
+
+        if (this.settingsStorage) {
+            await this.settingsStorage.set({ [PricingRegistry.SITE_MODELS_KEY]: this.siteModels });
+        }
+    }
+
+    /**
+     * Input and output rates for a platform's model, or null when the platform is not priced
+     */
+    getModelPricing(platform, modelId = null) {
+        const table = this.getTable();
+        const entry = this.getPlatformEntry(platform);
+        if (!entry) return null;
+
+        const id = modelId && entry.models[modelId] ? modelId : this.getSiteModel(platform);
+        const model = entry.models[id];
+
+        return {
+            platform,
+            modelId: id,
+            name: model.name || id,
+            input: model.input,
+            output: model.output,
+            contextWindow: model.contextWindow || null,
+            currency: table.currency,
+            per: table.per
+        };
+    }
+
+    /**
+     * Cost of a request in the table's currency, or null when the platform is not priced
+     */
+    calculateCost({ inputTokens = 0, outputTokens = 0 } = {}, platform, modelId = null) {
+        const pricing = this.getModelPricing(platform, modelId);
+        if (!pricing) return null;
+
+        return (inputTokens * pricing.input + outputTokens * pricing.output) / pricing.per;
+    }
+
+    /**
+     * Platforms and their priced models, for settings UIs
+     */
+    listPlatforms() {
+        return Object.entries(this.getTable().platforms).map(([platform, entry]) => ({
+            platform,
+            name: entry.name || platform,
+            selectedModel: this.getSiteModel(platform),
+            models: Object.entries(entry.models).map(([id, model]) => ({
+                id,
+                name: model.name || id,
+                input: model.input,
+                output: model.output,
+                contextWindow: model.contextWindow || null
+            }))
+        }));
+    }
+
+    formatCurrency(amount, currency = this.getTable().currency) {
+        return new Intl.NumberFormat('en-US', { style: 'currency', currency }).format(amount);
+    }
+
+    isNonNegativeNumber(value) {
+        return typeof value === 'number' && Number.isFinite(value) && value >= 0;
+    }
+
+    isPlainObject(value) {
+        return value !== null && typeof value === 'object' && !Array.isArray(value);
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = PricingRegistry;
+} else if (typeof window !== 'undefined') {
+    window.PricingRegistry = PricingRegistry;
+} else {
+    self.PricingRegistry = PricingRegistry;
+}
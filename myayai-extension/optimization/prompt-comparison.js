@@ -0,0 +1,114 @@
+/**
+ * MyAyAI Prompt Comparison
+ * Scores two or more prompt variants side by side: per-criterion and per-factor scores,
+ * token counts and a word-level diff against the first variant
+ */
+
+class PromptComparison {
+    static MIN_VARIANTS = 2;
+
+    static MAX_VARIANTS = 4;
+
+    constructor(scorer = null, tokenizer = null, differ = null) {
+        this.scorer = scorer || new (self.QualityScorer || QualityScorer)();
+        this.tokenizer = tokenizer || this.scorer.tokenizer;
+        this.differ = differ || new (self.TextDiff || TextDiff)();
+    }
+
+    /**
+     * Variant labels A, B, C...
+     */
+    getLabel(index) {
+        return String.fromCharCode(65 + index);
+    }
+
+    /**
+     * Compare prompt variants. The first is the baseline the others are diffed against.
+     * The winner has the highest overall score; ties go to the shorter prompt, then the earlier one.
+     */
+    compare(variants, { platform = 'chatgpt', style = 'professional' } = {}) {
+        const texts = (Array.isArray(variants) ? variants : []).map(text => String(text ?? ''));
+
+        if (texts.filter(text => text.trim()).length < PromptComparison.MIN_VARIANTS) {
+            throw new Error(`Add at least ${PromptComparison.MIN_VARIANTS} prompt variants to compare`);
+        }
+        if (texts.length > PromptComparison.MAX_VARIANTS) {
+            throw new Error(`Compare at most ${PromptComparison.MAX_VARIANTS} prompt variants at a time`);
+        }
+        const emptyIndex = texts.findIndex(text => !text.trim());
+        if (emptyIndex !== -1) {
+            throw new Error(`Variant ${this.getLabel(emptyIndex)} is empty`);
+        }
+
+        const baseline = texts[0];
+        const results = texts.map((text, index) => {
+            const score = this.scorer.calculateQualityScore(text, style, platform);
+            const diff = index === 0 ? null : this.differ.diff(baseline, text);
+
+            return {
+                index,
+                label: this.getLabel(index),
+                text,
+                overall: score.overall,
+                grade: score.grade,
+                tokens: this.tokenizer.countTokens(text, platform),
+                words: text.trim().split(/\s+/).length,
+                criteria: Object.fromEntries(Object.entries(score.breakdown).map(([criterion, result]) =>
+                    [criterion, { score: result.score, factors: result.factors }])),
+                diff,
+                changes: diff ? this.countChanges(diff) : null
+            };
+        });
+
+        const criteria = Object.entries(this.scorer.scoringCriteria).map(([criterion, config]) => ({
+            name: criterion,
+            description: config.description,
+            weight: config.weight,
+            best: this.findBest(results.map(result => result.criteria[criterion].score)),
+            factors: config.factors.map(factor => ({
+                name: factor.name,
+                weight: factor.weight,
+                best: this.findBest(results.map(result => result.criteria[criterion].factors[factor.name]))
+            }))
+        }));
+
+        const winner = results.reduce((best, result) => {
+            if (result.overall !== best.overall) return result.overall > best.overall ? result : best;
+            return result.tokens < best.tokens ? result : best;
+        });
+
+        return { platform, style, variants: results, criteria, winner: winner.index };
+    }
+
+    /**
+     * Indices of the highest value; empty when every variant scores the same
+     */
+    findBest(values) {
+        const max = Math.max(...values);
+        if (values.every(value => value === max)) return [];
+
+        return values.reduce((indices, value, index) => (value === max ? [...indices, index] : indices), []);
+    }
+
+    /**
+     * Words added and removed relative to the baseline
+     */
+    countChanges(diff) {
+        const countWords = text => (text.match(/\S+/g) || []).length;
+
+        return diff.reduce((counts, op) => {
+            if (op.type === 'insert') counts.added += countWords(op.text);
+            if (op.type === 'delete') counts.removed += countWords(op.text);
+            return counts;
+        }, { added: 0, removed: 0 });
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = PromptComparison;
+} else if (typeof window !== 'undefined') {
+    window.PromptComparison = PromptComparison;
+} else {
+    self.PromptComparison = PromptComparison;
+}
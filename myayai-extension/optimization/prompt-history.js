@@ -0,0 +1,308 @@
+/**
+ * MyAyAI Prompt History
+ * Every original, optimized and edited version of a prompt, kept as a tree per conversation URL
+ * in chrome.storage.local. Restoring a version makes it the parent of the next edit, so trying
+ * something different from an older version starts a branch.
+ */
+
+class PromptHistory {
+    static STORAGE_KEY = 'myayai_prompt_history';
+
+    static KINDS = Object.freeze(['original', 'optimized', 'edited']);
+
+    static KIND_LABELS = Object.freeze({
+        original: 'Original',
+        optimized: 'Optimized',
+        edited: 'Edited'
+    });
+
+    static MAX_CONVERSATIONS = 50;
+
+    static MAX_VERSIONS = 100;
+
+    constructor(storage = null, differ = null) {
+        this.storage = storage || (typeof chrome !== 'undefined' && chrome.storage ? chrome.storage.local : null);
+        this.differ = differ || new (self.TextDiff || TextDiff)();
+    }
+
+    /**
+     * Conversations are keyed by origin and path; query strings and hashes are ignored
+     */
+    getConversationKey(url) {
+        try {
+            const parsed = new URL(url);
+            return `${parsed.origin}${parsed.pathname.replace(/\/+$/, '')}`;
+        } catch (error) {
+            throw new Error(`Invalid conversation URL: ${url}`);
+        }
+    }
+
+    async loadAll() {
+        if (!this.storage) return {};
+
+        const data = await this.storage.get([PromptHistory.STORAGE_KEY]);
+        const stored = data[PromptHistory.STORAGE_KEY];
+        return stored && typeof stored === 'object' ? stored : {};
+    }
+
+    async saveAll(conversations) {
+        if (this.storage) {
+            await this.storage.set({ [PromptHistory.STORAGE_KEY]: conversations });
+        }
+    }
+
+    /**
+     * Add a version under parentId (the current head by default). kind defaults to 'edited' when
+     * there is a parent and 'original' when there is not. Text identical to the parent or to one
+     * of its children reuses that version instead of adding a duplicate.
+     */
+    async record(url, { text, kind, parentId, platform = null }) {
+        if (typeof text !== 'string' || !text.trim()) {
+            throw new Error('Prompt version needs text');
+        }
+        if (kind !== undefined && !PromptHistory.KINDS.includes(kind)) {
+            throw new Error(`Version kind must be one of: ${PromptHistory.KINDS.join(', ')}`);
+        }
+
+        const key = this.getConversationKey(url);
+        const conversations = await this.loadAll();
+        const now = Date.now();
+        const conversation = conversations[key] || { url: key, platform, headId: null, createdAt: now, versions: [] };
+        const parent = this.findVersion(conversation, parentId === undefined ? conversation.headId : parentId);
+        const parentKey = parent ? parent.id : null;
+
+        const existing = parent && parent.text === text
+            ? parent
+            : conversation.versions.find(version => version.parentId === parentKey && version.text === text);
+
+        let version = existing;
+        if (!version) {
+            version = {
+                id: this.generateId(),
+                parentId: parentKey,
+                kind: kind || (parent ? 'edited' : 'original'),
+                text,
+                createdAt: now
+            };
+            conversation.versions.push(version);
+        }
+
+        conversation.headId = version.id;
+        conversation.platform = platform || conversation.platform;
+        conversation.updatedAt = now;
+        conversations[key] = this.pruneVersions(conversation);
+
+        await this.saveAll(this.pruneConversations(conversations));
+        return this.copy(version);
+    }
+
+    /**
+     * Record the text before an optimization and the text that was applied, as parent and child
+     */
+    async recordOptimization(url, { original, optimized, platform = null }) {
+        const before = await this.record(url, { text: original, platform });
+        const after = await this.record(url, { text: optimized, kind: 'optimized', parentId: before.id, platform });
+        return { original: before, optimized: after };
+    }
+
+    /**
+     * Record the prompt that was sent. The next prompt in the conversation starts a new tree
+     * unless an earlier version is restored first.
+     */
+    async recordSend(url, { text, platform = null }) {
+        const version = await this.record(url, { text, platform });
+        const conversations = await this.loadAll();
+        const conversation = conversations[this.getConversationKey(url)];
+        const stored = this.findVersion(conversation, version.id);
+
+        stored.sentAt = Date.now();
+        conversation.headId = null;
+        await this.saveAll(conversations);
+        return this.copy(stored);
+    }
+
+    /**
+     * Make a version the current one; the next edit becomes its child. Returns the version.
+     */
+    async restore(url, id) {
+        const conversations = await this.loadAll();
+        const conversation = conversations[this.getConversationKey(url)];
+        const version = this.findVersion(conversation, id);
+        if (!version) {
+            throw new Error('Prompt version not found');
+        }
+
+        conversation.headId = version.id;
+        conversation.updatedAt = Date.now();
+        await this.saveAll(conversations);
+        return this.copy(version);
+    }
+
+    /**
+     * Move the history of a new chat to the URL the site gave it after the first send.
+     * Does nothing when the target already has history.
+     */
+    async moveConversation(fromUrl, toUrl) {
+        const from = this.getConversationKey(fromUrl);
+        const to = this.getConversationKey(toUrl);
+        const conversations = await this.loadAll();
+        if (from === to || !conversations[from] || conversations[to]) return false;
+
+        conversations[to] = { ...conversations[from], url: to, updatedAt: Date.now() };
+        delete conversations[from];
+        await this.saveAll(conversations);
+        return true;
+    }
+
+    async getConversation(url) {
+        const conversations = await this.loadAll();
+        const conversation = conversations[this.getConversationKey(url)];
+        return conversation ? this.copy(conversation) : null;
+    }
+
+    /**
+     * Conversations with history, most recently changed first
+     */
+    async listConversations() {
+        const conversations = await this.loadAll();
+
+        return Object.values(conversations)
+            .map(conversation => ({
+                url: conversation.url,
+                platform: conversation.platform,
+                versionCount: conversation.versions.length,
+                updatedAt: conversation.updatedAt,
+                preview: conversation.versions[conversation.versions.length - 1]?.text.slice(0, 80) || ''
+            }))
+            .sort((a, b) => b.updatedAt - a.updatedAt);
+    }
+
+    /**
+     * Versions in tree order, oldest first, each with its depth for indentation and its
+     * number in the order versions were created
+     */
+    flatten(conversation) {
+        if (!conversation) return [];
+
+        const numbers = new Map([...conversation.versions]
+            .sort((a, b) => a.createdAt - b.createdAt)
+            .map((version, index) => [version.id, index + 1]));
+        const byParent = new Map();
+        conversation.versions.forEach(version => {
+            const siblings = byParent.get(version.parentId) || [];
+            siblings.push(version);
+            byParent.set(version.parentId, siblings);
+        });
+
+        const rows = [];
+        const visit = (parentId, depth) => {
+            (byParent.get(parentId) || [])
+                .sort((a, b) => a.createdAt - b.createdAt)
+                .forEach(version => {
+                    rows.push({
+                        version,
+                        depth,
+                        number: numbers.get(version.id),
+                        isHead: version.id === conversation.headId
+                    });
+                    visit(version.id, depth + 1);
+                });
+        };
+        visit(null, 0);
+
+        return rows;
+    }
+
+    /**
+     * Short label for a row from flatten(), such as "#3 Optimized"
+     */
+    describe(row) {
+        return `#${row.number} ${PromptHistory.KIND_LABELS[row.version.kind] || row.version.kind}`;
+    }
+
+    /**
+     * Word-level diff between two versions of a conversation
+     */
+    async diff(url, fromId, toId) {
+        const conversation = await this.getConversation(url);
+        const from = this.findVersion(conversation, fromId);
+        const to = this.findVersion(conversation, toId);
+        if (!from || !to) {
+            throw new Error('Prompt version not found');
+        }
+
+        const ops = this.differ.diff(from.text, to.text);
+        return { from, to, ops, changes: this.countChanges(ops) };
+    }
+
+    countChanges(ops) {
+        const countWords = text => (text.match(/\S+/g) || []).length;
+
+        return ops.reduce((counts, op) => {
+            if (op.type === 'insert') counts.added += countWords(op.text);
+            if (op.type === 'delete') counts.removed += countWords(op.text);
+            return counts;
+        }, { added: 0, removed: 0 });
+    }
+
+    async removeConversation(url) {
+        const conversations = await this.loadAll();
+        delete conversations[this.getConversationKey(url)];
+        await this.saveAll(conversations);
+    }
+
+    async clear() {
+        if (this.storage) {
+            await this.storage.remove(PromptHistory.STORAGE_KEY);
+        }
+    }
+
+    findVersion(conversation, id) {
+        if (!conversation || !id) return null;
+        return conversation.versions.find(version => version.id === id) || null;
+    }
+
+    /**
+     * Drop the oldest versions past the limit, keeping the head. Children of a dropped version
+     * move up to its parent so the tree stays connected.
+     */
+    pruneVersions(conversation) {
+        while (conversation.versions.length > PromptHistory.MAX_VERSIONS) {
+            const oldest = conversation.versions.find(version => version.id !== conversation.headId);
+            conversation.versions = conversation.versions.filter(version => version !== oldest);
+            conversation.versions.forEach(version => {
+                if (version.parentId === oldest.id) {
+                    version.parentId = oldest.parentId;
+                }
+            });
+        }
+        return conversation;
+    }
+
+    pruneConversations(conversations) {
+        const keys = Object.keys(conversations)
+            .sort((a, b) => conversations[b].updatedAt - conversations[a].updatedAt);
+
+        keys.slice(PromptHistory.MAX_CONVERSATIONS).forEach(key => {
+            delete conversations[key];
+        });
+        return conversations;
+    }
+
+    generateId() {
+        return `ver_${Date.now().toString(36)}_${Math.random().toString(36).substr(2, 9)}`;
+    }
+
+    copy(value) {
+        return JSON.parse(JSON.stringify(value));
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = PromptHistory;
+} else if (typeof window !== 'undefined') {
+    window.PromptHistory = PromptHistory;
+} else {
+    self.PromptHistory = PromptHistory;
+}
@@ -0,0 +1,391 @@
+/**
+ * MyAyAI Prompt Linter
+ * ESLint-style checks for prompts: diagnostics with stable rule IDs, severities, character
+ * ranges and optional fixes, configurable per rule
+ */
+
+class PromptLinter {
+    static SEVERITIES = Object.freeze(['off', 'info', 'warning', 'error']);
+
+    static CONFIG_KEY = 'myayai_lint_config';
+
+    static MAX_FIX_PASSES = 10;
+
+    constructor(settingsStorage = null) {
+        const chromeStorage = typeof chrome !== 'undefined' && chrome.storage ? chrome.storage : null;
+        this.settingsStorage = settingsStorage || (chromeStorage ? chromeStorage.sync : null);
+        this.protectedRegions = new (self.ProtectedRegions || ProtectedRegions)();
+        this.rules = this.initializeRules();
+        this.config = {};
+    }
+
+    /**
+     * Built-in rules. check() returns reports { start, end, message, fix? } where fix is
+     * { range: [start, end], text }; fixable rules may offer one. Reports inside code, URLs,
+     * paths, quotes or JSON are dropped unless the rule looks at the whole prompt.
+     */
+    initializeRules() {
+        return [
+            {
+                id: 'min-length',
+                description: 'Prompts need enough words to carry context and requirements',
+                severity: 'warning',
+                wholePrompt: true,
+                check: (prompt, context) => {
+                    if (context.wordCount === 0 || context.wordCount >= 10) return [];
+                    return [{
+                        ...context.trimmedRange,
+                        message: `Prompt is only ${context.wordCount} word${context.wordCount === 1 ? '' : 's'}; add context and what you need`
+                    }];
+                }
+            },
+            {
+                id: 'clear-request',
+                description: 'Ask a question or give an instruction',
+                severity: 'warning',
+                wholePrompt: true,
+                check: (prompt, context) => {
+                    if (context.wordCount < 3 || prompt.includes('?')) return [];
+
+                    const sentences = prompt.split(/(?<=[.!])\s+|\n+/).map(sentence => sentence.trim().toLowerCase());
+                    const verbs = /^(?:please\b|(?:can|could|would|will) you\b|(?:write|create|explain|list|describe|summarize|summarise|compare|analy[sz]e|generate|make|give|show|tell|help|review|fix|find|translate|draft|design|build|suggest|provide|rewrite|convert|calculate|plan|outline|debug|refactor|implement|evaluate|recommend|identify|improve|edit|proofread|answer|solve|brainstorm)\b)/;
+                    if (sentences.some(sentence => verbs.test(sentence)) || /\b(?:i need|i want|help me)\b/i.test(prompt)) return [];
+
+                    return [{ ...context.trimmedRange, message: 'No clear question or instruction; say what you want the model to do' }];
+                }
+            },
+            {
+                id: 'specify-output-format',
+                description: 'Longer prompts should say how the answer should be formatted',
+                severity: 'info',
+                wholePrompt: true,
+                check: (prompt, context) => {
+                    if (context.wordCount <= 30 ||
+                        /\b(?:format|structure|bullet|list|table|json|markdown|paragraphs?|steps?|outline|csv|sections?|headings?)\b/i.test(prompt)) {
+                        return [];
+                    }
+                    return [{ ...context.trimmedRange, message: 'No output format given; say how to format the answer, e.g. "as a bulleted list"' }];
+                }
+            },
+            {
+                id: 'no-vague-terms',
+                description: 'Replace vague words with the specific thing you mean',
+                severity: 'warning',
+                check: prompt => this.findAll(prompt, /\b(?:things?|stuff|something|anything|somehow|whatever|etc)\b/gi)
+                    .map(({ start, end, text }) => ({ start, end, message: `Vague term "${text}"; name what you mean` }))
+            },
+            {
+                id: 'no-hedging',
+                description: 'Hedges make the request ambiguous',
+                severity: 'info',
+                fixable: true,
+                check: prompt => this.findAll(prompt, /\b(?:maybe|perhaps|possibly)\b/gi)
+                    .map(({ start, end, text }) => ({
+                        start,
+                        end,
+                        message: `Hedging "${text}" makes the request ambiguous`,
+                        fix: this.removeWordFix(prompt, start, end)
+                    }))
+            },
+            {
+                id: 'no-filler-words',
+                description: 'Filler words add length without meaning',
+                severity: 'info',
+                fixable: true,
+                check: prompt => this.findAll(prompt, /\b(?:just|really|very|basically|actually|literally)\b/gi)
+                    .map(({ start, end, text }) => ({
+                        start,
+                        end,
+                        message: `Filler word "${text}"`,
+                        fix: this.removeWordFix(prompt, start, end)
+                    }))
+            },
+            {
+                id: 'prefer-direct-request',
+                description: 'Ask directly instead of indirectly',
+                severity: 'info',
+                fixable: true,
+                check: prompt => this.findAll(prompt, /\b(?:i was wondering if you could|i would like you to|would you mind|could you possibly|(?:can|could) you please)\b/gi)
+                    .map(({ start, end, text }) => ({
+                        start,
+                        end,
+                        message: `Indirect request "${text}"; ask directly`,
+                        fix: { range: [start, end], text: /^[A-Z]/.test(text) ? 'Please' : 'please' }
+                    }))
+            },
+            {
+                id: 'no-repeated-words',
+                description: 'The same word twice in a row is usually a typo',
+                severity: 'warning',
+                fixable: true,
+                check: prompt => this.findAll(prompt, /\b([A-Za-z]+)(\s+)\1\b/gi)
+                    .map(({ start, end, match }) => ({
+                        start,
+                        end,
+                        message: `"${match[1]}" is repeated`,
+                        fix: { range: [start + match[1].length, end], text: '' }
+                    }))
+            },
+            {
+                id: 'no-extra-whitespace',
+                description: 'Collapse repeated spaces, trailing spaces and runs of blank lines',
+                severity: 'warning',
+                fixable: true,
+                check: prompt => [
+                    ...this.findAll(prompt, /(?<=\S) {2,}(?=\S)/g)
+                        .map(({ start, end }) => ({ start, end, message: 'Repeated spaces', fix: { range: [start, end], text: ' ' } })),
+                    ...this.findAll(prompt, /[ \t]+$/gm)
+                        .map(({ start, end }) => ({ start, end, message: 'Trailing whitespace', fix: { range: [start, end], text: '' } })),
+                    ...this.findAll(prompt, /\n{3,}/g)
+                        .map(({ start, end }) => ({ start, end, message: 'More than one blank line', fix: { range: [start, end], text: '\n\n' } }))
+                ]
+            },
+            {
+                id: 'unbalanced-brackets',
+                description: 'Every (, [ and { needs a matching closing bracket',
+                severity: 'error',
+                check: (prompt, context) => this.findUnbalancedBrackets(prompt, context.regions)
+            },
+            {
+                id: 'no-unfilled-placeholders',
+                description: 'Template placeholders left in the prompt',
+                severity: 'error',
+                check: prompt => this.findAll(prompt, /\{[A-Za-z][A-Za-z0-9_]*(?:[:=?][^{}\n]*)?\}|\[(?:insert|add|your|enter|fill in)\b[^\]\n]*\]/gi)
+                    .map(({ start, end, text }) => ({ start, end, message: `Placeholder ${text} was not filled in` }))
+            }
+        ];
+    }
+
+    /**
+     * Load per-rule severities; rules not in the config use their default
+     */
+    async loadConfig() {
+        if (this.settingsStorage) {
+            const data = await this.settingsStorage.get([PromptLinter.CONFIG_KEY]);
+            const stored = data[PromptLinter.CONFIG_KEY] || {};
+            this.config = Object.fromEntries(Object.entries(stored).filter(([ruleId, severity]) =>
+                this.getRule(ruleId) && PromptLinter.SEVERITIES.includes(severity)));
+        }
+        return this.config;
+    }
+
+    async setRuleSeverity(ruleId, severity) {
+        const rule = this.getRule(ruleId);
+        if (!rule) {
+            throw new Error(`Unknown lint rule '${ruleId}'`);
+        }
+        if (!PromptLinter.SEVERITIES.includes(severity)) {
+            throw new Error(`Severity must be one of: ${PromptLinter.SEVERITIES.join(', ')}`);
+        }
+
+        this.config = { ...this.config };
+        if (severity === rule.severity) {
+            delete this.config[ruleId];
+        } else {
+            this.config[ruleId] = severity;
+        }
+
+        await this.saveConfig();
+    }
+
+    async resetConfig() {
+        this.config = {};
+        if (this.settingsStorage) {
+            await this.settingsStorage.remove(PromptLinter.CONFIG_KEY);
+        }
+    }
+
+    async saveConfig() {
+        if (this.settingsStorage) {
+            await this.settingsStorage.set({ [PromptLinter.CONFIG_KEY]: this.config });
+        }
+    }
+
+    getRule(ruleId) {
+        return this.rules.find(rule => rule.id === ruleId) || null;
+    }
+
+    getSeverity(ruleId, config = this.config) {
+        return config[ruleId] || this.getRule(ruleId)?.severity || 'off';
+    }
+
+    /**
+     * Rules with their default and configured severity, for the settings UI
+     */
+    listRules() {
+        return this.rules.map(rule => ({
+            id: rule.id,
+            description: rule.description,
+            defaultSeverity: rule.severity,
+            severity: this.getSeverity(rule.id),
+            fixable: Boolean(rule.fixable)
+        }));
+    }
+
+    /**
+     * Diagnostics { ruleId, severity, message, start, end, fix } sorted by position
+     */
+    lint(prompt, config = this.config) {
+        const text = String(prompt || '');
+        const regions = this.protectedRegions.findRegions(text);
+        const words = text.match(/\S+/g) || [];
+        const leading = text.length - text.trimStart().length;
+        const context = {
+            regions,
+            wordCount: words.length,
+            trimmedRange: { start: leading, end: leading + text.trim().length }
+        };
+        const diagnostics = [];
+
+        this.rules.forEach(rule => {
+            const severity = this.getSeverity(rule.id, config);
+            if (severity === 'off') return;
+
+            rule.check(text, context).forEach(report => {
+                if (!rule.wholePrompt && regions.some(region => report.start < region.end && report.end > region.start)) return;
+
+                diagnostics.push({
+                    ruleId: rule.id,
+                    severity,
+                    message: report.message,
+                    start: report.start,
+                    end: report.end,
+                    fix: report.fix || null
+                });
+            });
+        });
+
+        const rank = severity => PromptLinter.SEVERITIES.length - PromptLinter.SEVERITIES.indexOf(severity);
+        return diagnostics.sort((a, b) => a.start - b.start || rank(a.severity) - rank(b.severity));
+    }
+
+    applyFix(prompt, diagnostic) {
+        if (!diagnostic?.fix) {
+            throw new Error(`Diagnostic from '${diagnostic?.ruleId}' has no fix`);
+        }
+
+        const [start, end] = diagnostic.fix.range;
+        return prompt.slice(0, start) + diagnostic.fix.text + prompt.slice(end);
+    }
+
+    /**
+     * Apply every fix that does not overlap an earlier one. Skipped fixes can be applied
+     * by linting the output again.
+     */
+    applyFixes(prompt, diagnostics = this.lint(prompt)) {
+        const applied = [];
+        const skipped = [];
+        let lastEnd = -1;
+
+        diagnostics
+            .filter(diagnostic => diagnostic.fix)
+            .sort((a, b) => a.fix.range[0] - b.fix.range[0] || a.fix.range[1] - b.fix.range[1])
+            .forEach(diagnostic => {
+                if (diagnostic.fix.range[0] < lastEnd) {
+                    skipped.push(diagnostic);
+                } else {
+                    applied.push(diagnostic);
+                    lastEnd = diagnostic.fix.range[1];
+                }
+            });
+
+        const output = applied.reduceRight((text, diagnostic) => this.applyFix(text, diagnostic), prompt);
+        return { output, applied, skipped };
+    }
+
+    /**
+     * Fix everything fixable, re-linting between passes like `eslint --fix`
+     */
+    fixAll(prompt, config = this.config) {
+        let output = prompt;
+        let fixed = 0;
+
+        for (let pass = 0; pass < PromptLinter.MAX_FIX_PASSES; pass++) {
+            const { output: next, applied } = this.applyFixes(output, this.lint(output, config));
+            if (applied.length === 0) break;
+
+            output = next;
+            fixed += applied.length;
+        }
+
+        return { output, fixed, diagnostics: this.lint(output, config) };
+    }
+
+    /**
+     * Counts per severity, e.g. for a badge
+     */
+    summarize(diagnostics) {
+        return diagnostics.reduce((counts, diagnostic) => {
+            counts[diagnostic.severity] += 1;
+            return counts;
+        }, { error: 0, warning: 0, info: 0 });
+    }
+
+    findAll(text, regex) {
+        return Array.from(text.matchAll(regex), match => ({
+            start: match.index,
+            end: match.index + match[0].length,
+            text: match[0],
+            match
+        }));
+    }
+
+    /**
+     * Remove a word and the space after it (or before it, at the end of a sentence),
+     * keeping a capital letter at the start of a sentence
+     */
+    removeWordFix(prompt, start, end) {
+        const after = prompt.slice(end).match(/^[ \t]+/);
+        if (!after) {
+            const before = prompt.slice(0, start).match(/[ \t]+$/);
+            return { range: [before ? start - before[0].length : start, end], text: '' };
+        }
+
+        const next = prompt.charAt(end + after[0].length);
+        const startsSentence = /^[A-Z]/.test(prompt.slice(start, end)) && /[a-z]/.test(next);
+        return startsSentence
+            ? { range: [start, end + after[0].length + 1], text: next.toUpperCase() }
+            : { range: [start, end + after[0].length], text: '' };
+    }
+
+    findUnbalancedBrackets(prompt, regions) {
+        const pairs = { ')': '(', ']': '[', '}': '{' };
+        const stack = [];
+        const reports = [];
+        const report = (index, message) => reports.push({ start: index, end: index + 1, message });
+
+        for (let index = 0; index < prompt.length; index++) {
+            const region = regions.find(candidate => index >= candidate.start && index < candidate.end);
+            if (region) {
+                index = region.end - 1;
+                continue;
+            }
+
+            const char = prompt[index];
+            if ('([{'.includes(char)) {
+                stack.push({ char, index });
+            } else if (pairs[char]) {
+                // "1) first 2) second" style list markers close nothing
+                if (char === ')' && /(?:^|\s)[0-9a-z]$/i.test(prompt.slice(0, index)) && stack[stack.length - 1]?.char !== '(') continue;
+
+                if (stack[stack.length - 1]?.char === pairs[char]) {
+                    stack.pop();
+                } else {
+                    report(index, `Unmatched "${char}"`);
+                }
+            }
+        }
+
+        stack.forEach(({ char, index }) => report(index, `"${char}" is never closed`));
+        return reports.sort((a, b) => a.start - b.start);
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = PromptLinter;
+} else if (typeof window !== 'undefined') {
+    window.PromptLinter = PromptLinter;
+} else {
+    self.PromptLinter = PromptLinter;
+}
@@ -11,6 +11,8 @@ class PromptOptimizer {
             preserveIntent: true,
             maxOptimizationLength: 5000,
             enableAnalytics: true,
+            // 'block' keeps the original prompt when facts are lost, 'flag' only reports them, 'off' skips the check
+            intentVerification: 'block',
             ...options
         };
         
@@ -18,10 +20,16 @@ class PromptOptimizer {
         this.rules = new (self.OptimizationRules || OptimizationRules)();
         this.scorer = new (self.QualityScorer || QualityScorer)();
         this.platformDetector = new (self.PlatformDetectors || PlatformDetectors)();
+        this.protectedRegions = new (self.ProtectedRegions || ProtectedRegions)();
+        this.intentVerifier = new (self.IntentVerifier || IntentVerifier)();
+        this.tokenizer = new (self.PromptTokenizer || PromptTokenizer)();
+        this.rewriteProvider = null;
         
         // Initialize style processors
         this.styleProcessors = this.initializeStyleProcessors();
         this.platformProcessors = this.initializePlatformProcessors();
+        // Style the user picked for each platform in the popup, used when no style is given
+        this.platformStyles = {};
         
         // Performance tracking
         this.analytics = {
@@ -44,6 +52,15 @@ class PromptOptimizer {
                     this.analytics = { ...this.analytics, ...data.promptOptimizerAnalytics };
                 }
             }
+
+            await this.loadRulePacks();
+            this.watchRulePacks();
+            await this.loadTaskExamples();
+            this.watchTaskExamples();
+            await this.loadCustomRoles();
+            this.watchCustomRoles();
+            await this.loadPlatformStyles();
+            this.watchPlatformStyles();
             
             console.log('[PromptOptimizer] Initialized successfully');
         } catch (error) {
@@ -51,6 +68,115 @@ class PromptOptimizer {
         }
     }
 
+    /**
+     * Layer the user's enabled rule packs over the built-in rules
+     */
+    async loadRulePacks() {
+        const Manager = self.RulePackManager || (typeof RulePackManager !== 'undefined' ? RulePackManager : null);
+        if (!Manager) return;
+
+        try {
+            this.rulePackManager = new Manager();
+            const packs = await this.rulePackManager.getEnabledPacks();
+            this.rules.applyRulePacks(packs);
+        } catch (error) {
+            console.error('[PromptOptimizer] Failed to load rule packs:', error);
+            this.rules.resetToBuiltIns();
+        }
+    }
+
+    /**
+     * Re-apply rule packs when they are imported, toggled or removed
+     */
+    watchRulePacks() {
+        if (!this.rulePackManager || typeof chrome === 'undefined' || !chrome.storage?.onChanged) return;
+
+        chrome.storage.onChanged.addListener((changes, areaName) => {
+            const key = this.rulePackManager.constructor.STORAGE_KEY;
+            if (areaName === 'local' && changes[key]) {
+                this.rulePackManager.loaded = false;
+                this.loadRulePacks();
+            }
+        });
+    }
+
+    /**
+     * Train the task classifier on the prompts the user has labeled
+     */
+    async loadTaskExamples() {
+        if (!this.rules.classifier) return;
+
+        try {
+            await this.rules.classifier.loadExamples();
+        } catch (error) {
+            console.error('[PromptOptimizer] Failed to load labeled prompts:', error);
+        }
+    }
+
+    /**
+     * Retrain when prompts are labeled or the labels are cleared in the popup
+     */
+    watchTaskExamples() {
+        if (!this.rules.classifier || typeof chrome === 'undefined' || !chrome.storage?.onChanged) return;
+
+        chrome.storage.onChanged.addListener((changes, areaName) => {
+            const key = this.rules.classifier.constructor.EXAMPLES_KEY;
+            if (areaName === 'local' && changes[key]) {
+                this.loadTaskExamples();
+            }
+        });
+    }
+
+    /**
+     * Use the expert roles the user defined in the popup
+     */
+    async loadCustomRoles() {
+        const Manager = self.CustomRoleManager || (typeof CustomRoleManager !== 'undefined' ? CustomRoleManager : null);
+        if (!Manager) return;
+
+        try {
+            this.customRoleManager = new Manager();
+            this.rules.setCustomRoles(await this.customRoleManager.load());
+        } catch (error) {
+            console.error('[PromptOptimizer] Failed to load custom roles:', error);
+        }
+    }
+
+    watchCustomRoles() {
+        if (!this.customRoleManager || typeof chrome === 'undefined' || !chrome.storage?.onChanged) return;
+
+        chrome.storage.onChanged.addListener((changes, areaName) => {
+            const key = this.customRoleManager.constructor.STORAGE_KEY;
+            if (areaName === 'local' && changes[key]) {
+                this.loadCustomRoles();
+            }
+        });
+    }
+
+    /**
+     * Use the writing style the user picked for each platform
+     */
+    async loadPlatformStyles() {
+        if (typeof chrome === 'undefined' || !chrome.storage?.sync) return;
+
+        try {
+            const { platformStyles } = await chrome.storage.sync.get(['platformStyles']);
+            this.platformStyles = platformStyles || {};
+        } catch (error) {
+            console.error('[PromptOptimizer] Failed to load platform styles:', error);
+        }
+    }
+
+    watchPlatformStyles() {
+        if (typeof chrome === 'undefined' || !chrome.storage?.onChanged) return;
+
+        chrome.storage.onChanged.addListener((changes, areaName) => {
+            if (areaName === 'sync' && changes.platformStyles) {
+                this.platformStyles = changes.platformStyles.newValue || {};
+            }
+        });
+    }
+
     /**
      * Initialize style-specific processors
      */
@@ -78,10 +204,88 @@ class PromptOptimizer {
                 name: 'Academic',
                 processor: this.processAcademicStyle.bind(this),
                 characteristics: ['research_focused', 'citation_requests', 'methodological_rigor']
+            },
+
+            concise: {
+                name: 'Concise',
+                processor: this.processConciseStyle.bind(this),
+                characteristics: ['minimal_wording', 'direct_answer', 'no_filler']
+            },
+
+            casual: {
+                name: 'Casual',
+                processor: this.processCasualStyle.bind(this),
+                characteristics: ['conversational_tone', 'everyday_language', 'approachable']
+            },
+
+            socratic: {
+                name: 'Socratic',
+                processor: this.processSocraticStyle.bind(this),
+                characteristics: ['guiding_questions', 'hints_over_answers', 'reasoning_checks']
+            },
+
+            eli5: {
+                name: 'Explain Like I\'m Five',
+                processor: this.processEli5Style.bind(this),
+                characteristics: ['simple_language', 'everyday_analogies', 'no_jargon']
+            },
+
+            tutor: {
+                name: 'Tutor',
+                processor: this.processTutorStyle.bind(this),
+                characteristics: ['step_by_step', 'worked_examples', 'practice_questions']
             }
         };
     }
 
+    /**
+     * Add or replace a writing style. The processor is called like the built-in ones, with
+     * (text, expertRole, taskDetection) and this bound to the optimizer, and returns the new
+     * text; it should make its changes through applyRule so they show up in the trace. rules and
+     * outputStructure go to OptimizationRules.registerStyle, scorerExpectations (criterion
+     * weight multipliers) to QualityScorer.registerStyleExpectations.
+     */
+    registerStyle(id, { name, processor, characteristics = [], rules, outputStructure, scorerExpectations } = {}) {
+        if (typeof id !== 'string' || !/^[a-z][a-z0-9_-]*$/.test(id)) {
+            throw new Error('Style id must be lowercase letters, digits, dashes or underscores');
+        }
+        if (typeof processor !== 'function') {
+            throw new Error(`Style '${id}' needs a processor function`);
+        }
+
+        this.styleProcessors[id] = {
+            name: name || id,
+            processor: processor.bind(this),
+            characteristics
+        };
+        this.rules.registerStyle(id, { rules: { name: name || id, ...rules }, outputStructure });
+        if (scorerExpectations) {
+            this.scorer.registerStyleExpectations(id, scorerExpectations);
+        }
+    }
+
+    /**
+     * Styles that can be selected, built-in and registered
+     */
+    listStyles() {
+        return Object.entries(this.styleProcessors).map(([id, style]) => ({
+            id,
+            name: style.name,
+            characteristics: style.characteristics
+        }));
+    }
+
+    /**
+     * Pull a "#style:<id>" directive out of the prompt, so a style can be picked per prompt
+     */
+    extractStyleDirective(text) {
+        const match = text.match(/(^|\s)#style:([a-z0-9_-]+)\b/i);
+        if (!match) return { text, style: null };
+
+        const stripped = `${text.slice(0, match.index)}${match[1]}${text.slice(match.index + match[0].length)}`;
+        return { text: stripped.replace(/[ \t]{2,}/g, ' ').trim(), style: match[2].toLowerCase() };
+    }
+
     /**
      * Initialize platform-specific processors
      */
@@ -90,29 +294,47 @@ class PromptOptimizer {
             chatgpt: this.processChatGPTOptimization.bind(this),
             claude: this.processClaudeOptimization.bind(this),
             perplexity: this.processPerplexityOptimization.bind(this),
-            gemini: this.processGeminiOptimization.bind(this)
+            gemini: this.processGeminiOptimization.bind(this),
+            copilot: this.processCopilotOptimization.bind(this),
+            poe: this.processPoeOptimization.bind(this),
+            characterai: this.processCharacterAIOptimization.bind(this),
+            deepseek: this.processDeepSeekOptimization.bind(this),
+            mistral: this.processMistralOptimization.bind(this),
+            grok: this.processGrokOptimization.bind(this),
+            huggingchat: this.processHuggingChatOptimization.bind(this)
         };
     }
 
     /**
-     * Main optimization function - optimizes prompt with specified style and platform
+     * Main optimization function - optimizes prompt with specified style and platform.
+     * context.bot names the bot selected on multi-bot platforms such as Poe.
      */
-    optimizePrompt(text, platform = null, style = null) {
+    optimizePrompt(text, platform = null, style = null, context = {}) {
         try {
             // Validate input
             if (!text || typeof text !== 'string' || text.trim().length === 0) {
                 throw new Error('Invalid prompt: text must be a non-empty string');
             }
 
+            // A "#style:<id>" directive in the prompt overrides the requested style
+            const directive = this.extractStyleDirective(text);
+            if (directive.style) {
+                if (!directive.text) {
+                    throw new Error('Invalid prompt: text must be a non-empty string');
+                }
+                text = directive.text;
+                style = directive.style;
+            }
+
             // Auto-detect platform if not specified
             if (!platform) {
                 const detectedPlatform = this.platformDetector.detectCurrentPlatform();
                 platform = detectedPlatform ? detectedPlatform.id : this.options.defaultPlatform;
             }
 
-            // Auto-select style if not specified
+            // Use the platform's chosen style, or auto-select one, if not specified
             if (!style) {
-                style = this.detectOptimalStyle(text) || this.options.defaultStyle;
+                style = this.platformStyles[platform] || this.detectOptimalStyle(text) || this.options.defaultStyle;
             }
 
             // Validate style and platform
@@ -127,6 +349,8 @@ class PromptOptimizer {
             }
 
             const startTime = Date.now();
+            const trace = new (self.TransformationTrace || TransformationTrace)(text);
+            this.activeTrace = trace;
             
             // Step 1: Analyze original prompt
             const originalScore = this.scorer.calculateQualityScore(text, style, platform);
@@ -135,18 +359,42 @@ class PromptOptimizer {
             const taskDetection = this.rules.detectTaskType(text);
             const expertRole = this.rules.getExpertRole(taskDetection?.[0], style);
             
+            // Roleplay messages are spoken in character, so only the platform step applies to them
+            const roleplay = Boolean(this.rules.getPlatformRules(platform).roleplay);
+
             // Step 3: Apply core optimization algorithm
-            let optimizedText = this.applyCoreOptimizations(text, originalScore, taskDetection);
+            trace.setStage('core');
+            let optimizedText = roleplay
+                ? text.trim()
+                : this.applyCoreOptimizations(text, originalScore, taskDetection);
             
             // Step 4: Apply style-specific enhancements
-            optimizedText = this.applyStyleOptimizations(optimizedText, style, expertRole, taskDetection);
+            trace.setStage('style');
+            if (!roleplay) {
+                optimizedText = this.applyStyleOptimizations(optimizedText, style, expertRole, taskDetection);
+            }
             
             // Step 5: Apply platform-specific optimizations
-            optimizedText = this.applyPlatformOptimizations(optimizedText, platform, style);
+            trace.setStage('platform');
+            optimizedText = this.applyPlatformOptimizations(optimizedText, platform, style, context);
+
+            // Step 5b: Apply rule pack constraints
+            trace.setStage('rule-pack');
+            optimizedText = this.applyRulePackConstraints(optimizedText, text, style, platform);
             
             // Step 6: Ensure length constraints
+            trace.setStage('length');
             if (optimizedText.length > this.options.maxOptimizationLength) {
-                optimizedText = this.trimToOptimalLength(optimizedText, platform);
+                optimizedText = this.applyRule('length.trim-to-platform-limit',
+                    `Prompt exceeded ${this.options.maxOptimizationLength} characters`,
+                    optimizedText, current => this.trimToOptimalLength(current, platform), { allowDrop: true });
+            }
+            this.activeTrace = null;
+
+            // Step 6b: Verify the user's numbers, names, identifiers and constraints survived
+            const verification = this.verifyIntent(text, optimizedText);
+            if (verification.blocked) {
+                optimizedText = text;
             }
             
             // Step 7: Calculate improvements and confidence
@@ -164,6 +412,7 @@ class PromptOptimizer {
                 optimized: optimizedText,
                 style: style,
                 platform: platform,
+                bot: context.bot || null,
                 taskType: taskDetection?.[0] || 'general',
                 expertRole: expertRole,
                 scores: {
@@ -174,6 +423,8 @@ class PromptOptimizer {
                 },
                 confidence: confidence,
                 improvements: improvements,
+                trace: verification.blocked ? [] : trace.getEntries(),
+                verification: verification,
                 timeSaved: timeSaved,
                 metadata: {
                     processingTime: Date.now() - startTime,
@@ -190,11 +441,101 @@ class PromptOptimizer {
             return result;
 
         } catch (error) {
+            this.activeTrace = null;
             console.error('[PromptOptimizer] Optimization failed:', error);
             throw new Error(`Prompt optimization failed: ${error.message}`);
         }
     }
 
+    /**
+     * Use a rewrite provider before the rule engine. A provider has an id, a label, isEnabled()
+     * and an async rewrite(text, context) that resolves with the rewritten prompt.
+     */
+    setRewriteProvider(provider) {
+        this.rewriteProvider = provider;
+    }
+
+    /**
+     * Optimize with the rewrite provider when one is enabled. The rule engine's result is used
+     * instead when the provider fails, times out or drops facts from the prompt;
+     * result.provider says which happened.
+     */
+    async optimizeWithProvider(text, platform = null, style = null, context = {}) {
+        const result = this.optimizePrompt(text, platform, style, context);
+        const provider = this.rewriteProvider;
+        if (!provider || !provider.isEnabled()) return result;
+
+        const info = { id: provider.id, label: provider.label, used: false };
+        try {
+            const rewritten = await provider.rewrite(text, {
+                platform: result.platform,
+                style: result.style,
+                taskType: result.taskType
+            });
+
+            const verification = this.verifyIntent(text, rewritten);
+            if (verification.blocked) {
+                return { ...result, provider: { ...info, error: verification.summary } };
+            }
+            return this.createProviderResult(result, rewritten, verification, { ...info, used: true });
+        } catch (error) {
+            console.warn(`[PromptOptimizer] ${provider.label} failed, using the rule engine: ${error.message}`);
+            return { ...result, provider: { ...info, error: error.message } };
+        }
+    }
+
+    /**
+     * Rescore a provider rewrite; the trace attributes the whole change to the provider
+     */
+    createProviderResult(ruleResult, rewritten, verification, provider) {
+        const { original, platform, style } = ruleResult;
+        const trace = new (self.TransformationTrace || TransformationTrace)(original);
+        trace.setStage('provider');
+        trace.record(`provider.${provider.id}`, `Rewritten by ${provider.label}`, original, rewritten);
+
+        const originalScore = this.scorer.calculateQualityScore(original, style, platform);
+        const optimizedScore = this.scorer.calculateQualityScore(rewritten, style, platform);
+        const improvements = this.scorer.explainImprovements(original, rewritten, platform, style);
+
+        return {
+            ...ruleResult,
+            optimized: rewritten,
+            scores: {
+                original: originalScore.overall,
+                optimized: optimizedScore.overall,
+                improvement: optimizedScore.overall - originalScore.overall,
+                grade: optimizedScore.grade
+            },
+            confidence: this.scorer.calculateConfidence(original, rewritten, platform, style),
+            improvements,
+            trace: trace.getEntries(),
+            verification,
+            timeSaved: this.scorer.calculateTimeSaved({
+                improvement: improvements,
+                platformOptimized: platform !== this.options.defaultPlatform
+            }),
+            provider,
+            metadata: {
+                ...ruleResult.metadata,
+                wordCountChange: this.countWords(rewritten) - this.countWords(original),
+                lengthChange: rewritten.length - original.length
+            }
+        };
+    }
+
+    /**
+     * Compare extracted facts between the original and optimized prompt
+     */
+    verifyIntent(original, optimized) {
+        const verification = this.intentVerifier.verify(original, optimized, this.options.intentVerification);
+
+        if (!verification.passed) {
+            console.warn(`[PromptOptimizer] ${verification.summary}${verification.blocked ? '; keeping original prompt' : ''}`);
+        }
+
+        return verification;
+    }
+
     /**
      * Calculate confidence score between original and optimized prompts
      */
@@ -216,6 +557,21 @@ class PromptOptimizer {
         return this.scorer.calculateTimeSaved(optimization);
     }
 
+    /**
+     * Run a single rewrite rule and record what it changed in the active trace.
+     * Code, URLs, paths, quotes and JSON are masked so the rule cannot rewrite them;
+     * only trimming rules (allowDrop) may remove a protected region entirely.
+     */
+    applyRule(ruleId, reason, text, transform, options = {}) {
+        const result = this.protectedRegions.protect(text, transform, { ...options, label: ruleId });
+
+        if (this.activeTrace) {
+            this.activeTrace.record(ruleId, reason, text, result);
+        }
+
+        return result;
+    }
+
     /**
      * Core optimization algorithm that preserves intent while enhancing clarity
      */
@@ -230,8 +586,9 @@ class PromptOptimizer {
             optimized = this.addExpertRoleFraming(optimized, taskDetection);
         }
         
-        // 3. Structure output requirements if missing
+        // 3. Structure output requirements if missing, using the task type's own structure first
         if (originalScore.breakdown.completeness.score < 70) {
+            optimized = this.addTaskRequirements(optimized, taskDetection);
             optimized = this.addOutputRequirements(optimized, originalScore);
         }
         
@@ -262,13 +619,18 @@ class PromptOptimizer {
                 'sorta': 'somewhat'
             };
             
-            for (const [vague, specific] of Object.entries(vagueReplacements)) {
-                const regex = new RegExp(`\\b${vague}\\b`, 'gi');
-                enhanced = enhanced.replace(regex, specific);
-            }
+            enhanced = this.applyRule('core.clarify-vague-language', 'Replaced vague words with specific wording',
+                enhanced, current => {
+                    for (const [vague, specific] of Object.entries(vagueReplacements)) {
+                        const regex = new RegExp(`\\b${vague}\\b`, 'gi');
+                        current = current.replace(regex, specific);
+                    }
+                    return current;
+                });
             
             // Improve sentence structure without changing meaning
-            enhanced = this.improveSentenceStructure(enhanced);
+            enhanced = this.applyRule('core.split-long-sentences', 'Split run-on sentences for clarity',
+                enhanced, current => this.improveSentenceStructure(current));
         }
         
         return enhanced;
@@ -280,7 +642,7 @@ class PromptOptimizer {
     addExpertRoleFraming(text, taskDetection) {
         const [taskType, taskData] = taskDetection;
         const expertRole = taskData.expertRoles[0];
-        const roleData = this.rules.expertRoles[expertRole];
+        const roleData = this.rules.getRoleDefinition(expertRole);
         
         if (!roleData) return text;
         
@@ -288,12 +650,34 @@ class PromptOptimizer {
         
         // Add role framing if not already present
         if (!text.toLowerCase().includes('as a') && !text.toLowerCase().includes('you are')) {
-            return `${rolePrefix}${text}`;
+            return this.applyRule('core.expert-role', `Detected ${taskType} task; framed with the ${expertRole} role`,
+                text, current => `${rolePrefix}${current}`);
         }
         
         return text;
     }
 
+    /**
+     * Add the requirements and output structure of the detected task type, when it has any
+     */
+    addTaskRequirements(text, taskDetection) {
+        const taskType = taskDetection?.[0];
+        const constraints = this.rules.getTaskConstraints(taskType)
+            .filter(constraint => !text.toLowerCase().includes(constraint.toLowerCase()));
+        const outputStructure = this.rules.getOutputStructure(taskType);
+        if (constraints.length === 0 && !outputStructure) return text;
+
+        const lines = constraints.map(constraint => `- ${constraint}`);
+        if (outputStructure && !/(format|structure|organize)/i.test(text)) {
+            lines.push(`- Structure the response as: ${outputStructure.structure.join(', ')}`);
+        }
+        if (lines.length === 0) return text;
+
+        const label = taskType.replace(/_/g, ' ');
+        return this.applyRule('core.task-requirements', `Detected ${label} task; added its requirements`,
+            text, current => `${current}\n\nFor this ${label} task:\n${lines.join('\n')}`);
+    }
+
     /**
      * Add output requirements structure
      */
@@ -303,7 +687,8 @@ class PromptOptimizer {
         // Add format specification if missing
         if (originalScore.breakdown.completeness.score < 60) {
             if (!/(format|structure|organize)/i.test(enhanced)) {
-                enhanced += '\n\nPlease structure your response with clear headings and provide specific, actionable recommendations.';
+                enhanced = this.applyRule('core.output-requirements', 'No output format was specified',
+                    enhanced, current => `${current}\n\nPlease structure your response with clear headings and provide specific, actionable recommendations.`);
             }
         }
         
@@ -319,12 +704,14 @@ class PromptOptimizer {
         // Add context prompts if missing
         if (originalScore.breakdown.context.score < 60 && !/(context|background)/i.test(enhanced)) {
             const contextPrompt = '\n\nContext: Please consider relevant industry best practices and current trends in your response.';
-            enhanced = `${enhanced}${contextPrompt}`;
+            enhanced = this.applyRule('core.add-context', 'Prompt lacked background context',
+                enhanced, current => `${current}${contextPrompt}`);
         }
         
         // Add constraints if missing
         if (originalScore.breakdown.specificity.score < 60 && !/(specific|detailed|comprehensive)/i.test(enhanced)) {
-            enhanced += '\n\nProvide specific examples and detailed explanations to ensure comprehensive understanding.';
+            enhanced = this.applyRule('core.add-specificity', 'Prompt lacked specificity',
+                enhanced, current => `${current}\n\nProvide specific examples and detailed explanations to ensure comprehensive understanding.`);
         }
         
         return enhanced;
@@ -352,20 +739,24 @@ class PromptOptimizer {
         
         // Add business context framing
         if (!professional.toLowerCase().includes('business') && !professional.toLowerCase().includes('professional')) {
-            professional = this.addBusinessFraming(professional, taskDetection);
+            professional = this.applyRule('style.professional.business-framing', 'Professional style frames the request in a business context',
+                professional, current => this.addBusinessFraming(current, taskDetection));
         }
         
         // Ensure formal language
-        professional = this.enhanceFormalLanguage(professional);
+        professional = this.applyRule('style.professional.formal-language', 'Expanded contractions for a formal tone',
+            professional, current => this.enhanceFormalLanguage(current));
         
         // Add deliverables focus
         if (!/(deliverable|outcome|result|objective)/i.test(professional)) {
-            professional += '\n\nPlease provide clear, actionable deliverables with specific success metrics and implementation timeline.';
+            professional = this.applyRule('style.professional.deliverables', 'No deliverables or outcomes were requested',
+                professional, current => `${current}\n\nPlease provide clear, actionable deliverables with specific success metrics and implementation timeline.`);
         }
         
         // Add risk assessment request for business contexts
         if (taskDetection && taskDetection[0] === 'business') {
-            professional += '\n\nInclude risk assessment and mitigation strategies where relevant.';
+            professional = this.applyRule('style.professional.risk-assessment', 'Business tasks benefit from a risk assessment',
+                professional, current => `${current}\n\nInclude risk assessment and mitigation strategies where relevant.`);
         }
         
         return professional;
@@ -380,16 +771,19 @@ class PromptOptimizer {
         
         // Add inspirational framing
         if (!/(imagine|explore|creative|innovative)/i.test(creative)) {
-            creative = `Explore creative possibilities for: ${creative}`;
+            creative = this.applyRule('style.creative.inspirational-framing', 'Creative style opens with an exploratory framing',
+                creative, current => `Explore creative possibilities for: ${current}`);
         }
         
         // Encourage multiple perspectives
         if (!/(alternative|different|various|multiple)/i.test(creative)) {
-            creative += '\n\nProvide multiple creative approaches and alternative perspectives. Think outside conventional boundaries.';
+            creative = this.applyRule('style.creative.multiple-perspectives', 'No alternatives were requested',
+                creative, current => `${current}\n\nProvide multiple creative approaches and alternative perspectives. Think outside conventional boundaries.`);
         }
         
         // Add sensory and emotional elements
-        creative += '\n\nConsider visual, emotional, and experiential aspects in your response. Include inspiring examples and innovative solutions.';
+        creative = this.applyRule('style.creative.sensory-elements', 'Creative style asks for sensory and emotional detail',
+            creative, current => `${current}\n\nConsider visual, emotional, and experiential aspects in your response. Include inspiring examples and innovative solutions.`);
         
         return creative;
     }
@@ -403,21 +797,25 @@ class PromptOptimizer {
         
         // Add technical specifications request
         if (!/(specification|requirement|technical)/i.test(technical)) {
-            technical = `Technical requirements: ${technical}`;
+            technical = this.applyRule('style.technical.requirements-framing', 'Technical style frames the request as requirements',
+                technical, current => `Technical requirements: ${current}`);
         }
         
         // Ensure step-by-step methodology
         if (!/(step|process|methodology|implementation)/i.test(technical)) {
-            technical += '\n\nProvide detailed implementation steps with specific technical considerations.';
+            technical = this.applyRule('style.technical.implementation-steps', 'No implementation steps were requested',
+                technical, current => `${current}\n\nProvide detailed implementation steps with specific technical considerations.`);
         }
         
         // Add code examples request for software tasks
         if (taskDetection && taskDetection[0] === 'technical') {
-            technical += '\n\nInclude relevant code examples, best practices, and potential pitfalls to avoid.';
+            technical = this.applyRule('style.technical.code-examples', 'Software tasks benefit from code examples',
+                technical, current => `${current}\n\nInclude relevant code examples, best practices, and potential pitfalls to avoid.`);
         }
         
         // Add testing and validation
-        technical += '\n\nAddress testing procedures, validation methods, and maintenance considerations.';
+        technical = this.applyRule('style.technical.testing', 'Technical style asks for testing and maintenance',
+            technical, current => `${current}\n\nAddress testing procedures, validation methods, and maintenance considerations.`);
         
         return technical;
     }
@@ -431,36 +829,141 @@ class PromptOptimizer {
         
         // Frame as research question
         if (!/(research|study|analyze|investigate)/i.test(academic)) {
-            academic = `Research question: ${academic}`;
+            academic = this.applyRule('style.academic.research-question', 'Academic style frames the request as a research question',
+                academic, current => `Research question: ${current}`);
         }
         
         // Add methodology and evidence requirements
         if (!/(evidence|source|citation|reference)/i.test(academic)) {
-            academic += '\n\nProvide evidence-based analysis with relevant citations and sources.';
+            academic = this.applyRule('style.academic.evidence', 'No evidence or citations were requested',
+                academic, current => `${current}\n\nProvide evidence-based analysis with relevant citations and sources.`);
         }
         
         // Add literature review component
         if (taskDetection && taskDetection[0] === 'research') {
-            academic += '\n\nInclude review of relevant literature and current research findings.';
+            academic = this.applyRule('style.academic.literature-review', 'Research tasks benefit from a literature review',
+                academic, current => `${current}\n\nInclude review of relevant literature and current research findings.`);
         }
         
         // Add methodological rigor
-        academic += '\n\nUse rigorous methodology, consider limitations, and suggest areas for further research.';
+        academic = this.applyRule('style.academic.methodology', 'Academic style asks for methodological rigor',
+            academic, current => `${current}\n\nUse rigorous methodology, consider limitations, and suggest areas for further research.`);
         
         return academic;
     }
 
+    /**
+     * Concise style processor
+     */
+    processConciseStyle(text) {
+        let concise = this.applyRule('style.concise.remove-filler', 'Concise style drops filler words and hedges',
+            text, current => this.removeFillerWords(current));
+
+        if (!/(brief|concise|short|succinct|one sentence|in \d+ words)/i.test(concise)) {
+            concise = this.applyRule('style.concise.brevity', 'No length limit was requested',
+                concise, current => `${current}\n\nBe brief: lead with the answer, then only the key details. ` +
+                    'No preamble or recap.');
+        }
+
+        return concise;
+    }
+
+    /**
+     * Casual style processor
+     */
+    processCasualStyle(text) {
+        let casual = this.applyRule('style.casual.contractions', 'Used contractions for a relaxed tone',
+            text, current => this.addContractions(current));
+
+        if (!/(casual|friendly|conversational|informal)/i.test(casual)) {
+            casual = this.applyRule('style.casual.tone', 'Casual style asks for a friendly, plain-spoken answer',
+                casual, current => `${current}\n\nKeep it casual and friendly, like you're talking to a friend, ` +
+                    'and skip the jargon.');
+        }
+
+        return casual;
+    }
+
+    /**
+     * Socratic style processor
+     */
+    processSocraticStyle(text) {
+        if (/(socratic|guide me|ask me questions)/i.test(text)) return text;
+
+        const structure = this.rules.getStyleStructure('socratic');
+        const replies = structure ? ` Each reply should have: ${structure.structure.join(', ')}.` : '';
+
+        return this.applyRule('style.socratic.questioning', 'Socratic style guides the user with questions',
+            text, current => `${current}\n\nDon't give me the answer right away. Guide me to it with one question ` +
+                `at a time, give a hint if I get stuck, and point out gaps in my reasoning.${replies}`);
+    }
+
+    /**
+     * ELI5 style processor
+     */
+    processEli5Style(text) {
+        let simple = text;
+
+        if (!/(simple terms|simply|eli5|five-year-old|like i'm five|beginner)/i.test(simple)) {
+            simple = this.applyRule('style.eli5.simple-language', 'ELI5 style asks for the simplest explanation',
+                simple, current => `Explain this in simple terms, as if to a curious five-year-old: ${current}`);
+        }
+
+        if (!/(analogy|metaphor|compare it to)/i.test(simple)) {
+            simple = this.applyRule('style.eli5.analogy', 'No analogy was requested',
+                simple, current => `${current}\n\nUse an everyday analogy and short sentences. ` +
+                    'If a technical term is unavoidable, define it in plain words.');
+        }
+
+        return simple;
+    }
+
+    /**
+     * Tutor style processor
+     */
+    processTutorStyle(text) {
+        let lesson = text;
+        const structure = this.rules.getStyleStructure('tutor');
+        const outline = structure ? `\n\nStructure the lesson as: ${structure.structure.join(', ')}.` : '';
+
+        if (!/(step by step|step-by-step|walk me through)/i.test(lesson)) {
+            lesson = this.applyRule('style.tutor.steps', 'Tutor style teaches one step at a time',
+                lesson, current => `Teach me this step by step: ${current}${outline}`);
+        }
+
+        if (!/(practice (question|problem)s?|exercise|quiz)/i.test(text)) {
+            lesson = this.applyRule('style.tutor.practice', 'No practice question was requested',
+                lesson, current => `${current}\n\nFinish with a practice question for me to try, ` +
+                    'and give its answer after it.');
+        }
+
+        return lesson;
+    }
+
+    /**
+     * Append constraints contributed by enabled rule packs
+     */
+    applyRulePackConstraints(optimized, original, style, platform) {
+        const constraints = this.rules.getPackConstraints(original, style, platform)
+            .filter(constraint => !optimized.toLowerCase().includes(constraint.toLowerCase()));
+
+        if (constraints.length === 0) return optimized;
+
+        return this.applyRule('rule-pack.constraints', `Required by rule packs: ${this.rules.activeRulePacks.join(', ')}`,
+            optimized, current => `${current}\n\nAdditional requirements:\n${constraints.map(constraint => `- ${constraint}`).join('\n')}`);
+    }
+
     /**
      * Apply platform-specific optimizations
      */
-    applyPlatformOptimizations(text, platform, style) {
+    applyPlatformOptimizations(text, platform, style, context = {}) {
         const processor = this.platformProcessors[platform];
         if (!processor) {
             console.warn(`[PromptOptimizer] No processor for platform '${platform}'`);
             return text;
         }
         
-        return processor(text, style);
+        return processor(text, style, context);
     }
 
     /**
@@ -468,21 +971,24 @@ class PromptOptimizer {
      */
     processChatGPTOptimization(text, style) {
         let optimized = text;
-        const platformRules = this.rules.getPlatformRules('chatgpt');
         
         // Add example requests for better results
         if (!/(example|instance)/i.test(optimized)) {
-            optimized += '\n\nProvide specific examples to illustrate your points.';
+            optimized = this.applyRule('platform.chatgpt.request-examples', 'ChatGPT answers are more concrete with examples',
+                optimized, current => `${current}\n\nProvide specific examples to illustrate your points.`);
         }
         
         // Add reasoning request for complex tasks
         if (text.length > 200) {
-            optimized += '\n\nExplain your reasoning step-by-step.';
+            optimized = this.applyRule('platform.chatgpt.reasoning', 'Long prompts benefit from step-by-step reasoning',
+                optimized, current => `${current}\n\nExplain your reasoning step-by-step.`);
         }
         
         // Optimize length for ChatGPT
-        if (optimized.length > platformRules.maxOptimalLength) {
-            optimized = this.trimToOptimalLength(optimized, 'chatgpt');
+        const maxTokens = this.rules.getMaxOptimalTokens('chatgpt');
+        if (this.tokenizer.countTokens(optimized, 'chatgpt') > maxTokens) {
+            optimized = this.applyRule('platform.chatgpt.trim-length', `Exceeded ChatGPT's optimal length (${maxTokens} tokens)`,
+                optimized, current => this.trimToOptimalLength(current, 'chatgpt'), { allowDrop: true });
         }
         
         return optimized;
@@ -497,16 +1003,19 @@ class PromptOptimizer {
         
         // Add analytical depth
         if (!/(analyze|consider|examine)/i.test(optimized)) {
-            optimized += '\n\nProvide thorough analysis with nuanced considerations.';
+            optimized = this.applyRule('platform.claude.analytical-depth', 'Claude excels at nuanced analysis',
+                optimized, current => `${current}\n\nProvide thorough analysis with nuanced considerations.`);
         }
         
         // Use structured format for complex prompts
         if (text.length > 300) {
-            optimized = this.addClaudeStructure(optimized);
+            optimized = this.applyRule('platform.claude.xml-structure', 'Long prompts are clearer to Claude with XML-style sections',
+                optimized, current => this.addClaudeStructure(current));
         }
         
         // Add thinking prompt
-        optimized += '\n\nThink through this step-by-step before providing your final response.';
+        optimized = this.applyRule('platform.claude.think-step-by-step', 'Claude reasons better when asked to think first',
+            optimized, current => `${current}\n\nThink through this step-by-step before providing your final response.`);
         
         return optimized;
     }
@@ -519,17 +1028,20 @@ class PromptOptimizer {
         
         // Frame as research question
         if (!/(research|find|what|how|why)/i.test(optimized)) {
-            optimized = `Research: ${optimized}`;
+            optimized = this.applyRule('platform.perplexity.research-framing', 'Perplexity is a search engine; frame as research',
+                optimized, current => `Research: ${current}`);
         }
         
         // Add source requirements
         if (!/(source|citation|reference)/i.test(optimized)) {
-            optimized += '\n\nInclude credible sources and citations in your response.';
+            optimized = this.applyRule('platform.perplexity.citations', 'No sources or citations were requested',
+                optimized, current => `${current}\n\nInclude credible sources and citations in your response.`);
         }
         
         // Add current information request
         if (!/(current|recent|latest|2024)/i.test(optimized)) {
-            optimized += '\n\nFocus on recent developments and current information.';
+            optimized = this.applyRule('platform.perplexity.recency', 'Perplexity is strongest on current information',
+                optimized, current => `${current}\n\nFocus on recent developments and current information.`);
         }
         
         return optimized;
@@ -540,24 +1052,249 @@ class PromptOptimizer {
      */
     processGeminiOptimization(text, style) {
         let optimized = text;
-        const platformRules = this.rules.getPlatformRules('gemini');
         
         // Keep it direct and focused
-        optimized = this.simplifyForGemini(optimized);
+        optimized = this.applyRule('platform.gemini.simplify', 'Gemini prefers short, direct sentences',
+            optimized, current => this.simplifyForGemini(current));
         
         // Add current information request
         if (!/(current|recent|today)/i.test(optimized)) {
-            optimized += '\n\nProvide current, factual information.';
+            optimized = this.applyRule('platform.gemini.current-facts', 'No recency requirement was given',
+                optimized, current => `${current}\n\nProvide current, factual information.`);
         }
         
         // Ensure optimal length for Gemini
-        if (optimized.length > platformRules.maxOptimalLength) {
-            optimized = this.trimToOptimalLength(optimized, 'gemini');
+        const maxTokens = this.rules.getMaxOptimalTokens('gemini');
+        if (this.tokenizer.countTokens(optimized, 'gemini') > maxTokens) {
+            optimized = this.applyRule('platform.gemini.trim-length', `Exceeded Gemini's optimal length (${maxTokens} tokens)`,
+                optimized, current => this.trimToOptimalLength(current, 'gemini'), { allowDrop: true });
         }
         
         return optimized;
     }
 
+    /**
+     * Copilot-specific optimizations
+     */
+    processCopilotOptimization(text) {
+        let optimized = text;
+
+        // Copilot answers current questions from web results; have it show them
+        if (/(latest|current|recent|today|this (week|month|year)|news|\b20\d\d\b)/i.test(optimized) &&
+            !/(source|citation|cite)/i.test(optimized)) {
+            optimized = this.applyRule('platform.copilot.cite-sources', 'Copilot answers current topics from the web',
+                optimized, current => `${current}\n\nCite the web sources you use.`);
+        }
+
+        // Keep answers easy to scan in the chat pane
+        if (!/(bullet|list|table|paragraph|section)/i.test(optimized)) {
+            optimized = this.applyRule('platform.copilot.scannable-format', 'Copilot answers read best in short sections',
+                optimized, current => `${current}\n\nKeep the answer scannable, with short paragraphs or bullets.`);
+        }
+
+        // Stay well inside Copilot's input limit
+        const maxTokens = this.rules.getMaxOptimalTokens('copilot');
+        if (this.tokenizer.countTokens(optimized, 'copilot') > maxTokens) {
+            optimized = this.applyRule('platform.copilot.trim-length',
+                `Exceeded Copilot's optimal length (${maxTokens} tokens)`,
+                optimized, current => this.trimToOptimalLength(current, 'copilot'), { allowDrop: true });
+        }
+
+        return optimized;
+    }
+
+    /**
+     * Poe-specific optimizations. Poe hosts bots for many models, so a prompt gets the
+     * optimizations of the platform behind the @-mentioned bot, or else the selected one.
+     */
+    processPoeOptimization(text, style, context = {}) {
+        const bot = this.findBotMention(text) || context.bot;
+        const delegated = this.optimizeForBotPlatform('poe', bot, text, style, context);
+        if (delegated !== null) return delegated;
+
+        // Custom and open-model bots follow their own instructions; ask for the answer up front
+        let optimized = text;
+        if (!/(direct answer|summary|summarize|tl;dr)/i.test(optimized)) {
+            optimized = this.applyRule('platform.poe.answer-first', bot
+                ? `No platform rules match the ${bot} bot; asked for a direct answer first`
+                : 'Unknown bot; asked for a direct answer first',
+            optimized, current => `${current}\n\nStart with a direct answer, then explain.`);
+        }
+
+        const maxTokens = this.rules.getMaxOptimalTokens('poe');
+        if (this.tokenizer.countTokens(optimized, 'poe') > maxTokens) {
+            optimized = this.applyRule('platform.poe.trim-length',
+                `Exceeded Poe's optimal length (${maxTokens} tokens)`,
+                optimized, current => this.trimToOptimalLength(current, 'poe'), { allowDrop: true });
+        }
+
+        return optimized;
+    }
+
+    /**
+     * Character.AI-specific optimizations. Directions go in (OOC: ...) notes so the scene stays intact.
+     */
+    processCharacterAIOptimization(text) {
+        let optimized = text;
+
+        // The user is already directing the character
+        if (/\((ooc|out of character)\b/i.test(optimized)) return optimized;
+
+        // Invite actions and setting, not just dialogue
+        if (!/\*[^*\n]+\*/.test(optimized)) {
+            optimized = this.applyRule('platform.characterai.scene-detail', 'No actions or setting were described',
+                optimized, current => `${current}\n\n(OOC: Describe your actions and the setting in *asterisks*.)`);
+        }
+
+        optimized = this.applyRule('platform.characterai.stay-in-character', 'Replies should keep the scene going',
+            optimized, current => `${current}\n\n(OOC: Stay in character and end with something I can respond to.)`);
+
+        const maxTokens = this.rules.getMaxOptimalTokens('characterai');
+        if (this.tokenizer.countTokens(optimized, 'characterai') > maxTokens) {
+            optimized = this.applyRule('platform.characterai.trim-length',
+                `Exceeded Character.AI's optimal length (${maxTokens} tokens)`,
+                optimized, current => this.trimToOptimalLength(current, 'characterai'), { allowDrop: true });
+        }
+
+        return optimized;
+    }
+
+    /**
+     * DeepSeek-specific optimizations. DeepSeek reasons before it answers, so the prompt asks for
+     * a clear final answer instead of a reasoning method.
+     */
+    processDeepSeekOptimization(text) {
+        let optimized = text;
+
+        // Long reasoning traces bury the result; ask for it to be marked
+        if (/(calculate|solve|prove|debug|derive|why|how many|\bmath|\bcode\b|algorithm)/i.test(optimized) &&
+            !/final answer/i.test(optimized)) {
+            optimized = this.applyRule('platform.deepseek.final-answer', 'DeepSeek answers after a long reasoning trace',
+                optimized, current => `${current}\n\nGive your final answer at the end, clearly marked.`);
+        }
+
+        // DeepSeek can drift into another language mid-answer; pin it for English prompts
+        if (!/[^\s\u0020-\u007E]/.test(optimized) && !/\b(respond|answer|reply|write) in [A-Z][a-z]+/.test(optimized)) {
+            optimized = this.applyRule('platform.deepseek.response-language', 'DeepSeek can mix languages in long answers',
+                optimized, current => `${current}\n\nRespond in English.`);
+        }
+
+        const maxTokens = this.rules.getMaxOptimalTokens('deepseek');
+        if (this.tokenizer.countTokens(optimized, 'deepseek') > maxTokens) {
+            optimized = this.applyRule('platform.deepseek.trim-length',
+                `Exceeded DeepSeek's optimal length (${maxTokens} tokens)`,
+                optimized, current => this.trimToOptimalLength(current, 'deepseek'), { allowDrop: true });
+        }
+
+        return optimized;
+    }
+
+    /**
+     * Mistral Le Chat-specific optimizations
+     */
+    processMistralOptimization(text) {
+        let optimized = text;
+
+        // Le Chat only searches the web when asked to
+        if (/(latest|recent|today|this (week|month|year)|news|\b20\d\d\b)/i.test(optimized) &&
+            !/(source|citation|cite|search)/i.test(optimized)) {
+            optimized = this.applyRule('platform.mistral.web-search', 'Le Chat needs to search the web for current topics',
+                optimized, current => `${current}\n\nSearch the web and cite your sources.`);
+        }
+
+        // Mistral models follow an explicit output format closely, and Le Chat renders Markdown
+        if (!/(markdown|json|csv|html|table|plain text)/i.test(optimized)) {
+            optimized = this.applyRule('platform.mistral.output-format', 'No output format was given',
+                optimized, current => `${current}\n\nFormat the answer in Markdown.`);
+        }
+
+        const maxTokens = this.rules.getMaxOptimalTokens('mistral');
+        if (this.tokenizer.countTokens(optimized, 'mistral') > maxTokens) {
+            optimized = this.applyRule('platform.mistral.trim-length',
+                `Exceeded Mistral Le Chat's optimal length (${maxTokens} tokens)`,
+                optimized, current => this.trimToOptimalLength(current, 'mistral'), { allowDrop: true });
+        }
+
+        return optimized;
+    }
+
+    /**
+     * Grok-specific optimizations
+     */
+    processGrokOptimization(text) {
+        let optimized = text;
+
+        // Grok can read live posts on X; ask it to use them and date them
+        if (/(latest|recent|today|trending|breaking|news|this (week|month))/i.test(optimized) &&
+            !/\b(posts?|tweets?) on x\b/i.test(optimized)) {
+            optimized = this.applyRule('platform.grok.realtime-sources', 'Grok can draw on live posts on X', optimized,
+                current => `${current}\n\nUse recent posts on X and web results, and say how recent they are.`);
+        }
+
+        if (!/(direct answer|summary|summarize|tl;dr)/i.test(optimized)) {
+            optimized = this.applyRule('platform.grok.direct-answer', 'Grok answers read best answer-first',
+                optimized, current => `${current}\n\nLead with a direct answer, then add detail.`);
+        }
+
+        const maxTokens = this.rules.getMaxOptimalTokens('grok');
+        if (this.tokenizer.countTokens(optimized, 'grok') > maxTokens) {
+            optimized = this.applyRule('platform.grok.trim-length',
+                `Exceeded Grok's optimal length (${maxTokens} tokens)`,
+                optimized, current => this.trimToOptimalLength(current, 'grok'), { allowDrop: true });
+        }
+
+        return optimized;
+    }
+
+    /**
+     * HuggingChat-specific optimizations. HuggingChat runs many open models, so a prompt gets the
+     * optimizations of the platform behind the selected model, as on Poe.
+     */
+    processHuggingChatOptimization(text, style, context = {}) {
+        const delegated = this.optimizeForBotPlatform('huggingchat', context.bot, text, style, context);
+        if (delegated !== null) return delegated;
+
+        // Smaller open models do best with the expected answer stated up front
+        let optimized = text;
+        if (!/(direct answer|summary|summarize|tl;dr)/i.test(optimized)) {
+            optimized = this.applyRule('platform.huggingchat.answer-first', context.bot
+                ? `No platform rules match the ${context.bot} model; asked for a direct answer first`
+                : 'Unknown model; asked for a direct answer first',
+            optimized, current => `${current}\n\nStart with a direct answer, then explain.`);
+        }
+
+        const maxTokens = this.rules.getMaxOptimalTokens('huggingchat');
+        if (this.tokenizer.countTokens(optimized, 'huggingchat') > maxTokens) {
+            optimized = this.applyRule('platform.huggingchat.trim-length',
+                `Exceeded HuggingChat's optimal length (${maxTokens} tokens)`,
+                optimized, current => this.trimToOptimalLength(current, 'huggingchat'), { allowDrop: true });
+        }
+
+        return optimized;
+    }
+
+    /**
+     * Run the processor of the platform behind a bot on a multi-bot platform, or return null
+     * when no platform rules match the bot
+     */
+    optimizeForBotPlatform(platform, bot, text, style, context) {
+        const target = this.rules.getBotPlatform(platform, bot);
+
+        if (target && target !== platform && this.platformProcessors[target]) {
+            return this.platformProcessors[target](text, style, context);
+        }
+
+        return null;
+    }
+
+    /**
+     * Bot named by the first "@BotName" mention in a prompt, as used on Poe, or null
+     */
+    findBotMention(text) {
+        const match = text.match(/(?:^|\s)@([A-Za-z][\w.-]*\w)/);
+        return match ? match[1] : null;
+    }
+
     /**
      * Detect optimal style based on prompt content
      */
@@ -609,17 +1346,66 @@ class PromptOptimizer {
         return formal;
     }
 
+    removeFillerWords(text) {
+        const fillers = [
+            /\b(?:i was wondering if|i would like to know|i'd like to know)\s+(?:you could\s+)?/gi,
+            /\b(?:could you possibly|can you please|could you please)\s+/gi,
+            /\b(?:please|basically|actually|really|kind of|sort of)\s+/gi
+        ];
+
+        let concise = text;
+        for (const filler of fillers) {
+            concise = concise.replace(filler, '');
+        }
+
+        return concise.replace(/[ \t]{2,}/g, ' ').trim()
+            .replace(/(^|\n[ \t]*)([a-z])/g, (match, start, letter) => `${start}${letter.toUpperCase()}`);
+    }
+
+    addContractions(text) {
+        const contractions = [
+            ['do not', 'don\'t'],
+            ['does not', 'doesn\'t'],
+            ['cannot', 'can\'t'],
+            ['will not', 'won\'t'],
+            ['is not', 'isn\'t'],
+            ['are not', 'aren\'t'],
+            ['it is', 'it\'s'],
+            ['i am', 'I\'m'],
+            ['you are', 'you\'re']
+        ];
+
+        let casual = text;
+        for (const [formal, contraction] of contractions) {
+            const regex = new RegExp(`\\b${formal}\\b`, 'gi');
+            casual = casual.replace(regex, match => (/^[A-Z]/.test(match)
+                ? `${contraction[0].toUpperCase()}${contraction.slice(1)}`
+                : contraction));
+        }
+
+        return casual;
+    }
+
     addClaudeStructure(text) {
-        if (text.length > 500) {
-            const sentences = text.split(/[.!?]+/).filter(s => s.trim().length > 0);
-            const firstPart = sentences.slice(0, Math.ceil(sentences.length / 2)).join('. ').trim() + '.';
-            const secondPart = sentences.slice(Math.ceil(sentences.length / 2)).join('. ').trim() + '.';
+        const sentences = this.splitSentences(text);
+        if (text.length > 500 && sentences.length > 1) {
+            const half = Math.ceil(sentences.length / 2);
+            const firstPart = sentences.slice(0, half).join(' ');
+            const secondPart = sentences.slice(half).join(' ');
             
             return `<context>\n${firstPart}\n</context>\n\n<request>\n${secondPart}\n</request>`;
         }
         return text;
     }
 
+    /**
+     * Split at sentence-ending punctuation followed by whitespace, keeping the punctuation,
+     * so decimals like 3.2 and member access like foo.bar() stay whole
+     */
+    splitSentences(text) {
+        return text.split(/(?<=[.!?])\s+/).map(sentence => sentence.trim()).filter(Boolean);
+    }
+
     simplifyForGemini(text) {
         // Break complex sentences and simplify structure
         return text.replace(/([;:])\s*/g, '. ')
@@ -628,23 +1414,28 @@ class PromptOptimizer {
                   .trim();
     }
 
+    /**
+     * Trim to the platform's token budget, counted with its tokenizer
+     */
     trimToOptimalLength(text, platform) {
-        const platformRules = this.rules.getPlatformRules(platform);
-        const maxLength = platformRules.maxOptimalLength;
+        const maxTokens = this.rules.getMaxOptimalTokens(platform);
         
-        if (text.length <= maxLength) return text;
+        if (this.tokenizer.countTokens(text, platform) <= maxTokens) return text;
         
-        // Try to trim at sentence boundaries
-        const sentences = text.split(/[.!?]+/).filter(s => s.trim().length > 0);
+        // Try to trim at sentence boundaries, leaving headroom for the platform's own additions
+        const sentences = this.splitSentences(text);
+        const budget = maxTokens - 25;
         let trimmed = '';
+        let usedTokens = 0;
         
         for (const sentence of sentences) {
-            const potential = trimmed + sentence + '. ';
-            if (potential.length > maxLength - 100) break;
-            trimmed = potential;
+            const sentenceTokens = this.tokenizer.countTokens(`${sentence} `, platform);
+            if (usedTokens + sentenceTokens > budget) break;
+            trimmed += `${sentence} `;
+            usedTokens += sentenceTokens;
         }
         
-        return trimmed.trim() || text.substring(0, maxLength - 3) + '...';
+        return trimmed.trim() || `${this.tokenizer.truncate(text, maxTokens - 1, platform)}...`;
     }
 
     countWords(text) {
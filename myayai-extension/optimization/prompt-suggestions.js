@@ -2,31 +2,36 @@
 // Generates intelligent suggestions for prompt improvements
 
 class PromptSuggestions {
-    constructor() {
+    constructor(templateLibrary = null) {
         this.templates = this.initializeTemplates();
+        this.templateLibrary = templateLibrary;
         this.improvementPatterns = this.initializeImprovementPatterns();
         this.platformSpecificTips = this.initializePlatformTips();
+        this.protectedRegions = new (self.ProtectedRegions || ProtectedRegions)();
     }
 
+    /**
+     * Fill-in templates. {name} placeholders are required, {name?} ones optional (see PromptTemplates).
+     */
     initializeTemplates() {
         return {
             general: {
-                contextual: "Context: {context}\n\nTask: {task}\n\nRequirements:\n- {requirement1}\n- {requirement2}\n\nExpected Output: {output}",
+                contextual: "Context: {context}\n\nTask: {task}\n\nRequirements:\n- {requirement1}\n- {requirement2?}\n\nExpected Output: {output}",
                 structured: "## Objective\n{objective}\n\n## Background\n{background}\n\n## Specific Request\n{request}\n\n## Format\n{format}",
-                stepByStep: "Please help me {task} by following these steps:\n\n1. {step1}\n2. {step2}\n3. {step3}\n\nAdditional details: {details}"
+                stepByStep: "Please help me {task} by following these steps:\n\n1. {step1}\n2. {step2}\n3. {step3}\n\nAdditional details: {details?}"
             },
             writing: {
-                creative: "Write a {type} about {topic} with the following characteristics:\n- Tone: {tone}\n- Audience: {audience}\n- Length: {length}\n- Style: {style}\n\nAdditional requirements: {requirements}",
+                creative: "Write a {type} about {topic} with the following characteristics:\n- Tone: {tone}\n- Audience: {audience}\n- Length: {length}\n- Style: {style}\n\nAdditional requirements: {requirements?}",
                 analytical: "Please analyze {subject} by examining:\n1. {aspect1}\n2. {aspect2}\n3. {aspect3}\n\nProvide insights on {focus} and conclude with {conclusion}",
                 persuasive: "Create a persuasive {format} that:\n- Argues for: {position}\n- Targets: {audience}\n- Uses evidence from: {sources}\n- Addresses counterarguments about: {counterargs}"
             },
             technical: {
                 codeReview: "Please review this {language} code for:\n\n```{language}\n{code}\n```\n\nFocus on:\n- Code quality and best practices\n- Performance optimization\n- Security concerns\n- Maintainability\n\nProvide specific recommendations.",
-                debugging: "I'm encountering {error} in my {technology} project. Here's the relevant code:\n\n```{language}\n{code}\n```\n\nExpected behavior: {expected}\nActual behavior: {actual}\n\nEnvironment: {environment}",
+                debugging: "I'm encountering {error} in my {technology} project. Here's the relevant code:\n\n```{language}\n{code}\n```\n\nExpected behavior: {expected}\nActual behavior: {actual}\n\nEnvironment: {environment?}",
                 architecture: "Help me design a {system} architecture that:\n- Handles {requirements}\n- Scales to {scale}\n- Integrates with {integrations}\n- Meets {constraints}\n\nPlease provide diagrams and implementation recommendations."
             },
             research: {
-                comparative: "Compare {item1} and {item2} across these dimensions:\n- {dimension1}\n- {dimension2}\n- {dimension3}\n\nProvide a recommendation for {useCase} with supporting evidence.",
+                comparative: "Compare {item1} and {item2} across these dimensions:\n- {dimension1}\n- {dimension2}\n- {dimension3?}\n\nProvide a recommendation for {useCase} with supporting evidence.",
                 investigative: "Research {topic} with focus on:\n- Current state and trends\n- Key challenges and opportunities  \n- Recent developments (2024)\n- Future implications\n\nInclude credible sources and data.",
                 analytical: "Analyze {dataset} to identify:\n1. Patterns and correlations\n2. Key insights and findings\n3. Actionable recommendations\n\nMethodology: {methodology}\nContext: {context}"
             },
@@ -481,7 +486,12 @@ class PromptSuggestions {
         return suggestions;
     }
 
+    /**
+     * Built-in templates matching the prompt's intent, preceded by the user's own templates whose
+     * tags or title match it
+     */
     suggestTemplates(prompt, analysis) {
+        const personal = this.suggestPersonalTemplates(prompt);
         const suggestions = [];
         const promptLower = prompt.toLowerCase();
         
@@ -538,7 +548,36 @@ class PromptSuggestions {
             });
         }
         
-        return suggestions.slice(0, 3); // Top 3 template suggestions
+        return [...personal, ...suggestions.slice(0, 3)]; // Top 3 built-in template suggestions
+    }
+
+    /**
+     * The user's templates ranked by tags found in the prompt (2 points each) and title words (1 point each)
+     */
+    suggestPersonalTemplates(prompt, limit = 2) {
+        if (!this.templateLibrary) return [];
+
+        const words = new Set(prompt.toLowerCase().match(/[a-z0-9]+/g) || []);
+        const hasPhrase = phrase => phrase.split(/[-\s]+/).filter(Boolean).every(word => words.has(word));
+
+        return this.templateLibrary.list()
+            .map(entry => {
+                const tagHits = entry.tags.filter(hasPhrase).length;
+                const titleWords = entry.title.toLowerCase().match(/[a-z0-9]{4,}/g) || [];
+                const titleHits = titleWords.filter(word => words.has(word)).length;
+                return { entry, score: tagHits * 2 + titleHits };
+            })
+            .filter(({ score }) => score >= 2)
+            .sort((a, b) => b.score - a.score)
+            .slice(0, limit)
+            .map(({ entry }) => ({
+                category: 'personal',
+                subcategory: entry.id,
+                template: entry.template,
+                title: entry.title,
+                description: entry.description || 'From your template library',
+                tags: entry.tags
+            }));
     }
 
     detectWritingCategory(prompt) {
@@ -597,11 +636,11 @@ class PromptSuggestions {
                     break;
                     
                 case 'vagueness':
-                    // Replace common vague terms
-                    improved = improved
+                    // Replace common vague terms outside code, URLs and quotes
+                    improved = this.protectedRegions.protect(improved, text => text
                         .replace(/\bthing\b/gi, '[specific item]')
                         .replace(/\bstuff\b/gi, '[specific items]')
-                        .replace(/\bsomething\b/gi, '[specific topic]');
+                        .replace(/\bsomething\b/gi, '[specific topic]'), { label: 'vagueness fix' });
                     break;
                     
                 case 'unclear_request':
@@ -622,10 +661,12 @@ class PromptSuggestions {
         
         // If prompt is long but unstructured, restructure it
         if (analysis.metadata.wordCount > 50 && analysis.metadata.paragraphCount === 1) {
-            const sentences = structured.split(/[.!?]+/).filter(s => s.trim().length > 0);
-            if (sentences.length > 3) {
-                structured = `## Background\n${sentences[0].trim()}.\n\n## Request\n${sentences.slice(1).join('. ').trim()}.`;
-            }
+            // Split on sentence punctuation outside URLs, paths and code
+            structured = this.protectedRegions.protect(structured, text => {
+                const sentences = text.split(/[.!?]+/).filter(s => s.trim().length > 0);
+                if (sentences.length <= 3) return text;
+                return `## Background\n${sentences[0].trim()}.\n\n## Request\n${sentences.slice(1).join('. ').trim()}.`;
+            }, { label: 'structural rewrite' });
         }
         
         return structured;
@@ -0,0 +1,250 @@
+/**
+ * MyAyAI Prompt Templates
+ * Turns the PromptSuggestions template library and the user's own templates into fillable
+ * forms: parses typed placeholders, validates values and renders the finished prompt
+ */
+
+class PromptTemplates {
+    /**
+     * {name} is required and {name?} optional. A type may follow the name: {notes:multiline},
+     * {snippet:code} or {tone:choice(formal|casual)}, and a default after =, as in {tone:choice(formal|casual)=formal}.
+     */
+    static PLACEHOLDER = /\{([A-Za-z][A-Za-z0-9_]*)(?::(text|multiline|code|choice)(?:\(([^(){}\n]*)\))?)?(?:=([^{}\n]*?))?(\?)?\}/g;
+
+    // Untyped fields that usually hold more than a line get a textarea
+    static MULTILINE_FIELDS = Object.freeze([
+        'context', 'background', 'details', 'requirements', 'request', 'situation', 'problem'
+    ]);
+
+    static CATEGORY_LABELS = Object.freeze({
+        personal: 'My templates',
+        general: 'General',
+        writing: 'Writing',
+        technical: 'Technical',
+        research: 'Research',
+        business: 'Business'
+    });
+
+    constructor(suggestions = null, library = null) {
+        this.suggestions = suggestions || new (self.PromptSuggestions || PromptSuggestions)();
+        this.library = library || this.suggestions.templateLibrary ||
+            (self.TemplateLibrary ? new self.TemplateLibrary() : null);
+    }
+
+    /**
+     * Load the user's template library, if there is one
+     */
+    async load() {
+        if (this.library) {
+            await this.library.load();
+        }
+    }
+
+    /**
+     * The user's templates followed by the built-in library, each with its parsed fields
+     */
+    listTemplates() {
+        const templates = this.library ? this.library.list().map(entry => this.describePersonalTemplate(entry)) : [];
+
+        Object.entries(this.suggestions.templates).forEach(([category, entries]) => {
+            Object.entries(entries).forEach(([key, template]) => {
+                templates.push(this.describeTemplate(category, key, template));
+            });
+        });
+
+        return templates;
+    }
+
+    /**
+     * Templates matching every word of the query against category, title, description, tags
+     * and text. Words starting with # only match tags.
+     */
+    search(query = '') {
+        const words = query.trim().toLowerCase().split(/\s+/).filter(Boolean);
+
+        return this.listTemplates().filter(template => words.every(word => {
+            if (word.startsWith('#')) {
+                return template.tags.includes(word.slice(1));
+            }
+            const text = `${template.categoryLabel} ${template.title} ${template.description} ${template.tags.join(' ')} ${template.template}`;
+            return text.toLowerCase().includes(word);
+        }));
+    }
+
+    getTemplate(id) {
+        const [category, key] = String(id).split('.');
+
+        if (category === 'personal') {
+            const entry = this.library ? this.library.get(key) : null;
+            return entry ? this.describePersonalTemplate(entry) : null;
+        }
+
+        const template = this.suggestions.templates[category]?.[key];
+        return template ? this.describeTemplate(category, key, template) : null;
+    }
+
+    describeTemplate(category, key, template) {
+        return {
+            id: `${category}.${key}`,
+            category,
+            categoryLabel: PromptTemplates.CATEGORY_LABELS[category] || this.humanize(category),
+            key,
+            title: this.humanize(key),
+            description: '',
+            tags: [],
+            custom: false,
+            template,
+            fields: this.parseFields(template)
+        };
+    }
+
+    describePersonalTemplate(entry) {
+        return {
+            ...this.describeTemplate('personal', entry.id, entry.template),
+            title: entry.title,
+            description: entry.description,
+            tags: entry.tags,
+            command: entry.command || '',
+            custom: true
+        };
+    }
+
+    /**
+     * Placeholders in order of first use. A placeholder used several times is one field that is
+     * required if any use is required; its type, options and default come from the first use giving them.
+     */
+    parseFields(template) {
+        const fields = new Map();
+        const typed = new Set();
+
+        for (const [, name, type, options, defaultValue, optional] of template.matchAll(PromptTemplates.PLACEHOLDER)) {
+            let field = fields.get(name);
+
+            if (!field) {
+                field = {
+                    name,
+                    label: this.humanize(name),
+                    type: this.inferType(name),
+                    required: !optional,
+                    multiline: false,
+                    options: [],
+                    defaultValue: ''
+                };
+                fields.set(name, field);
+            } else {
+                field.required = field.required || !optional;
+            }
+
+            if (type && !typed.has(name)) {
+                const choices = Array.from(new Set(String(options || '').split('|').map(option => option.trim()).filter(Boolean)));
+                // A choice without options is just text
+                field.type = type === 'choice' && choices.length === 0 ? 'text' : type;
+                field.options = field.type === 'choice' ? choices : [];
+                typed.add(name);
+            }
+
+            if (defaultValue && defaultValue.trim() && !field.defaultValue) {
+                field.defaultValue = defaultValue.trim();
+            }
+        }
+
+        fields.forEach(field => {
+            field.multiline = field.type === 'multiline' || field.type === 'code';
+        });
+
+        return Array.from(fields.values());
+    }
+
+    /**
+     * Type of a placeholder that does not declare one, from its name
+     */
+    inferType(name) {
+        if (name === 'code') return 'code';
+        return PromptTemplates.MULTILINE_FIELDS.includes(name) ? 'multiline' : 'text';
+    }
+
+    /**
+     * The value a field renders with: what the user entered, else its default. Code keeps its
+     * indentation; other values are trimmed.
+     */
+    resolveValue(field, values = {}) {
+        const raw = String(values[field.name] ?? '');
+        const value = field.type === 'code' ? raw.replace(/^\s*\n|\s+$/g, '') : raw.trim();
+        return value || field.defaultValue;
+    }
+
+    /**
+     * Check values against a template's fields. errors maps field names to messages.
+     */
+    validate(template, values = {}) {
+        const errors = {};
+
+        this.parseFields(template).forEach(field => {
+            const value = this.resolveValue(field, values);
+
+            if (field.required && !value) {
+                errors[field.name] = `${field.label} is required`;
+            } else if (value && field.type === 'choice' && !field.options.includes(value)) {
+                errors[field.name] = `${field.label} must be one of: ${field.options.join(', ')}`;
+            }
+        });
+
+        return { valid: Object.keys(errors).length === 0, errors };
+    }
+
+    /**
+     * Fill in a template. Lines left with only a list marker or label by an empty
+     * optional field are dropped.
+     */
+    render(template, values = {}) {
+        const { valid, errors } = this.validate(template, values);
+        if (!valid) {
+            throw new Error(`Template is missing values: ${Object.values(errors).join('; ')}`);
+        }
+
+        const fields = new Map(this.parseFields(template).map(field => [field.name, field]));
+        const lines = template.split('\n').flatMap(line => {
+            let emptied = false;
+            const rendered = line.replace(PromptTemplates.PLACEHOLDER, (match, name) => {
+                const value = this.resolveValue(fields.get(name), values);
+                if (!value) emptied = true;
+                return value;
+            });
+
+            return emptied && /^\s*(?:[-*•]|\d+\.)?\s*(?:[\w ]{1,40}:)?\s*$/.test(rendered) ? [] : [rendered];
+        });
+
+        return lines.join('\n').replace(/\n{3,}/g, '\n\n').trim();
+    }
+
+    /**
+     * Live preview while filling in: values so far (or defaults), unfilled placeholders left visible
+     */
+    preview(template, values = {}) {
+        const fields = new Map(this.parseFields(template).map(field => [field.name, field]));
+        return template.replace(PromptTemplates.PLACEHOLDER,
+            (match, name) => this.resolveValue(fields.get(name), values) || match);
+    }
+
+    /**
+     * "useCase" -> "Use case", "requirement1" -> "Requirement 1"
+     */
+    humanize(name) {
+        const words = name
+            .replace(/([a-z])([A-Z])/g, '$1 $2')
+            .replace(/([A-Za-z])(\d)/g, '$1 $2')
+            .replace(/_/g, ' ')
+            .toLowerCase();
+
+        return words.charAt(0).toUpperCase() + words.slice(1);
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = PromptTemplates;
+} else if (typeof window !== 'undefined') {
+    window.PromptTemplates = PromptTemplates;
+} else {
+    self.PromptTemplates = PromptTemplates;
+}
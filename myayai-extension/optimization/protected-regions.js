@@ -0,0 +1,220 @@
+/**
+ * MyAyAI Protected Regions
+ * Marks literal regions of a prompt (code, URLs, paths, @-mentions, quotes, JSON) that rewrites must not touch
+ */
+
+class ProtectedRegions {
+    static TYPES = Object.freeze({
+        CODE_FENCE: 'code-fence',
+        INLINE_CODE: 'inline-code',
+        JSON: 'json',
+        URL: 'url',
+        FILE_PATH: 'file-path',
+        MENTION: 'mention',
+        QUOTED: 'quoted'
+    });
+
+    // Private-use code points cannot appear in rewrite patterns, so placeholders survive every rule
+    static PLACEHOLDER_START = '\uE000';
+
+    static PLACEHOLDER_END = '\uE001';
+
+    constructor() {
+        this.patterns = this.initializePatterns();
+    }
+
+    /**
+     * Region patterns in priority order; earlier types win when regions overlap
+     */
+    initializePatterns() {
+        const types = ProtectedRegions.TYPES;
+
+        return [
+            { type: types.CODE_FENCE, regex: /(```|~~~)[\s\S]*?(?:\1|$)/g },
+            { type: types.INLINE_CODE, regex: /`[^`\n]+`/g },
+            { type: types.JSON, finder: text => this.findJsonRegions(text) },
+            { type: types.URL, regex: /\b(?:https?:\/\/|www\.)[^\s<>"'`]+[^\s<>"'`.,;:!?)\]]/gi },
+            {
+                type: types.FILE_PATH,
+                regex: /(?:~|\.{1,2})?(?:\/[\w.@-]+){2,}\/?|[A-Za-z]:\\[\w\\.-]+|\b[\w.-]+(?:\/[\w.-]+)+\.[A-Za-z0-9]+\b/g
+            },
+            // "@Claude-3.5-Sonnet" style bot mentions; email addresses are not matched
+            { type: types.MENTION, regex: /(?<![\w@./])@[A-Za-z][\w.-]*\w/g },
+            { type: types.QUOTED, regex: /"[^"\n]*"|“[^”\n]*”|(?<![\w'])'[^'\n]+'(?![\w])/g }
+        ];
+    }
+
+    /**
+     * Find non-overlapping protected regions, sorted by position
+     */
+    findRegions(text) {
+        const regions = [];
+        const overlaps = (start, end) => regions.some(region => start < region.end && end > region.start);
+
+        for (const pattern of this.patterns) {
+            const matches = pattern.finder
+                ? pattern.finder(text)
+                : Array.from(text.matchAll(pattern.regex), match => ({
+                    start: match.index,
+                    end: match.index + match[0].length
+                }));
+
+            for (const { start, end } of matches) {
+                if (end > start && !overlaps(start, end)) {
+                    regions.push({ type: pattern.type, start, end, text: text.slice(start, end) });
+                }
+            }
+        }
+
+        return regions.sort((a, b) => a.start - b.start);
+    }
+
+    /**
+     * Balanced {...} / [...] spans that parse as JSON objects or arrays.
+     * The outermost span that parses wins; spans inside one that does not are tried next.
+     */
+    findJsonRegions(text) {
+        const found = [];
+        let coveredEnd = 0;
+
+        for (const { start, end } of this.findBracketSpans(text)) {
+            if (start < coveredEnd) continue;
+
+            const candidate = text.slice(start, end);
+            if (!/["\d]|true|false|null/.test(candidate)) continue;
+
+            try {
+                const value = JSON.parse(candidate);
+                if (value !== null && typeof value === 'object') {
+                    found.push({ start, end });
+                    coveredEnd = end;
+                }
+            } catch (error) {
+                // Not JSON, try the spans inside it
+            }
+        }
+
+        return found;
+    }
+
+    /**
+     * Every balanced bracket span, sorted by start, from one forward scan that tracks nesting.
+     * Quotes only open strings inside brackets; a mismatched closing bracket, or a newline
+     * inside a string, drops the brackets still open.
+     */
+    findBracketSpans(text) {
+        const spans = [];
+        const stack = [];
+        let inString = false;
+
+        for (let i = 0; i < text.length; i++) {
+            const char = text[i];
+
+            if (inString) {
+                if (char === '\\') {
+                    i++;
+                } else if (char === '"') {
+                    inString = false;
+                } else if (char === '\n') {
+                    // JSON strings never hold a raw newline, so this quote was prose
+                    inString = false;
+                    stack.length = 0;
+                }
+                continue;
+            }
+
+            if (char === '{' || char === '[') {
+                stack.push({ start: i, close: char === '{' ? '}' : ']' });
+            } else if (stack.length === 0) {
+                continue;
+            } else if (char === '"') {
+                inString = true;
+            } else if (char === '}' || char === ']') {
+                const open = stack.pop();
+                if (open.close === char) {
+                    spans.push({ start: open.start, end: i + 1 });
+                } else {
+                    stack.length = 0;
+                }
+            }
+        }
+
+        return spans.sort((a, b) => a.start - b.start);
+    }
+
+    /**
+     * Replace protected regions with opaque placeholders
+     */
+    mask(text) {
+        const regions = this.findRegions(text);
+        let masked = '';
+        let offset = 0;
+
+        regions.forEach((region, index) => {
+            masked += text.slice(offset, region.start) + this.placeholder(index);
+            offset = region.end;
+        });
+
+        return { text: masked + text.slice(offset), regions };
+    }
+
+    /**
+     * Restore placeholders, reporting any that were dropped or duplicated
+     */
+    unmask(masked, regions) {
+        const { PLACEHOLDER_START: open, PLACEHOLDER_END: close } = ProtectedRegions;
+        const seen = new Map();
+        const pattern = new RegExp(`${open}(\\d+)${close}`, 'g');
+
+        const text = masked.replace(pattern, (match, index) => {
+            const region = regions[Number(index)];
+            if (!region) return match;
+
+            seen.set(region, (seen.get(region) || 0) + 1);
+            return region.text;
+        });
+
+        return {
+            text,
+            missing: regions.filter(region => !seen.has(region)),
+            duplicated: regions.filter(region => seen.get(region) > 1),
+            corrupted: text.includes(open) || text.includes(close)
+        };
+    }
+
+    placeholder(index) {
+        return `${ProtectedRegions.PLACEHOLDER_START}${index}${ProtectedRegions.PLACEHOLDER_END}`;
+    }
+
+    /**
+     * Run a rewrite with protected regions masked. If the rewrite would alter a region
+     * (or drop one, unless allowDrop is set) the original text is returned unchanged.
+     */
+    protect(text, transform, options = {}) {
+        const { allowDrop = false, label = 'rewrite' } = options;
+        const { text: masked, regions } = this.mask(text);
+
+        if (regions.length === 0) {
+            return transform(text);
+        }
+
+        const result = this.unmask(transform(masked), regions);
+        const violated = result.corrupted || result.duplicated.length > 0 || (!allowDrop && result.missing.length > 0);
+
+        if (violated) {
+            console.warn(`[ProtectedRegions] ${label} would modify a protected region; change discarded`);
+            return text;
+        }
+
+        return result.text;
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ProtectedRegions;
+} else if (typeof window !== 'undefined') {
+    window.ProtectedRegions = ProtectedRegions;
+} else {
+    self.ProtectedRegions = ProtectedRegions;
+}
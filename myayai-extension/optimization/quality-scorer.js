@@ -6,9 +6,12 @@
 class QualityScorer {
     constructor() {
         this.scoringCriteria = this.initializeScoringCriteria();
+        this.defaultWeights = this.getWeights();
         this.improvementCategories = this.initializeImprovementCategories();
         this.confidenceFactors = this.initializeConfidenceFactors();
         this.timeSavingMetrics = this.initializeTimeSavingMetrics();
+        this.styleExpectations = this.initializeStyleExpectations();
+        this.tokenizer = new (self.PromptTokenizer || PromptTokenizer)();
     }
 
     /**
@@ -73,6 +76,77 @@ class QualityScorer {
         };
     }
 
+    /**
+     * Criterion and factor weights as plain numbers, e.g. to store learned weights
+     */
+    getWeights() {
+        const weights = { criteria: {}, factors: {} };
+
+        for (const [criterion, config] of Object.entries(this.scoringCriteria)) {
+            weights.criteria[criterion] = config.weight;
+            weights.factors[criterion] = Object.fromEntries(config.factors.map(factor => [factor.name, factor.weight]));
+        }
+
+        return weights;
+    }
+
+    /**
+     * Override weights from getWeights()-shaped data; unknown names and non-positive values are ignored
+     */
+    applyWeights(weights = {}) {
+        const isWeight = value => typeof value === 'number' && Number.isFinite(value) && value > 0;
+
+        for (const [criterion, config] of Object.entries(this.scoringCriteria)) {
+            const criterionWeight = weights.criteria?.[criterion];
+            if (isWeight(criterionWeight)) {
+                config.weight = criterionWeight;
+            }
+
+            config.factors.forEach(factor => {
+                const factorWeight = weights.factors?.[criterion]?.[factor.name];
+                if (isWeight(factorWeight)) {
+                    factor.weight = factorWeight;
+                }
+            });
+        }
+    }
+
+    resetWeights() {
+        this.applyWeights(this.defaultWeights);
+    }
+
+    /**
+     * What each style expects of a prompt, as multipliers on criterion weights. Styles without
+     * an entry score with the plain weights.
+     */
+    initializeStyleExpectations() {
+        return {
+            concise: { clarity: 1.4, specificity: 1.2, context: 0.6, structure: 0.5, completeness: 0.6 },
+            casual: { clarity: 1.3, structure: 0.6 },
+            socratic: { context: 1.3, completeness: 0.8, structure: 0.8 },
+            eli5: { clarity: 1.5, specificity: 0.7, structure: 0.7 },
+            tutor: { structure: 1.3, completeness: 1.2, context: 1.1 }
+        };
+    }
+
+    /**
+     * Set the criterion multipliers for a style; unknown criteria and non-positive values are ignored
+     */
+    registerStyleExpectations(style, expectations = {}) {
+        const isMultiplier = value => typeof value === 'number' && Number.isFinite(value) && value > 0;
+
+        this.styleExpectations[style] = Object.fromEntries(Object.entries(expectations)
+            .filter(([criterion, value]) => this.scoringCriteria[criterion] && isMultiplier(value)));
+    }
+
+    /**
+     * Criterion weight adjusted for the style's expectations
+     */
+    getStyleWeight(criterion, style) {
+        const weight = this.scoringCriteria[criterion].weight;
+        return weight * (this.styleExpectations[style]?.[criterion] ?? 1);
+    }
+
     /**
      * Initialize improvement categories for badge generation
      */
@@ -157,23 +231,26 @@ class QualityScorer {
      * Calculate comprehensive quality score for a prompt
      */
     calculateQualityScore(prompt, style = 'professional', platform = 'chatgpt') {
-        const analysis = this.analyzePrompt(prompt);
+        const analysis = this.analyzePrompt(prompt, platform);
         const scores = {};
         let totalWeightedScore = 0;
         let totalWeight = 0;
 
         // Calculate score for each criterion
         for (const [criterion, config] of Object.entries(this.scoringCriteria)) {
-            const criterionScore = this.calculateCriterionScore(prompt, analysis, criterion, config, style, platform);
+            const factorScores = this.evaluateFactors(prompt, analysis, config, style, platform);
+            const criterionScore = this.combineFactorScores(config, factorScores);
+            const weight = this.getStyleWeight(criterion, style);
             scores[criterion] = {
                 score: criterionScore,
-                weight: config.weight,
-                weightedScore: criterionScore * config.weight,
-                description: config.description
+                weight,
+                weightedScore: criterionScore * weight,
+                description: config.description,
+                factors: factorScores
             };
             
-            totalWeightedScore += criterionScore * config.weight;
-            totalWeight += config.weight;
+            totalWeightedScore += criterionScore * weight;
+            totalWeight += weight;
         }
 
         const overallScore = Math.round(totalWeightedScore / totalWeight);
@@ -191,13 +268,14 @@ class QualityScorer {
     /**
      * Analyze prompt characteristics
      */
-    analyzePrompt(prompt) {
+    analyzePrompt(prompt, platform = 'chatgpt') {
         const words = prompt.trim().split(/\s+/).filter(w => w.length > 0);
         const sentences = prompt.split(/[.!?]+/).filter(s => s.trim().length > 0);
         const paragraphs = prompt.split(/\n\s*\n/).filter(p => p.trim().length > 0);
         
         return {
             length: prompt.length,
+            tokenCount: this.tokenizer.countTokens(prompt, platform),
             wordCount: words.length,
             sentenceCount: sentences.length,
             paragraphCount: paragraphs.length,
@@ -207,7 +285,7 @@ class QualityScorer {
             hasExamples: /(example|instance|such as|like|e\.g\.|for example)/i.test(prompt),
             hasConstraints: /(must|should|required|need|limit|constraint)/i.test(prompt),
             hasContext: /(context|background|situation|currently|because)/i.test(prompt),
-            hasFormatting: /(\n|•|*|-|\d+\.|\#)/test(prompt),
+            hasFormatting: /(\n|•|\*|-|\d+\.|#)/.test(prompt),
             hasStructure: paragraphs.length > 1 || /(\n.*:|\#.*\n|^\d+\.|\n\s*-|\n\s*\*)/m.test(prompt),
             complexityIndicators: this.calculateComplexityIndicators(prompt, words, sentences)
         };
@@ -247,12 +325,23 @@ class QualityScorer {
      * Calculate score for individual criterion
      */
     calculateCriterionScore(prompt, analysis, criterion, config, style, platform) {
+        return this.combineFactorScores(config, this.evaluateFactors(prompt, analysis, config, style, platform));
+    }
+
+    /**
+     * Raw 0-100 score of each factor of a criterion, by factor name
+     */
+    evaluateFactors(prompt, analysis, config, style, platform) {
+        return Object.fromEntries(config.factors.map(factor =>
+            [factor.name, factor.evaluator.call(this, prompt, analysis, style, platform)]));
+    }
+
+    combineFactorScores(config, factorScores) {
         let totalScore = 0;
         let totalWeight = 0;
 
         for (const factor of config.factors) {
-            const factorScore = factor.evaluator.call(this, prompt, analysis, style, platform);
-            totalScore += factorScore * factor.weight;
+            totalScore += factorScores[factor.name] * factor.weight;
             totalWeight += factor.weight;
         }
 
@@ -621,18 +710,15 @@ class QualityScorer {
         if (improvement > 0) confidence += Math.min(30, improvement * 1.5);
         if (improvement < 0) confidence -= Math.min(30, Math.abs(improvement) * 2);
         
-        // Length optimization factor
-        const originalLength = originalPrompt.length;
-        const optimizedLength = optimizedPrompt.length;
-        const lengthRatio = optimizedLength / Math.max(originalLength, 1);
+        // Length optimization factor, in the platform's tokens
+        const originalAnalysis = originalScore.analysis;
+        const optimizedAnalysis = optimizedScore.analysis;
+        const lengthRatio = optimizedAnalysis.tokenCount / Math.max(originalAnalysis.tokenCount, 1);
         
         if (lengthRatio >= 1.2 && lengthRatio <= 2.5) confidence += 10;
         if (lengthRatio > 3) confidence -= 5;
         
         // Structural improvements
-        const originalAnalysis = this.analyzePrompt(originalPrompt);
-        const optimizedAnalysis = this.analyzePrompt(optimizedPrompt);
-        
         if (optimizedAnalysis.hasStructure && !originalAnalysis.hasStructure) confidence += 15;
         if (optimizedAnalysis.hasContext && !originalAnalysis.hasContext) confidence += 10;
         if (optimizedAnalysis.hasExamples && !originalAnalysis.hasExamples) confidence += 8;
@@ -792,7 +878,14 @@ class QualityScorer {
             chatgpt: [/step.?by.?step/i, /example/i, /explain.*reasoning/i],
             claude: [/<\w+>/i, /think.*through/i, /consider/i, /analysis/i],
             perplexity: [/research/i, /source/i, /citation/i, /current/i],
-            gemini: [/current.*information/i, /recent/i, /data/i, /factual/i]
+            gemini: [/current.*information/i, /recent/i, /data/i, /factual/i],
+            copilot: [/cite.*sources/i, /scannable/i, /bullet points/i],
+            poe: [/direct answer/i, /step.?by.?step/i, /think.*through/i, /current.*information/i],
+            characterai: [/\(ooc:/i, /stay in character/i, /\*[^*\n]+\*/],
+            deepseek: [/final answer/i, /respond in english/i],
+            mistral: [/markdown/i, /search the web/i, /cite.*sources/i],
+            grok: [/posts on x/i, /how recent/i, /direct answer/i],
+            huggingchat: [/direct answer/i, /step.?by.?step/i, /think.*through/i, /markdown/i]
         };
         
         const indicators = platformIndicators[platform] || [];
@@ -0,0 +1,214 @@
+/**
+ * MyAyAI Redaction Vault
+ * Swaps sensitive values for stable placeholders such as [EMAIL_1] before text goes into a
+ * composer, and puts the originals back into text copied from the AI's answers. Mappings are kept
+ * per site in memory; when persistence is on they are also saved to chrome.storage.local encrypted
+ * with AES-GCM, under a key that only lives in chrome.storage.session and is gone when the browser closes.
+ */
+
+class RedactionVault {
+    static STORAGE_KEY = 'myayai_redaction_vault';
+
+    static KEY_STORAGE_KEY = 'myayai_redaction_key';
+
+    static PLACEHOLDER_PATTERN = /\[[A-Z][A-Z0-9_]*_\d+\]/g;
+
+    constructor(detector = null, storage = null, keyStorage = null, cryptoApi = null) {
+        const chromeStorage = typeof chrome !== 'undefined' && chrome.storage ? chrome.storage : null;
+        this.detector = detector || new (self.SensitiveDataDetector || SensitiveDataDetector)();
+        this.storage = storage || (chromeStorage ? chromeStorage.local : null);
+        this.keyStorage = keyStorage || (chromeStorage ? chromeStorage.session || null : null);
+        this.crypto = cryptoApi || (typeof crypto !== 'undefined' ? crypto : null);
+        this.scopes = {};
+        this.key = null;
+    }
+
+    isEnabled() {
+        return this.detector.getRedaction().enabled;
+    }
+
+    /**
+     * Encrypted persistence needs the setting, both storage areas and Web Crypto
+     */
+    canPersist() {
+        return Boolean(this.detector.getRedaction().persist && this.storage && this.keyStorage && this.crypto?.subtle);
+    }
+
+    /**
+     * Replace every finding in text with its placeholder. scope is the site hostname; a value seen
+     * before in the same scope gets the same placeholder again.
+     */
+    redact(text, scope) {
+        const findings = this.detector.scan(text, scope);
+        if (!findings.length) return { text, replacements: [] };
+
+        const mapping = this.getScope(scope);
+        const replacements = findings.map(finding => ({
+            placeholder: this.assignPlaceholder(mapping, finding),
+            label: finding.label,
+            start: finding.start,
+            end: finding.end
+        }));
+
+        const redacted = replacements.reduceRight((result, replacement) =>
+            result.slice(0, replacement.start) + replacement.placeholder + result.slice(replacement.end), text);
+
+        this.save(scope).catch(error => console.warn('[MyAyAI] Could not save redaction placeholders:', error));
+        return {
+            text: redacted,
+            replacements: replacements.map(({ placeholder, label }) => ({ placeholder, label }))
+        };
+    }
+
+    /**
+     * Put the original values back for the placeholders known in scope; unknown ones are left as they are
+     */
+    restore(text, scope) {
+        const values = this.scopes[scope]?.values || {};
+        return String(text ?? '').replace(RedactionVault.PLACEHOLDER_PATTERN, placeholder =>
+            (Object.prototype.hasOwnProperty.call(values, placeholder) ? values[placeholder] : placeholder));
+    }
+
+    /**
+     * Whether text contains a placeholder this scope can restore
+     */
+    hasPlaceholders(text, scope) {
+        const values = this.scopes[scope]?.values || {};
+        return (String(text ?? '').match(RedactionVault.PLACEHOLDER_PATTERN) || [])
+            .some(placeholder => Object.prototype.hasOwnProperty.call(values, placeholder));
+    }
+
+    hasMappings(scope) {
+        return Object.keys(this.scopes[scope]?.values || {}).length > 0;
+    }
+
+    getScope(scope) {
+        if (typeof scope !== 'string' || !scope) {
+            throw new Error('Redaction needs a site');
+        }
+        if (!this.scopes[scope]) {
+            this.scopes[scope] = { values: {}, counters: {} };
+        }
+        return this.scopes[scope];
+    }
+
+    assignPlaceholder(mapping, finding) {
+        const existing = Object.keys(mapping.values).find(placeholder => mapping.values[placeholder] === finding.value);
+        if (existing) return existing;
+
+        const name = finding.placeholder || 'REDACTED';
+        mapping.counters[name] = (mapping.counters[name] || 0) + 1;
+
+        const placeholder = `[${name}_${mapping.counters[name]}]`;
+        mapping.values[placeholder] = finding.value;
+        return placeholder;
+    }
+
+    /**
+     * Load the saved mappings for scope. Entries that no longer decrypt, because the browser was
+     * restarted and the session key is gone, are dropped.
+     */
+    async load(scope) {
+        if (!this.canPersist()) return false;
+
+        const saved = await this.loadSaved();
+        if (!saved[scope]) return false;
+
+        const key = await this.getKey(false);
+        try {
+            if (!key) throw new Error('Redaction key is gone');
+            this.scopes[scope] = await this.decrypt(saved[scope], key);
+            return true;
+        } catch (error) {
+            delete saved[scope];
+            await this.storage.set({ [RedactionVault.STORAGE_KEY]: saved });
+            return false;
+        }
+    }
+
+    async save(scope) {
+        if (!this.canPersist() || !this.scopes[scope]) return;
+
+        const key = await this.getKey(true);
+        const saved = await this.loadSaved();
+        saved[scope] = await this.encrypt(this.scopes[scope], key);
+        await this.storage.set({ [RedactionVault.STORAGE_KEY]: saved });
+    }
+
+    async loadSaved() {
+        const data = await this.storage.get([RedactionVault.STORAGE_KEY]);
+        const saved = data[RedactionVault.STORAGE_KEY];
+        return saved && typeof saved === 'object' ? saved : {};
+    }
+
+    /**
+     * Delete everything saved and the session key, so no saved mapping can be decrypted again
+     */
+    async forgetSaved() {
+        this.key = null;
+        if (this.storage) await this.storage.remove(RedactionVault.STORAGE_KEY);
+        if (this.keyStorage) await this.keyStorage.remove(RedactionVault.KEY_STORAGE_KEY);
+    }
+
+    /**
+     * Drop the in-memory mappings without touching storage
+     */
+    reset() {
+        this.scopes = {};
+        this.key = null;
+    }
+
+    /**
+     * The AES-GCM key shared by all tabs for this browser session
+     */
+    async getKey(create) {
+        if (this.key) return this.key;
+
+        const subtle = this.crypto.subtle;
+        const data = await this.keyStorage.get([RedactionVault.KEY_STORAGE_KEY]);
+        let jwk = data[RedactionVault.KEY_STORAGE_KEY];
+
+        if (!jwk) {
+            if (!create) return null;
+            const generated = await subtle.generateKey({ name: 'AES-GCM', length: 256 }, true, ['encrypt', 'decrypt']);
+            jwk = await subtle.exportKey('jwk', generated);
+            await this.keyStorage.set({ [RedactionVault.KEY_STORAGE_KEY]: jwk });
+        }
+
+        this.key = await subtle.importKey('jwk', jwk, { name: 'AES-GCM' }, false, ['encrypt', 'decrypt']);
+        return this.key;
+    }
+
+    async encrypt(value, key) {
+        const iv = this.crypto.getRandomValues(new Uint8Array(12));
+        const encoded = new TextEncoder().encode(JSON.stringify(value));
+        const data = await this.crypto.subtle.encrypt({ name: 'AES-GCM', iv }, key, encoded);
+        return { iv: this.toBase64(iv), data: this.toBase64(new Uint8Array(data)) };
+    }
+
+    async decrypt(entry, key) {
+        const decrypted = await this.crypto.subtle.decrypt(
+            { name: 'AES-GCM', iv: this.fromBase64(entry.iv) },
+            key,
+            this.fromBase64(entry.data)
+        );
+        return JSON.parse(new TextDecoder().decode(decrypted));
+    }
+
+    toBase64(bytes) {
+        return btoa(Array.from(bytes, byte => String.fromCharCode(byte)).join(''));
+    }
+
+    fromBase64(text) {
+        return Uint8Array.from(atob(text), char => char.charCodeAt(0));
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = RedactionVault;
+} else if (typeof window !== 'undefined') {
+    window.RedactionVault = RedactionVault;
+} else {
+    self.RedactionVault = RedactionVault;
+}
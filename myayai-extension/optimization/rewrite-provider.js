@@ -0,0 +1,255 @@
+/**
+ * MyAyAI Rewrite Provider
+ * Rewrites prompts with a user-configured OpenAI-compatible chat completions endpoint, such as the
+ * OpenAI API or a model server on localhost (Ollama, LM Studio, llama.cpp, vLLM). PromptOptimizer
+ * uses it before the rule engine and falls back to the rules when it fails.
+ */
+
+class LLMRewriteProvider {
+    static CONFIG_KEY = 'myayai_rewrite_provider';
+
+    static DEFAULT_TIMEOUT = 15000;
+
+    static MIN_TIMEOUT = 1000;
+
+    static MAX_TIMEOUT = 120000;
+
+    static LOCAL_HOSTS = Object.freeze(['localhost', '127.0.0.1', '[::1]']);
+
+    static META_PROMPT = [
+        'You rewrite prompts so that another AI assistant gives a better answer.',
+        'Keep the user\'s intent and keep every fact, number, name, identifier, code block, URL and constraint exactly as written.',
+        'Make the request clear and specific. Add a role, structure, context and an output format only where they help.',
+        'Adapt the wording to the target assistant and style you are given.',
+        'Do not answer the prompt. Reply with the rewritten prompt only, without a preamble, quotes or explanation.'
+    ].join('\n');
+
+    constructor(storage = null, fetchFn = null) {
+        this.storage = storage || (typeof chrome !== 'undefined' && chrome.storage ? chrome.storage.local : null);
+        this.fetch = fetchFn || (typeof fetch !== 'undefined' ? (...args) => fetch(...args) : null);
+        this.id = 'openai-compatible';
+        this.label = 'OpenAI-compatible endpoint';
+        this.config = this.createConfig();
+    }
+
+    createConfig() {
+        return {
+            enabled: false,
+            endpoint: '',
+            model: '',
+            apiKey: '',
+            timeoutMs: LLMRewriteProvider.DEFAULT_TIMEOUT
+        };
+    }
+
+    /**
+     * The config lives in chrome.storage.local so the API key is never synced
+     */
+    async loadConfig() {
+        if (this.storage) {
+            const data = await this.storage.get([LLMRewriteProvider.CONFIG_KEY]);
+            const stored = data[LLMRewriteProvider.CONFIG_KEY] || {};
+            const defaults = this.createConfig();
+
+            this.config = Object.fromEntries(Object.entries(defaults).map(([option, value]) =>
+                [option, typeof stored[option] === typeof value ? stored[option] : value]));
+        }
+        return this.getConfig();
+    }
+
+    /**
+     * Validate and save config changes
+     */
+    async saveConfig(changes) {
+        this.config = this.normalizeConfig({ ...this.config, ...changes });
+        if (this.storage) {
+            await this.storage.set({ [LLMRewriteProvider.CONFIG_KEY]: this.config });
+        }
+        return this.getConfig();
+    }
+
+    /**
+     * Trim and check a config. Enabling needs an endpoint and a model.
+     */
+    normalizeConfig(values) {
+        const config = { ...this.createConfig(), ...values };
+        config.endpoint = String(config.endpoint || '').trim();
+        config.model = String(config.model || '').trim();
+        config.apiKey = String(config.apiKey || '').trim();
+        config.enabled = Boolean(config.enabled);
+        config.timeoutMs = Number(config.timeoutMs);
+
+        if (config.endpoint) {
+            this.validateEndpoint(config.endpoint);
+        }
+        if (config.enabled && (!config.endpoint || !config.model)) {
+            throw new Error('Set an endpoint and a model before turning on the rewrite provider');
+        }
+        if (!Number.isFinite(config.timeoutMs) ||
+            config.timeoutMs < LLMRewriteProvider.MIN_TIMEOUT ||
+            config.timeoutMs > LLMRewriteProvider.MAX_TIMEOUT) {
+            const { MIN_TIMEOUT, MAX_TIMEOUT } = LLMRewriteProvider;
+            throw new Error(`Timeout must be between ${MIN_TIMEOUT / 1000} and ${MAX_TIMEOUT / 1000} seconds`);
+        }
+        return config;
+    }
+
+    getConfig() {
+        return { ...this.config };
+    }
+
+    isEnabled() {
+        return Boolean(this.config.enabled && this.config.endpoint && this.config.model && this.fetch);
+    }
+
+    /**
+     * Endpoints must be http(s); plain http is only accepted for a server on this computer
+     */
+    validateEndpoint(endpoint) {
+        let url;
+        try {
+            url = new URL(endpoint);
+        } catch (error) {
+            throw new Error('Endpoint must be a full URL, such as http://localhost:11434/v1');
+        }
+
+        if (url.protocol === 'http:' && !this.isLocal(url)) {
+            throw new Error('Use https unless the endpoint runs on this computer');
+        }
+        if (url.protocol !== 'http:' && url.protocol !== 'https:') {
+            throw new Error('Endpoint must use http or https');
+        }
+        return url;
+    }
+
+    isLocal(url) {
+        return LLMRewriteProvider.LOCAL_HOSTS.includes(url.hostname);
+    }
+
+    /**
+     * Accept a base URL (…/v1) or the full chat completions URL
+     */
+    getCompletionsUrl() {
+        const endpoint = this.config.endpoint.replace(/\/+$/, '');
+        return /\/chat\/completions$/.test(endpoint) ? endpoint : `${endpoint}/chat/completions`;
+    }
+
+    /**
+     * Origin pattern the extension needs host permission for, e.g. https://llm.example.com/*,
+     * or null for a server on this computer, which the manifest already allows
+     */
+    getPermissionOrigin(endpoint = this.config.endpoint) {
+        const url = this.validateEndpoint(endpoint);
+        return this.isLocal(url) ? null : `${url.protocol}//${url.hostname}/*`;
+    }
+
+    buildMessages(text, { platform = 'chatgpt', style = 'professional', taskType = 'general' } = {}) {
+        return [
+            { role: 'system', content: LLMRewriteProvider.META_PROMPT },
+            {
+                role: 'user',
+                content: [
+                    `Target assistant: ${platform}`,
+                    `Style: ${style}`,
+                    `Task type: ${taskType}`,
+                    '',
+                    'Prompt to rewrite:',
+                    '<prompt>',
+                    text,
+                    '</prompt>'
+                ].join('\n')
+            }
+        ];
+    }
+
+    /**
+     * Send text to the endpoint and return the rewritten prompt. Throws when the provider is not
+     * configured, the request fails or times out, or the reply has no text.
+     */
+    async rewrite(text, context = {}) {
+        if (!this.isEnabled()) {
+            throw new Error('Rewrite provider is not configured');
+        }
+
+        const controller = new AbortController();
+        const timer = setTimeout(() => controller.abort(), this.config.timeoutMs);
+        const headers = { 'Content-Type': 'application/json' };
+        if (this.config.apiKey) {
+            headers.Authorization = `Bearer ${this.config.apiKey}`;
+        }
+
+        try {
+            const response = await this.fetch(this.getCompletionsUrl(), {
+                method: 'POST',
+                headers,
+                body: JSON.stringify({
+                    model: this.config.model,
+                    messages: this.buildMessages(text, context),
+                    temperature: 0.2,
+                    stream: false
+                }),
+                signal: controller.signal
+            });
+            if (!response.ok) {
+                throw new Error(`Rewrite endpoint returned ${response.status}`);
+            }
+
+            const data = await response.json();
+            const rewritten = this.extractPrompt(data?.choices?.[0]?.message?.content);
+            if (!rewritten) {
+                throw new Error('Rewrite endpoint returned no text');
+            }
+            return rewritten;
+        } catch (error) {
+            if (controller.signal.aborted) {
+                throw new Error(`Rewrite endpoint timed out after ${this.config.timeoutMs / 1000}s`);
+            }
+            if (error instanceof TypeError) {
+                throw new Error(`Could not reach the rewrite endpoint: ${error.message}`);
+            }
+            throw error;
+        } finally {
+            clearTimeout(timer);
+        }
+    }
+
+    /**
+     * Models sometimes echo the <prompt> tags or wrap the answer in a code fence
+     */
+    extractPrompt(content) {
+        if (typeof content !== 'string') return '';
+
+        let text = content.trim();
+        const tagged = text.match(/<prompt>\s*([\s\S]*?)\s*<\/prompt>/);
+        if (tagged) {
+            text = tagged[1];
+        }
+        const fenced = text.match(/^```[\w-]*\n([\s\S]*?)\n```$/);
+        if (fenced) {
+            text = fenced[1];
+        }
+        return text.trim();
+    }
+
+    /**
+     * Rewrite a short sample prompt with config, or the saved config, for the settings UI
+     */
+    async test(config = null) {
+        if (config) {
+            this.config = this.normalizeConfig({ ...config, enabled: true });
+        }
+
+        const startTime = Date.now();
+        const sample = await this.rewrite('explain recursion', { platform: 'chatgpt', style: 'professional' });
+        return { latencyMs: Date.now() - startTime, sample };
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = LLMRewriteProvider;
+} else if (typeof window !== 'undefined') {
+    window.LLMRewriteProvider = LLMRewriteProvider;
+} else {
+    self.LLMRewriteProvider = LLMRewriteProvider;
+}
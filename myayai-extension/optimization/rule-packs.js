@@ -0,0 +1,349 @@
+/**
+ * MyAyAI Rule Packs
+ * Declarative JSON rule packs that layer house rules on top of the built-in OptimizationRules
+ */
+
+class RulePackManager {
+    static FORMAT_VERSION = 1;
+
+    static STORAGE_KEY = 'myayai_rule_packs';
+
+    /**
+     * Rule sections a pack may extend, mapped to the OptimizationRules property they layer onto
+     */
+    static SECTIONS = Object.freeze({
+        platformRules: 'platformRules',
+        styleRules: 'styleRules',
+        taskDetectionPatterns: 'taskDetectionPatterns',
+        expertRoles: 'expertRoles',
+        outputStructures: 'outputStructures',
+        contextualConstraints: 'contextualConstraints',
+        promptConstraints: 'promptConstraints'
+    });
+
+    constructor(storage = null) {
+        this.storage = storage || (typeof chrome !== 'undefined' && chrome.storage ? chrome.storage.local : null);
+        this.entries = [];
+        this.loaded = false;
+    }
+
+    /**
+     * Load installed packs from storage
+     */
+    async load() {
+        if (this.storage) {
+            const data = await this.storage.get([RulePackManager.STORAGE_KEY]);
+            this.entries = data[RulePackManager.STORAGE_KEY] || [];
+        }
+
+        this.loaded = true;
+        return this.entries;
+    }
+
+    async save() {
+        if (this.storage) {
+            await this.storage.set({ [RulePackManager.STORAGE_KEY]: this.entries });
+        }
+    }
+
+    async ensureLoaded() {
+        if (!this.loaded) {
+            await this.load();
+        }
+    }
+
+    /**
+     * Parse a pack from a JSON string or plain object
+     */
+    parsePack(input) {
+        if (typeof input !== 'string') {
+            return input;
+        }
+
+        try {
+            return JSON.parse(input);
+        } catch (error) {
+            throw new Error(`Rule pack is not valid JSON: ${error.message}`);
+        }
+    }
+
+    /**
+     * Validate a pack against the rule-pack format
+     */
+    validatePack(pack) {
+        const errors = [];
+
+        if (!this.isPlainObject(pack)) {
+            return { valid: false, errors: ['Rule pack must be a JSON object'] };
+        }
+
+        if (pack.formatVersion !== RulePackManager.FORMAT_VERSION) {
+            errors.push(`formatVersion must be ${RulePackManager.FORMAT_VERSION}`);
+        }
+
+        if (typeof pack.id !== 'string' || !/^[a-z0-9][a-z0-9._-]*$/.test(pack.id)) {
+            errors.push('id must be a lowercase slug (letters, digits, ".", "_" or "-")');
+        }
+
+        if (typeof pack.name !== 'string' || !pack.name.trim()) {
+            errors.push('name is required');
+        }
+
+        if (pack.version !== undefined && typeof pack.version !== 'string') {
+            errors.push('version must be a string');
+        }
+
+        if (pack.description !== undefined && typeof pack.description !== 'string') {
+            errors.push('description must be a string');
+        }
+
+        if (!this.isPlainObject(pack.rules)) {
+            errors.push('rules must be an object');
+            return { valid: false, errors };
+        }
+
+        for (const [section, value] of Object.entries(pack.rules)) {
+            if (!RulePackManager.SECTIONS[section]) {
+                errors.push(`rules.${section} is not a supported section`);
+                continue;
+            }
+
+            errors.push(...this.validateSection(section, value));
+        }
+
+        return { valid: errors.length === 0, errors };
+    }
+
+    validateSection(section, value) {
+        const path = `rules.${section}`;
+
+        if (section === 'promptConstraints') {
+            return this.validatePromptConstraints(value, path);
+        }
+
+        if (!this.isPlainObject(value)) {
+            return [`${path} must be an object`];
+        }
+
+        const errors = [];
+
+        for (const [key, entry] of Object.entries(value)) {
+            const entryPath = `${path}.${key}`;
+
+            if (!this.isPlainObject(entry)) {
+                errors.push(`${entryPath} must be an object`);
+                continue;
+            }
+
+            if (section === 'taskDetectionPatterns') {
+                errors.push(...this.validateTaskPatterns(entry, entryPath));
+            } else if (section === 'expertRoles') {
+                errors.push(...this.validateExpertRole(entry, entryPath));
+            } else if (section === 'platformRules') {
+                ['maxOptimalLength', 'maxOptimalTokens']
+                    .filter(field => entry[field] !== undefined && (typeof entry[field] !== 'number' || entry[field] <= 0))
+                    .forEach(field => errors.push(`${entryPath}.${field} must be a positive number`));
+            }
+        }
+
+        return errors;
+    }
+
+    validateTaskPatterns(entry, path) {
+        const errors = [];
+
+        if (entry.patterns !== undefined) {
+            if (!Array.isArray(entry.patterns)) {
+                errors.push(`${path}.patterns must be an array of regular expression strings`);
+            } else {
+                entry.patterns.forEach((pattern, index) => {
+                    const error = this.validateRegExp(pattern);
+                    if (error) {
+                        errors.push(`${path}.patterns[${index}] ${error}`);
+                    }
+                });
+            }
+        }
+
+        if (entry.confidence !== undefined &&
+            (typeof entry.confidence !== 'number' || entry.confidence <= 0 || entry.confidence > 1)) {
+            errors.push(`${path}.confidence must be a number between 0 and 1`);
+        }
+
+        if (entry.expertRoles !== undefined && !this.isStringArray(entry.expertRoles)) {
+            errors.push(`${path}.expertRoles must be an array of strings`);
+        }
+
+        return errors;
+    }
+
+    validateExpertRole(entry, path) {
+        const errors = [];
+
+        if (typeof entry.prefix !== 'string' || !entry.prefix.trim()) {
+            errors.push(`${path}.prefix is required`);
+        }
+
+        if (entry.enhancements !== undefined && !this.isStringArray(entry.enhancements)) {
+            errors.push(`${path}.enhancements must be an array of strings`);
+        }
+
+        return errors;
+    }
+
+    validatePromptConstraints(value, path) {
+        if (!Array.isArray(value)) {
+            return [`${path} must be an array`];
+        }
+
+        const errors = [];
+
+        value.forEach((constraint, index) => {
+            const entryPath = `${path}[${index}]`;
+
+            if (!this.isPlainObject(constraint)) {
+                errors.push(`${entryPath} must be an object`);
+                return;
+            }
+
+            if (typeof constraint.text !== 'string' || !constraint.text.trim()) {
+                errors.push(`${entryPath}.text is required`);
+            }
+
+            const when = constraint.when;
+            if (when === undefined) return;
+
+            if (!this.isPlainObject(when)) {
+                errors.push(`${entryPath}.when must be an object`);
+                return;
+            }
+
+            for (const key of ['platforms', 'styles', 'taskTypes']) {
+                if (when[key] !== undefined && !this.isStringArray(when[key])) {
+                    errors.push(`${entryPath}.when.${key} must be an array of strings`);
+                }
+            }
+
+            if (when.pattern !== undefined) {
+                const error = this.validateRegExp(when.pattern);
+                if (error) {
+                    errors.push(`${entryPath}.when.pattern ${error}`);
+                }
+            }
+        });
+
+        return errors;
+    }
+
+    validateRegExp(pattern) {
+        if (typeof pattern !== 'string' || !pattern) {
+            return 'must be a non-empty string';
+        }
+
+        try {
+            RegExp(pattern, 'i');
+            return null;
+        } catch (error) {
+            return `is not a valid regular expression (${error.message})`;
+        }
+    }
+
+    /**
+     * Validate and install a pack. Re-importing a pack id replaces it and keeps its toggle state.
+     */
+    async importPack(input) {
+        await this.ensureLoaded();
+
+        const pack = this.parsePack(input);
+        const { valid, errors } = this.validatePack(pack);
+
+        if (!valid) {
+            throw new Error(`Invalid rule pack: ${errors.join('; ')}`);
+        }
+
+        const existing = this.entries.find(entry => entry.pack.id === pack.id);
+        const entry = {
+            pack,
+            enabled: existing ? existing.enabled : true,
+            importedAt: Date.now()
+        };
+
+        if (existing) {
+            this.entries[this.entries.indexOf(existing)] = entry;
+        } else {
+            this.entries.push(entry);
+        }
+
+        await this.save();
+        return entry;
+    }
+
+    async setPackEnabled(packId, enabled) {
+        await this.ensureLoaded();
+
+        const entry = this.entries.find(item => item.pack.id === packId);
+        if (!entry) {
+            throw new Error(`Rule pack not found: ${packId}`);
+        }
+
+        entry.enabled = Boolean(enabled);
+        await this.save();
+        return entry;
+    }
+
+    async removePack(packId) {
+        await this.ensureLoaded();
+
+        const before = this.entries.length;
+        this.entries = this.entries.filter(entry => entry.pack.id !== packId);
+
+        if (this.entries.length === before) {
+            return false;
+        }
+
+        await this.save();
+        return true;
+    }
+
+    /**
+     * Installed packs with metadata, in layering order
+     */
+    async listPacks() {
+        await this.ensureLoaded();
+
+        return this.entries.map(entry => ({
+            id: entry.pack.id,
+            name: entry.pack.name,
+            version: entry.pack.version || null,
+            description: entry.pack.description || '',
+            enabled: entry.enabled,
+            importedAt: entry.importedAt,
+            sections: Object.keys(entry.pack.rules)
+        }));
+    }
+
+    /**
+     * Enabled packs in layering order (later packs override earlier ones)
+     */
+    async getEnabledPacks() {
+        await this.ensureLoaded();
+        return this.entries.filter(entry => entry.enabled).map(entry => entry.pack);
+    }
+
+    isPlainObject(value) {
+        return value !== null && typeof value === 'object' && !Array.isArray(value);
+    }
+
+    isStringArray(value) {
+        return Array.isArray(value) && value.every(item => typeof item === 'string');
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = RulePackManager;
+} else if (typeof window !== 'undefined') {
+    window.RulePackManager = RulePackManager;
+} else {
+    self.RulePackManager = RulePackManager;
+}
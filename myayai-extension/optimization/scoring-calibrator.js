@@ -0,0 +1,228 @@
+/**
+ * MyAyAI Scoring Calibrator
+ * Learns per-user QualityScorer weights from thumbs-up/down feedback on optimized prompts
+ * and on the responses they produced. Everything stays in local storage.
+ */
+
+class ScoringCalibrator {
+    static FEEDBACK_KEY = 'myayai_scoring_feedback';
+
+    static WEIGHTS_KEY = 'myayai_scoring_weights';
+
+    static RATINGS = Object.freeze(['up', 'down']);
+
+    static TARGETS = Object.freeze(['optimization', 'response']);
+
+    static MAX_FEEDBACK = 500;
+
+    static MAX_HISTORY = 20;
+
+    // Both ratings need this many samples before weights move
+    static MIN_SAMPLES_PER_RATING = 3;
+
+    // Feedback count at which a signal counts half; keeps early weights close to the defaults
+    static PRIOR_SAMPLES = 20;
+
+    static LEARNING_RATE = 1.5;
+
+    static MIN_MULTIPLIER = 0.5;
+
+    static MAX_MULTIPLIER = 2;
+
+    constructor(storage = null, scorer = null) {
+        this.storage = storage || (typeof chrome !== 'undefined' && chrome.storage ? chrome.storage.local : null);
+        this.scorer = scorer || new (self.QualityScorer || QualityScorer)();
+        this.defaultWeights = this.copy(this.scorer.defaultWeights);
+        this.learned = null;
+    }
+
+    /**
+     * Load learned weights and apply them to the scorer
+     */
+    async load() {
+        const data = this.storage ? await this.storage.get([ScoringCalibrator.WEIGHTS_KEY]) : {};
+        this.learned = data[ScoringCalibrator.WEIGHTS_KEY] || null;
+        this.applyTo(this.scorer);
+        return this.learned;
+    }
+
+    async save(items) {
+        if (this.storage) {
+            await this.storage.set(items);
+        }
+    }
+
+    /**
+     * Apply the learned weights, or the defaults when nothing has been learned, to a scorer
+     */
+    applyTo(scorer) {
+        scorer.resetWeights();
+        if (this.learned) {
+            scorer.applyWeights(this.learned);
+        }
+    }
+
+    getWeights() {
+        return this.learned ? { criteria: this.learned.criteria, factors: this.learned.factors } : this.copy(this.defaultWeights);
+    }
+
+    /**
+     * Store a rating of a prompt and recalibrate. Only the prompt's factor scores are kept, not its text.
+     */
+    async recordFeedback({ prompt, rating, target = 'optimization', platform = 'chatgpt', style = 'professional' }) {
+        if (typeof prompt !== 'string' || !prompt.trim()) {
+            throw new Error('Feedback needs the prompt that was rated');
+        }
+        if (!ScoringCalibrator.RATINGS.includes(rating)) {
+            throw new Error(`Rating must be one of: ${ScoringCalibrator.RATINGS.join(', ')}`);
+        }
+        if (!ScoringCalibrator.TARGETS.includes(target)) {
+            throw new Error(`Feedback target must be one of: ${ScoringCalibrator.TARGETS.join(', ')}`);
+        }
+
+        const { breakdown } = this.scorer.calculateQualityScore(prompt, style, platform);
+        const entry = {
+            rating,
+            target,
+            platform,
+            criteria: Object.fromEntries(Object.entries(breakdown).map(([criterion, result]) => [criterion, result.score])),
+            factors: Object.fromEntries(Object.entries(breakdown).map(([criterion, result]) => [criterion, result.factors])),
+            createdAt: Date.now()
+        };
+
+        const feedback = await this.getFeedback();
+        feedback.push(entry);
+        await this.save({ [ScoringCalibrator.FEEDBACK_KEY]: feedback.slice(-ScoringCalibrator.MAX_FEEDBACK) });
+
+        const weights = await this.recalibrate();
+        return { entry, recalibrated: weights !== null };
+    }
+
+    async getFeedback() {
+        if (!this.storage) return [];
+
+        const data = await this.storage.get([ScoringCalibrator.FEEDBACK_KEY]);
+        const feedback = data[ScoringCalibrator.FEEDBACK_KEY];
+        return Array.isArray(feedback) ? feedback : [];
+    }
+
+    /**
+     * Re-derive weights from all stored feedback. Each criterion and factor weight is scaled by how much
+     * higher it scored on liked prompts than on disliked ones, then each group is renormalized to its
+     * default total. Returns null, leaving weights unchanged, until there is enough feedback.
+     */
+    async recalibrate() {
+        const feedback = await this.getFeedback();
+        const liked = feedback.filter(entry => entry.rating === 'up');
+        const disliked = feedback.filter(entry => entry.rating === 'down');
+
+        if (Math.min(liked.length, disliked.length) < ScoringCalibrator.MIN_SAMPLES_PER_RATING) {
+            return null;
+        }
+
+        const confidence = feedback.length / (feedback.length + ScoringCalibrator.PRIOR_SAMPLES);
+        const learnGroup = (defaults, read) => {
+            const adjusted = Object.fromEntries(Object.entries(defaults).map(([name, weight]) => {
+                const separation = (this.average(liked, entry => read(entry, name)) -
+                    this.average(disliked, entry => read(entry, name))) / 100;
+                const multiplier = Math.exp(ScoringCalibrator.LEARNING_RATE * separation * confidence);
+                return [name, weight * Math.min(ScoringCalibrator.MAX_MULTIPLIER, Math.max(ScoringCalibrator.MIN_MULTIPLIER, multiplier))];
+            }));
+            return this.normalize(adjusted, this.sum(Object.values(defaults)));
+        };
+
+        const criteria = learnGroup(this.defaultWeights.criteria, (entry, name) => entry.criteria?.[name]);
+        const factors = Object.fromEntries(Object.entries(this.defaultWeights.factors).map(([criterion, defaults]) =>
+            [criterion, learnGroup(defaults, (entry, name) => entry.factors?.[criterion]?.[name])]));
+
+        await this.load();
+        const history = [
+            ...(this.learned?.history || []),
+            { at: Date.now(), samples: feedback.length, criteria }
+        ].slice(-ScoringCalibrator.MAX_HISTORY);
+
+        this.learned = {
+            criteria,
+            factors,
+            samples: { up: liked.length, down: disliked.length },
+            updatedAt: Date.now(),
+            history
+        };
+
+        await this.save({ [ScoringCalibrator.WEIGHTS_KEY]: this.learned });
+        this.applyTo(this.scorer);
+        return this.getWeights();
+    }
+
+    /**
+     * Forget all feedback and go back to the default weights
+     */
+    async reset() {
+        this.learned = null;
+        this.applyTo(this.scorer);
+        if (this.storage) {
+            await this.storage.remove([ScoringCalibrator.FEEDBACK_KEY, ScoringCalibrator.WEIGHTS_KEY]);
+        }
+    }
+
+    /**
+     * Default and learned weight of every criterion and factor, largest change first within each list
+     */
+    async getDrift() {
+        const feedback = await this.getFeedback();
+        const weights = this.getWeights();
+        const compare = (defaults, current) => Object.entries(defaults)
+            .map(([name, defaultWeight]) => ({
+                name,
+                defaultWeight,
+                weight: current[name],
+                change: Math.round((current[name] - defaultWeight) * 10000) / 10000
+            }))
+            .sort((a, b) => Math.abs(b.change) - Math.abs(a.change));
+
+        return {
+            learned: this.learned !== null,
+            updatedAt: this.learned?.updatedAt || null,
+            feedback: {
+                up: feedback.filter(entry => entry.rating === 'up').length,
+                down: feedback.filter(entry => entry.rating === 'down').length,
+                optimization: feedback.filter(entry => entry.target === 'optimization').length,
+                response: feedback.filter(entry => entry.target === 'response').length
+            },
+            criteria: compare(this.defaultWeights.criteria, weights.criteria).map(criterion => ({
+                ...criterion,
+                description: this.scorer.scoringCriteria[criterion.name]?.description || '',
+                factors: compare(this.defaultWeights.factors[criterion.name], weights.factors[criterion.name])
+            })),
+            history: this.learned?.history || []
+        };
+    }
+
+    average(entries, read) {
+        const values = entries.map(read).filter(value => typeof value === 'number' && Number.isFinite(value));
+        return values.length ? this.sum(values) / values.length : 0;
+    }
+
+    normalize(weights, total) {
+        const scale = total / this.sum(Object.values(weights));
+        return Object.fromEntries(Object.entries(weights).map(([name, weight]) =>
+            [name, Math.round(weight * scale * 10000) / 10000]));
+    }
+
+    sum(values) {
+        return values.reduce((total, value) => total + value, 0);
+    }
+
+    copy(value) {
+        return JSON.parse(JSON.stringify(value));
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ScoringCalibrator;
+} else if (typeof window !== 'undefined') {
+    window.ScoringCalibrator = ScoringCalibrator;
+} else {
+    self.ScoringCalibrator = ScoringCalibrator;
+}
@@ -0,0 +1,513 @@
+/**
+ * MyAyAI Sensitive Data Detector
+ * Finds API keys, tokens, private keys and personal data (emails, phone numbers, card numbers,
+ * national IDs) in a prompt before it is sent. Each detector warns, blocks or is off; users can
+ * add their own patterns and allow detectors or specific values per site.
+ */
+
+class SensitiveDataDetector {
+    static ACTIONS = Object.freeze(['off', 'warn', 'block']);
+
+    static CATEGORIES = Object.freeze(['secret', 'pii']);
+
+    static CONFIG_KEY = 'myayai_sensitive_data_config';
+
+    static MAX_CUSTOM_PATTERNS = 20;
+
+    constructor(settingsStorage = null) {
+        const chromeStorage = typeof chrome !== 'undefined' && chrome.storage ? chrome.storage : null;
+        this.settingsStorage = settingsStorage || (chromeStorage ? chromeStorage.sync : null);
+        this.detectors = this.initializeDetectors();
+        this.config = this.createConfig();
+    }
+
+    /**
+     * Built-in detectors. group picks the capture group holding the sensitive value;
+     * validate() drops matches that only look right, such as numbers failing the Luhn check.
+     * placeholder names the value when it is redacted, e.g. EMAIL becomes [EMAIL_1].
+     */
+    initializeDetectors() {
+        return [
+            {
+                id: 'private-key',
+                label: 'Private key',
+                placeholder: 'PRIVATE_KEY',
+                category: 'secret',
+                action: 'block',
+                pattern: /-----BEGIN (?:[A-Z0-9]+ )*PRIVATE KEY-----(?:[\s\S]*?-----END (?:[A-Z0-9]+ )*PRIVATE KEY-----)?/g
+            },
+            {
+                id: 'anthropic-key',
+                label: 'Anthropic API key',
+                placeholder: 'API_KEY',
+                category: 'secret',
+                action: 'block',
+                pattern: /\bsk-ant-[A-Za-z0-9_-]{20,}/g
+            },
+            {
+                id: 'openai-key',
+                label: 'OpenAI API key',
+                placeholder: 'API_KEY',
+                category: 'secret',
+                action: 'block',
+                pattern: /\bsk-(?!ant-)(?:proj-|svcacct-)?[A-Za-z0-9_-]{20,}/g
+            },
+            {
+                id: 'aws-access-key',
+                label: 'AWS access key',
+                placeholder: 'AWS_KEY',
+                category: 'secret',
+                action: 'block',
+                pattern: /\b(?:AKIA|ASIA)[0-9A-Z]{16}\b/g
+            },
+            {
+                id: 'github-token',
+                label: 'GitHub token',
+                placeholder: 'TOKEN',
+                category: 'secret',
+                action: 'block',
+                pattern: /\b(?:gh[pousr]_[A-Za-z0-9]{36,255}|github_pat_[A-Za-z0-9_]{22,255})\b/g
+            },
+            {
+                id: 'slack-token',
+                label: 'Slack token',
+                placeholder: 'TOKEN',
+                category: 'secret',
+                action: 'block',
+                pattern: /\bxox[abposr]-[A-Za-z0-9-]{10,}/g
+            },
+            {
+                id: 'google-api-key',
+                label: 'Google API key',
+                placeholder: 'API_KEY',
+                category: 'secret',
+                action: 'block',
+                pattern: /\bAIza[0-9A-Za-z_-]{35}\b/g
+            },
+            {
+                id: 'stripe-key',
+                label: 'Stripe key',
+                placeholder: 'API_KEY',
+                category: 'secret',
+                action: 'block',
+                pattern: /\b(?:sk|rk)_(?:live|test)_[0-9A-Za-z]{16,}\b/g
+            },
+            {
+                id: 'jwt',
+                label: 'JSON Web Token',
+                placeholder: 'TOKEN',
+                category: 'secret',
+                action: 'block',
+                pattern: /\beyJ[A-Za-z0-9_-]{8,}\.eyJ[A-Za-z0-9_-]{8,}\.[A-Za-z0-9_-]{8,}/g
+            },
+            {
+                id: 'secret-assignment',
+                label: 'Password or secret',
+                placeholder: 'SECRET',
+                category: 'secret',
+                action: 'warn',
+                pattern: /(?<![A-Za-z0-9])(?:api[_-]?key|secret|token|password|passwd|pwd)["']?\s*[:=]\s*["']?([^\s"'`,;]{8,})/gi,
+                group: 1,
+                // Skip placeholders like <your-key>, ${TOKEN}, xxxxxxxx or ********
+                validate: value => !/^(?:<.*>|\$\{.*\}|\{\{.*\}\}|x+|\*+|\.+|your[_-].*)$/i.test(value)
+            },
+            {
+                id: 'email',
+                label: 'Email address',
+                placeholder: 'EMAIL',
+                category: 'pii',
+                action: 'warn',
+                pattern: /\b[A-Za-z0-9._%+-]+@[A-Za-z0-9.-]+\.[A-Za-z]{2,}\b/g
+            },
+            {
+                id: 'phone',
+                label: 'Phone number',
+                placeholder: 'PHONE',
+                category: 'pii',
+                action: 'warn',
+                pattern: /(?<![\w+]|\d[\s.-])(?:\+\d{1,3}[\s.-]?)?(?:\(\d{2,4}\)|\d{2,4})[\s.-]\d{3,4}[\s.-]\d{3,4}(?![\w-]|[\s.-]\d)/g,
+                validate: value => this.countDigits(value) >= 10 && this.countDigits(value) <= 15
+            },
+            {
+                id: 'credit-card',
+                label: 'Card number',
+                placeholder: 'CARD',
+                category: 'pii',
+                action: 'block',
+                pattern: /(?<![\d-])(?:\d[ -]?){12,18}\d(?![\d-])/g,
+                validate: value => this.passesLuhn(value.replace(/\D/g, ''))
+            },
+            {
+                id: 'us-ssn',
+                label: 'US Social Security number',
+                placeholder: 'SSN',
+                category: 'pii',
+                action: 'block',
+                pattern: /\b(?!000|666|9\d\d)\d{3}-(?!00)\d{2}-(?!0000)\d{4}\b/g
+            },
+            {
+                id: 'uk-nino',
+                label: 'UK National Insurance number',
+                placeholder: 'NINO',
+                category: 'pii',
+                action: 'block',
+                pattern: /\b(?!BG|GB|NK|KN|TN|NT|ZZ)[A-CEGHJ-PR-TW-Z][A-CEGHJ-NPR-TW-Z] ?\d{2} ?\d{2} ?\d{2} ?[A-D]\b/g
+            }
+        ];
+    }
+
+    createConfig() {
+        return { actions: {}, patterns: [], allowLists: {}, redaction: { enabled: false, persist: false } };
+    }
+
+    async loadConfig() {
+        if (this.settingsStorage) {
+            const data = await this.settingsStorage.get([SensitiveDataDetector.CONFIG_KEY]);
+            const stored = data[SensitiveDataDetector.CONFIG_KEY] || {};
+            const patterns = (Array.isArray(stored.patterns) ? stored.patterns : [])
+                .filter(pattern => pattern && pattern.id && this.compilePattern(pattern.pattern));
+
+            const defaults = this.createConfig();
+            this.config = { ...defaults, patterns, allowLists: stored.allowLists || {} };
+            this.config.redaction = Object.fromEntries(Object.entries(defaults.redaction).map(([option, value]) =>
+                [option, typeof stored.redaction?.[option] === 'boolean' ? stored.redaction[option] : value]));
+            this.config.actions = Object.fromEntries(Object.entries(stored.actions || {}).filter(([id, action]) =>
+                this.getDetector(id) && SensitiveDataDetector.ACTIONS.includes(action)));
+        }
+        return this.config;
+    }
+
+    async saveConfig() {
+        if (this.settingsStorage) {
+            await this.settingsStorage.set({ [SensitiveDataDetector.CONFIG_KEY]: this.config });
+        }
+    }
+
+    /**
+     * Go back to the default actions. Custom patterns and allow lists are kept.
+     */
+    async resetActions() {
+        this.config = { ...this.config, actions: {} };
+        await this.saveConfig();
+    }
+
+    getRedaction() {
+        return { ...this.config.redaction };
+    }
+
+    /**
+     * Turn redaction on or off, and whether its placeholders survive a page reload
+     */
+    async setRedaction(changes) {
+        const redaction = { ...this.config.redaction };
+        Object.entries(changes || {}).forEach(([option, value]) => {
+            if (!(option in redaction)) {
+                throw new Error(`Unknown redaction option '${option}'`);
+            }
+            redaction[option] = Boolean(value);
+        });
+
+        this.config = { ...this.config, redaction };
+        await this.saveConfig();
+        return this.getRedaction();
+    }
+
+    /**
+     * Built-in detectors followed by the user's patterns
+     */
+    getDetectors() {
+        const custom = this.config.patterns.map(pattern => ({
+            ...pattern,
+            custom: true,
+            placeholder: this.getPlaceholderName(pattern.label),
+            pattern: this.compilePattern(pattern.pattern)
+        }));
+        return [...this.detectors, ...custom];
+    }
+
+    getDetector(id) {
+        return this.getDetectors().find(detector => detector.id === id) || null;
+    }
+
+    getAction(id) {
+        const detector = this.getDetector(id);
+        if (!detector) return 'off';
+        return this.config.actions[id] || detector.action;
+    }
+
+    async setAction(id, action) {
+        const detector = this.getDetector(id);
+        if (!detector) {
+            throw new Error(`Unknown detector '${id}'`);
+        }
+        if (!SensitiveDataDetector.ACTIONS.includes(action)) {
+            throw new Error(`Action must be one of: ${SensitiveDataDetector.ACTIONS.join(', ')}`);
+        }
+
+        const actions = { ...this.config.actions };
+        if (action === detector.action) {
+            delete actions[id];
+        } else {
+            actions[id] = action;
+        }
+
+        this.config = { ...this.config, actions };
+        await this.saveConfig();
+    }
+
+    /**
+     * Detectors with their default and configured action, for the settings UI
+     */
+    listDetectors() {
+        return this.getDetectors().map(detector => ({
+            id: detector.id,
+            label: detector.label,
+            category: detector.category,
+            custom: Boolean(detector.custom),
+            defaultAction: detector.action,
+            action: this.getAction(detector.id)
+        }));
+    }
+
+    /**
+     * Add a user pattern. The pattern is a regular expression source; matching is case-insensitive.
+     */
+    async addPattern({ label, pattern, category = 'secret', action = 'warn' }) {
+        if (typeof label !== 'string' || !label.trim()) {
+            throw new Error('Give the pattern a name');
+        }
+        if (!SensitiveDataDetector.CATEGORIES.includes(category)) {
+            throw new Error(`Category must be one of: ${SensitiveDataDetector.CATEGORIES.join(', ')}`);
+        }
+        if (!['warn', 'block'].includes(action)) {
+            throw new Error('Action must be one of: warn, block');
+        }
+
+        const compiled = this.compilePattern(pattern);
+        if (!compiled) {
+            throw new Error('Pattern is not a valid regular expression');
+        }
+        if (compiled.test('')) {
+            throw new Error('Pattern must not match empty text');
+        }
+        if (this.config.patterns.length >= SensitiveDataDetector.MAX_CUSTOM_PATTERNS) {
+            throw new Error(`You can add up to ${SensitiveDataDetector.MAX_CUSTOM_PATTERNS} patterns`);
+        }
+
+        const entry = {
+            id: `custom-${Date.now().toString(36)}${Math.random().toString(36).substr(2, 4)}`,
+            label: label.trim(),
+            category,
+            action,
+            pattern
+        };
+
+        this.config = { ...this.config, patterns: [...this.config.patterns, entry] };
+        await this.saveConfig();
+        return { ...entry };
+    }
+
+    async removePattern(id) {
+        const actions = { ...this.config.actions };
+        delete actions[id];
+
+        this.config = { ...this.config, actions, patterns: this.config.patterns.filter(pattern => pattern.id !== id) };
+        await this.saveConfig();
+    }
+
+    /**
+     * Placeholder name for a custom pattern, from its label: "Customer ID" becomes CUSTOMER_ID
+     */
+    getPlaceholderName(label) {
+        const name = String(label || '').toUpperCase().replace(/[^A-Z0-9]+/g, '_').replace(/^_+|_+$/g, '');
+        return /^[A-Z]/.test(name) ? name : `CUSTOM${name ? `_${name}` : ''}`;
+    }
+
+    compilePattern(source) {
+        if (typeof source !== 'string' || !source) return null;
+
+        try {
+            return new RegExp(source, 'gi');
+        } catch (error) {
+            return null;
+        }
+    }
+
+    getAllowList(site) {
+        const allowList = this.config.allowLists[site] || {};
+        return { detectors: allowList.detectors || [], values: allowList.values || [] };
+    }
+
+    /**
+     * Allow a whole detector on a site, e.g. emails on a support chat
+     */
+    async allowDetector(site, id) {
+        if (!this.getDetector(id)) {
+            throw new Error(`Unknown detector '${id}'`);
+        }
+        await this.updateAllowList(site, allowList => ({
+            ...allowList,
+            detectors: Array.from(new Set([...allowList.detectors, id]))
+        }));
+    }
+
+    /**
+     * Allow one value on a site. Only a hash of the value is stored.
+     */
+    async allowValue(site, value) {
+        const hash = this.hashValue(value);
+        await this.updateAllowList(site, allowList => ({
+            ...allowList,
+            values: Array.from(new Set([...allowList.values, hash]))
+        }));
+    }
+
+    async disallowDetector(site, id) {
+        await this.updateAllowList(site, allowList => ({
+            ...allowList,
+            detectors: allowList.detectors.filter(detector => detector !== id)
+        }));
+    }
+
+    async clearAllowList(site) {
+        await this.updateAllowList(site, () => ({ detectors: [], values: [] }));
+    }
+
+    async updateAllowList(site, update) {
+        if (typeof site !== 'string' || !site) {
+            throw new Error('Allow lists need a site');
+        }
+
+        const allowLists = { ...this.config.allowLists };
+        const allowList = update(this.getAllowList(site));
+        if (allowList.detectors.length || allowList.values.length) {
+            allowLists[site] = allowList;
+        } else {
+            delete allowLists[site];
+        }
+
+        this.config = { ...this.config, allowLists };
+        await this.saveConfig();
+    }
+
+    /**
+     * Sites with an allow list, for the settings UI
+     */
+    listAllowLists() {
+        return Object.keys(this.config.allowLists).sort().map(site => ({ site, ...this.getAllowList(site) }));
+    }
+
+    /**
+     * Find sensitive data in text. site is the hostname whose allow list applies.
+     * Overlapping matches keep secrets over personal data, then the longer match.
+     */
+    scan(text, site = null) {
+        if (typeof text !== 'string' || !text) return [];
+
+        const allowList = site ? this.getAllowList(site) : { detectors: [], values: [] };
+        const candidates = [];
+
+        this.getDetectors().forEach(detector => {
+            const action = this.getAction(detector.id);
+            if (action === 'off' || allowList.detectors.includes(detector.id)) return;
+
+            for (const match of text.matchAll(detector.pattern)) {
+                const value = detector.group ? match[detector.group] : match[0];
+                if (!value || (detector.validate && !detector.validate(value))) continue;
+                if (allowList.values.includes(this.hashValue(value))) continue;
+
+                const start = match.index + (detector.group ? match[0].lastIndexOf(value) : 0);
+                candidates.push({
+                    detectorId: detector.id,
+                    label: detector.label,
+                    category: detector.category,
+                    placeholder: detector.placeholder,
+                    action,
+                    start,
+                    end: start + value.length,
+                    value,
+                    preview: this.mask(value)
+                });
+            }
+        });
+
+        const priority = finding => (finding.category === 'secret' ? 0 : 1);
+        const findings = [];
+        candidates
+            .sort((a, b) => priority(a) - priority(b) || (b.end - b.start) - (a.end - a.start) || a.start - b.start)
+            .forEach(candidate => {
+                if (!findings.some(finding => candidate.start < finding.end && finding.start < candidate.end)) {
+                    findings.push(candidate);
+                }
+            });
+
+        return findings.sort((a, b) => a.start - b.start);
+    }
+
+    /**
+     * 'block' if any finding blocks, 'warn' if any warns, otherwise null
+     */
+    getVerdict(findings) {
+        if (findings.some(finding => finding.action === 'block')) return 'block';
+        return findings.length ? 'warn' : null;
+    }
+
+    /**
+     * Remove a finding from the text, taking one adjacent space with it
+     */
+    removeFinding(text, finding) {
+        const before = text.slice(0, finding.start);
+        const after = text.slice(finding.end);
+        return before.endsWith(' ') && /^[\s.,;:!?)]/.test(after)
+            ? before.slice(0, -1) + after
+            : before + after;
+    }
+
+    /**
+     * Short preview that does not repeat the sensitive value
+     */
+    mask(value) {
+        if (value.length <= 8) return '•'.repeat(value.length);
+        return `${value.slice(0, 4)}…${value.slice(-2)}`;
+    }
+
+    passesLuhn(digits) {
+        if (digits.length < 13 || digits.length > 19 || /^(\d)\1+$/.test(digits)) return false;
+
+        let sum = 0;
+        for (let i = 0; i < digits.length; i++) {
+            let digit = Number(digits[digits.length - 1 - i]);
+            if (i % 2 === 1) {
+                digit *= 2;
+                if (digit > 9) digit -= 9;
+            }
+            sum += digit;
+        }
+        return sum % 10 === 0;
+    }
+
+    countDigits(value) {
+        return (value.match(/\d/g) || []).length;
+    }
+
+    /**
+     * FNV-1a hash, so allow lists never hold the allowed values themselves
+     */
+    hashValue(value) {
+        let hash = 0x811c9dc5;
+        for (let i = 0; i < value.length; i++) {
+            hash ^= value.charCodeAt(i);
+            hash = Math.imul(hash, 0x01000193) >>> 0;
+        }
+        return hash.toString(16).padStart(8, '0');
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = SensitiveDataDetector;
+} else if (typeof window !== 'undefined') {
+    window.SensitiveDataDetector = SensitiveDataDetector;
+} else {
+    self.SensitiveDataDetector = SensitiveDataDetector;
+}
@@ -0,0 +1,108 @@
+/**
+ * MyAyAI Slash Commands
+ * Maps /commands typed in a composer to templates: the built-in set plus any personal
+ * template given a command in the template library
+ */
+
+class SlashCommands {
+    static BUILT_IN_COMMANDS = Object.freeze({
+        review: { templateId: 'technical.codeReview', description: 'Ask for a code review' },
+        debug: { templateId: 'technical.debugging', description: 'Describe a bug with code and expected behavior' },
+        compare: { templateId: 'research.comparative', description: 'Compare two options across dimensions' },
+        design: { templateId: 'technical.architecture', description: 'Design a system architecture' },
+        plan: { templateId: 'business.planning', description: 'Plan a project with a roadmap' },
+        steps: { templateId: 'general.stepByStep', description: 'Work through a task step by step' },
+        structure: { templateId: 'general.structured', description: 'Objective, background, request and format' }
+    });
+
+    // "/" at the start of a line or after whitespace, then the command typed so far
+    static TRIGGER = /(^|\s)\/([a-z0-9-]{0,24})$/i;
+
+    static MAX_MATCHES = 8;
+
+    constructor(templates = null) {
+        this.templates = templates || new (self.PromptTemplates || PromptTemplates)();
+    }
+
+    async load() {
+        await this.templates.load();
+    }
+
+    /**
+     * Every command, sorted by name. A personal command with a built-in name replaces the built-in.
+     */
+    list() {
+        const commands = new Map();
+
+        Object.entries(SlashCommands.BUILT_IN_COMMANDS).forEach(([name, { templateId, description }]) => {
+            const template = this.templates.getTemplate(templateId);
+            if (template) {
+                commands.set(name, { name, templateId, title: template.title, description, custom: false });
+            }
+        });
+
+        this.templates.listTemplates()
+            .filter(template => template.custom && template.command)
+            .forEach(template => {
+                commands.set(template.command, {
+                    name: template.command,
+                    templateId: template.id,
+                    title: template.title,
+                    description: template.description || 'Your template',
+                    custom: true
+                });
+            });
+
+        return Array.from(commands.values()).sort((a, b) => a.name.localeCompare(b.name));
+    }
+
+    find(name) {
+        return this.list().find(command => command.name === String(name).toLowerCase()) || null;
+    }
+
+    /**
+     * Commands whose name starts with the query, then those with a title word that does
+     */
+    match(query = '') {
+        const needle = query.toLowerCase();
+        const commands = this.list();
+        const byName = commands.filter(command => command.name.startsWith(needle));
+        const byTitle = commands.filter(command => !byName.includes(command) &&
+            command.title.toLowerCase().split(/\s+/).some(word => word.startsWith(needle)));
+
+        return [...byName, ...byTitle].slice(0, SlashCommands.MAX_MATCHES);
+    }
+
+    /**
+     * The command being typed at the caret, as { query, start, end } offsets into text,
+     * or null when the caret is not right after a /command
+     */
+    parseTrigger(text, caret = text.length) {
+        if (/^[a-z0-9-]/i.test(text.slice(caret, caret + 1))) return null;
+
+        const match = text.slice(0, caret).match(SlashCommands.TRIGGER);
+        if (!match) return null;
+
+        const start = match.index + match[1].length;
+        return { query: match[2].toLowerCase(), start, end: caret };
+    }
+
+    /**
+     * Replace the /command at trigger with the expansion; caret is where the expansion ends
+     */
+    expand(text, trigger, expansion) {
+        const before = text.slice(0, trigger.start);
+        const after = text.slice(trigger.end);
+
+        return { text: before + expansion + after, caret: before.length + expansion.length };
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = SlashCommands;
+} else if (typeof window !== 'undefined') {
+    window.SlashCommands = SlashCommands;
+} else {
+    self.SlashCommands = SlashCommands;
+}
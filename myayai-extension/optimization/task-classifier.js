@@ -0,0 +1,434 @@
+/**
+ * MyAyAI Task Classifier
+ * Multinomial naive Bayes over word unigrams and bigrams that tells which kind of task a prompt is.
+ * It is trained in the browser from the bundled examples below, plus any prompts the user has
+ * labeled, and its probabilities are calibrated with a temperature fitted by leave-one-out.
+ */
+
+class TaskClassifier {
+    static EXAMPLES_KEY = 'myayai_task_examples';
+
+    static MAX_EXAMPLES = 500;
+
+    // Label for prompts that are not any particular task
+    static GENERAL = 'general';
+
+    // A label the user gave counts as this many bundled examples
+    static USER_WEIGHT = 3;
+
+    // OptimizationRules reports a task type only above this probability
+    static MIN_CONFIDENCE = 0.3;
+
+    static SMOOTHING = 0.5;
+
+    static TEMPERATURES = Object.freeze([0.5, 0.75, 1, 1.5, 2, 3, 4, 6, 8, 12, 16]);
+
+    static STOPWORDS = new Set([
+        'a', 'an', 'the', 'and', 'or', 'but', 'of', 'to', 'in', 'on', 'for', 'with', 'at', 'by', 'from',
+        'is', 'are', 'was', 'be', 'it', 'its', 'this', 'that', 'these', 'my', 'me', 'i', 'we', 'our',
+        'you', 'your', 'can', 'could', 'would', 'please', 'some', 'about', 'into', 'as', 'so', 'do'
+    ]);
+
+    static SEED_EXAMPLES = Object.freeze({
+        technical: [
+            'Fix this bug in my JavaScript function that throws undefined is not a function',
+            'Write a Python script that parses a CSV file and loads it into a Postgres database',
+            'How do I configure nginx as a reverse proxy for a Node.js app with SSL',
+            'Refactor this React component to use hooks instead of class state',
+            'Why is my Docker container exiting with code 137 during deployment',
+            'Design the database schema and REST API endpoints for a todo app',
+            'Why does my React app re-render every time the parent state changes',
+            'Explain the difference between a mutex and a semaphore in concurrent code',
+            'Write unit tests for this TypeScript class using Jest',
+            'Set up a CI pipeline in GitHub Actions that builds and deploys to Kubernetes',
+            'Debug this stack trace from my Java Spring Boot service',
+            'What architecture should I use for a scalable event driven microservices system',
+            'Implement a binary search tree in C++ with insert and delete',
+            'Review my pull request for security issues like SQL injection and XSS',
+            'Our API latency spiked after the last release, how do I profile the performance'
+        ],
+        business: [
+            'Write a go to market strategy for our new B2B SaaS product',
+            'Draft a business plan with revenue projections for a coffee shop',
+            'How should we price our subscription tiers to improve profit margins',
+            'Create a quarterly OKR plan for the sales and marketing team',
+            'Analyze our competitors and suggest how to increase market share',
+            'Write an email to stakeholders explaining the budget cuts for next year',
+            'What KPIs should a customer success team track',
+            'Prepare talking points for a board meeting about our ROI and growth',
+            'Help me write a proposal to win a new enterprise client',
+            'Suggest ways to reduce operations costs in our warehouse',
+            'Create a pitch deck outline for investors for our startup',
+            'How do I manage an underperforming employee on my team',
+            'Write a memo announcing the reorganization of the company',
+            'Build a customer retention plan to reduce churn',
+            'Summarize the financial risks of expanding into a new market'
+        ],
+        creative: [
+            'Write a short story about a lighthouse keeper who finds a message in a bottle',
+            'Brainstorm ten catchy names for a vegan bakery brand',
+            'Write a poem about autumn rain in the city',
+            'Create a social media campaign concept for a sneaker launch',
+            'Draft a blog post introduction that hooks the reader about minimalism',
+            'Come up with a plot twist for my fantasy novel',
+            'Write song lyrics about leaving home for the first time',
+            'Describe the visual style and color palette for a cozy mobile game',
+            'Write a funny script for a thirty second radio ad',
+            'Give me creative ideas for a themed birthday party',
+            'Write the dialogue for a tense scene between two rival detectives',
+            'Create a tagline and brand voice for an eco friendly clothing line',
+            'Write a children\'s story about a brave little turtle',
+            'Suggest an aesthetic and mood board concept for a wedding',
+            'Rewrite this product description to sound more playful and vivid'
+        ],
+        research: [
+            'Summarize the current research on intermittent fasting and longevity',
+            'What does the evidence say about remote work and productivity',
+            'Find peer reviewed studies on the effects of microplastics in drinking water',
+            'Design a survey methodology to measure customer satisfaction',
+            'Compare the findings of these two papers on climate sensitivity',
+            'Write a literature review on machine learning in medical imaging',
+            'What statistical test should I use to compare three groups',
+            'What do historians disagree about regarding the fall of Rome',
+            'Formulate a hypothesis and experiment design for testing a new fertilizer',
+            'What are the limitations of this study\'s sample size and methodology',
+            'Investigate the historical causes of the 2008 financial crisis with sources',
+            'Critically evaluate the references in this academic paper',
+            'Collect statistics on global renewable energy adoption since 2010',
+            'Examine the arguments for and against universal basic income with citations',
+            'How reliable are self reported data in nutrition studies'
+        ],
+        educational: [
+            'Explain photosynthesis to a ten year old',
+            'Teach me the basics of Spanish verb conjugation step by step',
+            'Create a lesson plan for a high school class on the French Revolution',
+            'I am a beginner, explain how compound interest works with an example',
+            'Make a study guide with practice questions for my biology exam',
+            'Help me understand derivatives in calculus, I keep getting confused',
+            'Design a five week course curriculum for learning guitar',
+            'Give me exercises to practice fractions for a fourth grader',
+            'Explain recursion like I am new to programming with a simple example',
+            'Create a quiz to assess understanding of the water cycle',
+            'Walk me through how to solve quadratic equations',
+            'What is the best way to learn to touch type as an adult',
+            'Write a tutorial that teaches how to read a balance sheet',
+            'Explain the causes of World War One for a history class',
+            'Create flashcards for the periodic table elements'
+        ],
+        data: [
+            'Write a SQL query that returns the top ten customers by revenue last month',
+            'Optimize this SQL query, it is slow on a table with ten million rows',
+            'Analyze this dataset and tell me which variables correlate with churn',
+            'How do I pivot this spreadsheet so months become columns',
+            'Write a pandas script to group sales by region and compute the median order value',
+            'Which chart should I use to show monthly active users by plan in a dashboard',
+            'Clean this CSV, it has duplicate rows and missing values in the price column',
+            'Explain the difference between a left join and an inner join with an example query',
+            'Write an Excel formula that sums sales where the region is West',
+            'Calculate the month over month growth rate from this table of signups',
+            'Build a cohort retention table from the events table in BigQuery',
+            'Find outliers in this data set of delivery times',
+            'Write a window function to rank products by sales within each category',
+            'What metrics should our product analytics dashboard track',
+            'Run a linear regression on this data and interpret the coefficients'
+        ],
+        legal: [
+            'Review this NDA and point out any clauses that favor the other party',
+            'Explain what an indemnification clause in a contract means',
+            'Is it legal for my landlord to keep my security deposit for normal wear and tear',
+            'Draft a simple freelance services agreement with payment terms',
+            'What does GDPR require when a user asks us to delete their data',
+            'Can I use a copyrighted song in my YouTube video under fair use',
+            'What are the liability risks of starting an LLC versus a sole proprietorship',
+            'Summarize the termination clause in this employment contract',
+            'How do I register a trademark for my brand name',
+            'My employer has not paid my overtime, what are my rights',
+            'Write a privacy policy for a mobile app that collects location data',
+            'What is the statute of limitations for a breach of contract claim',
+            'Explain the difference between a patent and a trade secret',
+            'Check this lease agreement for unusual terms',
+            'What compliance regulations apply to storing health records in the cloud'
+        ],
+        medical: [
+            'What are the common symptoms of iron deficiency anemia',
+            'Explain the side effects of taking ibuprofen every day',
+            'What is the recommended treatment for a sprained ankle',
+            'How does type 2 diabetes differ from type 1',
+            'I have had a headache and fever for three days, when should I see a doctor',
+            'What is a normal resting heart rate for adults',
+            'Can I take antihistamines together with antibiotics',
+            'Explain what my blood test results mean for cholesterol levels',
+            'What does the research say about physical therapy for lower back pain',
+            'What is the usual dosage of vitamin D for adults',
+            'How is high blood pressure diagnosed and treated',
+            'What should I know before getting knee replacement surgery',
+            'Explain how mRNA vaccines work and their side effects',
+            'What are early warning signs of a stroke',
+            'How long is a patient contagious with the flu'
+        ],
+        translation: [
+            'Translate good morning into Italian',
+            'Translate this email into Spanish and keep it formal',
+            'How do you say thank you for your patience in Japanese',
+            'Translate this paragraph from German to English',
+            'Localize our app store description for French speaking users',
+            'What is the Portuguese equivalent of the idiom break a leg',
+            'Translate these product labels into Mandarin Chinese',
+            'Translate this poem into Korean while keeping the rhyme',
+            'Is this French sentence grammatically correct, and what does it mean in English',
+            'Translate our error messages into Arabic',
+            'Translate this legal notice into Dutch using formal register',
+            'Make this English text sound natural to a native Russian speaker',
+            'Translate the menu into English for tourists',
+            'Convert this informal Spanish chat message into polite English',
+            'Translate these subtitles from English to Hindi'
+        ],
+        summarization: [
+            'Summarize this article in three bullet points',
+            'Give me a TL;DR of the following email thread',
+            'Condense this meeting transcript into the key decisions and action items',
+            'Summarize the main points of this report for an executive',
+            'Shorten this paragraph to under fifty words',
+            'What are the key takeaways from this podcast transcript',
+            'Recap this chapter of the book in a few sentences',
+            'Summarize the pasted customer feedback into themes',
+            'Give me the gist of this long Slack conversation',
+            'Turn this document into a one paragraph abstract',
+            'Summarize the changes in this release notes document',
+            'Create a short summary of this news article for a newsletter',
+            'Highlight the most important points from this lecture notes',
+            'Summarize this research paper for a non expert audience',
+            'Boil this proposal down to the three main arguments'
+        ],
+        image_generation: [
+            'Generate an image of a cat astronaut floating in space, photorealistic',
+            'Write a Midjourney prompt for a cozy cabin in a snowy forest at dusk',
+            'Create a DALL-E prompt for a minimalist logo of a mountain and sun',
+            'A cinematic portrait of an old fisherman, dramatic lighting, 85mm lens',
+            'Generate a watercolor illustration of a Paris street cafe',
+            'Stable diffusion prompt for a cyberpunk city at night with neon signs, 4k',
+            'Make a picture of a golden retriever wearing sunglasses on a beach',
+            'Create a fantasy landscape wallpaper with floating islands, aspect ratio 16:9',
+            'Draw an anime style character with silver hair and a red cloak',
+            'Generate a product photo of a perfume bottle on marble with soft light',
+            'Image prompt for a vintage travel poster of the Amalfi coast',
+            'Render a 3D isometric scene of a tiny coffee shop',
+            'Create an illustration of a dragon in the style of a medieval manuscript',
+            'Generate a photo of a modern living room with Scandinavian design, wide angle',
+            'Create a close-up macro photo of a dew drop on a leaf'
+        ],
+        general: [
+            'Hi, how are you today',
+            'What time zone is Tokyo in',
+            'Thanks, that was helpful',
+            'Recommend a good movie for tonight',
+            'What should I cook for dinner with chicken and rice',
+            'Tell me a joke',
+            'Plan a three day trip to Lisbon',
+            'How many cups are in a liter',
+            'What is the weather usually like in Iceland in March',
+            'Give me a packing list for a beach holiday',
+            'Suggest a gift for my mom\'s birthday',
+            'Who won the world cup in 2018',
+            'How do I get a red wine stain out of a carpet',
+            'What are some fun things to do on a rainy weekend',
+            'Can you help me with something'
+        ]
+    });
+
+    constructor(storage = null) {
+        this.storage = storage || (typeof chrome !== 'undefined' && chrome.storage ? chrome.storage.local : null);
+        this.userExamples = [];
+        this.train();
+    }
+
+    getLabels() {
+        return Object.keys(TaskClassifier.SEED_EXAMPLES);
+    }
+
+    /**
+     * Lowercased words without stopwords, plus each pair of neighboring words
+     */
+    extractFeatures(text) {
+        const words = (String(text || '').toLowerCase().match(/[a-z0-9]+(?:[+#]+|(?:[.'-][a-z0-9]+)*)/g) || [])
+            .filter(word => !TaskClassifier.STOPWORDS.has(word));
+        const bigrams = words.slice(1).map((word, index) => `${words[index]} ${word}`);
+        return [...words, ...bigrams];
+    }
+
+    /**
+     * Bundled examples followed by the user's labels, each with its training weight
+     */
+    getTrainingExamples() {
+        const seed = Object.entries(TaskClassifier.SEED_EXAMPLES).flatMap(([label, texts]) =>
+            texts.map(text => ({ text, label, weight: 1 })));
+        const user = this.userExamples.map(example => ({ ...example, weight: TaskClassifier.USER_WEIGHT }));
+        return [...seed, ...user];
+    }
+
+    /**
+     * Count features per label, then fit the calibration temperature
+     */
+    train() {
+        const examples = this.getTrainingExamples().map(example => ({
+            ...example,
+            features: this.extractFeatures(example.text)
+        }));
+        const labels = this.getLabels();
+        const model = {
+            labels,
+            docCounts: Object.fromEntries(labels.map(label => [label, 0])),
+            featureCounts: Object.fromEntries(labels.map(label => [label, new Map()])),
+            totals: Object.fromEntries(labels.map(label => [label, 0])),
+            vocabulary: new Set(),
+            documents: 0
+        };
+
+        examples.forEach(example => this.updateCounts(model, example, example.weight));
+        this.model = model;
+        this.temperature = this.fitTemperature(examples);
+        return this.model;
+    }
+
+    updateCounts(model, { label, features }, weight) {
+        model.docCounts[label] += weight;
+        model.documents += weight;
+        features.forEach(feature => {
+            const counts = model.featureCounts[label];
+            counts.set(feature, (counts.get(feature) || 0) + weight);
+            model.totals[label] += weight;
+            model.vocabulary.add(feature);
+        });
+    }
+
+    /**
+     * Log posterior (up to a constant) of each label. Features never seen in training are ignored.
+     */
+    score(features, model = this.model) {
+        const { SMOOTHING } = TaskClassifier;
+        const known = features.filter(feature => model.vocabulary.has(feature));
+        const vocabularySize = model.vocabulary.size;
+        const labelCount = model.labels.length;
+
+        return model.labels.map(label => {
+            const prior = Math.log((model.docCounts[label] + 1) / (model.documents + labelCount));
+            const denominator = Math.log(model.totals[label] + SMOOTHING * vocabularySize);
+            const likelihood = known.reduce((sum, feature) =>
+                sum + Math.log((model.featureCounts[label].get(feature) || 0) + SMOOTHING) - denominator, 0);
+            return prior + likelihood;
+        });
+    }
+
+    softmax(scores, temperature) {
+        const scaled = scores.map(score => score / temperature);
+        const max = Math.max(...scaled);
+        const exps = scaled.map(score => Math.exp(score - max));
+        const sum = exps.reduce((total, value) => total + value, 0);
+        return exps.map(value => value / sum);
+    }
+
+    /**
+     * Naive Bayes is overconfident. Pick the temperature with the lowest log loss when each
+     * example is scored by a model trained without it.
+     */
+    fitTemperature(examples) {
+        const { labels } = this.model;
+        const heldOut = examples.map(example => {
+            this.updateCounts(this.model, example, -example.weight);
+            const scores = this.score(example.features);
+            this.updateCounts(this.model, example, example.weight);
+            return { scores, index: labels.indexOf(example.label), weight: example.weight };
+        });
+
+        let best = { temperature: 1, loss: Infinity };
+        TaskClassifier.TEMPERATURES.forEach(temperature => {
+            const loss = heldOut.reduce((total, { scores, index, weight }) =>
+                total - weight * Math.log(Math.max(this.softmax(scores, temperature)[index], 1e-12)), 0);
+            if (loss < best.loss) {
+                best = { temperature, loss };
+            }
+        });
+        return best.temperature;
+    }
+
+    /**
+     * Calibrated probability of every label, and the most likely one
+     */
+    predict(text) {
+        const { labels } = this.model;
+        const probabilities = this.softmax(this.score(this.extractFeatures(text)), this.temperature);
+        const ranked = labels
+            .map((label, index) => ({ label, probability: probabilities[index] }))
+            .sort((a, b) => b.probability - a.probability);
+
+        return {
+            label: ranked[0].label,
+            confidence: ranked[0].probability,
+            probabilities: Object.fromEntries(ranked.map(({ label, probability }) => [label, probability]))
+        };
+    }
+
+    async loadExamples() {
+        if (!this.storage) return this.userExamples;
+
+        const data = await this.storage.get([TaskClassifier.EXAMPLES_KEY]);
+        const stored = data[TaskClassifier.EXAMPLES_KEY];
+        this.userExamples = (Array.isArray(stored) ? stored : [])
+            .filter(example => example && typeof example.text === 'string' && this.getLabels().includes(example.label));
+        this.train();
+        return this.userExamples;
+    }
+
+    async saveExamples() {
+        if (this.storage) {
+            await this.storage.set({ [TaskClassifier.EXAMPLES_KEY]: this.userExamples });
+        }
+    }
+
+    /**
+     * Label a prompt. Labeling the same text again replaces its label; the oldest labels are
+     * dropped past MAX_EXAMPLES.
+     */
+    async addExample(text, label) {
+        if (typeof text !== 'string' || !text.trim()) {
+            throw new Error('Labeled prompts need text');
+        }
+        if (!this.getLabels().includes(label)) {
+            throw new Error(`Task type must be one of: ${this.getLabels().join(', ')}`);
+        }
+
+        const trimmed = text.trim();
+        this.userExamples = [
+            ...this.userExamples.filter(example => example.text !== trimmed),
+            { text: trimmed, label, createdAt: Date.now() }
+        ].slice(-TaskClassifier.MAX_EXAMPLES);
+
+        this.train();
+        await this.saveExamples();
+        return this.predict(trimmed);
+    }
+
+    async clearExamples() {
+        this.userExamples = [];
+        this.train();
+        if (this.storage) {
+            await this.storage.remove(TaskClassifier.EXAMPLES_KEY);
+        }
+    }
+
+    /**
+     * Number of user labels per task type, for the settings UI
+     */
+    getExampleCounts() {
+        return this.userExamples.reduce((counts, { label }) => ({ ...counts, [label]: (counts[label] || 0) + 1 }), {});
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = TaskClassifier;
+} else if (typeof window !== 'undefined') {
+    window.TaskClassifier = TaskClassifier;
+} else {
+    self.TaskClassifier = TaskClassifier;
+}
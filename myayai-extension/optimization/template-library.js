@@ -0,0 +1,226 @@
+/**
+ * MyAyAI Template Library
+ * The user's own prompt templates: create, edit, tag, search, duplicate and delete, stored
+ * in chrome.storage.local. A template may also define a /command for the composer.
+ */
+
+class TemplateLibrary {
+    static STORAGE_KEY = 'myayai_template_library';
+
+    static MAX_TITLE_LENGTH = 80;
+
+    static MAX_TEMPLATE_LENGTH = 20000;
+
+    static COMMAND_PATTERN = /^[a-z0-9][a-z0-9-]{0,23}$/;
+
+    constructor(storage = null) {
+        const chromeStorage = typeof chrome !== 'undefined' && chrome.storage ? chrome.storage : null;
+        this.storage = storage || (chromeStorage ? chromeStorage.local : null);
+        this.templates = [];
+        this.loaded = false;
+    }
+
+    async load() {
+        if (this.storage) {
+            const data = await this.storage.get([TemplateLibrary.STORAGE_KEY]);
+            const stored = data[TemplateLibrary.STORAGE_KEY];
+            this.templates = Array.isArray(stored)
+                ? stored
+                    .filter(entry => entry && entry.id && entry.title && entry.template)
+                    .map(entry => ({ description: '', command: '', ...entry, tags: this.normalizeTags(entry.tags || []) }))
+                : [];
+        }
+
+        this.loaded = true;
+        return this.templates;
+    }
+
+    async ensureLoaded() {
+        if (!this.loaded) {
+            await this.load();
+        }
+    }
+
+    /**
+     * All templates, sorted by title
+     */
+    list() {
+        return this.templates
+            .map(entry => this.copy(entry))
+            .sort((a, b) => a.title.localeCompare(b.title));
+    }
+
+    get(id) {
+        const entry = this.templates.find(template => template.id === id);
+        return entry ? this.copy(entry) : null;
+    }
+
+    /**
+     * Templates matching every word of the query. Words starting with # only match tags.
+     */
+    search(query = '') {
+        const words = query.trim().toLowerCase().split(/\s+/).filter(Boolean);
+
+        return this.list().filter(entry => words.every(word => {
+            if (word.startsWith('#')) {
+                return entry.tags.includes(word.slice(1));
+            }
+            return `${entry.title} ${entry.description} ${entry.tags.join(' ')} ${entry.template}`
+                .toLowerCase().includes(word);
+        }));
+    }
+
+    listTags() {
+        return Array.from(new Set(this.templates.flatMap(entry => entry.tags))).sort();
+    }
+
+    /**
+     * Check a template before saving; id is the template being edited. errors maps field names to messages.
+     */
+    validate(data = {}, id = null) {
+        const errors = {};
+        const title = String(data.title || '').trim();
+        const template = String(data.template || '');
+        const command = this.normalizeCommand(data.command);
+
+        if (!title) {
+            errors.title = 'Title is required';
+        } else if (title.length > TemplateLibrary.MAX_TITLE_LENGTH) {
+            errors.title = `Title must be at most ${TemplateLibrary.MAX_TITLE_LENGTH} characters`;
+        }
+
+        if (!template.trim()) {
+            errors.template = 'Template text is required';
+        } else if (template.length > TemplateLibrary.MAX_TEMPLATE_LENGTH) {
+            errors.template = `Template text must be at most ${TemplateLibrary.MAX_TEMPLATE_LENGTH} characters`;
+        }
+
+        if (command && !TemplateLibrary.COMMAND_PATTERN.test(command)) {
+            errors.command = 'Command must be up to 24 letters, numbers or dashes';
+        } else if (command && this.templates.some(entry => entry.command === command && entry.id !== id)) {
+            errors.command = `Another template already uses /${command}`;
+        }
+
+        return { valid: Object.keys(errors).length === 0, errors };
+    }
+
+    async create(data) {
+        await this.ensureLoaded();
+
+        const now = Date.now();
+        const entry = {
+            ...this.normalize(data),
+            id: this.generateId(),
+            createdAt: now,
+            updatedAt: now
+        };
+
+        this.templates.push(entry);
+        await this.save();
+        return this.copy(entry);
+    }
+
+    async update(id, changes) {
+        await this.ensureLoaded();
+
+        const index = this.templates.findIndex(template => template.id === id);
+        if (index === -1) {
+            throw new Error(`Unknown template '${id}'`);
+        }
+
+        const current = this.templates[index];
+        const entry = {
+            ...current,
+            ...this.normalize({ ...current, ...changes }, id),
+            updatedAt: Date.now()
+        };
+
+        this.templates[index] = entry;
+        await this.save();
+        return this.copy(entry);
+    }
+
+    async duplicate(id) {
+        const original = this.get(id);
+        if (!original) {
+            throw new Error(`Unknown template '${id}'`);
+        }
+
+        const suffix = ' (copy)';
+        const title = original.title.slice(0, TemplateLibrary.MAX_TITLE_LENGTH - suffix.length) + suffix;
+        // Commands must stay unique, so the copy starts without one
+        return this.create({ ...original, title, command: '' });
+    }
+
+    async remove(id) {
+        await this.ensureLoaded();
+
+        const remaining = this.templates.filter(template => template.id !== id);
+        if (remaining.length === this.templates.length) {
+            throw new Error(`Unknown template '${id}'`);
+        }
+
+        this.templates = remaining;
+        await this.save();
+    }
+
+    async save() {
+        if (this.storage) {
+            await this.storage.set({ [TemplateLibrary.STORAGE_KEY]: this.templates });
+        }
+    }
+
+    /**
+     * Validated, trimmed copy of the editable fields
+     */
+    normalize(data, id = null) {
+        const { valid, errors } = this.validate(data, id);
+        if (!valid) {
+            throw new Error(`Invalid template: ${Object.values(errors).join('; ')}`);
+        }
+
+        return {
+            title: String(data.title).trim(),
+            description: String(data.description || '').trim(),
+            tags: this.normalizeTags(data.tags),
+            command: this.normalizeCommand(data.command),
+            template: String(data.template).replace(/\r\n/g, '\n').replace(/^\s*\n|\s+$/g, '')
+        };
+    }
+
+    /**
+     * Accepts an array or a comma-separated string; "#Code Review" becomes "code-review"
+     */
+    normalizeTags(tags = []) {
+        const list = Array.isArray(tags) ? tags : String(tags).split(',');
+        const normalized = list
+            .map(tag => String(tag).trim().toLowerCase().replace(/^#+/, '').replace(/\s+/g, '-'))
+            .filter(Boolean);
+
+        return Array.from(new Set(normalized));
+    }
+
+    /**
+     * "/Review " becomes "review"
+     */
+    normalizeCommand(command = '') {
+        return String(command || '').trim().toLowerCase().replace(/^\/+/, '');
+    }
+
+    generateId() {
+        return `tpl_${Date.now().toString(36)}_${Math.random().toString(36).substr(2, 9)}`;
+    }
+
+    copy(entry) {
+        return { ...entry, tags: [...entry.tags] };
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = TemplateLibrary;
+} else if (typeof window !== 'undefined') {
+    window.TemplateLibrary = TemplateLibrary;
+} else {
+    self.TemplateLibrary = TemplateLibrary;
+}
@@ -0,0 +1,139 @@
+/**
+ * MyAyAI Text Diff
+ * Word-level diff used to explain and review prompt rewrites
+ */
+
+class TextDiff {
+    constructor(options = {}) {
+        this.options = {
+            // Above this many token comparisons fall back to a single replace hunk
+            maxComparisons: 1000000,
+            ...options
+        };
+    }
+
+    /**
+     * Split text into word and whitespace tokens so joins are lossless
+     */
+    tokenize(text) {
+        return text.match(/\s+|[^\s]+/g) || [];
+    }
+
+    /**
+     * Diff two strings into coalesced equal/insert/delete operations.
+     * Every op carries its character offset in the before and after text.
+     */
+    diff(before, after) {
+        const a = this.tokenize(before);
+        const b = this.tokenize(after);
+
+        // Trim the common prefix and suffix before running the LCS table
+        let start = 0;
+        while (start < a.length && start < b.length && a[start] === b[start]) {
+            start++;
+        }
+
+        let endA = a.length;
+        let endB = b.length;
+        while (endA > start && endB > start && a[endA - 1] === b[endB - 1]) {
+            endA--;
+            endB--;
+        }
+
+        const tokenOps = [];
+        a.slice(0, start).forEach(token => tokenOps.push({ type: 'equal', text: token }));
+        tokenOps.push(...this.diffTokens(a.slice(start, endA), b.slice(start, endB)));
+        a.slice(endA).forEach(token => tokenOps.push({ type: 'equal', text: token }));
+
+        return this.coalesce(tokenOps);
+    }
+
+    diffTokens(a, b) {
+        if (a.length === 0) return b.map(text => ({ type: 'insert', text }));
+        if (b.length === 0) return a.map(text => ({ type: 'delete', text }));
+
+        if (a.length * b.length > this.options.maxComparisons) {
+            return [{ type: 'delete', text: a.join('') }, { type: 'insert', text: b.join('') }];
+        }
+
+        // Longest common subsequence lengths, filled from the end
+        const table = Array.from({ length: a.length + 1 }, () => new Uint32Array(b.length + 1));
+        for (let i = a.length - 1; i >= 0; i--) {
+            for (let j = b.length - 1; j >= 0; j--) {
+                table[i][j] = a[i] === b[j]
+                    ? table[i + 1][j + 1] + 1
+                    : Math.max(table[i + 1][j], table[i][j + 1]);
+            }
+        }
+
+        const ops = [];
+        let i = 0;
+        let j = 0;
+        while (i < a.length && j < b.length) {
+            if (a[i] === b[j]) {
+                ops.push({ type: 'equal', text: a[i] });
+                i++;
+                j++;
+            } else if (table[i + 1][j] >= table[i][j + 1]) {
+                ops.push({ type: 'delete', text: a[i++] });
+            } else {
+                ops.push({ type: 'insert', text: b[j++] });
+            }
+        }
+        while (i < a.length) ops.push({ type: 'delete', text: a[i++] });
+        while (j < b.length) ops.push({ type: 'insert', text: b[j++] });
+
+        return ops;
+    }
+
+    /**
+     * Merge adjacent ops of the same type and attach character offsets
+     */
+    coalesce(tokenOps) {
+        const ops = [];
+        let beforeOffset = 0;
+        let afterOffset = 0;
+
+        for (const op of tokenOps) {
+            const last = ops[ops.length - 1];
+
+            if (last && last.type === op.type) {
+                last.text += op.text;
+            } else {
+                ops.push({ type: op.type, text: op.text, beforeStart: beforeOffset, afterStart: afterOffset });
+            }
+
+            if (op.type !== 'insert') beforeOffset += op.text.length;
+            if (op.type !== 'delete') afterOffset += op.text.length;
+        }
+
+        return ops;
+    }
+
+    /**
+     * Removed spans (offsets in before) and inserted spans (offsets in after)
+     */
+    getChangeSpans(before, after) {
+        const removed = [];
+        const inserted = [];
+
+        for (const op of this.diff(before, after)) {
+            if (op.type === 'delete') {
+                removed.push({ start: op.beforeStart, end: op.beforeStart + op.text.length, text: op.text });
+            } else if (op.type === 'insert') {
+                inserted.push({ start: op.afterStart, end: op.afterStart + op.text.length, text: op.text });
+            }
+        }
+
+        return { removed, inserted };
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = TextDiff;
+} else if (typeof window !== 'undefined') {
+    window.TextDiff = TextDiff;
+} else {
+    self.TextDiff = TextDiff;
+}
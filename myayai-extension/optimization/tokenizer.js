@@ -0,0 +1,411 @@
+/**
+ * MyAyAI Prompt Tokenizer
+ * Offline token counting for the OpenAI, Claude and Gemini model families.
+ * Each family encodes with its provider's published vocabulary from optimization/encodings/,
+ * so counts match the providers' own tokenizers. Encodings are fetched on first use with
+ * loadEncoding(); until one arrives, counts for its family are estimates.
+ */
+
+class PromptTokenizer {
+    static FAMILIES = Object.freeze(['openai', 'claude', 'gemini']);
+
+    static PLATFORM_FAMILIES = Object.freeze({
+        chatgpt: 'openai',
+        perplexity: 'openai',
+        copilot: 'openai',
+        deepseek: 'openai',
+        mistral: 'openai',
+        grok: 'openai',
+        huggingchat: 'openai',
+        claude: 'claude',
+        gemini: 'gemini'
+    });
+
+    // Used when a family's encoding is not loaded: one token per word, number or punctuation run
+    static FALLBACK_SPLIT = new RegExp([
+        '\'(?:[sdmt]|ll|ve|re)', '[^\\r\\n\\p{L}\\p{N}]?\\p{L}+', '\\p{N}{1,3}',
+        ' ?[^\\s\\p{L}\\p{N}]+[\\r\\n]*', '\\s*[\\r\\n]+', '\\s+(?!\\S)', '\\s+'
+    ].join('|'), 'giu');
+
+    // Rough count when the encoding is missing or the text is very long: four UTF-8 bytes per token
+    static BYTES_PER_TOKEN = 4;
+
+    // Texts longer than this get an estimate, so counting never stalls typing on the page
+    static ESTIMATE_THRESHOLD = 50000;
+
+    // Pre-tokenizer chunks longer than this are merged in slices; real tokens are far shorter
+    static CHUNK_LIMIT = 256;
+
+    static CACHE_LIMIT = 5000;
+
+    static ENCODINGS_PATH = 'optimization/encodings/';
+
+    // Decoded rank tables and loads in progress, shared by every tokenizer on the page
+    static tables = new Map();
+
+    static loading = new Map();
+
+    constructor() {
+        this.families = this.initializeFamilies();
+        this.cache = new Map();
+    }
+
+    /**
+     * Per-family encoding settings.
+     * OpenAI and Claude merge UTF-8 bytes; Claude normalizes to NFKC first.
+     * Gemini is SentencePiece: spaces become ▁ and characters merge by piece id,
+     * with characters outside the vocabulary spelled as one token per UTF-8 byte.
+     */
+    initializeFamilies() {
+        return {
+            openai: { file: 'o200k-base.json', units: 'bytes', normalize: text => text },
+            claude: { file: 'claude.json', units: 'bytes', normalize: text => text.normalize('NFKC') },
+            gemini: { file: 'gemini.json', units: 'characters', normalize: text => text.replace(/ /g, '▁') }
+        };
+    }
+
+    /**
+     * Resolve the tokenizer family for a platform id or family name
+     */
+    getFamily(platform) {
+        if (PromptTokenizer.FAMILIES.includes(platform)) return platform;
+        return PromptTokenizer.PLATFORM_FAMILIES[platform] || 'openai';
+    }
+
+    /**
+     * Split text into token strings; joining them reproduces the input
+     */
+    tokenize(text, platform) {
+        if (!text) return [];
+
+        const family = this.getFamily(platform);
+        const table = PromptTokenizer.tables.get(family);
+        if (!table) {
+            return text.match(PromptTokenizer.FALLBACK_SPLIT);
+        }
+
+        const tokens = [];
+        for (const [chunk] of text.matchAll(table.pattern)) {
+            this.sliceChunk(chunk).forEach(slice => tokens.push(...this.tokenizeChunk(slice, family, table)));
+        }
+
+        return tokens;
+    }
+
+    countTokens(text, platform) {
+        if (!text) return 0;
+
+        if (!PromptTokenizer.tables.has(this.getFamily(platform)) || text.length > PromptTokenizer.ESTIMATE_THRESHOLD) {
+            return this.estimateTokens(text);
+        }
+
+        return this.tokenize(text, platform).length;
+    }
+
+    /**
+     * Estimate without an encoding: a token per four bytes, and at least one per word
+     */
+    estimateTokens(text) {
+        const words = (text.match(PromptTokenizer.FALLBACK_SPLIT) || []).length;
+        return Math.max(words, Math.ceil(this.toBinary(text).length / PromptTokenizer.BYTES_PER_TOKEN));
+    }
+
+    /**
+     * Cut text down to at most maxTokens tokens
+     */
+    truncate(text, maxTokens, platform) {
+        const tokens = this.tokenize(text, platform);
+        if (tokens.length <= maxTokens) return text;
+        return tokens.slice(0, Math.max(0, maxTokens)).join('');
+    }
+
+    /**
+     * Fetch and decode the encoding for a platform's family, once per page.
+     * Resolves to false when it cannot be loaded; counts then stay estimates.
+     */
+    loadEncoding(platform) {
+        const family = this.getFamily(platform);
+        if (PromptTokenizer.tables.has(family)) return Promise.resolve(true);
+
+        if (!PromptTokenizer.loading.has(family)) {
+            const loading = this.fetchEncoding(family)
+                .then(encoding => {
+                    this.registerEncoding(family, encoding);
+                    return true;
+                })
+                .catch(error => {
+                    console.warn(`[PromptTokenizer] Failed to load the ${family} encoding:`, error);
+                    PromptTokenizer.loading.delete(family);
+                    return false;
+                });
+            PromptTokenizer.loading.set(family, loading);
+        }
+
+        return PromptTokenizer.loading.get(family);
+    }
+
+    async fetchEncoding(family) {
+        if (typeof chrome === 'undefined' || !chrome.runtime?.getURL) {
+            throw new Error('Extension resources are not available');
+        }
+
+        const url = chrome.runtime.getURL(`${PromptTokenizer.ENCODINGS_PATH}${this.families[family].file}`);
+        const response = await fetch(url);
+        if (!response.ok) {
+            throw new Error(`${url} returned ${response.status}`);
+        }
+
+        return response.json();
+    }
+
+    /**
+     * Decode an encoding's pattern and ranks and share them with every tokenizer on the page
+     */
+    registerEncoding(family, encoding) {
+        const config = this.families[family];
+
+        PromptTokenizer.tables.set(family, {
+            pattern: new RegExp(encoding.pattern, 'gu'),
+            ranks: config.units === 'bytes' ? this.decodeByteRanks(encoding.ranks) : this.decodePieces(encoding.ranks)
+        });
+    }
+
+    /**
+     * tiktoken format: lines of "<first token> <rank offset> <base64 token>…".
+     * Tokens are keyed by their bytes as a binary string.
+     */
+    decodeByteRanks(data) {
+        const ranks = new Map();
+
+        data.split('\n').filter(Boolean).forEach(line => {
+            const [, offset, ...tokens] = line.split(' ');
+            tokens.forEach((token, index) => ranks.set(atob(token), Number(offset) + index));
+        });
+
+        return ranks;
+    }
+
+    /**
+     * Space-separated pieces in id order; empty slots are ids the text can never produce
+     */
+    decodePieces(data) {
+        const ranks = new Map();
+
+        data.split(' ').forEach((piece, id) => {
+            if (piece) ranks.set(piece, id);
+        });
+
+        return ranks;
+    }
+
+    /**
+     * Cut an overlong chunk into CHUNK_LIMIT slices without splitting surrogate pairs
+     */
+    sliceChunk(chunk) {
+        const limit = PromptTokenizer.CHUNK_LIMIT;
+        if (chunk.length <= limit) return [chunk];
+
+        const slices = [];
+        let start = 0;
+        while (start < chunk.length) {
+            let end = Math.min(start + limit, chunk.length);
+            if (end < chunk.length && /[\uD800-\uDBFF]/.test(chunk[end - 1])) end--;
+            slices.push(chunk.slice(start, end));
+            start = end;
+        }
+
+        return slices;
+    }
+
+    tokenizeChunk(chunk, family, table) {
+        const cacheKey = `${family}:${chunk}`;
+        if (this.cache.has(cacheKey)) return this.cache.get(cacheKey);
+
+        const config = this.families[family];
+        const normalized = config.normalize(chunk);
+        const parts = config.units === 'bytes'
+            ? this.mergeParts(Array.from(this.toBinary(normalized)), table.ranks)
+            : this.spellUnknown(this.mergeParts(Array.from(normalized), table.ranks), table.ranks);
+        const tokens = this.sliceTokens(chunk, parts, config.units);
+
+        if (this.cache.size >= PromptTokenizer.CACHE_LIMIT) {
+            this.cache.clear();
+        }
+        this.cache.set(cacheKey, tokens);
+
+        return tokens;
+    }
+
+    /**
+     * Byte-pair merge: keep joining the adjacent pair whose joined form has the lowest rank,
+     * leftmost first. Parts form a linked list and candidate pairs wait in a min-heap, so each
+     * merge costs O(log n); pairs outdated by an earlier merge are skipped when they come up.
+     */
+    mergeParts(units, ranks) {
+        const joined = units.join('');
+        if (ranks.has(joined)) return [joined];
+
+        const parts = units.slice();
+        const next = parts.map((part, index) => index + 1);
+        const previous = parts.map((part, index) => index - 1);
+        const versions = new Array(parts.length).fill(0);
+        const heap = [];
+
+        const queuePair = left => {
+            const right = next[left];
+            if (left < 0 || right >= parts.length) return;
+
+            const rank = ranks.get(parts[left] + parts[right]);
+            if (rank !== undefined) {
+                this.pushMerge(heap, [rank, left, right, versions[left], versions[right]]);
+            }
+        };
+
+        for (let i = 0; i < parts.length - 1; i++) {
+            queuePair(i);
+        }
+
+        while (heap.length > 0) {
+            const [, left, right, leftVersion, rightVersion] = this.popMerge(heap);
+            if (next[left] !== right || versions[left] !== leftVersion || versions[right] !== rightVersion) continue;
+
+            parts[left] += parts[right];
+            versions[left]++;
+            versions[right]++;
+            next[left] = next[right];
+            if (next[right] < parts.length) {
+                previous[next[right]] = left;
+            }
+
+            queuePair(previous[left]);
+            queuePair(left);
+        }
+
+        const merged = [];
+        for (let i = 0; i < parts.length; i = next[i]) {
+            merged.push(parts[i]);
+        }
+
+        return merged;
+    }
+
+    /**
+     * Min-heap of [rank, left, ...] entries ordered by rank, then position
+     */
+    pushMerge(heap, entry) {
+        heap.push(entry);
+
+        let index = heap.length - 1;
+        while (index > 0) {
+            const parent = (index - 1) >> 1;
+            if (!this.mergesBefore(heap[index], heap[parent])) break;
+            [heap[index], heap[parent]] = [heap[parent], heap[index]];
+            index = parent;
+        }
+    }
+
+    popMerge(heap) {
+        const top = heap[0];
+        const last = heap.pop();
+
+        if (heap.length > 0) {
+            heap[0] = last;
+
+            let index = 0;
+            while (true) {
+                const left = index * 2 + 1;
+                const right = left + 1;
+                let smallest = index;
+
+                if (left < heap.length && this.mergesBefore(heap[left], heap[smallest])) smallest = left;
+                if (right < heap.length && this.mergesBefore(heap[right], heap[smallest])) smallest = right;
+                if (smallest === index) break;
+
+                [heap[index], heap[smallest]] = [heap[smallest], heap[index]];
+                index = smallest;
+            }
+        }
+
+        return top;
+    }
+
+    mergesBefore(a, b) {
+        return a[0] < b[0] || (a[0] === b[0] && a[1] < b[1]);
+    }
+
+    /**
+     * SentencePiece byte fallback: a character outside the vocabulary costs one token per UTF-8 byte
+     */
+    spellUnknown(parts, ranks) {
+        return parts.flatMap(part => {
+            if (ranks.has(part)) return [part];
+            return [part, ...new Array(this.toBinary(part).length - 1).fill('')];
+        });
+    }
+
+    /**
+     * Map merged parts back onto the original chunk. A character split across tokens
+     * is reported with the token it starts in; the tokens that continue it are empty.
+     */
+    sliceTokens(chunk, parts, units) {
+        const characters = Array.from(chunk);
+        const size = units === 'bytes' ? character => this.toBinary(character).length : character => character.length;
+        const tokens = [];
+        let index = 0;
+        let position = 0;
+        let end = 0;
+
+        parts.forEach(part => {
+            end += part.length;
+
+            let token = '';
+            while (index < characters.length && position < end) {
+                token += characters[index];
+                position += size(characters[index]);
+                index++;
+            }
+            tokens.push(token);
+        });
+
+        // Normalization can shorten the chunk; whatever is left belongs to the last token
+        tokens[tokens.length - 1] += characters.slice(index).join('');
+
+        return tokens;
+    }
+
+    /**
+     * UTF-8 bytes of text as a binary string, one character per byte.
+     * Lone surrogates are encoded as U+FFFD, as TextEncoder does.
+     */
+    toBinary(text) {
+        let binary = '';
+
+        for (const character of text) {
+            let code = character.codePointAt(0);
+            if (code >= 0xD800 && code <= 0xDFFF) code = 0xFFFD;
+
+            if (code < 0x80) {
+                binary += String.fromCharCode(code);
+            } else if (code < 0x800) {
+                binary += String.fromCharCode(0xC0 | (code >> 6), 0x80 | (code & 0x3F));
+            } else if (code < 0x10000) {
+                binary += String.fromCharCode(0xE0 | (code >> 12), 0x80 | ((code >> 6) & 0x3F), 0x80 | (code & 0x3F));
+            } else {
+                binary += String.fromCharCode(
+                    0xF0 | (code >> 18), 0x80 | ((code >> 12) & 0x3F), 0x80 | ((code >> 6) & 0x3F), 0x80 | (code & 0x3F)
+                );
+            }
+        }
+
+        return binary;
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = PromptTokenizer;
+} else if (typeof window !== 'undefined') {
+    window.PromptTokenizer = PromptTokenizer;
+} else {
+    self.PromptTokenizer = PromptTokenizer;
+}
@@ -0,0 +1,88 @@
+/**
+ * MyAyAI Transformation Trace
+ * Records which optimization rule changed which span of a prompt, and why
+ */
+
+class TransformationTrace {
+    static STAGES = Object.freeze(['provider', 'core', 'style', 'platform', 'rule-pack', 'length']);
+
+    constructor(original = '') {
+        this.original = original;
+        this.stage = 'core';
+        this.entries = [];
+        this.differ = new (self.TextDiff || TextDiff)();
+    }
+
+    /**
+     * Set the stage attributed to subsequent records
+     */
+    setStage(stage) {
+        this.stage = stage;
+    }
+
+    /**
+     * Record a rule application. Unchanged text is not recorded.
+     */
+    record(ruleId, reason, before, after) {
+        if (before === after) return null;
+
+        const { removed, inserted } = this.differ.getChangeSpans(before, after);
+        const entry = {
+            step: this.entries.length + 1,
+            ruleId,
+            stage: this.stage,
+            reason,
+            removed,
+            inserted
+        };
+
+        this.entries.push(entry);
+        return entry;
+    }
+
+    getEntries() {
+        return this.entries;
+    }
+
+    getEntriesForStage(stage) {
+        return this.entries.filter(entry => entry.stage === stage);
+    }
+
+    /**
+     * Find the entry that last inserted text overlapping a span of the final prompt
+     */
+    explainSpan(finalText, start, end) {
+        const target = finalText.slice(start, end).trim();
+        if (!target) return null;
+
+        for (let i = this.entries.length - 1; i >= 0; i--) {
+            const entry = this.entries[i];
+            const matches = entry.inserted.some(span => {
+                const text = span.text.trim();
+                return text && (text.includes(target) || target.includes(text));
+            });
+
+            if (matches) {
+                return entry;
+            }
+        }
+
+        return null;
+    }
+
+    toJSON() {
+        return {
+            original: this.original,
+            entries: this.entries
+        };
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = TransformationTrace;
+} else if (typeof window !== 'undefined') {
+    window.TransformationTrace = TransformationTrace;
+} else {
+    self.TransformationTrace = TransformationTrace;
+}
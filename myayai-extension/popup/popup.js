@@ -11,15 +11,33 @@ class MyAyAIDashboard {
         this.isAIPage = false;
         this.updateInterval = null;
         this.mockDataMode = false; // For demo purposes
+        this.rulePackManager = null;
+        this.promptTemplates = null;
+        this.activeTemplate = null;
+        this.templateValues = {};
+        this.editingTemplateId = null;
+        this.promptLinter = null;
+        this.scoringCalibrator = null;
+        this.promptComparison = null;
+        this.compareVariants = ['', ''];
+        this.promptHistory = null;
+        this.historyView = null;
+        this.sensitiveData = null;
         
         this.aiDomains = [
             'chat.openai.com',
+            'chatgpt.com',
             'claude.ai', 
             'www.perplexity.ai',
             'gemini.google.com',
             'copilot.microsoft.com',
             'poe.com',
-            'character.ai'
+            'character.ai',
+            'chat.deepseek.com',
+            'chat.mistral.ai',
+            'grok.com',
+            'x.com/i/grok',
+            'huggingface.co/chat'
         ];
         
         this.init();
@@ -41,6 +59,42 @@ class MyAyAIDashboard {
             this.initializeUI();
             this.attachEventListeners();
             this.startAutoUpdate();
+
+            // Rule packs
+            await this.initializeRulePacks();
+
+            // User-defined expert roles
+            await this.initializeCustomRoles();
+
+            // Writing style per platform
+            await this.initializePlatformStyles();
+
+            // Model pricing
+            this.renderPricing();
+
+            // Prompt linter rules
+            await this.initializeLinter();
+
+            // Secret and personal data detection
+            await this.initializeSensitiveData();
+
+            // Optional model-backed rewrites
+            await this.initializeRewriteProvider();
+
+            // Task type classifier and the user's labels
+            await this.initializeTaskClassifier();
+
+            // Scoring weights learned from feedback
+            await this.initializeScoring();
+
+            // Side-by-side prompt comparison
+            this.initializeComparison();
+
+            // Prompt versions per conversation
+            await this.initializeHistory();
+
+            // Prompt templates
+            this.initializeTemplates();
             
             // Initial data load and animations
             await this.updateDashboard();
@@ -136,6 +190,17 @@ class MyAyAIDashboard {
             });
         }
 
+        // Review-before-apply toggle
+        const reviewBeforeApply = document.getElementById('review-before-apply');
+        if (reviewBeforeApply) {
+            chrome.storage.sync.get(['reviewBeforeApply']).then(({ reviewBeforeApply: enabled }) => {
+                reviewBeforeApply.checked = enabled !== false;
+            });
+            reviewBeforeApply.addEventListener('change', (e) => {
+                chrome.storage.sync.set({ reviewBeforeApply: e.target.checked });
+            });
+        }
+
         // Preview tabs
         const previewTabs = document.querySelectorAll('.preview-tab');
         previewTabs.forEach(tab => {
@@ -157,6 +222,163 @@ class MyAyAIDashboard {
             this.openPrivacySettings();
         });
 
+        // Rule pack import
+        const rulePackFile = document.getElementById('rule-pack-file');
+        document.getElementById('import-rule-pack')?.addEventListener('click', () => {
+            rulePackFile?.click();
+        });
+
+        rulePackFile?.addEventListener('change', (e) => {
+            const file = e.target.files[0];
+            if (file) {
+                this.importRulePack(file);
+            }
+            e.target.value = '';
+        });
+
+        // Custom expert roles
+        document.getElementById('custom-role-form')?.addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.saveCustomRole();
+        });
+
+        document.getElementById('custom-role-cancel')?.addEventListener('click', () => {
+            this.fillCustomRoleForm(null);
+        });
+
+        // Pricing table import
+        const pricingFile = document.getElementById('pricing-file');
+        document.getElementById('import-pricing')?.addEventListener('click', () => {
+            pricingFile?.click();
+        });
+
+        pricingFile?.addEventListener('change', (e) => {
+            const file = e.target.files[0];
+            if (file) {
+                this.importPricingTable(file);
+            }
+            e.target.value = '';
+        });
+
+        document.getElementById('reset-pricing')?.addEventListener('click', () => {
+            this.resetPricingTable();
+        });
+
+        document.getElementById('reset-lint-rules')?.addEventListener('click', () => {
+            this.resetLintRules();
+        });
+
+        document.getElementById('reset-scoring')?.addEventListener('click', (e) => {
+            this.resetScoring(e.currentTarget);
+        });
+
+        // Sensitive data detection
+        document.getElementById('reset-sensitive-actions')?.addEventListener('click', () => {
+            this.resetSensitiveActions();
+        });
+
+        document.getElementById('sensitive-pattern-form')?.addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.addSensitivePattern();
+        });
+
+        document.getElementById('redaction-enabled')?.addEventListener('change', (e) => {
+            this.setRedaction({ enabled: e.target.checked });
+        });
+
+        document.getElementById('redaction-persist')?.addEventListener('change', (e) => {
+            this.setRedaction({ persist: e.target.checked });
+        });
+
+        document.getElementById('forget-redactions')?.addEventListener('click', () => {
+            this.forgetRedactions();
+        });
+
+        // Model rewrites
+        document.getElementById('rewrite-form')?.addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.saveRewriteProvider();
+        });
+
+        document.getElementById('rewrite-enabled')?.addEventListener('change', () => {
+            this.saveRewriteProvider();
+        });
+
+        document.getElementById('rewrite-test')?.addEventListener('click', () => {
+            this.testRewriteProvider();
+        });
+
+        // Task detection
+        document.getElementById('task-sample')?.addEventListener('input', () => {
+            this.renderTaskProbabilities();
+        });
+
+        document.getElementById('task-form')?.addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.saveTaskLabel();
+        });
+
+        document.getElementById('forget-task-labels')?.addEventListener('click', (e) => {
+            this.forgetTaskLabels(e.currentTarget);
+        });
+
+        // Prompt comparison
+        document.getElementById('compare-add')?.addEventListener('click', () => {
+            this.addCompareVariant();
+        });
+
+        document.getElementById('compare-run')?.addEventListener('click', () => {
+            this.runComparison();
+        });
+
+        // Prompt history
+        document.getElementById('history-conversation')?.addEventListener('change', (e) => {
+            this.selectHistoryConversation(e.target.value);
+        });
+
+        document.getElementById('history-from')?.addEventListener('change', (e) => {
+            this.selectHistoryVersion(this.historyView.toId, e.target.value);
+        });
+
+        document.getElementById('history-to')?.addEventListener('change', (e) => {
+            this.selectHistoryVersion(e.target.value, this.historyView.fromId);
+        });
+
+        document.getElementById('history-restore')?.addEventListener('click', () => {
+            this.restoreHistoryVersion();
+        });
+
+        document.getElementById('history-delete')?.addEventListener('click', (e) => {
+            this.deleteHistory(e.currentTarget);
+        });
+
+        // Prompt templates
+        document.getElementById('template-search')?.addEventListener('input', (e) => {
+            this.renderTemplateList(e.target.value);
+        });
+
+        document.getElementById('template-back')?.addEventListener('click', () => {
+            this.hideTemplateForm();
+        });
+
+        document.getElementById('template-form')?.addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.insertTemplate();
+        });
+
+        document.getElementById('template-new')?.addEventListener('click', () => {
+            this.showTemplateEditor();
+        });
+
+        document.getElementById('template-editor-cancel')?.addEventListener('click', () => {
+            this.hideTemplateEditor();
+        });
+
+        document.getElementById('template-editor')?.addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.saveTemplate();
+        });
+
         // Metric cards (for demo interactions)
         document.querySelectorAll('.metric-card').forEach(card => {
             card.addEventListener('click', () => {
@@ -203,7 +425,8 @@ class MyAyAIDashboard {
             document.getElementById('api-costs'),
             0,
             dailyMetrics.apiCostsSaved,
-            1200
+            1200,
+            dailyMetrics.currency
         );
 
         this.components.animatePercentage(
@@ -216,7 +439,10 @@ class MyAyAIDashboard {
         // Update change indicators
         document.getElementById('prompts-change').textContent = dailyMetrics.promptsOptimized;
         document.getElementById('time-change').textContent = dailyMetrics.timeSaved;
-        document.getElementById('cost-change').textContent = dailyMetrics.apiCostsSaved.toFixed(2);
+        document.getElementById('cost-change').textContent = new Intl.NumberFormat('en-US', {
+            style: 'currency',
+            currency: dailyMetrics.currency || 'USD'
+        }).format(dailyMetrics.apiCostsSaved);
         document.getElementById('quality-change').textContent = Math.round(dailyMetrics.qualityImprovement);
     }
 
@@ -498,75 +724,1588 @@ class MyAyAIDashboard {
         }
     }
 
-    openPrivacySettings() {
+    async initializeRulePacks() {
+        if (typeof RulePackManager === 'undefined') return;
+
+        this.rulePackManager = new RulePackManager();
+        await this.renderRulePacks();
+    }
+
+    async renderRulePacks() {
+        const list = document.getElementById('rule-pack-list');
+        if (!list || !this.rulePackManager) return;
+
+        const packs = await this.rulePackManager.listPacks();
+        list.innerHTML = '';
+
+        if (packs.length === 0) {
+            const empty = document.createElement('li');
+            empty.className = 'rule-pack-empty';
+            empty.textContent = 'No rule packs installed';
+            list.appendChild(empty);
+            return;
+        }
+
+        packs.forEach(pack => {
+            const item = document.createElement('li');
+            item.className = 'rule-pack-item';
+            item.innerHTML = `
+                <div class="setting-info">
+                    <span class="setting-name"></span>
+                    <span class="setting-desc"></span>
+                </div>
+                <label class="setting-toggle">
+                    <input type="checkbox">
+                    <span class="toggle-slider"></span>
+                </label>
+                <button class="rule-pack-remove" title="Remove rule pack">✕</button>
+            `;
+
+            item.querySelector('.setting-name').textContent = pack.version ? `${pack.name} v${pack.version}` : pack.name;
+            item.querySelector('.setting-desc').textContent = pack.description || pack.sections.join(', ');
+
+            const toggle = item.querySelector('input');
+            toggle.checked = pack.enabled;
+            toggle.addEventListener('change', (e) => {
+                this.rulePackManager.setPackEnabled(pack.id, e.target.checked)
+                    .catch(error => this.showError(error.message));
+            });
+
+            item.querySelector('.rule-pack-remove').addEventListener('click', async() => {
+                await this.rulePackManager.removePack(pack.id);
+                await this.renderRulePacks();
+            });
+
+            list.appendChild(item);
+        });
+    }
+
+    async importRulePack(file) {
+        if (!this.rulePackManager) return;
+
         try {
-            chrome.tabs.create({
-                url: chrome.runtime.getURL('docs/privacy-policy.html')
+            const entry = await this.rulePackManager.importPack(await file.text());
+            await this.renderRulePacks();
+
+            this.components.showAchievementNotification({
+                icon: '📥',
+                title: 'Rule Pack Imported',
+                description: entry.enabled ? `${entry.pack.name} is now active` : `${entry.pack.name} was updated (disabled)`
             });
         } catch (error) {
-            // Fallback for development
-            window.open('https://myayai.com/privacy', '_blank');
+            console.error('Rule pack import failed:', error);
+            this.showError(error.message);
         }
     }
 
-    startAutoUpdate() {
-        // Update dashboard every 30 seconds
-        this.updateInterval = setInterval(() => {
-            this.updateDashboard();
-        }, 30000);
+    async initializeCustomRoles() {
+        if (typeof CustomRoleManager === 'undefined' || typeof OptimizationRules === 'undefined') return;
+
+        this.customRoleManager = new CustomRoleManager();
+
+        const taskTypes = document.getElementById('custom-role-task-types');
+        taskTypes.innerHTML = '';
+        Object.keys(new OptimizationRules().taskDetectionPatterns).forEach(taskType => {
+            const label = document.createElement('label');
+            label.innerHTML = '<input type="checkbox"><span></span>';
+            label.querySelector('input').value = taskType;
+            label.querySelector('span').textContent = taskType.replace(/_/g, ' ');
+            taskTypes.appendChild(label);
+        });
+
+        await this.renderCustomRoles();
     }
 
-    showError(message) {
-        this.components.showAchievementNotification({
-            icon: '❌',
-            title: 'Error',
-            description: message
+    async renderCustomRoles() {
+        const list = document.getElementById('custom-role-list');
+        if (!list || !this.customRoleManager) return;
+
+        const roles = await this.customRoleManager.listRoles();
+        list.innerHTML = '';
+
+        if (roles.length === 0) {
+            const empty = document.createElement('li');
+            empty.className = 'rule-pack-empty';
+            empty.textContent = 'No custom roles yet';
+            list.appendChild(empty);
+            return;
+        }
+
+        roles.forEach(role => {
+            const item = document.createElement('li');
+            item.className = 'rule-pack-item';
+            item.innerHTML = `
+                <button class="custom-role-edit" title="Edit role">
+                    <span class="setting-info">
+                        <span class="setting-name"></span>
+                        <span class="setting-desc"></span>
+                    </span>
+                </button>
+                <button class="rule-pack-remove" title="Remove role">✕</button>
+            `;
+
+            item.querySelector('.setting-name').textContent = role.name;
+            item.querySelector('.setting-desc').textContent = role.taskTypes.length
+                ? `Used for ${role.taskTypes.map(taskType => taskType.replace(/_/g, ' ')).join(', ')}`
+                : 'Not used for any task type yet';
+
+            item.querySelector('.custom-role-edit').addEventListener('click', () => {
+                this.fillCustomRoleForm(role);
+            });
+
+            item.querySelector('.rule-pack-remove').addEventListener('click', async() => {
+                await this.customRoleManager.removeRole(role.name);
+                await this.renderCustomRoles();
+            });
+
+            list.appendChild(item);
         });
     }
 
-    // Clean up
-    destroy() {
-        if (this.updateInterval) {
-            clearInterval(this.updateInterval);
+    /**
+     * Load a role into the form for editing, or clear the form
+     */
+    fillCustomRoleForm(role) {
+        document.getElementById('custom-role-name').value = role ? role.name : '';
+        document.getElementById('custom-role-prefix').value = role ? role.prefix : '';
+        document.getElementById('custom-role-enhancements').value = role ? role.enhancements.join('\n') : '';
+        document.getElementById('custom-role-cancel').hidden = !role;
+        document.getElementById('custom-role-error').textContent = '';
+
+        document.querySelectorAll('#custom-role-task-types input').forEach(input => {
+            input.checked = Boolean(role && role.taskTypes.includes(input.value));
+        });
+    }
+
+    async saveCustomRole() {
+        if (!this.customRoleManager) return;
+
+        const error = document.getElementById('custom-role-error');
+        try {
+            await this.customRoleManager.saveRole({
+                name: document.getElementById('custom-role-name').value,
+                prefix: document.getElementById('custom-role-prefix').value,
+                enhancements: document.getElementById('custom-role-enhancements').value,
+                taskTypes: Array.from(document.querySelectorAll('#custom-role-task-types input:checked'))
+                    .map(input => input.value)
+            });
+            this.fillCustomRoleForm(null);
+            await this.renderCustomRoles();
+        } catch (err) {
+            error.textContent = err.message;
         }
-        
-        if (this.components) {
-            this.components.destroy();
+    }
+
+    renderPricing() {
+        const list = document.getElementById('site-model-list');
+        const pricing = this.valueTracker.pricing;
+        if (!list || !pricing) return;
+
+        const table = pricing.getTable();
+        const source = pricing.isUsingImportedTable() ? 'Imported' : 'Built-in';
+        const per = table.per.toLocaleString('en-US');
+        document.getElementById('pricing-version').textContent = `${source} prices v${table.version}, ${table.currency} per ${per} tokens`;
+        document.getElementById('reset-pricing').hidden = !pricing.isUsingImportedTable();
+
+        list.innerHTML = '';
+
+        pricing.listPlatforms().forEach(({ platform, name, selectedModel, models }) => {
+            const item = document.createElement('li');
+            item.className = 'site-model-item';
+            item.innerHTML = `
+                <div class="setting-info">
+                    <span class="setting-name"></span>
+                    <span class="setting-desc"></span>
+                </div>
+                <select class="setting-select"></select>
+            `;
+
+            const describe = model => {
+                const rates = `${pricing.formatCurrency(model.input)} in · ${pricing.formatCurrency(model.output)} out`;
+                return model.contextWindow ? `${rates} · ${model.contextWindow.toLocaleString('en-US')} token window` : rates;
+            };
+            const select = item.querySelector('select');
+
+            models.forEach(model => {
+                const option = document.createElement('option');
+                option.value = model.id;
+                option.textContent = model.name;
+                option.selected = model.id === selectedModel;
+                select.appendChild(option);
+            });
+
+            item.querySelector('.setting-name').textContent = name;
+            item.querySelector('.setting-desc').textContent = describe(models.find(model => model.id === selectedModel));
+
+            select.addEventListener('change', async(e) => {
+                try {
+                    await pricing.setSiteModel(platform, e.target.value);
+                    this.renderPricing();
+                } catch (error) {
+                    this.showError(error.message);
+                }
+            });
+
+            list.appendChild(item);
+        });
+    }
+
+    async importPricingTable(file) {
+        const pricing = this.valueTracker.pricing;
+        if (!pricing) return;
+
+        try {
+            const table = await pricing.importTable(await file.text());
+            this.renderPricing();
+
+            this.components.showAchievementNotification({
+                icon: '📥',
+                title: 'Pricing Updated',
+                description: `Cost estimates now use pricing v${table.version}`
+            });
+        } catch (error) {
+            console.error('Pricing import failed:', error);
+            this.showError(error.message);
         }
     }
-}
 
-// Initialize dashboard when DOM is loaded
-document.addEventListener('DOMContentLoaded', () => {
-    window.myayaiDashboard = new MyAyAIDashboard();
-});
+    async resetPricingTable() {
+        const pricing = this.valueTracker.pricing;
+        if (!pricing) return;
 
-// Handle extension messages
-if (typeof chrome !== 'undefined' && chrome.runtime && chrome.runtime.onMessage) {
-    chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
-        if (request.action === 'optimizationCompleted') {
-            // Handle optimization completed from content script
-            if (window.myayaiDashboard && window.myayaiDashboard.valueTracker) {
-                window.myayaiDashboard.valueTracker.recordOptimization(request.data)
-                    .then(() => {
-                        window.myayaiDashboard.updateDashboard();
-                        sendResponse({ success: true });
-                    })
-                    .catch(error => {
-                        console.error('Failed to record optimization:', error);
-                        sendResponse({ success: false, error: error.message });
-                    });
-                return true; // Keep message channel open for async response
+        try {
+            await pricing.resetTable();
+            this.renderPricing();
+        } catch (error) {
+            this.showError(error.message);
+        }
+    }
+
+    async initializePlatformStyles() {
+        const list = document.getElementById('platform-style-list');
+        if (!list || typeof OptimizationRules === 'undefined') return;
+
+        const rules = new OptimizationRules();
+        const { platformStyles = {} } = await chrome.storage.sync.get(['platformStyles']);
+        this.platformStyles = platformStyles;
+
+        list.innerHTML = '';
+
+        Object.entries(rules.platformRules).forEach(([platform, platformRules]) => {
+            const item = document.createElement('li');
+            item.className = 'lint-rule-item';
+            item.innerHTML = `
+                <div class="setting-info">
+                    <span class="setting-name"></span>
+                </div>
+                <select class="setting-select"></select>
+            `;
+
+            item.querySelector('.setting-name').textContent = platformRules.name;
+
+            const select = item.querySelector('select');
+            select.setAttribute('aria-label', `Writing style for ${platformRules.name}`);
+            [['', 'Auto'], ...Object.entries(rules.styleRules).map(([id, style]) => [id, style.name])]
+                .forEach(([id, name]) => {
+                    const option = document.createElement('option');
+                    option.value = id;
+                    option.textContent = name;
+                    option.selected = id === (platformStyles[platform] || '');
+                    select.appendChild(option);
+                });
+
+            select.addEventListener('change', (e) => {
+                this.setPlatformStyle(platform, e.target.value);
+            });
+
+            list.appendChild(item);
+        });
+    }
+
+    async setPlatformStyle(platform, style) {
+        const platformStyles = { ...this.platformStyles };
+        if (style) {
+            platformStyles[platform] = style;
+        } else {
+            delete platformStyles[platform];
+        }
+
+        this.platformStyles = platformStyles;
+        await chrome.storage.sync.set({ platformStyles });
+    }
+
+    async initializeLinter() {
+        if (typeof PromptLinter === 'undefined') return;
+
+        this.promptLinter = new PromptLinter();
+        await this.promptLinter.loadConfig();
+        this.renderLintRules();
+    }
+
+    renderLintRules() {
+        const list = document.getElementById('lint-rule-list');
+        if (!list || !this.promptLinter) return;
+
+        const rules = this.promptLinter.listRules();
+        document.getElementById('reset-lint-rules').hidden = rules.every(rule => rule.severity === rule.defaultSeverity);
+
+        list.innerHTML = '';
+
+        rules.forEach(rule => {
+            const item = document.createElement('li');
+            item.className = 'lint-rule-item';
+            item.innerHTML = `
+                <div class="setting-info">
+                    <span class="setting-name lint-rule-id"></span>
+                    <span class="setting-desc"></span>
+                </div>
+                <select class="setting-select"></select>
+            `;
+
+            item.querySelector('.setting-name').textContent = rule.id;
+            item.querySelector('.setting-desc').textContent = rule.fixable ? `${rule.description} (fixable)` : rule.description;
+
+            const select = item.querySelector('select');
+            select.setAttribute('aria-label', `Severity for ${rule.id}`);
+            PromptLinter.SEVERITIES.forEach(severity => {
+                const option = document.createElement('option');
+                option.value = severity;
+                option.textContent = severity === rule.defaultSeverity ? `${severity} (default)` : severity;
+                option.selected = severity === rule.severity;
+                select.appendChild(option);
+            });
+
+            select.addEventListener('change', (e) => {
+                this.setLintSeverity(rule.id, e.target.value);
+            });
+
+            list.appendChild(item);
+        });
+    }
+
+    async setLintSeverity(ruleId, severity) {
+        try {
+            await this.promptLinter.setRuleSeverity(ruleId, severity);
+            this.renderLintRules();
+        } catch (error) {
+            this.showError(error.message);
+        }
+    }
+
+    async resetLintRules() {
+        if (!this.promptLinter) return;
+
+        try {
+            await this.promptLinter.resetConfig();
+            this.renderLintRules();
+        } catch (error) {
+            this.showError(error.message);
+        }
+    }
+
+    async initializeSensitiveData() {
+        if (typeof SensitiveDataDetector === 'undefined') return;
+
+        this.sensitiveData = new SensitiveDataDetector();
+        await this.sensitiveData.loadConfig();
+        this.renderSensitiveData();
+    }
+
+    renderSensitiveData() {
+        const list = document.getElementById('sensitive-detector-list');
+        if (!list || !this.sensitiveData) return;
+
+        const detectors = this.sensitiveData.listDetectors();
+        document.getElementById('reset-sensitive-actions').hidden = detectors
+            .filter(detector => !detector.custom)
+            .every(detector => detector.action === detector.defaultAction);
+
+        list.innerHTML = '';
+
+        detectors.forEach(detector => {
+            const item = document.createElement('li');
+            item.className = 'lint-rule-item';
+            item.innerHTML = `
+                <div class="setting-info">
+                    <span class="setting-name"></span>
+                    <span class="setting-desc"></span>
+                </div>
+                <select class="setting-select"></select>
+            `;
+
+            item.querySelector('.setting-name').textContent = detector.label;
+            item.querySelector('.setting-desc').textContent = detector.category === 'secret' ? 'Secret' : 'Personal data';
+
+            const select = item.querySelector('select');
+            select.setAttribute('aria-label', `Action for ${detector.label}`);
+            SensitiveDataDetector.ACTIONS.forEach(action => {
+                const option = document.createElement('option');
+                option.value = action;
+                option.textContent = action === detector.defaultAction ? `${action} (default)` : action;
+                option.selected = action === detector.action;
+                select.appendChild(option);
+            });
+
+            select.addEventListener('change', (e) => {
+                this.setSensitiveAction(detector.id, e.target.value);
+            });
+
+            if (detector.custom) {
+                const remove = document.createElement('button');
+                remove.type = 'button';
+                remove.className = 'template-item-action';
+                remove.textContent = 'Remove';
+                remove.setAttribute('aria-label', `Remove pattern ${detector.label}`);
+                remove.addEventListener('click', () => this.removeSensitivePattern(detector.id));
+                item.appendChild(remove);
+            }
+
+            list.appendChild(item);
+        });
+
+        this.renderSensitiveAllowLists();
+
+        const redaction = this.sensitiveData.getRedaction();
+        document.getElementById('redaction-enabled').checked = redaction.enabled;
+        document.getElementById('redaction-persist').checked = redaction.persist;
+        document.getElementById('redaction-persist').disabled = !redaction.enabled;
+    }
+
+    /**
+     * Sites where detectors or values were allowed from the page
+     */
+    renderSensitiveAllowLists() {
+        const list = document.getElementById('sensitive-allow-list');
+        list.innerHTML = '';
+
+        this.sensitiveData.listAllowLists().forEach(({ site, detectors, values }) => {
+            const labels = detectors.map(id => this.sensitiveData.getDetector(id)?.label || id);
+            if (values.length) {
+                labels.push(`${values.length} allowed ${values.length === 1 ? 'value' : 'values'}`);
             }
+
+            const item = document.createElement('li');
+            item.className = 'lint-rule-item';
+            item.innerHTML = `
+                <div class="setting-info">
+                    <span class="setting-name"></span>
+                    <span class="setting-desc"></span>
+                </div>
+                <button type="button" class="template-item-action">Clear</button>
+            `;
+
+            item.querySelector('.setting-name').textContent = `Allowed on ${site}`;
+            item.querySelector('.setting-desc').textContent = labels.join(', ');
+
+            const clear = item.querySelector('button');
+            clear.setAttribute('aria-label', `Clear the allow list for ${site}`);
+            clear.addEventListener('click', () => this.clearSensitiveAllowList(site));
+
+            list.appendChild(item);
+        });
+    }
+
+    async setSensitiveAction(id, action) {
+        try {
+            await this.sensitiveData.setAction(id, action);
+            this.renderSensitiveData();
+        } catch (error) {
+            this.showError(error.message);
         }
-        
-        if (request.action === 'updateDashboard') {
-            // Force dashboard update
+    }
+
+    async resetSensitiveActions() {
+        if (!this.sensitiveData) return;
+
+        try {
+            await this.sensitiveData.resetActions();
+            this.renderSensitiveData();
+        } catch (error) {
+            this.showError(error.message);
+        }
+    }
+
+    async addSensitivePattern() {
+        if (!this.sensitiveData) return;
+
+        const label = document.getElementById('sensitive-pattern-label');
+        const source = document.getElementById('sensitive-pattern-source');
+        const error = document.getElementById('sensitive-pattern-error');
+
+        try {
+            await this.sensitiveData.addPattern({
+                label: label.value,
+                pattern: source.value,
+                category: document.getElementById('sensitive-pattern-category').value,
+                action: document.getElementById('sensitive-pattern-action').value
+            });
+            label.value = '';
+            source.value = '';
+            error.textContent = '';
+            this.renderSensitiveData();
+        } catch (err) {
+            error.textContent = err.message;
+        }
+    }
+
+    async removeSensitivePattern(id) {
+        try {
+            await this.sensitiveData.removePattern(id);
+            this.renderSensitiveData();
+        } catch (error) {
+            this.showError(error.message);
+        }
+    }
+
+    async clearSensitiveAllowList(site) {
+        try {
+            await this.sensitiveData.clearAllowList(site);
+            this.renderSensitiveData();
+        } catch (error) {
+            this.showError(error.message);
+        }
+    }
+
+    /**
+     * Turning off redaction or persistence also deletes the saved placeholders
+     */
+    async setRedaction(changes) {
+        if (!this.sensitiveData) return;
+
+        try {
+            const redaction = await this.sensitiveData.setRedaction(changes);
+            if (!redaction.enabled || !redaction.persist) {
+                await this.forgetRedactions(false);
+            }
+            this.renderSensitiveData();
+        } catch (error) {
+            this.showError(error.message);
+        }
+    }
+
+    async forgetRedactions(notify = true) {
+        if (typeof RedactionVault === 'undefined' || !this.sensitiveData) return;
+
+        try {
+            await new RedactionVault(this.sensitiveData).forgetSaved();
+            if (notify) {
+                this.components.showAchievementNotification({
+                    icon: '🧹',
+                    title: 'Placeholders forgotten',
+                    description: 'Saved placeholders can no longer be restored'
+                });
+            }
+        } catch (error) {
+            this.showError(error.message);
+        }
+    }
+
+    async initializeRewriteProvider() {
+        if (typeof LLMRewriteProvider === 'undefined') return;
+
+        this.rewriteProvider = new LLMRewriteProvider();
+        await this.rewriteProvider.loadConfig();
+        this.renderRewriteProvider();
+    }
+
+    renderRewriteProvider() {
+        const config = this.rewriteProvider.getConfig();
+        const timeout = document.getElementById('rewrite-timeout');
+
+        document.getElementById('rewrite-enabled').checked = config.enabled;
+        document.getElementById('rewrite-endpoint').value = config.endpoint;
+        document.getElementById('rewrite-model').value = config.model;
+        document.getElementById('rewrite-api-key').value = config.apiKey;
+
+        if (!Array.from(timeout.options).some(option => Number(option.value) === config.timeoutMs)) {
+            const option = document.createElement('option');
+            option.value = String(config.timeoutMs);
+            option.textContent = `${config.timeoutMs / 1000} s timeout`;
+            timeout.appendChild(option);
+        }
+        timeout.value = String(config.timeoutMs);
+    }
+
+    readRewriteForm() {
+        return {
+            enabled: document.getElementById('rewrite-enabled').checked,
+            endpoint: document.getElementById('rewrite-endpoint').value,
+            model: document.getElementById('rewrite-model').value,
+            apiKey: document.getElementById('rewrite-api-key').value,
+            timeoutMs: Number(document.getElementById('rewrite-timeout').value)
+        };
+    }
+
+    /**
+     * Save the form. Endpoints off this computer need host permission, which Chrome only
+     * grants from a click, so it is requested before anything else is awaited.
+     */
+    async saveRewriteProvider() {
+        if (!this.rewriteProvider) return;
+
+        const error = document.getElementById('rewrite-error');
+        const changes = this.readRewriteForm();
+        error.textContent = '';
+        document.getElementById('rewrite-status').textContent = '';
+
+        try {
+            const granted = await this.requestRewritePermission(changes);
+            if (!granted) {
+                changes.enabled = false;
+                error.textContent = 'MyAyAI needs permission to reach this endpoint';
+            }
+
+            await this.rewriteProvider.saveConfig(changes);
+        } catch (err) {
+            error.textContent = err.message;
+            await this.rewriteProvider.loadConfig();
+        }
+        this.renderRewriteProvider();
+    }
+
+    async requestRewritePermission({ enabled, endpoint }) {
+        if (!enabled || !endpoint.trim() || !chrome.permissions) return true;
+
+        const origin = this.rewriteProvider.getPermissionOrigin(endpoint.trim());
+        return origin ? chrome.permissions.request({ origins: [origin] }) : true;
+    }
+
+    async testRewriteProvider() {
+        if (!this.rewriteProvider) return;
+
+        const error = document.getElementById('rewrite-error');
+        const status = document.getElementById('rewrite-status');
+        error.textContent = '';
+        status.textContent = 'Testing…';
+
+        try {
+            const config = this.readRewriteForm();
+            if (!await this.requestRewritePermission({ ...config, enabled: true })) {
+                throw new Error('MyAyAI needs permission to reach this endpoint');
+            }
+
+            // A separate instance, so testing never changes the saved settings
+            const { latencyMs, sample } = await new LLMRewriteProvider().test(config);
+            status.textContent = `Connected in ${(latencyMs / 1000).toFixed(1)} s: ${sample.slice(0, 80)}`;
+        } catch (err) {
+            status.textContent = '';
+            error.textContent = err.message;
+        }
+    }
+
+    async initializeTaskClassifier() {
+        if (typeof TaskClassifier === 'undefined') return;
+
+        this.taskClassifier = new TaskClassifier();
+        await this.taskClassifier.loadExamples();
+
+        const select = document.getElementById('task-label');
+        select.innerHTML = '';
+        this.taskClassifier.getLabels().forEach(label => {
+            const option = document.createElement('option');
+            option.value = label;
+            option.textContent = label.replace(/^\w/, letter => letter.toUpperCase());
+            select.appendChild(option);
+        });
+
+        this.renderTaskClassifier();
+    }
+
+    renderTaskClassifier() {
+        const count = this.taskClassifier.userExamples.length;
+        const forget = document.getElementById('forget-task-labels');
+
+        document.getElementById('task-status').textContent = count
+            ? `Trained on the built-in examples and ${count} prompt${count === 1 ? '' : 's'} you labeled`
+            : 'Try a prompt to see how it is classified, and label prompts it gets wrong';
+        forget.hidden = count === 0;
+        forget.textContent = 'Forget my labels';
+        delete forget.dataset.confirm;
+
+        this.renderTaskProbabilities();
+    }
+
+    /**
+     * Calibrated probability of each task type for the sample prompt
+     */
+    renderTaskProbabilities() {
+        const list = document.getElementById('task-probabilities');
+        const text = document.getElementById('task-sample').value;
+        list.innerHTML = '';
+        if (!this.taskClassifier || !text.trim()) return;
+
+        const prediction = this.taskClassifier.predict(text);
+        document.getElementById('task-label').value = prediction.label;
+
+        Object.entries(prediction.probabilities).forEach(([label, probability]) => {
+            const item = document.createElement('li');
+            item.className = 'scoring-weight-item';
+            item.innerHTML = `
+                <span class="setting-name"></span>
+                <span class="scoring-weight-value"></span>
+            `;
+            item.querySelector('.setting-name').textContent = label.replace(/^\w/, letter => letter.toUpperCase());
+
+            const value = item.querySelector('.scoring-weight-value');
+            value.textContent = `${Math.round(probability * 100)}%`;
+            value.classList.toggle('up', label === prediction.label);
+            list.appendChild(item);
+        });
+    }
+
+    async saveTaskLabel() {
+        if (!this.taskClassifier) return;
+
+        const error = document.getElementById('task-error');
+        try {
+            await this.taskClassifier.addExample(
+                document.getElementById('task-sample').value,
+                document.getElementById('task-label').value
+            );
+            error.textContent = '';
+            this.renderTaskClassifier();
+        } catch (err) {
+            error.textContent = err.message;
+        }
+    }
+
+    async forgetTaskLabels(button) {
+        if (!this.taskClassifier) return;
+
+        if (button.dataset.confirm !== 'true') {
+            button.dataset.confirm = 'true';
+            button.textContent = 'Click again to forget your labels';
+            return;
+        }
+
+        try {
+            await this.taskClassifier.clearExamples();
+            this.renderTaskClassifier();
+        } catch (error) {
+            this.showError(error.message);
+        }
+    }
+
+    async initializeScoring() {
+        if (typeof ScoringCalibrator === 'undefined' || typeof QualityScorer === 'undefined') return;
+
+        this.scoringCalibrator = new ScoringCalibrator();
+        await this.scoringCalibrator.load();
+        await this.renderScoringWeights();
+    }
+
+    /**
+     * Show each criterion's default and learned weight, and the factor that moved most
+     */
+    async renderScoringWeights() {
+        const list = document.getElementById('scoring-weight-list');
+        if (!list || !this.scoringCalibrator) return;
+
+        const drift = await this.scoringCalibrator.getDrift();
+        const { up, down } = drift.feedback;
+        const percent = weight => `${Math.round(weight * 1000) / 10}%`;
+        const label = name => name.replace(/_/g, ' ');
+
+        document.getElementById('scoring-status').textContent = drift.learned
+            ? `Learned from ${up} 👍 and ${down} 👎, last updated ${new Date(drift.updatedAt).toLocaleDateString()}`
+            : `${up} 👍 and ${down} 👎 so far; weights start adjusting after ${ScoringCalibrator.MIN_SAMPLES_PER_RATING} of each`;
+
+        const reset = document.getElementById('reset-scoring');
+        reset.hidden = up + down === 0;
+        reset.textContent = 'Forget feedback';
+        delete reset.dataset.confirm;
+
+        list.innerHTML = '';
+
+        drift.criteria.forEach(criterion => {
+            const item = document.createElement('li');
+            item.className = 'scoring-weight-item';
+            item.innerHTML = `
+                <div class="setting-info">
+                    <span class="setting-name"></span>
+                    <span class="setting-desc"></span>
+                </div>
+                <span class="scoring-weight-value"></span>
+            `;
+
+            const [factor] = criterion.factors;
+            item.querySelector('.setting-name').textContent = label(criterion.name).replace(/^\w/, letter => letter.toUpperCase());
+            item.querySelector('.setting-desc').textContent = factor.change
+                ? `Most changed: ${label(factor.name)} ${percent(factor.defaultWeight)} → ${percent(factor.weight)}`
+                : criterion.description;
+
+            const value = item.querySelector('.scoring-weight-value');
+            value.textContent = criterion.change
+                ? `${percent(criterion.defaultWeight)} → ${percent(criterion.weight)}`
+                : percent(criterion.weight);
+            value.classList.toggle('up', criterion.change > 0);
+            value.classList.toggle('down', criterion.change < 0);
+
+            list.appendChild(item);
+        });
+    }
+
+    async resetScoring(button) {
+        if (!this.scoringCalibrator) return;
+
+        if (button.dataset.confirm !== 'true') {
+            button.dataset.confirm = 'true';
+            button.textContent = 'Click again to forget all feedback';
+            return;
+        }
+
+        try {
+            await this.scoringCalibrator.reset();
+            await this.renderScoringWeights();
+        } catch (error) {
+            this.showError(error.message);
+        }
+    }
+
+    initializeComparison() {
+        if (typeof PromptComparison === 'undefined' || typeof QualityScorer === 'undefined') return;
+
+        // Score with the user's learned weights when there are any
+        this.promptComparison = new PromptComparison(this.scoringCalibrator?.scorer);
+
+        const select = document.getElementById('compare-platform');
+        const platforms = this.valueTracker.pricing
+            ? this.valueTracker.pricing.listPlatforms()
+            : [{ platform: 'chatgpt', name: 'ChatGPT' }];
+        const current = platforms.find(({ platform }) => this.currentTab?.url?.includes(platform));
+
+        platforms.forEach(({ platform, name }) => {
+            const option = document.createElement('option');
+            option.value = platform;
+            option.textContent = name;
+            option.selected = platform === (current || platforms[0]).platform;
+            select.appendChild(option);
+        });
+
+        this.renderCompareVariants();
+    }
+
+    renderCompareVariants() {
+        const container = document.getElementById('compare-variants');
+        if (!container || !this.promptComparison) return;
+
+        container.innerHTML = '';
+
+        this.compareVariants.forEach((text, index) => {
+            const label = document.createElement('label');
+            label.className = 'template-field compare-variant';
+            label.innerHTML = `
+                <span class="compare-variant-header">
+                    <span class="compare-variant-label"></span>
+                    <button type="button" class="template-item-action compare-remove">Remove</button>
+                </span>
+                <textarea></textarea>
+            `;
+
+            label.querySelector('.compare-variant-label').textContent = index === 0
+                ? `Variant ${this.promptComparison.getLabel(index)} (baseline)`
+                : `Variant ${this.promptComparison.getLabel(index)}`;
+
+            const textarea = label.querySelector('textarea');
+            textarea.value = text;
+            textarea.addEventListener('input', (e) => {
+                this.compareVariants[index] = e.target.value;
+            });
+
+            const remove = label.querySelector('.compare-remove');
+            remove.hidden = this.compareVariants.length <= PromptComparison.MIN_VARIANTS;
+            remove.setAttribute('aria-label', `Remove variant ${this.promptComparison.getLabel(index)}`);
+            remove.addEventListener('click', (e) => {
+                e.preventDefault();
+                this.compareVariants.splice(index, 1);
+                this.renderCompareVariants();
+            });
+
+            container.appendChild(label);
+        });
+
+        document.getElementById('compare-add').disabled = this.compareVariants.length >= PromptComparison.MAX_VARIANTS;
+    }
+
+    addCompareVariant() {
+        if (this.compareVariants.length >= PromptComparison.MAX_VARIANTS) return;
+
+        this.compareVariants.push('');
+        this.renderCompareVariants();
+        document.querySelector('#compare-variants .compare-variant:last-child textarea')?.focus();
+    }
+
+    async runComparison() {
+        if (!this.promptComparison) return;
+
+        const error = document.getElementById('compare-error');
+        const results = document.getElementById('compare-results');
+        const platform = document.getElementById('compare-platform').value;
+
+        try {
+            await this.promptComparison.tokenizer.loadEncoding(platform);
+            const comparison = this.promptComparison.compare(this.compareVariants, { platform });
+            error.textContent = '';
+            this.renderComparison(comparison);
+            results.hidden = false;
+        } catch (err) {
+            error.textContent = err.message;
+            results.hidden = true;
+        }
+    }
+
+    /**
+     * One column per variant: scores (best per row highlighted), tokens, the diff against A
+     * and a button to send the variant to the composer
+     */
+    renderComparison(comparison) {
+        const results = document.getElementById('compare-results');
+        const { variants, criteria, winner } = comparison;
+        const label = name => name.replace(/_/g, ' ').replace(/^\w/, letter => letter.toUpperCase());
+
+        const table = document.createElement('table');
+        table.className = 'compare-table';
+
+        const addRow = (heading, cells, className = '') => {
+            const row = table.insertRow();
+            row.className = className;
+            const header = document.createElement('th');
+            header.scope = 'row';
+            header.textContent = heading;
+            row.appendChild(header);
+            cells.forEach(cell => {
+                const td = row.insertCell();
+                if (cell instanceof Node) {
+                    td.appendChild(cell);
+                } else {
+                    td.textContent = cell;
+                }
+            });
+            return row;
+        };
+
+        const markBest = (row, best) => best.forEach(index => row.cells[index + 1].classList.add('compare-best'));
+
+        const head = addRow('', variants.map(variant => (variant.index === winner ? `${variant.label} 🏆` : variant.label)), 'compare-head');
+        head.cells[winner + 1].classList.add('compare-winner');
+
+        markBest(addRow('Overall', variants.map(variant => `${variant.overall} (${variant.grade})`)),
+            this.promptComparison.findBest(variants.map(variant => variant.overall)));
+        markBest(addRow('Tokens', variants.map(variant => variant.tokens.toLocaleString('en-US'))),
+            this.promptComparison.findBest(variants.map(variant => -variant.tokens)));
+
+        criteria.forEach(criterion => {
+            const row = addRow(label(criterion.name), variants.map(variant => variant.criteria[criterion.name].score), 'compare-criterion');
+            row.title = `${criterion.description} (click for factors)`;
+            markBest(row, criterion.best);
+
+            const factorRows = criterion.factors.map(factor => {
+                const factorRow = addRow(label(factor.name),
+                    variants.map(variant => variant.criteria[criterion.name].factors[factor.name]), 'compare-factor');
+                factorRow.hidden = true;
+                markBest(factorRow, factor.best);
+                return factorRow;
+            });
+
+            row.addEventListener('click', () => {
+                const expand = factorRows[0].hidden;
+                factorRows.forEach(factorRow => {
+                    factorRow.hidden = !expand;
+                });
+                row.classList.toggle('expanded', expand);
+            });
+        });
+
+        addRow(`Changes vs ${variants[0].label}`, variants.map(variant => this.createCompareDiff(variant)), 'compare-diff-row');
+
+        addRow('', variants.map(variant => {
+            const button = document.createElement('button');
+            button.type = 'button';
+            button.className = `action-btn ${variant.index === winner ? 'primary' : 'secondary'} compare-use`;
+            button.textContent = 'Use this';
+            button.setAttribute('aria-label', `Send variant ${variant.label} to the composer`);
+            button.addEventListener('click', () => this.useCompareVariant(variant));
+            return button;
+        }));
+
+        results.innerHTML = '';
+        results.appendChild(table);
+    }
+
+    createCompareDiff(variant) {
+        const pre = document.createElement('pre');
+        pre.className = 'compare-diff';
+
+        if (!variant.diff) {
+            pre.textContent = variant.text;
+            return pre;
+        }
+
+        variant.diff.forEach(op => {
+            if (op.type === 'equal') {
+                pre.appendChild(document.createTextNode(op.text));
+                return;
+            }
+            const span = document.createElement('span');
+            span.className = op.type === 'insert' ? 'diff-added' : 'diff-removed';
+            span.textContent = op.text;
+            pre.appendChild(span);
+        });
+
+        const summary = document.createElement('div');
+        summary.className = 'compare-diff-summary';
+        summary.textContent = `+${variant.changes.added} / -${variant.changes.removed} words`;
+
+        const wrapper = document.createElement('div');
+        wrapper.append(summary, pre);
+        return wrapper;
+    }
+
+    async useCompareVariant(variant) {
+        try {
+            if (!this.isAIPage || !this.currentTab?.id) {
+                throw new Error('Open a supported AI chat to send a prompt to it');
+            }
+
+            const protocol = new MessageProtocol();
+            await protocol.sendToTab(this.currentTab.id, MessageProtocol.TYPES.INSERT_PROMPT, { text: variant.text });
+
+            this.components.showAchievementNotification({
+                icon: '🏆',
+                title: 'Variant Inserted',
+                description: `Variant ${variant.label} is ready to send`
+            });
+        } catch (error) {
+            console.error('Variant insert failed:', error);
+            this.showError(error.message);
+        }
+    }
+
+    async initializeHistory() {
+        if (typeof PromptHistory === 'undefined' || typeof TextDiff === 'undefined') return;
+
+        this.promptHistory = new PromptHistory();
+        await this.renderHistoryConversations();
+    }
+
+    getTabConversationKey() {
+        try {
+            return this.currentTab?.url ? this.promptHistory.getConversationKey(this.currentTab.url) : null;
+        } catch (error) {
+            return null;
+        }
+    }
+
+    /**
+     * Fill the conversation picker, starting with the conversation in the current tab
+     */
+    async renderHistoryConversations() {
+        const conversations = await this.promptHistory.listConversations();
+        const select = document.getElementById('history-conversation');
+
+        document.getElementById('history-empty').hidden = conversations.length > 0;
+        document.getElementById('history-view').hidden = conversations.length === 0;
+        if (!conversations.length) {
+            this.historyView = null;
+            return;
+        }
+
+        const tabKey = this.getTabConversationKey();
+        const selected = conversations.find(conversation => conversation.url === tabKey) || conversations[0];
+
+        select.innerHTML = '';
+        conversations.forEach(conversation => {
+            const option = document.createElement('option');
+            option.value = conversation.url;
+            option.textContent = `${conversation.url === tabKey ? 'This chat' : conversation.url.replace(/^https?:\/\//, '')} (${conversation.versionCount})`;
+            option.selected = conversation === selected;
+            select.appendChild(option);
+        });
+
+        await this.selectHistoryConversation(selected.url);
+    }
+
+    async selectHistoryConversation(url) {
+        const conversation = await this.promptHistory.getConversation(url);
+        const rows = this.promptHistory.flatten(conversation);
+        const list = document.getElementById('history-list');
+
+        this.historyView = { url, rows, fromId: null, toId: null };
+        list.innerHTML = '';
+
+        rows.forEach(row => {
+            const item = document.createElement('li');
+            item.className = 'history-item';
+            item.dataset.id = row.version.id;
+            item.setAttribute('role', 'option');
+            item.style.paddingLeft = `${6 + row.depth * 12}px`;
+            item.innerHTML = `
+                <span class="history-kind"></span>
+                <span class="history-preview"></span>
+                <span class="history-meta"></span>
+            `;
+
+            item.querySelector('.history-kind').textContent = this.promptHistory.describe(row);
+            item.querySelector('.history-preview').textContent = row.version.text;
+            item.querySelector('.history-meta').textContent = [row.isHead ? 'current' : '', row.version.sentAt ? 'sent' : '']
+                .filter(Boolean).join(' · ');
+            item.addEventListener('click', () => this.selectHistoryVersion(row.version.id));
+            list.appendChild(item);
+        });
+
+        ['history-from', 'history-to'].forEach(id => {
+            const select = document.getElementById(id);
+            select.innerHTML = '';
+            rows.forEach(row => {
+                const option = document.createElement('option');
+                option.value = row.version.id;
+                option.textContent = `${this.promptHistory.describe(row)}: ${row.version.text.slice(0, 30)}`;
+                select.appendChild(option);
+            });
+        });
+
+        const restore = document.getElementById('history-restore');
+        const inTab = url === this.getTabConversationKey() && this.isAIPage;
+        restore.disabled = !inTab;
+        restore.title = inTab ? '' : 'Open this conversation to restore a version';
+
+        const current = rows.find(row => row.isHead) || rows[rows.length - 1];
+        if (current) {
+            await this.selectHistoryVersion(current.version.id);
+        }
+    }
+
+    /**
+     * Select the version to restore and diff it against fromId, its parent by default
+     */
+    async selectHistoryVersion(toId, fromId = null) {
+        const to = this.historyView?.rows.find(row => row.version.id === toId);
+        if (!to) return;
+
+        this.historyView.toId = toId;
+        this.historyView.fromId = fromId || to.version.parentId || toId;
+
+        document.querySelectorAll('#history-list .history-item').forEach(item => {
+            const selected = item.dataset.id === toId;
+            item.classList.toggle('selected', selected);
+            item.setAttribute('aria-selected', String(selected));
+        });
+        document.getElementById('history-from').value = this.historyView.fromId;
+        document.getElementById('history-to').value = toId;
+        document.getElementById('history-restore').textContent = `Restore ${this.promptHistory.describe(to)}`;
+
+        const { ops, changes } = await this.promptHistory.diff(this.historyView.url, this.historyView.fromId, toId);
+        const same = this.historyView.fromId === toId;
+        document.getElementById('history-diff')
+            .replaceChildren(this.createCompareDiff({ text: to.version.text, diff: same ? null : ops, changes }));
+    }
+
+    async restoreHistoryVersion() {
+        if (!this.historyView?.toId) return;
+
+        try {
+            if (!this.isAIPage || !this.currentTab?.id) {
+                throw new Error('Open a supported AI chat to restore a prompt');
+            }
+
+            const version = await this.promptHistory.restore(this.historyView.url, this.historyView.toId);
+            const protocol = new MessageProtocol();
+            await protocol.sendToTab(this.currentTab.id, MessageProtocol.TYPES.INSERT_PROMPT, { text: version.text });
+
+            this.components.showAchievementNotification({
+                icon: '🕘',
+                title: 'Version Restored',
+                description: 'Edits from here start a new branch'
+            });
+            await this.selectHistoryConversation(this.historyView.url);
+        } catch (error) {
+            console.error('Version restore failed:', error);
+            this.showError(error.message);
+        }
+    }
+
+    async deleteHistory(button) {
+        if (!this.historyView) return;
+
+        if (button.dataset.confirm !== 'true') {
+            button.dataset.confirm = 'true';
+            button.textContent = 'Click again to delete';
+            return;
+        }
+
+        delete button.dataset.confirm;
+        button.textContent = 'Delete history';
+
+        try {
+            await this.promptHistory.removeConversation(this.historyView.url);
+            await this.renderHistoryConversations();
+        } catch (error) {
+            this.showError(error.message);
+        }
+    }
+
+    async initializeTemplates() {
+        if (typeof PromptTemplates === 'undefined') return;
+
+        this.promptTemplates = new PromptTemplates();
+        this.renderTemplateList();
+
+        try {
+            await this.promptTemplates.load();
+            this.renderTemplateList(document.getElementById('template-search')?.value || '');
+        } catch (error) {
+            console.error('Failed to load personal templates:', error);
+        }
+    }
+
+    renderTemplateList(query = '') {
+        const list = document.getElementById('template-list');
+        if (!list || !this.promptTemplates) return;
+
+        const templates = this.promptTemplates.search(query);
+        list.innerHTML = '';
+        let category = null;
+
+        templates.forEach(template => {
+            if (template.category !== category) {
+                category = template.category;
+                const heading = document.createElement('li');
+                heading.className = 'template-category';
+                heading.textContent = template.categoryLabel;
+                list.appendChild(heading);
+            }
+
+            const item = document.createElement('li');
+            const option = document.createElement('button');
+            option.type = 'button';
+            option.className = 'template-option';
+            option.textContent = template.title;
+            option.addEventListener('click', () => this.showTemplateForm(template));
+            item.appendChild(option);
+
+            if (template.custom) {
+                item.className = 'template-item';
+                const labels = [
+                    ...(template.command ? [`/${template.command}`] : []),
+                    ...template.tags.map(tag => `#${tag}`)
+                ];
+                if (labels.length) {
+                    const tags = document.createElement('span');
+                    tags.className = 'template-tags';
+                    tags.textContent = ` ${labels.join(' ')}`;
+                    option.appendChild(tags);
+                }
+
+                [
+                    { label: 'Edit', onClick: () => this.showTemplateEditor(template) },
+                    { label: 'Duplicate', onClick: () => this.duplicateTemplate(template) },
+                    { label: 'Delete', onClick: (e) => this.deleteTemplate(template, e.currentTarget) }
+                ].forEach(({ label, onClick }) => {
+                    const button = document.createElement('button');
+                    button.type = 'button';
+                    button.className = 'template-item-action';
+                    button.textContent = label;
+                    button.setAttribute('aria-label', `${label} ${template.title}`);
+                    button.addEventListener('click', onClick);
+                    item.appendChild(button);
+                });
+            }
+
+            list.appendChild(item);
+        });
+    }
+
+    showTemplateForm(template) {
+        const fields = document.getElementById('template-fields');
+        this.activeTemplate = template;
+        this.templateValues = {};
+
+        document.getElementById('template-form-title').textContent = template.title;
+        fields.innerHTML = '';
+
+        template.fields.forEach(field => {
+            const label = document.createElement('label');
+            label.className = 'template-field';
+            label.dataset.field = field.name;
+            label.textContent = field.required ? field.label : `${field.label} (optional)`;
+
+            const input = this.createTemplateInput(field);
+            input.name = field.name;
+            input.required = field.required;
+            input.addEventListener(field.type === 'choice' ? 'change' : 'input', () => {
+                this.templateValues[field.name] = input.value;
+                this.updateTemplatePreview();
+            });
+
+            const error = document.createElement('span');
+            error.className = 'template-error';
+            error.setAttribute('role', 'alert');
+
+            label.append(input, error);
+            fields.appendChild(label);
+        });
+
+        this.updateTemplatePreview();
+        document.getElementById('template-picker').hidden = true;
+        document.getElementById('template-form').hidden = false;
+        fields.querySelector('input, textarea, select')?.focus();
+    }
+
+    /**
+     * Text box, textarea or select for the field type, prefilled with the field's default
+     */
+    createTemplateInput(field) {
+        if (field.type === 'choice') {
+            const select = document.createElement('select');
+            const choices = field.defaultValue ? field.options : ['', ...field.options];
+
+            choices.forEach(choice => {
+                const option = document.createElement('option');
+                option.value = choice;
+                option.textContent = choice || (field.required ? 'Choose…' : 'None');
+                select.appendChild(option);
+            });
+
+            select.value = field.defaultValue;
+            return select;
+        }
+
+        const input = document.createElement(field.multiline ? 'textarea' : 'input');
+        if (field.type === 'code') {
+            input.className = 'template-code';
+            input.spellcheck = false;
+        }
+        input.value = field.defaultValue;
+        return input;
+    }
+
+    hideTemplateForm() {
+        this.activeTemplate = null;
+        document.getElementById('template-form').hidden = true;
+        document.getElementById('template-picker').hidden = false;
+    }
+
+    updateTemplatePreview() {
+        const preview = document.getElementById('template-preview');
+        if (!preview || !this.activeTemplate) return;
+
+        preview.textContent = this.promptTemplates.preview(this.activeTemplate.template, this.templateValues);
+    }
+
+    /**
+     * Validate the form and put the rendered template into the composer of the current tab
+     */
+    async insertTemplate() {
+        const template = this.activeTemplate;
+        if (!template) return;
+
+        const { valid, errors } = this.promptTemplates.validate(template.template, this.templateValues);
+        document.querySelectorAll('#template-fields .template-field').forEach(label => {
+            const message = errors[label.dataset.field] || '';
+            label.classList.toggle('invalid', Boolean(message));
+            label.querySelector('.template-error').textContent = message;
+        });
+
+        if (!valid) {
+            document.querySelector('#template-fields .invalid :is(input, textarea, select)')?.focus();
+            return;
+        }
+
+        const prompt = this.promptTemplates.render(template.template, this.templateValues);
+
+        try {
+            if (!this.isAIPage || !this.currentTab?.id) {
+                throw new Error('Open a supported AI chat to insert templates');
+            }
+
+            const protocol = new MessageProtocol();
+            await protocol.sendToTab(this.currentTab.id, MessageProtocol.TYPES.INSERT_PROMPT, { text: prompt });
+
+            this.hideTemplateForm();
+            this.components.showAchievementNotification({
+                icon: '📋',
+                title: 'Template Inserted',
+                description: `${template.title} is ready to send`
+            });
+        } catch (error) {
+            console.error('Template insert failed:', error);
+            this.showError(error.message);
+        }
+    }
+
+    /**
+     * Open the editor for a new template, or for one of the user's own
+     */
+    showTemplateEditor(template = null) {
+        const form = document.getElementById('template-editor');
+        if (!form) return;
+
+        this.editingTemplateId = template ? template.key : null;
+        document.getElementById('template-editor-title').textContent = template ? 'Edit template' : 'New template';
+        form.elements.title.value = template?.title || '';
+        form.elements.description.value = template?.description || '';
+        form.elements.tags.value = template ? template.tags.join(', ') : '';
+        form.elements.command.value = template?.command ? `/${template.command}` : '';
+        form.elements.template.value = template?.template || '';
+        this.showTemplateEditorErrors({});
+
+        document.getElementById('template-picker').hidden = true;
+        form.hidden = false;
+        form.elements.title.focus();
+    }
+
+    hideTemplateEditor() {
+        this.editingTemplateId = null;
+        document.getElementById('template-editor').hidden = true;
+        document.getElementById('template-picker').hidden = false;
+    }
+
+    showTemplateEditorErrors(errors) {
+        document.querySelectorAll('#template-editor .template-field').forEach(label => {
+            const message = errors[label.dataset.field] || '';
+            label.classList.toggle('invalid', Boolean(message));
+            label.querySelector('.template-error').textContent = message;
+        });
+    }
+
+    async saveTemplate() {
+        const library = this.promptTemplates?.library;
+        const form = document.getElementById('template-editor');
+        if (!library || !form) return;
+
+        const data = {
+            title: form.elements.title.value,
+            description: form.elements.description.value,
+            tags: form.elements.tags.value,
+            command: form.elements.command.value,
+            template: form.elements.template.value
+        };
+
+        const { valid, errors } = library.validate(data, this.editingTemplateId);
+        this.showTemplateEditorErrors(errors);
+        if (!valid) {
+            form.querySelector('.invalid input, .invalid textarea')?.focus();
+            return;
+        }
+
+        try {
+            if (this.editingTemplateId) {
+                await library.update(this.editingTemplateId, data);
+            } else {
+                await library.create(data);
+            }
+
+            this.hideTemplateEditor();
+            this.renderTemplateList(document.getElementById('template-search').value);
+        } catch (error) {
+            console.error('Template save failed:', error);
+            this.showError(error.message);
+        }
+    }
+
+    async duplicateTemplate(template) {
+        try {
+            const copy = await this.promptTemplates.library.duplicate(template.key);
+            this.renderTemplateList(document.getElementById('template-search').value);
+            this.showTemplateEditor(this.promptTemplates.getTemplate(`personal.${copy.id}`));
+        } catch (error) {
+            console.error('Template duplicate failed:', error);
+            this.showError(error.message);
+        }
+    }
+
+    /**
+     * The first click turns the button into a confirmation, the second deletes
+     */
+    async deleteTemplate(template, button) {
+        if (button.dataset.confirm !== 'true') {
+            button.dataset.confirm = 'true';
+            button.textContent = 'Confirm';
+            button.setAttribute('aria-label', `Confirm deleting ${template.title}`);
+            return;
+        }
+
+        try {
+            await this.promptTemplates.library.remove(template.key);
+            this.renderTemplateList(document.getElementById('template-search').value);
+        } catch (error) {
+            console.error('Template delete failed:', error);
+            this.showError(error.message);
+        }
+    }
+
+    openPrivacySettings() {
+        try {
+            chrome.tabs.create({
+                url: chrome.runtime.getURL('docs/privacy-policy.html')
+            });
+        } catch (error) {
+            // Fallback for development
+            window.open('https://myayai.com/privacy', '_blank');
+        }
+    }
+
+    startAutoUpdate() {
+        // Update dashboard every 30 seconds
+        this.updateInterval = setInterval(() => {
+            this.updateDashboard();
+        }, 30000);
+    }
+
+    showError(message) {
+        this.components.showAchievementNotification({
+            icon: '❌',
+            title: 'Error',
+            description: message
+        });
+    }
+
+    // Clean up
+    destroy() {
+        if (this.updateInterval) {
+            clearInterval(this.updateInterval);
+        }
+        
+        if (this.components) {
+            this.components.destroy();
+        }
+    }
+}
+
+// Initialize dashboard when DOM is loaded
+document.addEventListener('DOMContentLoaded', () => {
+    window.myayaiDashboard = new MyAyAIDashboard();
+});
+
+// Handle extension messages
+if (typeof chrome !== 'undefined' && chrome.runtime && chrome.runtime.onMessage && typeof MessageProtocol !== 'undefined') {
+    const messageProtocol = new MessageProtocol();
+
+    chrome.runtime.onMessage.addListener(messageProtocol.createListener({
+        // Handle optimization completed from content script
+        [MessageProtocol.TYPES.OPTIMIZATION_COMPLETED]: async(payload) => {
+            if (!window.myayaiDashboard || !window.myayaiDashboard.valueTracker) {
+                return { success: false, error: 'Dashboard not ready' };
+            }
+
+            try {
+                await window.myayaiDashboard.valueTracker.recordOptimization(payload.data);
+                window.myayaiDashboard.updateDashboard();
+                return { success: true };
+            } catch (error) {
+                console.error('Failed to record optimization:', error);
+                return { success: false, error: error.message };
+            }
+        },
+
+        // Force dashboard update
+        [MessageProtocol.TYPES.UPDATE_DASHBOARD]: () => {
             if (window.myayaiDashboard) {
                 window.myayaiDashboard.updateDashboard();
             }
+            return { success: true };
         }
-    });
+    }));
 }
 
 // Cleanup on window unload
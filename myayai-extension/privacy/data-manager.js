@@ -45,20 +45,15 @@ class DataManager {
     }
 
     setupMessageListener() {
-        if (typeof chrome !== 'undefined' && chrome.runtime) {
-            chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
-                switch (message.action) {
-                    case 'exportUserData':
-                        this.exportAllUserData().then(sendResponse).catch(err => sendResponse({ error: err.message }));
-                        return true;
-                    case 'deleteAllUserData':
-                        this.deleteAllUserData().then(sendResponse).catch(err => sendResponse({ error: err.message }));
-                        return true;
-                    case 'getDataInventory':
-                        this.getDataInventory().then(sendResponse).catch(err => sendResponse({ error: err.message }));
-                        return true;
-                }
-            });
+        if (typeof chrome !== 'undefined' && chrome.runtime && typeof MessageProtocol !== 'undefined') {
+            const types = MessageProtocol.TYPES;
+            this.messageProtocol = new MessageProtocol();
+
+            chrome.runtime.onMessage.addListener(this.messageProtocol.createListener({
+                [types.EXPORT_USER_DATA]: () => this.exportAllUserData(),
+                [types.DELETE_ALL_USER_DATA]: () => this.deleteAllUserData(),
+                [types.GET_DATA_INVENTORY]: () => this.getDataInventory()
+            }));
         }
     }
 
@@ -320,11 +315,9 @@ class DataManager {
             });
 
             // Notify other components about data deletion
-            if (chrome.runtime) {
-                chrome.runtime.sendMessage({
-                    action: 'dataDeleted',
-                    log: deletionLog
-                });
+            if (chrome.runtime && this.messageProtocol) {
+                this.messageProtocol.send(MessageProtocol.TYPES.DATA_DELETED, { log: deletionLog })
+                    .catch(() => {}); // No listener is required to receive the broadcast
             }
 
             console.log('✅ Complete data deletion successful');
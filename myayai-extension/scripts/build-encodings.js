@@ -0,0 +1,90 @@
+#!/usr/bin/env node
+
+/**
+ * Build Tokenizer Encodings Script
+ * Regenerates optimization/encodings/ from the providers' published tokenizers
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const projectRoot = path.resolve(__dirname, '..');
+const modulesDir = path.join(projectRoot, 'node_modules');
+const outputDir = path.join(projectRoot, 'optimization', 'encodings');
+
+const SPACE_SYMBOL = '▁';
+
+const readJson = file => JSON.parse(fs.readFileSync(path.join(modulesDir, file), 'utf8'));
+
+// tiktoken-format tables already hold the pre-tokenizer pattern and the byte ranks
+function byteLevelEncoding(table) {
+  return { pattern: table.pat_str, ranks: table.bpe_ranks };
+}
+
+const escapeRegExp = text => text.replace(/[\\^$*+?.()|[\]{}]/g, '\\$&');
+
+/**
+ * SentencePiece merges by piece id, so the vocabulary in id order is the whole table.
+ * Control and byte-fallback pieces are left empty; the tokenizer handles unknown characters itself.
+ * User-defined symbols (newline and space runs, HTML tags) are never merged into other pieces,
+ * so the pattern matches them on their own, longest first.
+ */
+function sentencePieceEncoding(tokenizer) {
+  const control = token => token.special || /^(?:<unused\d+>|<mask>|<2mass>|\[@BOS@\])$/.test(token.content);
+  const special = new Set(tokenizer.added_tokens.filter(control).map(token => token.content));
+  const symbols = tokenizer.added_tokens
+    .filter(token => !control(token))
+    .map(token => token.content.replace(new RegExp(SPACE_SYMBOL, 'g'), ' '))
+    .sort((a, b) => b.length - a.length)
+    .map(escapeRegExp)
+    .join('|');
+  const pieces = [];
+
+  Object.entries(tokenizer.model.vocab).forEach(([piece, id]) => {
+    const usable = !special.has(piece) && !/^<0x[0-9A-F]{2}>$/.test(piece);
+    if (usable && piece.includes(' ')) {
+      throw new Error(`Piece ${JSON.stringify(piece)} contains the separator`);
+    }
+    if (usable && new RegExp(`[^${SPACE_SYMBOL}]${SPACE_SYMBOL}`).test(piece)) {
+      // The pattern below splits before every space that follows a non-space
+      throw new Error(`Piece ${JSON.stringify(piece)} spans a word boundary`);
+    }
+    pieces[id] = usable ? piece : '';
+  });
+
+  return {
+    pattern: `${symbols}| ?(?:(?!${symbols})[^ ])+| `,
+    ranks: Array.from(pieces, piece => piece || '').join(' ')
+  };
+}
+
+const ENCODINGS = [
+  {
+    file: 'o200k-base.json',
+    description: 'OpenAI o200k_base byte-pair ranks (GPT-4o and later), from js-tiktoken (MIT)',
+    build: () => byteLevelEncoding(require(path.join(modulesDir, 'js-tiktoken/dist/ranks/o200k_base.cjs')))
+  },
+  {
+    file: 'claude.json',
+    description: 'Claude byte-pair ranks, from @anthropic-ai/tokenizer (MIT)',
+    build: () => byteLevelEncoding(readJson('@anthropic-ai/tokenizer/claude.json'))
+  },
+  {
+    file: 'gemini.json',
+    description: 'Gemini SentencePiece vocabulary in id order, from @lenml/tokenizer-gemini (Apache-2.0)',
+    build: () => sentencePieceEncoding(readJson('@lenml/tokenizer-gemini/models/tokenizer.json'))
+  }
+];
+
+// The tokenizer fetches these on first use, so they stay plain JSON that the browser can parse directly
+function renderEncoding({ description }, encoding) {
+  return JSON.stringify({ source: `${description}. Generated by scripts/build-encodings.js`, ...encoding });
+}
+
+fs.mkdirSync(outputDir, { recursive: true });
+
+ENCODINGS.forEach(definition => {
+  const output = path.join(outputDir, definition.file);
+  fs.writeFileSync(output, renderEncoding(definition, definition.build()));
+  console.log(`✅ ${path.relative(projectRoot, output)} (${Math.round(fs.statSync(output).size / 1024)} KB)`);
+});
@@ -76,9 +76,64 @@ describe('Platform Integration Tests', () => {
           <button aria-label="Send message">Send</button>
         </div>
       `;
+    },
+
+    deepseek: () => {
+      document.body.innerHTML = `
+        <div id="root">
+          <div class="ds-markdown"><p>Earlier answer</p></div>
+          <textarea id="chat-input" placeholder="Message DeepSeek" rows="2"></textarea>
+          <div role="button" aria-disabled="true">DeepThink (R1)</div>
+          <div role="button" aria-disabled="false"><svg></svg></div>
+        </div>
+      `;
+    },
+
+    mistral: () => {
+      document.body.innerHTML = `
+        <main>
+          <div class="prose"><p>Earlier answer</p></div>
+          <form>
+            <textarea placeholder="Ask Le Chat or @mention an agent"></textarea>
+            <button type="submit" aria-label="Send question">Send</button>
+          </form>
+        </main>
+      `;
+    },
+
+    grok: () => {
+      document.body.innerHTML = `
+        <main>
+          <div class="message-bubble"><p>Earlier answer</p></div>
+          <form>
+            <textarea aria-label="Ask Grok anything" placeholder="What do you want to know?"></textarea>
+            <button type="submit" aria-label="Submit">Send</button>
+          </form>
+        </main>
+      `;
+    },
+
+    huggingchat: () => {
+      document.body.innerHTML = `
+        <div class="chat-window">
+          <div data-message-role="assistant"><p>Earlier answer</p></div>
+          <form>
+            <textarea placeholder="Ask anything" enterkeyhint="send"></textarea>
+            <button type="submit" name="submit" aria-label="Send message">Send</button>
+          </form>
+          <p>Model: <a href="/chat/settings/meta-llama/Llama-3.3-70B-Instruct">meta-llama/Llama-3.3-70B-Instruct</a></p>
+        </div>
+      `;
     }
   };
 
+  // Elements the platform's selectors pick out of its fixture
+  const matchPlatformSelectors = platform => ({
+    input: document.querySelector(platformDetectors.platforms[platform].selectors.primary),
+    submit: document.querySelector(platformDetectors.platforms[platform].submitSelector),
+    responses: document.querySelectorAll(platformDetectors.platforms[platform].responseSelector)
+  });
+
   beforeEach(() => {
     // Clear DOM
     document.body.innerHTML = '';
@@ -107,6 +162,15 @@ describe('Platform Integration Tests', () => {
       expect(platform.name).toBe('ChatGPT');
     });
 
+    it('should detect ChatGPT on chatgpt.com', () => {
+      Object.defineProperty(window, 'location', {
+        value: { hostname: 'chatgpt.com', pathname: '/c/abc123' },
+        configurable: true
+      });
+
+      expect(platformDetectors.detectCurrentPlatform().id).toBe('chatgpt');
+    });
+
     it('should find ChatGPT input element', () => {
       const input = platformDetectors.findActiveInput();
       expect(input).not.toBeNull();
@@ -282,6 +346,111 @@ describe('Platform Integration Tests', () => {
     });
   });
 
+  describe('DeepSeek Integration', () => {
+    beforeEach(() => {
+      Object.defineProperty(window, 'location', {
+        value: { hostname: 'chat.deepseek.com', pathname: '/' },
+        configurable: true
+      });
+      mockPlatformDOM.deepseek();
+    });
+
+    it('should detect DeepSeek platform correctly', () => {
+      const platform = platformDetectors.detectCurrentPlatform();
+      expect(platform.id).toBe('deepseek');
+      expect(platform.name).toBe('DeepSeek');
+    });
+
+    it('should match the DeepSeek composer, send button and answers', () => {
+      const { input, submit, responses } = matchPlatformSelectors('deepseek');
+      expect(input.id).toBe('chat-input');
+      expect(submit).not.toBeNull();
+      expect(responses).toHaveLength(1);
+    });
+  });
+
+  describe('Mistral Le Chat Integration', () => {
+    beforeEach(() => {
+      Object.defineProperty(window, 'location', {
+        value: { hostname: 'chat.mistral.ai', pathname: '/chat' },
+        configurable: true
+      });
+      mockPlatformDOM.mistral();
+    });
+
+    it('should detect Mistral Le Chat platform correctly', () => {
+      const platform = platformDetectors.detectCurrentPlatform();
+      expect(platform.id).toBe('mistral');
+      expect(platform.name).toBe('Mistral Le Chat');
+    });
+
+    it('should match the Le Chat composer, send button and answers', () => {
+      const { input, submit, responses } = matchPlatformSelectors('mistral');
+      expect(input.placeholder).toContain('Le Chat');
+      expect(submit.getAttribute('aria-label')).toBe('Send question');
+      expect(responses).toHaveLength(1);
+    });
+  });
+
+  describe('Grok Integration', () => {
+    beforeEach(() => {
+      Object.defineProperty(window, 'location', {
+        value: { hostname: 'grok.com', pathname: '/' },
+        configurable: true
+      });
+      mockPlatformDOM.grok();
+    });
+
+    it('should detect Grok platform correctly', () => {
+      const platform = platformDetectors.detectCurrentPlatform();
+      expect(platform.id).toBe('grok');
+      expect(platform.name).toBe('Grok');
+    });
+
+    it('should detect Grok inside X', () => {
+      Object.defineProperty(window, 'location', {
+        value: { hostname: 'x.com', pathname: '/i/grok' },
+        configurable: true
+      });
+
+      expect(platformDetectors.detectCurrentPlatform().id).toBe('grok');
+    });
+
+    it('should match the Grok composer, send button and answers', () => {
+      const { input, submit, responses } = matchPlatformSelectors('grok');
+      expect(input.getAttribute('aria-label')).toContain('Grok');
+      expect(submit.getAttribute('aria-label')).toBe('Submit');
+      expect(responses).toHaveLength(1);
+    });
+  });
+
+  describe('HuggingChat Integration', () => {
+    beforeEach(() => {
+      Object.defineProperty(window, 'location', {
+        value: { hostname: 'huggingface.co', pathname: '/chat/' },
+        configurable: true
+      });
+      mockPlatformDOM.huggingchat();
+    });
+
+    it('should detect HuggingChat platform correctly', () => {
+      const platform = platformDetectors.detectCurrentPlatform();
+      expect(platform.id).toBe('huggingchat');
+      expect(platform.name).toBe('HuggingChat');
+    });
+
+    it('should match the HuggingChat composer, send button and answers', () => {
+      const { input, submit, responses } = matchPlatformSelectors('huggingchat');
+      expect(input.placeholder).toBe('Ask anything');
+      expect(submit.getAttribute('aria-label')).toBe('Send message');
+      expect(responses).toHaveLength(1);
+    });
+
+    it('should read the selected model', () => {
+      expect(platformDetectors.detectActiveBot()).toBe('meta-llama/Llama-3.3-70B-Instruct');
+    });
+  });
+
   describe('Cross-Platform Functionality', () => {
     const platforms = ['chatgpt', 'claude', 'perplexity', 'gemini', 'copilot', 'poe', 'characterai'];
     
@@ -43,6 +43,24 @@ global.chrome = {
 // Mock browser APIs
 global.browser = global.chrome;
 
+// In-memory chrome.storage area for modules that take their storage as an argument
+global.createMemoryStorage = () => {
+  const data = {};
+  return {
+    data,
+    get: jest.fn(async keys => [].concat(keys).reduce((result, key) => {
+      if (data[key] !== undefined) {
+        result[key] = JSON.parse(JSON.stringify(data[key]));
+      }
+      return result;
+    }, {})),
+    set: jest.fn(async items => Object.assign(data, JSON.parse(JSON.stringify(items)))),
+    remove: jest.fn(async keys => {
+      [].concat(keys).forEach(key => delete data[key]);
+    })
+  };
+};
+
 // Mock DOM APIs
 Object.defineProperty(window, 'matchMedia', {
   writable: true,
@@ -0,0 +1,118 @@
+/**
+ * Unit tests for the composer context budget
+ */
+
+const ContextBudget = require('../../optimization/context-budget.js');
+const PricingRegistry = require('../../optimization/pricing-registry.js');
+const PromptTokenizer = require('../../optimization/tokenizer.js');
+
+// One token per word keeps the arithmetic obvious
+const wordTokenizer = {
+  countTokens: text => text.split(/\s+/).filter(Boolean).length
+};
+
+const smallWindowTable = {
+  formatVersion: 1,
+  version: '2099.1.0',
+  currency: 'USD',
+  per: 1000000,
+  platforms: {
+    chatgpt: {
+      defaultModel: 'tiny',
+      models: {
+        tiny: { name: 'Tiny', input: 1, output: 1, contextWindow: 10 },
+        unlimited: { name: 'Unlimited', input: 1, output: 1 }
+      }
+    }
+  }
+};
+
+const words = count => Array(count).fill('word').join(' ');
+
+describe('ContextBudget', () => {
+  let pricing;
+  let budget;
+
+  beforeEach(async() => {
+    pricing = new PricingRegistry(createMemoryStorage(), createMemoryStorage());
+    await pricing.importTable(smallWindowTable);
+    budget = new ContextBudget(wordTokenizer, pricing);
+  });
+
+  test('should measure a prompt against the site model context window', () => {
+    expect(budget.measure(words(4), 'chatgpt')).toEqual({
+      platform: 'chatgpt',
+      modelId: 'tiny',
+      modelName: 'Tiny',
+      promptTokens: 4,
+      attachmentTokens: 0,
+      tokens: 4,
+      limit: 10,
+      remaining: 6,
+      ratio: 0.4,
+      level: 'ok'
+    });
+  });
+
+  test('should count pasted content toward the budget', () => {
+    const measured = budget.measure(words(3), 'chatgpt', [words(4), words(2)]);
+
+    expect(measured).toMatchObject({ promptTokens: 3, attachmentTokens: 6, tokens: 9, level: 'warning' });
+    expect(budget.describe(measured)).toBe('9 tokens (6 from pasted content) of Tiny\'s 10-token context window (90%)');
+  });
+
+  test('should move from ok to warning to over as the prompt grows', () => {
+    expect(budget.measure(words(7), 'chatgpt').level).toBe('ok');
+    expect(budget.measure(words(8), 'chatgpt').level).toBe('warning');
+    expect(budget.measure(words(10), 'chatgpt').level).toBe('warning');
+    expect(budget.measure(words(11), 'chatgpt').level).toBe('over');
+  });
+
+  test('should only warn before sending prompts that exceed the window', () => {
+    expect(budget.getSendWarning(budget.measure(words(10), 'chatgpt'))).toBe('');
+    expect(budget.getSendWarning(budget.measure(words(13), 'chatgpt')))
+      .toBe('This prompt is 3 tokens over Tiny\'s context window and will likely be truncated or rejected');
+  });
+
+  test('should follow the model chosen for the site', async() => {
+    await pricing.setSiteModel('chatgpt', 'unlimited');
+    const measured = budget.measure(words(50), 'chatgpt');
+
+    expect(measured).toMatchObject({ modelName: 'Unlimited', limit: null, ratio: null, level: 'unknown' });
+    expect(budget.getSendWarning(measured)).toBe('');
+    expect(budget.formatLabel(measured)).toBe('50 / ?');
+    expect(budget.describe(measured)).toBe('50 tokens; no context window known for Unlimited');
+  });
+
+  test('should report an unknown window for sites without pricing', () => {
+    const measured = budget.measure(words(5), 'claude');
+
+    expect(measured).toMatchObject({ modelId: null, modelName: null, tokens: 5, limit: null, level: 'unknown' });
+    expect(budget.getSendWarning(measured)).toBe('');
+    expect(budget.formatLabel(measured)).toBe('5 / ?');
+    expect(budget.describe(measured)).toBe('5 tokens; context window unknown because this site has no pricing entry');
+  });
+
+  test('should format compact labels', () => {
+    expect(budget.formatTokens(950)).toBe('950');
+    expect(budget.formatTokens(1234)).toBe('1.2k');
+    expect(budget.formatTokens(12400)).toBe('12k');
+    expect(budget.formatTokens(128000)).toBe('128k');
+    expect(budget.formatTokens(2000000)).toBe('2M');
+    expect(budget.formatLabel(budget.measure(words(4), 'chatgpt'))).toBe('4 / 10');
+  });
+});
+
+describe('ContextBudget with built-in tables', () => {
+  test('should use each platform tokenizer and default model window', () => {
+    const budget = new ContextBudget(new PromptTokenizer(), new PricingRegistry(createMemoryStorage(), createMemoryStorage()));
+    const prompt = 'Summarize the quarterly report in three bullet points';
+
+    const chatgpt = budget.measure(prompt, 'chatgpt');
+    const gemini = budget.measure(prompt, 'gemini');
+
+    expect(chatgpt).toMatchObject({ modelName: 'GPT-4o', limit: 128000, level: 'ok' });
+    expect(gemini).toMatchObject({ modelName: 'Gemini 1.5 Pro', limit: 2000000 });
+    expect(chatgpt.promptTokens).toBe(new PromptTokenizer().countTokens(prompt, 'chatgpt'));
+  });
+});
@@ -0,0 +1,139 @@
+/**
+ * Unit tests for the expert role catalog and user-defined roles
+ */
+
+const CustomRoleManager = require('../../optimization/custom-roles.js');
+const OptimizationRules = require('../../optimization/optimization-rules.js');
+
+const taxAccountant = {
+  name: 'tax accountant',
+  prefix: 'As a tax accountant who advises small businesses, ',
+  enhancements: 'Cite the tax year\n\nNote filing deadlines\n',
+  taskTypes: ['business', 'legal']
+};
+
+describe('Expert role catalog', () => {
+  test('should define every role that styles and task types refer to', () => {
+    const rules = new OptimizationRules();
+    const referenced = [
+      ...Object.values(rules.styleRules).flatMap(style => style.expertRoles || []),
+      ...Object.values(rules.taskDetectionPatterns).flatMap(task => task.expertRoles)
+    ];
+
+    const missing = referenced.filter(role => !rules.expertRoles[role]);
+    expect(missing).toEqual([]);
+    Object.values(rules.expertRoles).forEach(role => {
+      expect(role.prefix).toMatch(/^As an? /);
+      expect(role.enhancements.length).toBeGreaterThan(0);
+    });
+  });
+});
+
+describe('CustomRoleManager', () => {
+  let storage;
+  let manager;
+
+  beforeEach(() => {
+    storage = createMemoryStorage();
+    manager = new CustomRoleManager(storage);
+  });
+
+  test('should save a trimmed role', async() => {
+    const role = await manager.saveRole(taxAccountant);
+
+    expect(role).toEqual({
+      name: 'tax accountant',
+      prefix: 'As a tax accountant who advises small businesses',
+      enhancements: ['Cite the tax year', 'Note filing deadlines'],
+      taskTypes: ['business', 'legal']
+    });
+    expect(storage.data[CustomRoleManager.STORAGE_KEY]).toEqual([role]);
+  });
+
+  test('should replace a role with the same name and remove roles', async() => {
+    await manager.saveRole(taxAccountant);
+    await manager.saveRole({ ...taxAccountant, name: 'Tax Accountant', taskTypes: ['business'] });
+
+    expect(await manager.listRoles()).toEqual([expect.objectContaining({ name: 'Tax Accountant', taskTypes: ['business'] })]);
+    expect(await manager.removeRole('Tax Accountant')).toBe(true);
+    expect(await manager.removeRole('Tax Accountant')).toBe(false);
+    expect(storage.data[CustomRoleManager.STORAGE_KEY]).toEqual([]);
+  });
+
+  test('should reject roles without a name or prefix', async() => {
+    await expect(manager.saveRole({ name: ' ', prefix: '' })).rejects.toThrow('Role name must be 1 to 60 characters');
+    await expect(manager.saveRole({ name: 'coach', prefix: '' })).rejects.toThrow('Role prefix is required');
+    await expect(manager.saveRole({ ...taxAccountant, taskTypes: ['Legal stuff'] })).rejects.toThrow('Task types must be');
+    expect(storage.set).not.toHaveBeenCalled();
+  });
+
+  test('should skip invalid stored roles', async() => {
+    storage.data[CustomRoleManager.STORAGE_KEY] = [
+      { name: 'coach', prefix: 'As a coach', enhancements: [], taskTypes: [] },
+      { name: 'broken' }
+    ];
+
+    expect((await manager.load()).map(role => role.name)).toEqual(['coach']);
+  });
+});
+
+describe('OptimizationRules with custom roles', () => {
+  let rules;
+  let role;
+
+  beforeEach(async() => {
+    rules = new OptimizationRules();
+    role = await new CustomRoleManager(createMemoryStorage()).saveRole(taxAccountant);
+    rules.setCustomRoles([role]);
+  });
+
+  test('should put custom roles first for their task types', () => {
+    expect(rules.getTaskRoles('business')[0]).toBe('tax accountant');
+    expect(rules.getTaskRoles('business')).toContain('business consultant');
+    expect(rules.getTaskRoles('technical')[0]).toBe('software engineer');
+    expect(rules.getExpertRole('legal', 'technical')).toBe('tax accountant');
+    expect(rules.getRoleDefinition('tax accountant').prefix).toBe(role.prefix);
+  });
+
+  test('should keep custom roles when rule packs are reapplied', () => {
+    rules.applyRulePacks([]);
+
+    expect(rules.detectTaskType('Review the budget and revenue strategy for our company sales team')[1].expertRoles[0])
+      .toBe('tax accountant');
+  });
+});
+
+describe('PromptOptimizer role framing', () => {
+  let optimizer;
+
+  beforeAll(() => {
+    global.IntentVerifier = require('../../optimization/intent-verifier.js');
+    global.PromptTokenizer = require('../../optimization/tokenizer.js');
+    global.ProtectedRegions = require('../../optimization/protected-regions.js');
+    global.TextDiff = require('../../optimization/text-diff.js');
+    global.TransformationTrace = require('../../optimization/transformation-trace.js');
+    global.OptimizationRules = OptimizationRules;
+    global.QualityScorer = require('../../optimization/quality-scorer.js');
+    require('../../content/platform-detectors.js');
+    global.PlatformDetectors = window.PlatformDetectors;
+
+    const PromptOptimizer = require('../../optimization/prompt-optimizer.js');
+    optimizer = new PromptOptimizer({ enableAnalytics: false });
+  });
+
+  test('should frame with a built-in role that used to be missing', () => {
+    const framed = optimizer.addExpertRoleFraming('Teach fractions', ['educational', { expertRoles: ['educator'] }]);
+
+    expect(framed).toBe(`${optimizer.rules.expertRoles.educator.prefix}, Teach fractions`);
+  });
+
+  test('should frame with a custom role', async() => {
+    const role = await new CustomRoleManager(createMemoryStorage()).saveRole(taxAccountant);
+    optimizer.rules.setCustomRoles([role]);
+
+    const [taskType, taskData] = optimizer.rules.detectTaskType('Review the budget and revenue strategy for our company sales team');
+    const framed = optimizer.addExpertRoleFraming('Review the budget', [taskType, taskData]);
+
+    expect(framed).toBe('As a tax accountant who advises small businesses, Review the budget');
+  });
+});
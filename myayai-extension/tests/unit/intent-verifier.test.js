@@ -0,0 +1,139 @@
+/**
+ * Unit tests for the intent-preservation verifier
+ */
+
+const IntentVerifier = require('../../optimization/intent-verifier.js');
+
+describe('IntentVerifier', () => {
+  let verifier;
+
+  beforeEach(() => {
+    verifier = new IntentVerifier();
+  });
+
+  const valuesOf = (text, type) => verifier.extractFacts(text)
+    .filter(fact => fact.type === type)
+    .map(fact => fact.value);
+
+  test('should extract numbers, including formatted ones', () => {
+    expect(valuesOf('Write 500 words for 1,200 readers by 10:30, a 15% lift', 'number'))
+      .toEqual(['500', '1,200', '10:30', '15%']);
+  });
+
+  test('should extract named entities but skip sentence-initial words', () => {
+    expect(valuesOf('Write a pitch for Acme Corp. Compare React and the AWS SDK.', 'entity'))
+      .toEqual(['Acme Corp', 'React', 'AWS SDK']);
+  });
+
+  test('should extract code identifiers and inline code', () => {
+    expect(valuesOf('Why does `npm run build` fail when parseConfig() reads user_id from process.env?', 'identifier'))
+      .toEqual(['npm run build', 'parseConfig()', 'user_id', 'process.env']);
+  });
+
+  test('should extract explicit constraints', () => {
+    expect(valuesOf('Summarize the report. Keep it to at least 3 bullets. Never mention pricing.', 'constraint'))
+      .toEqual(['Keep it to at least 3 bullets.', 'Never mention pricing.']);
+  });
+
+  test('should pass when facts survive formatting-only changes', () => {
+    const original = 'List 1,000 users from Acme. Don\'t include user_id.';
+    const optimized = 'As a data analyst, list 1000 users from Acme. Do not include user_id.\n\nUse a table.';
+
+    expect(verifier.verify(original, optimized)).toMatchObject({ passed: true, blocked: false, issues: [] });
+  });
+
+  test('should report dropped and altered facts', () => {
+    const original = 'Write 300 words about Rust. Compare Rust with Go. Must cite 2 sources.';
+    const optimized = 'Write 500 words about Rust. Compare it with Go.';
+    const result = verifier.verify(original, optimized);
+
+    expect(result.passed).toBe(false);
+    expect(result.issues).toEqual(expect.arrayContaining([
+      { type: 'number', value: '300', problem: 'dropped' },
+      { type: 'entity', value: 'Rust', problem: 'altered', expected: 2, actual: 1 },
+      { type: 'constraint', value: 'Must cite 2 sources.', problem: 'dropped' }
+    ]));
+    expect(result.summary).toMatch(/^Optimization changed \d+ details from your prompt: "300"/);
+  });
+
+  test('should only block in block mode and skip the check when off', () => {
+    const original = 'Use port 8080';
+    const optimized = 'Use the default port';
+
+    expect(verifier.verify(original, optimized, 'flag')).toMatchObject({ passed: false, blocked: false });
+    expect(verifier.verify(original, optimized, 'block')).toMatchObject({ passed: false, blocked: true });
+    expect(verifier.verify(original, optimized, 'off')).toMatchObject({ passed: true, blocked: false });
+  });
+});
+
+describe('PromptOptimizer intent verification', () => {
+  let PromptOptimizer;
+
+  beforeAll(() => {
+    global.IntentVerifier = IntentVerifier;
+    global.PromptTokenizer = require('../../optimization/tokenizer.js');
+    global.ProtectedRegions = require('../../optimization/protected-regions.js');
+    global.TextDiff = require('../../optimization/text-diff.js');
+    global.TransformationTrace = require('../../optimization/transformation-trace.js');
+    global.OptimizationRules = require('../../optimization/optimization-rules.js');
+    global.QualityScorer = require('../../optimization/quality-scorer.js');
+    require('../../content/platform-detectors.js');
+    global.PlatformDetectors = window.PlatformDetectors;
+
+    PromptOptimizer = require('../../optimization/prompt-optimizer.js');
+  });
+
+  const prompt = 'Write a 500 word post about Kubernetes for Acme Corp. Do not mention pricing.';
+
+  test('should attach a passing verification to normal optimizations', () => {
+    const optimizer = new PromptOptimizer({ enableAnalytics: false });
+    const result = optimizer.optimizePrompt(prompt, 'chatgpt', 'professional');
+
+    expect(result.verification).toMatchObject({ passed: true, blocked: false });
+    expect(result.optimized).not.toBe(prompt);
+  });
+
+  test('should keep decimals and dotted identifiers whole when Claude splits long prompts into sections', () => {
+    const longPrompt = [
+      'Our quarterly report shows revenue of 3.2 billion dollars across four regions, and the board wants a summary.',
+      'The data loader calls const x = foo.bar(); before every refresh and we suspect it is slow.',
+      'Explain what the numbers mean for next year and list the three biggest risks you see.',
+      'Then suggest how the loader could be made faster without changing its output format or its schedule.'
+    ].join(' ');
+    const optimizer = new PromptOptimizer({ enableAnalytics: false });
+    const result = optimizer.optimizePrompt(longPrompt, 'claude', 'professional');
+
+    expect(result.verification).toMatchObject({ passed: true, blocked: false });
+    expect(result.optimized).toContain('<context>');
+    expect(result.optimized).toContain('3.2 billion');
+    expect(result.optimized).toContain('foo.bar();');
+  });
+
+  test('should keep the original prompt when a stage drops facts in block mode', () => {
+    const warn = jest.spyOn(console, 'warn').mockImplementation(() => {});
+    const optimizer = new PromptOptimizer({ enableAnalytics: false });
+    optimizer.applyCoreOptimizations = text => text.replace('500 word ', '');
+
+    const result = optimizer.optimizePrompt(prompt, 'chatgpt', 'professional');
+
+    expect(result.verification.blocked).toBe(true);
+    expect(result.verification.issues).toContainEqual({ type: 'number', value: '500', problem: 'dropped' });
+    expect(result.optimized).toBe(prompt);
+    expect(result.trace).toEqual([]);
+
+    warn.mockRestore();
+  });
+
+  test('should keep the optimization but flag it in flag mode', () => {
+    const warn = jest.spyOn(console, 'warn').mockImplementation(() => {});
+    const optimizer = new PromptOptimizer({ enableAnalytics: false, intentVerification: 'flag' });
+    optimizer.applyCoreOptimizations = text => text.replace('500 word ', '');
+
+    const result = optimizer.optimizePrompt(prompt, 'chatgpt', 'professional');
+
+    expect(result.verification).toMatchObject({ passed: false, blocked: false });
+    expect(result.optimized).not.toContain('500');
+
+    warn.mockRestore();
+  });
+});
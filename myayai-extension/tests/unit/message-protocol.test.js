@@ -0,0 +1,192 @@
+/**
+ * Unit tests for the runtime message protocol
+ */
+
+const MessageProtocol = require('../../utils/message-protocol.js');
+
+describe('MessageProtocol', () => {
+  let protocol;
+  const { TYPES } = MessageProtocol;
+
+  beforeEach(() => {
+    protocol = new MessageProtocol();
+    chrome.runtime.sendMessage = jest.fn();
+    delete chrome.runtime.lastError;
+  });
+
+  describe('Message Creation', () => {
+    test('should create versioned messages', () => {
+      const message = protocol.createMessage(TYPES.OPTIMIZE_PROMPT, { text: 'Explain closures', platform: 'chatgpt' });
+
+      expect(message.type).toBe('OPTIMIZE_PROMPT');
+      expect(message.version).toBe(MessageProtocol.VERSION);
+      expect(message.payload.text).toBe('Explain closures');
+      expect(typeof message.sentAt).toBe('number');
+    });
+
+    test('should declare a schema for every message type', () => {
+      Object.values(TYPES).forEach(type => {
+        expect(protocol.schemas[type]).toBeDefined();
+      });
+    });
+
+    test('should reject payloads that do not match the schema', () => {
+      expect(() => protocol.createMessage(TYPES.OPTIMIZE_PROMPT, { text: '' }))
+        .toThrow(MessageProtocol.ValidationError);
+      expect(() => protocol.createMessage(TYPES.VALIDATE_SELECTORS, { selectors: 'textarea' }))
+        .toThrow('Invalid VALIDATE_SELECTORS message');
+    });
+
+    test('should reject values outside a field\'s allowed set', () => {
+      expect(() => protocol.createMessage(TYPES.RECORD_FEEDBACK, { prompt: 'Explain closures', rating: 'up', target: 'response' }))
+        .not.toThrow();
+
+      const { valid, errors } = protocol.validate({ type: TYPES.RECORD_FEEDBACK, version: 1, payload: { prompt: 'Explain closures', rating: 'meh' } });
+      expect(valid).toBe(false);
+      expect(errors).toEqual([{ path: 'payload.rating', message: 'payload.rating must be one of: up, down' }]);
+    });
+  });
+
+  describe('Validation', () => {
+    test('should report field paths for invalid payloads', () => {
+      const result = protocol.validate({ type: TYPES.OPTIMIZE_PROMPT, version: 1, payload: { platform: 42 } });
+
+      expect(result.valid).toBe(false);
+      expect(result.errors.map(error => error.path)).toEqual(['payload.text', 'payload.platform']);
+    });
+
+    test('should reject unknown message types', () => {
+      let thrown;
+      try {
+        protocol.assertValid({ type: 'NOT_A_TYPE', payload: {} });
+      } catch (error) {
+        thrown = error;
+      }
+
+      expect(thrown).toBeInstanceOf(MessageProtocol.ValidationError);
+      expect(thrown.code).toBe('UNKNOWN_MESSAGE_TYPE');
+      expect(thrown.message).toBe('Unknown message type');
+    });
+
+    test('should reject newer protocol versions', () => {
+      const result = protocol.validate({ type: TYPES.HEALTH_CHECK, version: MessageProtocol.VERSION + 1, payload: {} });
+
+      expect(result.valid).toBe(false);
+      expect(result.errors[0].path).toBe('version');
+    });
+
+    test('should normalize legacy action messages', () => {
+      const normalized = protocol.assertValid({ action: 'optimizePrompt', content: 'Fix my SQL', platform: 'claude' });
+
+      expect(normalized.type).toBe(TYPES.OPTIMIZE_PROMPT);
+      expect(normalized.legacy).toBe(true);
+      expect(normalized.payload).toEqual({ text: 'Fix my SQL', platform: 'claude' });
+    });
+
+    test('should normalize legacy type messages with top-level fields', () => {
+      const normalized = protocol.assertValid({ type: 'validate_selectors', selectors: ['textarea'] });
+
+      expect(normalized.type).toBe(TYPES.VALIDATE_SELECTORS);
+      expect(normalized.payload.selectors).toEqual(['textarea']);
+    });
+  });
+
+  describe('Sending', () => {
+    test('should resolve with a valid optimization response', async() => {
+      chrome.runtime.sendMessage.mockImplementation((message, callback) => {
+        callback({ optimizedText: 'Optimized prompt', achievementData: { xpGained: 10 } });
+      });
+
+      const response = await protocol.send(TYPES.OPTIMIZE_PROMPT, { text: 'Write a poem', platform: 'chatgpt' });
+
+      expect(response.optimizedText).toBe('Optimized prompt');
+      expect(chrome.runtime.sendMessage.mock.calls[0][0]).toMatchObject({
+        type: 'OPTIMIZE_PROMPT',
+        version: 1,
+        payload: { text: 'Write a poem', platform: 'chatgpt' }
+      });
+    });
+
+    test('should reject responses that break the response schema', async() => {
+      chrome.runtime.sendMessage.mockImplementation((message, callback) => callback({ optimized: 'wrong field' }));
+
+      await expect(protocol.send(TYPES.OPTIMIZE_PROMPT, { text: 'Write a poem' }))
+        .rejects.toMatchObject({ code: 'INVALID_RESPONSE' });
+    });
+
+    test('should surface validation errors returned by the receiver', async() => {
+      chrome.runtime.sendMessage.mockImplementation((message, callback) => {
+        callback({ error: 'Invalid OPTIMIZE_PROMPT message', code: 'INVALID_MESSAGE', details: [] });
+      });
+
+      await expect(protocol.send(TYPES.OPTIMIZE_PROMPT, { text: 'Write a poem' }))
+        .rejects.toBeInstanceOf(MessageProtocol.ValidationError);
+    });
+
+    test('should send to a tab and validate the content script response', async() => {
+      chrome.tabs.sendMessage.mockImplementation((tabId, message, callback) => callback({ inserted: true }));
+
+      await expect(protocol.sendToTab(7, TYPES.INSERT_PROMPT, { text: 'Compare A and B' })).resolves.toEqual({ inserted: true });
+      expect(chrome.tabs.sendMessage.mock.calls[0][0]).toBe(7);
+      expect(chrome.tabs.sendMessage.mock.calls[0][1]).toMatchObject({ type: 'INSERT_PROMPT', payload: { text: 'Compare A and B' } });
+
+      chrome.tabs.sendMessage.mockImplementation((tabId, message, callback) => callback({ error: 'No message box found on this page' }));
+      await expect(protocol.sendToTab(7, TYPES.INSERT_PROMPT, { text: 'Compare A and B' })).rejects.toThrow('No message box found');
+    });
+
+    test('should reject on runtime errors', async() => {
+      chrome.runtime.sendMessage.mockImplementation((message, callback) => {
+        chrome.runtime.lastError = { message: 'Receiving end does not exist' };
+        callback(undefined);
+      });
+
+      await expect(protocol.send(TYPES.HEALTH_CHECK)).rejects.toThrow('Receiving end does not exist');
+    });
+  });
+
+  describe('Listeners', () => {
+    test('should dispatch validated payloads to handlers', async() => {
+      const handler = jest.fn().mockResolvedValue({ success: true });
+      const listener = protocol.createListener({ [TYPES.OPTIMIZATION_COMPLETED]: handler });
+      const sendResponse = jest.fn();
+
+      const keepOpen = listener({ action: 'optimizationCompleted', data: { improvement: 12 } }, {}, sendResponse);
+      await new Promise(resolve => setTimeout(resolve, 0));
+
+      expect(keepOpen).toBe(true);
+      expect(handler).toHaveBeenCalledWith({ data: { improvement: 12 } }, {}, expect.any(Object));
+      expect(sendResponse).toHaveBeenCalledWith({ success: true });
+    });
+
+    test('should answer invalid messages with a validation error', () => {
+      const handler = jest.fn();
+      const listener = protocol.createListener({ [TYPES.OPTIMIZATION_COMPLETED]: handler });
+      const sendResponse = jest.fn();
+
+      listener({ type: TYPES.OPTIMIZATION_COMPLETED, version: 1, payload: {} }, {}, sendResponse);
+
+      expect(handler).not.toHaveBeenCalled();
+      expect(sendResponse).toHaveBeenCalledWith(expect.objectContaining({ code: 'INVALID_MESSAGE' }));
+    });
+
+    test('should ignore messages without a handler', () => {
+      const listener = protocol.createListener({});
+      const sendResponse = jest.fn();
+
+      expect(listener({ type: TYPES.HEALTH_CHECK, version: 1, payload: {} }, {}, sendResponse)).toBe(false);
+      expect(sendResponse).not.toHaveBeenCalled();
+    });
+
+    test('should serialize handler failures', async() => {
+      const listener = protocol.createListener({
+        [TYPES.GET_DATA_INVENTORY]: () => { throw new Error('Storage unavailable'); }
+      });
+      const sendResponse = jest.fn();
+
+      listener({ type: TYPES.GET_DATA_INVENTORY, version: 1, payload: {} }, {}, sendResponse);
+      await new Promise(resolve => setTimeout(resolve, 0));
+
+      expect(sendResponse).toHaveBeenCalledWith({ error: 'Storage unavailable' });
+    });
+  });
+});
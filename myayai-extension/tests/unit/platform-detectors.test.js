@@ -117,6 +117,41 @@ describe('PlatformDetectors', () => {
       expect(platform.name).toBe('Character.AI');
     });
 
+    it('should detect ChatGPT on chatgpt.com', () => {
+      Object.defineProperty(window, 'location', {
+        value: { hostname: 'chatgpt.com', pathname: '/' }
+      });
+
+      expect(platformDetectors.detectCurrentPlatform().id).toBe('chatgpt');
+    });
+
+    it('should detect Grok on grok.com and under x.com/i/grok only', () => {
+      const detectAt = (hostname, pathname) => {
+        Object.defineProperty(window, 'location', { value: { hostname, pathname } });
+        return platformDetectors.detectCurrentPlatform()?.id || null;
+      };
+
+      expect(detectAt('grok.com', '/')).toBe('grok');
+      expect(detectAt('x.com', '/i/grok')).toBe('grok');
+      expect(detectAt('x.com', '/i/grok/share/abc')).toBe('grok');
+      expect(detectAt('x.com', '/home')).toBeNull();
+      expect(detectAt('x.com', '/i/grokking')).toBeNull();
+    });
+
+    it('should detect HuggingChat under huggingface.co/chat only', () => {
+      Object.defineProperty(window, 'location', {
+        value: { hostname: 'huggingface.co', pathname: '/chat/conversation/abc123' }
+      });
+      const platform = platformDetectors.detectCurrentPlatform();
+      expect(platform.id).toBe('huggingchat');
+      expect(platform.name).toBe('HuggingChat');
+
+      Object.defineProperty(window, 'location', {
+        value: { hostname: 'huggingface.co', pathname: '/models' }
+      });
+      expect(platformDetectors.detectCurrentPlatform()).toBeNull();
+    });
+
     it('should return null for unknown platforms', () => {
       Object.defineProperty(window, 'location', {
         value: { hostname: 'unknown.com' }
@@ -241,6 +276,54 @@ describe('PlatformDetectors', () => {
     });
   });
 
+  describe('Bot Detection', () => {
+    afterEach(() => {
+      document.body.innerHTML = '';
+    });
+
+    it('should read the selected bot from the Poe chat header', () => {
+      document.body.innerHTML = '<div class="BotHeader_textContainer__x1"><p> Claude-3.5-Sonnet </p></div>';
+
+      expect(platformDetectors.detectActiveBot({ id: 'poe', ...platformDetectors.platforms.poe })).toBe('Claude-3.5-Sonnet');
+    });
+
+    it('should fall back to the bot in the Poe URL', () => {
+      const poe = { id: 'poe', ...platformDetectors.platforms.poe };
+
+      Object.defineProperty(window, 'location', {
+        value: { hostname: 'poe.com', pathname: '/GPT-4o' }
+      });
+      expect(platformDetectors.detectActiveBot(poe)).toBe('GPT-4o');
+
+      Object.defineProperty(window, 'location', {
+        value: { hostname: 'poe.com', pathname: '/chat/abc123' }
+      });
+      expect(platformDetectors.detectActiveBot(poe)).toBeNull();
+    });
+
+    it('should read the HuggingChat model from the settings link or the model URL', () => {
+      const huggingchat = { id: 'huggingchat', ...platformDetectors.platforms.huggingchat };
+
+      document.body.innerHTML = '<a href="/chat/settings/deepseek-ai/DeepSeek-R1">deepseek-ai/DeepSeek-R1</a>';
+      expect(platformDetectors.detectActiveBot(huggingchat)).toBe('deepseek-ai/DeepSeek-R1');
+
+      document.body.innerHTML = '';
+      Object.defineProperty(window, 'location', {
+        value: { hostname: 'huggingface.co', pathname: '/chat/models/mistralai/Mistral-Small-3.1-24B-Instruct-2503' }
+      });
+      expect(platformDetectors.detectActiveBot(huggingchat)).toBe('mistralai/Mistral-Small-3.1-24B-Instruct-2503');
+
+      Object.defineProperty(window, 'location', {
+        value: { hostname: 'huggingface.co', pathname: '/chat/conversation/abc123' }
+      });
+      expect(platformDetectors.detectActiveBot(huggingchat)).toBeNull();
+    });
+
+    it('should return null on single-model platforms', () => {
+      expect(platformDetectors.detectActiveBot({ id: 'claude', ...platformDetectors.platforms.claude })).toBeNull();
+    });
+  });
+
   describe('Container Detection', () => {
     it('should find input container', () => {
       const formElement = document.createElement('form');
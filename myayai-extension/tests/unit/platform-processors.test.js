@@ -0,0 +1,209 @@
+/**
+ * Unit tests for the platform rules and processors added after ChatGPT, Claude, Perplexity and Gemini
+ */
+
+const OptimizationRules = require('../../optimization/optimization-rules.js');
+
+describe('Platform rules', () => {
+  let rules;
+
+  beforeEach(() => {
+    rules = new OptimizationRules();
+  });
+
+  test('should have dedicated rules for every detected platform', () => {
+    require('../../content/platform-detectors.js');
+    const detected = Object.keys(new window.PlatformDetectors().platforms);
+
+    detected.forEach(platform => {
+      expect(rules.platformRules[platform]).toBeDefined();
+      expect(rules.getPlatformRules(platform).name).toBe(rules.platformRules[platform].name);
+    });
+    expect(rules.getMaxOptimalTokens('characterai')).toBeLessThan(rules.getMaxOptimalTokens('chatgpt'));
+  });
+
+  test('should map Poe bots to the platform of their model', () => {
+    expect(rules.getBotPlatform('poe', 'Claude-3.5-Sonnet')).toBe('claude');
+    expect(rules.getBotPlatform('poe', '@GPT-4o')).toBe('chatgpt');
+    expect(rules.getBotPlatform('poe', 'Gemini-1.5-Pro')).toBe('gemini');
+    expect(rules.getBotPlatform('poe', 'Llama-3-70b')).toBeNull();
+    expect(rules.getBotPlatform('poe', null)).toBeNull();
+    expect(rules.getBotPlatform('chatgpt', 'Claude-3.5-Sonnet')).toBeNull();
+  });
+
+  test('should map HuggingChat models to the platform of their family', () => {
+    expect(rules.getBotPlatform('huggingchat', 'deepseek-ai/DeepSeek-R1')).toBe('deepseek');
+    expect(rules.getBotPlatform('huggingchat', 'mistralai/Mistral-Small-3.1-24B-Instruct-2503')).toBe('mistral');
+    expect(rules.getBotPlatform('huggingchat', 'openai/gpt-oss-120b')).toBe('chatgpt');
+    expect(rules.getBotPlatform('huggingchat', 'Qwen/Qwen2.5-72B-Instruct')).toBeNull();
+  });
+
+  test('should let rule packs add Poe bots', () => {
+    rules.applyRulePacks([{ id: 'bots', rules: { platformRules: { poe: { bots: { claude: ['my-claude'] } } } } }]);
+
+    expect(rules.getBotPlatform('poe', 'My-Claude-Helper')).toBe('claude');
+    expect(rules.getBotPlatform('poe', 'Claude-3-Opus')).toBe('claude');
+  });
+});
+
+describe('PromptOptimizer platform processors', () => {
+  let optimizer;
+
+  const ruleIds = result => result.trace.map(entry => entry.ruleId);
+
+  beforeAll(() => {
+    global.IntentVerifier = require('../../optimization/intent-verifier.js');
+    global.PromptTokenizer = require('../../optimization/tokenizer.js');
+    global.ProtectedRegions = require('../../optimization/protected-regions.js');
+    global.TextDiff = require('../../optimization/text-diff.js');
+    global.TransformationTrace = require('../../optimization/transformation-trace.js');
+    global.OptimizationRules = OptimizationRules;
+    global.QualityScorer = require('../../optimization/quality-scorer.js');
+    require('../../content/platform-detectors.js');
+    global.PlatformDetectors = window.PlatformDetectors;
+
+    const PromptOptimizer = require('../../optimization/prompt-optimizer.js');
+    optimizer = new PromptOptimizer({ enableAnalytics: false });
+  });
+
+  test('should have a processor for every platform with rules', () => {
+    Object.keys(optimizer.rules.platformRules).forEach(platform => {
+      expect(optimizer.platformProcessors[platform]).toEqual(expect.any(Function));
+    });
+  });
+
+  test('should ask Copilot to cite sources for current topics', () => {
+    const result = optimizer.optimizePrompt('What are the latest changes to the EU AI Act?', 'copilot', 'professional');
+
+    expect(ruleIds(result)).toEqual(expect.arrayContaining(['platform.copilot.cite-sources', 'platform.copilot.scannable-format']));
+    expect(result.optimized).toContain('Cite the web sources you use.');
+  });
+
+  test('should not ask Copilot for sources the prompt already requested', () => {
+    const result = optimizer.optimizePrompt('Summarize today\'s AI news with a citation for each item', 'copilot');
+
+    expect(ruleIds(result)).not.toContain('platform.copilot.cite-sources');
+  });
+
+  test('should optimize Poe prompts for the selected bot', () => {
+    const result = optimizer.optimizePrompt('Compare these two essays about climate policy', 'poe', 'professional',
+      { bot: 'Claude-3.5-Sonnet' });
+
+    expect(result.bot).toBe('Claude-3.5-Sonnet');
+    expect(ruleIds(result)).toContain('platform.claude.think-step-by-step');
+    expect(ruleIds(result).some(id => id.startsWith('platform.poe.'))).toBe(false);
+  });
+
+  test('should prefer an @-mentioned bot and keep the mention intact', () => {
+    const prompt = '@Gemini-1.5-Pro what changed in the latest Android release? Keep it short.';
+    const result = optimizer.optimizePrompt(prompt, 'poe', 'professional', { bot: 'Claude-3.5-Sonnet' });
+
+    expect(ruleIds(result)).toContain('platform.gemini.simplify');
+    expect(ruleIds(result)).not.toContain('platform.claude.think-step-by-step');
+    expect(result.optimized).toContain('@Gemini-1.5-Pro');
+  });
+
+  test('should ask unknown Poe bots for a direct answer', () => {
+    const result = optimizer.optimizePrompt('Plan a three day trip to Kyoto', 'poe', 'professional', { bot: 'TravelGuideBot' });
+
+    expect(ruleIds(result)).toContain('platform.poe.answer-first');
+    expect(result.trace.find(entry => entry.ruleId === 'platform.poe.answer-first').reason).toContain('TravelGuideBot');
+  });
+
+  test('should keep Character.AI messages in character', () => {
+    const result = optimizer.optimizePrompt('hey, what is this place?', 'characterai', 'professional');
+
+    expect(ruleIds(result)).toEqual(['platform.characterai.scene-detail', 'platform.characterai.stay-in-character']);
+    expect(result.optimized.startsWith('hey, what is this place?\n\n(OOC:')).toBe(true);
+    expect(result.optimized).not.toMatch(/As an? |structure your response|Context:/);
+  });
+
+  test('should only add scene detail when the message has no actions', () => {
+    const acted = optimizer.optimizePrompt('*draws sword* Stand back, villain!', 'characterai');
+
+    expect(ruleIds(acted)).toEqual(['platform.characterai.stay-in-character']);
+  });
+
+  test('should leave Character.AI messages that already direct the character', () => {
+    const prompt = 'Let\'s continue. (OOC: make the next scene tense)';
+
+    expect(optimizer.optimizePrompt(prompt, 'characterai').optimized).toBe(prompt);
+  });
+
+  test('should ask DeepSeek for a marked final answer in English', () => {
+    const result = optimizer.optimizePrompt('Solve for x: 3x + 5 = 20', 'deepseek', 'technical');
+
+    expect(ruleIds(result)).toEqual(expect.arrayContaining(['platform.deepseek.final-answer', 'platform.deepseek.response-language']));
+    expect(result.optimized).toContain('Give your final answer at the end, clearly marked.');
+  });
+
+  test('should not pin the DeepSeek answer language when the prompt sets one', () => {
+    const result = optimizer.optimizePrompt('Explique la photosynthèse. Réponds en français.', 'deepseek', 'casual');
+    const named = optimizer.optimizePrompt('Explain photosynthesis and answer in Spanish', 'deepseek', 'casual');
+
+    expect(ruleIds(result)).not.toContain('platform.deepseek.response-language');
+    expect(ruleIds(named)).not.toContain('platform.deepseek.response-language');
+  });
+
+  test('should ask Le Chat to search the web for recent topics', () => {
+    const result = optimizer.optimizePrompt('What are the latest changes to the EU AI Act?', 'mistral', 'casual');
+
+    expect(ruleIds(result)).toEqual(expect.arrayContaining(['platform.mistral.web-search', 'platform.mistral.output-format']));
+    expect(result.optimized).toContain('Search the web and cite your sources.');
+  });
+
+  test('should not add a Le Chat format when the prompt names one', () => {
+    const result = optimizer.optimizePrompt('Compare Rust and Go as a table', 'mistral', 'casual');
+
+    expect(ruleIds(result)).not.toContain('platform.mistral.output-format');
+    expect(ruleIds(result)).not.toContain('platform.mistral.web-search');
+  });
+
+  test('should ask Grok to use recent posts on X for trending topics', () => {
+    const result = optimizer.optimizePrompt('What is trending about the Mars mission today?', 'grok', 'casual');
+
+    expect(ruleIds(result)).toEqual(expect.arrayContaining(['platform.grok.realtime-sources', 'platform.grok.direct-answer']));
+    expect(result.optimized).toContain('say how recent they are');
+  });
+
+  test('should only ask Grok for a direct answer on timeless topics', () => {
+    const result = optimizer.optimizePrompt('Explain how tides work', 'grok', 'casual');
+
+    expect(ruleIds(result)).toContain('platform.grok.direct-answer');
+    expect(ruleIds(result)).not.toContain('platform.grok.realtime-sources');
+  });
+
+  test('should optimize HuggingChat prompts for the selected model', () => {
+    const result = optimizer.optimizePrompt('Solve for x: 3x + 5 = 20', 'huggingchat', 'technical',
+      { bot: 'deepseek-ai/DeepSeek-R1' });
+
+    expect(result.bot).toBe('deepseek-ai/DeepSeek-R1');
+    expect(ruleIds(result)).toContain('platform.deepseek.final-answer');
+    expect(ruleIds(result).some(id => id.startsWith('platform.huggingchat.'))).toBe(false);
+  });
+
+  test('should ask other HuggingChat models for a direct answer', () => {
+    const result = optimizer.optimizePrompt('Plan a three day trip to Kyoto', 'huggingchat', 'professional',
+      { bot: 'Qwen/Qwen2.5-72B-Instruct' });
+
+    expect(ruleIds(result)).toContain('platform.huggingchat.answer-first');
+    expect(result.trace.find(entry => entry.ruleId === 'platform.huggingchat.answer-first').reason)
+      .toContain('Qwen/Qwen2.5-72B-Instruct');
+  });
+
+  test('should count the new platforms as optimized once their rules apply', () => {
+    const prompts = {
+      deepseek: 'Solve for x: 3x + 5 = 20',
+      mistral: 'Summarize the history of the printing press',
+      grok: 'Explain how tides work',
+      huggingchat: 'Plan a three day trip to Kyoto'
+    };
+
+    Object.entries(prompts).forEach(([platform, prompt]) => {
+      const result = optimizer.optimizePrompt(prompt, platform, 'casual');
+
+      expect(optimizer.scorer.isPlatformOptimized(prompt, platform)).toBe(false);
+      expect(optimizer.scorer.isPlatformOptimized(result.optimized, platform)).toBe(true);
+    });
+  });
+});
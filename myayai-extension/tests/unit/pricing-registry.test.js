@@ -0,0 +1,207 @@
+/**
+ * Unit tests for the model pricing registry
+ */
+
+const PricingRegistry = require('../../optimization/pricing-registry.js');
+
+const newerTable = {
+  formatVersion: 1,
+  version: '2025.2.0',
+  currency: 'EUR',
+  per: 1000,
+  platforms: {
+    chatgpt: {
+      defaultModel: 'gpt-next',
+      models: {
+        'gpt-next': { name: 'GPT Next', input: 0.01, output: 0.03 },
+        'gpt-next-mini': { input: 0.001, output: 0.002 }
+      }
+    }
+  }
+};
+
+describe('PricingRegistry', () => {
+  let registry;
+  let storage;
+  let settings;
+
+  beforeEach(async() => {
+    storage = createMemoryStorage();
+    settings = createMemoryStorage();
+    registry = new PricingRegistry(storage, settings);
+    await registry.load();
+  });
+
+  test('should ship a valid built-in table', () => {
+    expect(registry.validateTable(PricingRegistry.BUILT_IN_TABLE)).toEqual({ valid: true, errors: [] });
+    expect(registry.getTable()).toBe(PricingRegistry.BUILT_IN_TABLE);
+    expect(registry.isUsingImportedTable()).toBe(false);
+  });
+
+  test('should price input and output tokens for the site default model', () => {
+    const pricing = registry.getModelPricing('claude');
+
+    expect(pricing).toMatchObject({ modelId: 'claude-3-5-sonnet', input: 3, output: 15, currency: 'USD', per: 1000000 });
+    expect(registry.calculateCost({ inputTokens: 1000, outputTokens: 1000 }, 'claude')).toBeCloseTo(0.018, 10);
+    expect(registry.calculateCost({ inputTokens: 1000 }, 'chatgpt', 'gpt-4o-mini')).toBeCloseTo(0.00015, 10);
+  });
+
+  test('should report no pricing for sites the table does not price', async() => {
+    expect(registry.getPlatformEntry('unknown-site')).toBeNull();
+    expect(registry.getSiteModel('unknown-site')).toBeNull();
+    expect(registry.getModelPricing('unknown-site')).toBeNull();
+    expect(registry.calculateCost({ inputTokens: 1000 }, 'unknown-site')).toBeNull();
+    await expect(registry.setSiteModel('unknown-site', 'gpt-4o')).rejects.toThrow('No pricing for unknown-site');
+  });
+
+  test('should price Copilot at OpenAI rates and leave Poe and Character.AI unpriced', () => {
+    expect(registry.getModelPricing('copilot')).toMatchObject({ modelId: 'gpt-4o', input: 2.5, output: 10, contextWindow: 128000 });
+    expect(registry.getModelPricing('poe')).toBeNull();
+    expect(registry.getModelPricing('characterai')).toBeNull();
+  });
+
+  test('should price DeepSeek, Mistral and Grok and leave HuggingChat unpriced', () => {
+    expect(registry.getModelPricing('deepseek')).toMatchObject({ modelId: 'deepseek-chat', contextWindow: 64000 });
+    expect(registry.calculateCost({ inputTokens: 1000000 }, 'mistral')).toBe(2);
+    expect(registry.calculateCost({ outputTokens: 1000000 }, 'grok')).toBe(10);
+    expect(registry.getModelPricing('huggingchat')).toBeNull();
+  });
+
+  test('should remember the model chosen for each site', async() => {
+    await registry.setSiteModel('chatgpt', 'gpt-4o-mini');
+
+    expect(registry.getSiteModel('chatgpt')).toBe('gpt-4o-mini');
+    expect(settings.data[PricingRegistry.SITE_MODELS_KEY]).toEqual({ chatgpt: 'gpt-4o-mini' });
+
+    const reloaded = new PricingRegistry(storage, settings);
+    await reloaded.load();
+    expect(reloaded.getModelPricing('chatgpt').modelId).toBe('gpt-4o-mini');
+  });
+
+  test('should reject unknown models', async() => {
+    await expect(registry.setSiteModel('claude', 'gpt-4o')).rejects.toThrow('Unknown model \'gpt-4o\' for claude');
+  });
+
+  test('should report every problem with an invalid table', () => {
+    const { valid, errors } = registry.validateTable({
+      formatVersion: 2,
+      version: 'latest',
+      currency: 'dollars',
+      per: 0,
+      platforms: {
+        chatgpt: { defaultModel: 'missing', models: { 'gpt-4o': { input: -1, output: '2' } } }
+      }
+    });
+
+    expect(valid).toBe(false);
+    expect(errors).toEqual([
+      'formatVersion must be 1',
+      'version must be a dotted number such as "2025.1.0"',
+      'currency must be a 3-letter ISO code such as "USD"',
+      'per must be a positive number of tokens',
+      'platforms.chatgpt.defaultModel must name one of its models',
+      'platforms.chatgpt.models.gpt-4o.input must be a non-negative number',
+      'platforms.chatgpt.models.gpt-4o.output must be a non-negative number'
+    ]);
+  });
+
+  test('should accept tables with or without context windows', () => {
+    const withWindow = { input: 1, output: 2, contextWindow: 32000 };
+    const table = { ...newerTable, platforms: { chatgpt: { defaultModel: 'a', models: { a: withWindow, b: { input: 1, output: 2 } } } } };
+    const invalid = { ...table, platforms: { chatgpt: { defaultModel: 'a', models: { a: { ...withWindow, contextWindow: 0.5 } } } } };
+
+    expect(registry.validateTable(table).valid).toBe(true);
+    expect(registry.validateTable(invalid).errors).toEqual(['platforms.chatgpt.models.a.contextWindow must be a positive integer']);
+  });
+
+  test('should import a newer table from JSON and persist it', async() => {
+    await registry.importTable(JSON.stringify(newerTable));
+
+    expect(registry.isUsingImportedTable()).toBe(true);
+    expect(registry.getModelPricing('chatgpt')).toMatchObject({ modelId: 'gpt-next', currency: 'EUR', per: 1000 });
+    expect(registry.calculateCost({ inputTokens: 500, outputTokens: 100 }, 'chatgpt')).toBeCloseTo(0.008, 10);
+    expect(storage.data[PricingRegistry.STORAGE_KEY].version).toBe('2025.2.0');
+  });
+
+  test('should reject tables that are invalid or older than the built-in one', async() => {
+    await expect(registry.importTable('{ nope')).rejects.toThrow('Pricing table is not valid JSON');
+    await expect(registry.importTable({ ...newerTable, per: -1 })).rejects.toThrow('Invalid pricing table: per must be a positive number of tokens');
+    await expect(registry.importTable({ ...newerTable, version: '2023.1.0' })).rejects.toThrow('is older than the built-in table');
+    expect(storage.set).not.toHaveBeenCalled();
+  });
+
+  test('should prefer a newer built-in table over a stale import', async() => {
+    storage.data[PricingRegistry.STORAGE_KEY] = { ...newerTable, version: '2024.1.0' };
+    await registry.load();
+
+    expect(registry.isUsingImportedTable()).toBe(false);
+    expect(registry.getTable().version).toBe(PricingRegistry.BUILT_IN_TABLE.version);
+  });
+
+  test('should compare versions numerically', () => {
+    expect(registry.compareVersions('2025.2.10', '2025.2.9')).toBe(1);
+    expect(registry.compareVersions('2025.1', '2025.1.0')).toBe(0);
+    expect(registry.compareVersions('2024.12.1', '2025.1.0')).toBe(-1);
+  });
+
+  test('should keep a site choice only while the active table prices it', async() => {
+    await registry.setSiteModel('chatgpt', 'o1');
+    await registry.importTable(newerTable);
+
+    expect(registry.getSiteModel('chatgpt')).toBe('gpt-next');
+
+    await registry.resetTable();
+
+    expect(storage.remove).toHaveBeenCalledWith(PricingRegistry.STORAGE_KEY);
+    expect(registry.getSiteModel('chatgpt')).toBe('o1');
+  });
+
+  test('should list platforms and models for the settings UI', () => {
+    const chatgpt = registry.listPlatforms().find(entry => entry.platform === 'chatgpt');
+
+    expect(chatgpt.name).toBe('ChatGPT');
+    expect(chatgpt.selectedModel).toBe('gpt-4o');
+    expect(chatgpt.models).toContainEqual({ id: 'gpt-4o-mini', name: 'GPT-4o mini', input: 0.15, output: 0.6, contextWindow: 128000 });
+    expect(registry.formatCurrency(1.5)).toBe('$1.50');
+  });
+});
+
+describe('ValueTracker cost metrics', () => {
+  let tracker;
+
+  beforeAll(() => {
+    global.PricingRegistry = PricingRegistry;
+    global.PromptTokenizer = require('../../optimization/tokenizer.js');
+    require('../../ui/value-tracker.js');
+  });
+
+  beforeEach(async() => {
+    // Skip the constructor so no storage or timers are touched
+    tracker = Object.create(window.ValueTracker.prototype);
+    tracker.tokenizer = null;
+    tracker.pricing = new PricingRegistry(createMemoryStorage(), createMemoryStorage());
+    await tracker.pricing.load();
+  });
+
+  test('should price saved tokens at the site model rate', async() => {
+    const original = 'x'.repeat(4000);
+    const optimized = 'x'.repeat(2000);
+
+    // 500 tokens saved at $2.50 per million input tokens
+    expect(tracker.calculateAPICostSaved(original, optimized, 1, 'chatgpt')).toBeCloseTo(0.00125, 6);
+
+    await tracker.pricing.setSiteModel('chatgpt', 'o1');
+    expect(tracker.calculateAPICostSaved(original, optimized, 1, 'chatgpt')).toBeCloseTo(0.0075, 6);
+  });
+
+  test('should not count savings on sites without pricing', () => {
+    expect(tracker.calculateAPICostSaved('x'.repeat(4000), 'x'.repeat(2000), 1, 'unknown-site')).toBe(0);
+  });
+
+  test('should report the active table currency', async() => {
+    expect(tracker.getCurrency()).toBe('USD');
+
+    await tracker.pricing.importTable(newerTable);
+    expect(tracker.getCurrency()).toBe('EUR');
+  });
+});
@@ -0,0 +1,79 @@
+/**
+ * Unit tests for side-by-side prompt comparison
+ */
+
+const PromptTokenizer = require('../../optimization/tokenizer.js');
+const QualityScorer = require('../../optimization/quality-scorer.js');
+const TextDiff = require('../../optimization/text-diff.js');
+const PromptComparison = require('../../optimization/prompt-comparison.js');
+
+const vague = 'write something about databases';
+const detailed = 'Context: our team of four is moving off MySQL. List 5 risks of migrating to Postgres as a table with likelihood and impact.';
+
+describe('PromptComparison', () => {
+  let comparison;
+
+  beforeAll(() => {
+    global.PromptTokenizer = PromptTokenizer;
+    global.QualityScorer = QualityScorer;
+    global.TextDiff = TextDiff;
+  });
+
+  beforeEach(() => {
+    comparison = new PromptComparison();
+  });
+
+  test('should reject too few, too many and empty variants', () => {
+    expect(() => comparison.compare([vague])).toThrow('Add at least 2 prompt variants to compare');
+    expect(() => comparison.compare([vague, '  '])).toThrow('Add at least 2 prompt variants to compare');
+    expect(() => comparison.compare([vague, vague, vague, vague, vague])).toThrow('Compare at most 4 prompt variants at a time');
+    expect(() => comparison.compare([vague, '', detailed])).toThrow('Variant B is empty');
+  });
+
+  test('should score every variant per criterion and factor', () => {
+    const result = comparison.compare([vague, detailed], { platform: 'claude' });
+    const [a, b] = result.variants;
+    const scorer = new QualityScorer();
+
+    expect(result.platform).toBe('claude');
+    expect(a).toMatchObject({ index: 0, label: 'A', text: vague, words: 4 });
+    expect(b.overall).toBe(scorer.calculateQualityScore(detailed, 'professional', 'claude').overall);
+    expect(b.tokens).toBe(new PromptTokenizer().countTokens(detailed, 'claude'));
+    expect(Object.keys(b.criteria)).toEqual(['clarity', 'specificity', 'context', 'structure', 'completeness']);
+    expect(Object.keys(b.criteria.context.factors)).toEqual(['background_info', 'use_case_clarity', 'domain_context', 'stakeholder_info']);
+  });
+
+  test('should diff each variant against the first', () => {
+    const { variants } = comparison.compare([vague, 'write something short about SQL databases']);
+
+    expect(variants[0].diff).toBeNull();
+    expect(variants[0].changes).toBeNull();
+    expect(variants[1].changes).toEqual({ added: 2, removed: 0 });
+    expect(variants[1].diff.filter(op => op.type === 'insert').map(op => op.text.trim())).toEqual(['short', 'SQL']);
+  });
+
+  test('should mark the best variant per criterion and pick a winner', () => {
+    const result = comparison.compare([vague, detailed]);
+    const context = result.criteria.find(criterion => criterion.name === 'context');
+
+    expect(result.winner).toBe(1);
+    expect(context).toMatchObject({ description: 'Amount and relevance of contextual information provided', weight: 0.2, best: [1] });
+    expect(context.factors.map(factor => factor.name)).toContain('background_info');
+  });
+
+  test('should break ties by token count, then order', () => {
+    const scorer = new QualityScorer();
+    jest.spyOn(scorer, 'calculateQualityScore').mockImplementation(() => ({ overall: 60, grade: 'C', breakdown: {} }));
+    scorer.scoringCriteria = {};
+    const tied = new PromptComparison(scorer, { countTokens: text => text.length });
+
+    expect(comparison.findBest([50, 50])).toEqual([]);
+    expect(comparison.findBest([50, 70, 70])).toEqual([1, 2]);
+    expect(tied.compare(['a longer prompt', 'short one', 'the short']).winner).toBe(1);
+    expect(tied.compare([vague, vague]).winner).toBe(0);
+  });
+
+  test('should label variants with letters', () => {
+    expect([0, 1, 2, 3].map(index => comparison.getLabel(index))).toEqual(['A', 'B', 'C', 'D']);
+  });
+});
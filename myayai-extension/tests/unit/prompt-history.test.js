@@ -0,0 +1,196 @@
+/**
+ * Unit tests for the prompt version history and its page panel
+ */
+
+const { URL: NodeURL } = require('url');
+const TextDiff = require('../../optimization/text-diff.js');
+const PromptHistory = require('../../optimization/prompt-history.js');
+
+const url = 'https://chatgpt.com/c/abc123';
+
+// tests/setup.js replaces URL with a blob URL mock; conversation keys need the real parser
+const setupURL = global.URL;
+beforeAll(() => {
+  global.URL = NodeURL;
+});
+afterAll(() => {
+  global.URL = setupURL;
+});
+
+describe('PromptHistory', () => {
+  let storage;
+  let history;
+
+  beforeAll(() => {
+    global.TextDiff = TextDiff;
+  });
+
+  beforeEach(() => {
+    storage = createMemoryStorage();
+    history = new PromptHistory(storage);
+  });
+
+  test('should key conversations by origin and path', () => {
+    expect(history.getConversationKey('https://claude.ai/chat/42/?model=x#end')).toBe('https://claude.ai/chat/42');
+    expect(() => history.getConversationKey('not a url')).toThrow('Invalid conversation URL: not a url');
+  });
+
+  test('should reject versions without text or with an unknown kind', async() => {
+    await expect(history.record(url, { text: '  ' })).rejects.toThrow('Prompt version needs text');
+    await expect(history.record(url, { text: 'x', kind: 'draft' }))
+      .rejects.toThrow('Version kind must be one of: original, optimized, edited');
+  });
+
+  test('should record an optimization as original and optimized versions', async() => {
+    const { original, optimized } = await history.recordOptimization(url, {
+      original: 'explain closures',
+      optimized: 'Explain JavaScript closures with one example.',
+      platform: 'chatgpt'
+    });
+
+    const conversation = await history.getConversation(url);
+    expect(original).toMatchObject({ kind: 'original', parentId: null });
+    expect(optimized).toMatchObject({ kind: 'optimized', parentId: original.id });
+    expect(conversation).toMatchObject({ url, platform: 'chatgpt', headId: optimized.id });
+  });
+
+  test('should record edits as children of the current version without duplicates', async() => {
+    const { optimized } = await history.recordOptimization(url, { original: 'explain closures', optimized: 'Explain closures.' });
+    const edited = await history.record(url, { text: 'Explain closures briefly.' });
+    const again = await history.record(url, { text: 'Explain closures briefly.' });
+
+    expect(edited).toMatchObject({ kind: 'edited', parentId: optimized.id });
+    expect(again.id).toBe(edited.id);
+    expect((await history.getConversation(url)).versions).toHaveLength(3);
+  });
+
+  test('should branch from a restored version', async() => {
+    const { original, optimized } = await history.recordOptimization(url, { original: 'explain closures', optimized: 'Explain closures.' });
+    await history.restore(url, original.id);
+    const branch = await history.record(url, { text: 'explain closures in Python' });
+
+    const rows = history.flatten(await history.getConversation(url));
+    expect(branch.parentId).toBe(original.id);
+    expect(rows.map(row => [row.version.id, row.depth])).toEqual([[original.id, 0], [optimized.id, 1], [branch.id, 1]]);
+    expect(rows.map(row => history.describe(row))).toEqual(['#1 Original', '#2 Optimized', '#3 Edited']);
+    expect(rows.find(row => row.isHead).version.id).toBe(branch.id);
+    await expect(history.restore(url, 'missing')).rejects.toThrow('Prompt version not found');
+  });
+
+  test('should start a new tree after a send', async() => {
+    const sent = await history.recordSend(url, { text: 'first question' });
+    const next = await history.record(url, { text: 'second question' });
+
+    expect(sent.sentAt).toEqual(expect.any(Number));
+    expect(next).toMatchObject({ kind: 'original', parentId: null });
+  });
+
+  test('should diff any two versions', async() => {
+    const { original, optimized } = await history.recordOptimization(url, {
+      original: 'explain closures',
+      optimized: 'explain JavaScript closures with examples'
+    });
+
+    const { ops, changes } = await history.diff(url, original.id, optimized.id);
+    expect(changes).toEqual({ added: 3, removed: 0 });
+    expect(ops.filter(op => op.type === 'insert').map(op => op.text.trim())).toEqual(['JavaScript', 'with examples']);
+    await expect(history.diff(url, original.id, 'missing')).rejects.toThrow('Prompt version not found');
+  });
+
+  test('should move a new chat to its conversation URL once', async() => {
+    await history.record('https://chatgpt.com/', { text: 'hello there' });
+
+    expect(await history.moveConversation('https://chatgpt.com/', url)).toBe(true);
+    expect(await history.getConversation('https://chatgpt.com/')).toBeNull();
+    expect((await history.getConversation(url)).url).toBe(url);
+    expect(await history.moveConversation('https://chatgpt.com/', url)).toBe(false);
+  });
+
+  test('should keep the newest versions and conversations', async() => {
+    const first = await history.record(url, { text: 'version 0' });
+    for (let i = 1; i <= PromptHistory.MAX_VERSIONS; i++) {
+      await history.record(url, { text: `version ${i}` });
+    }
+
+    const { versions } = await history.getConversation(url);
+    expect(versions).toHaveLength(PromptHistory.MAX_VERSIONS);
+    expect(versions.find(version => version.id === first.id)).toBeUndefined();
+    expect(versions[0].parentId).toBeNull();
+
+    const conversations = {};
+    for (let i = 0; i <= PromptHistory.MAX_CONVERSATIONS; i++) {
+      conversations[`https://claude.ai/chat/${i}`] = { url: `https://claude.ai/chat/${i}`, updatedAt: i, versions: [] };
+    }
+    storage.data[PromptHistory.STORAGE_KEY] = conversations;
+    await history.record(url, { text: 'newest' });
+
+    const list = await history.listConversations();
+    expect(list).toHaveLength(PromptHistory.MAX_CONVERSATIONS);
+    expect(list[0]).toMatchObject({ url, preview: 'newest' });
+  });
+
+  test('should delete history', async() => {
+    await history.record(url, { text: 'hello there' });
+    await history.removeConversation(url);
+    expect(await history.listConversations()).toEqual([]);
+
+    await history.record(url, { text: 'hello again' });
+    await history.clear();
+    expect(storage.data).toEqual({});
+  });
+});
+
+describe('HistoryPanel', () => {
+  let history;
+
+  beforeAll(() => {
+    global.TextDiff = TextDiff;
+    window.PromptHistory = PromptHistory;
+    require('../../content/history-panel.js');
+  });
+
+  beforeEach(() => {
+    document.body.innerHTML = '';
+    history = new PromptHistory(createMemoryStorage());
+  });
+
+  const flush = () => new Promise(resolve => setTimeout(resolve, 0));
+
+  test('should list versions, diff against the parent and restore', async() => {
+    const { original, optimized } = await history.recordOptimization(url, {
+      original: 'explain closures',
+      optimized: 'explain JavaScript closures'
+    });
+    const setText = jest.fn();
+    const panel = new window.HistoryPanel(history);
+
+    const closed = panel.open({ url, setText });
+    await flush();
+
+    const items = document.querySelectorAll('.myayai-history-item');
+    expect(Array.from(items, item => item.dataset.id)).toEqual([original.id, optimized.id]);
+    expect(document.querySelector('.myayai-history-item.selected').dataset.id).toBe(optimized.id);
+    expect(document.querySelector('.myayai-history-diff ins').textContent).toBe('JavaScript ');
+
+    items[0].click();
+    await flush();
+    expect(document.querySelector('.myayai-history-restore').textContent).toBe('Restore #1 Original');
+
+    document.querySelector('.myayai-history-restore').click();
+    expect((await closed).id).toBe(original.id);
+    expect(setText).toHaveBeenCalledWith('explain closures');
+    expect((await history.getConversation(url)).headId).toBe(original.id);
+    expect(document.getElementById('myayai-history-overlay')).toBeNull();
+  });
+
+  test('should show an empty state and close on Escape', async() => {
+    const closed = new window.HistoryPanel(history).open({ url, setText: jest.fn() });
+    await flush();
+
+    expect(document.querySelector('.myayai-history-empty').textContent).toBe('No prompt versions in this conversation yet');
+    expect(document.querySelector('.myayai-history-restore').disabled).toBe(true);
+
+    document.dispatchEvent(new KeyboardEvent('keydown', { key: 'Escape' }));
+    expect(await closed).toBeNull();
+  });
+});
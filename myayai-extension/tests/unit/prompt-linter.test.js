@@ -0,0 +1,172 @@
+/**
+ * Unit tests for the prompt linter and the lint panel
+ */
+
+const ProtectedRegions = require('../../optimization/protected-regions.js');
+const PromptLinter = require('../../optimization/prompt-linter.js');
+
+const ruleIds = diagnostics => diagnostics.map(diagnostic => diagnostic.ruleId);
+
+describe('PromptLinter', () => {
+  let storage;
+  let linter;
+
+  beforeAll(() => {
+    global.ProtectedRegions = ProtectedRegions;
+  });
+
+  beforeEach(() => {
+    storage = createMemoryStorage();
+    linter = new PromptLinter(storage);
+  });
+
+  test('should report diagnostics with rule IDs, severities and ranges', () => {
+    const prompt = 'Write a short summary of the report and list maybe three stuff that matter.';
+    const diagnostics = linter.lint(prompt);
+
+    expect(ruleIds(diagnostics)).toEqual(['no-hedging', 'no-vague-terms']);
+
+    const [hedge, vague] = diagnostics;
+    expect(hedge).toMatchObject({ severity: 'info', start: prompt.indexOf('maybe'), end: prompt.indexOf('maybe') + 5 });
+    expect(vague).toMatchObject({ severity: 'warning', fix: null });
+    expect(prompt.slice(vague.start, vague.end)).toBe('stuff');
+  });
+
+  test('should flag short prompts and prompts without a request', () => {
+    expect(ruleIds(linter.lint('Fix this bug'))).toEqual(['min-length']);
+    expect(ruleIds(linter.lint('The quarterly numbers from the sales team came in lower than forecast.'))).toEqual(['clear-request']);
+    expect(linter.lint('')).toEqual([]);
+  });
+
+  test('should not report inside code, URLs or quotes', () => {
+    const prompt = 'Explain why `stuff  (` fails when I call https://example.com/things and what "just maybe" means here.';
+
+    expect(linter.lint(prompt)).toEqual([]);
+  });
+
+  test('should find unbalanced brackets and unfilled placeholders', () => {
+    const prompt = 'Write a cover letter for {company} (the role is [insert role here] and mention my experience.';
+    const diagnostics = linter.lint(prompt).filter(diagnostic => diagnostic.severity === 'error');
+
+    expect(ruleIds(diagnostics)).toEqual(['no-unfilled-placeholders', 'unbalanced-brackets', 'no-unfilled-placeholders']);
+    expect(prompt.slice(diagnostics[1].start, diagnostics[1].end)).toBe('(');
+  });
+
+  test('should apply a single fix', () => {
+    const prompt = 'Can you please explain the the difference between TCP and UDP for a beginner?';
+    const [direct, repeated] = linter.lint(prompt);
+
+    expect(direct.ruleId).toBe('prefer-direct-request');
+    expect(linter.applyFix(prompt, direct)).toBe('Please explain the the difference between TCP and UDP for a beginner?');
+    expect(linter.applyFix(prompt, repeated)).toBe('Can you please explain the difference between TCP and UDP for a beginner?');
+    expect(() => linter.applyFix(prompt, { ruleId: 'no-vague-terms', fix: null })).toThrow('Diagnostic from \'no-vague-terms\' has no fix');
+  });
+
+  test('should skip overlapping fixes when applying several at once', () => {
+    const prompt = 'Please explain  basically   how DNS resolution works for a new engineer.';
+    const { output, applied, skipped } = linter.applyFixes(prompt);
+
+    expect(applied.length + skipped.length).toBe(linter.lint(prompt).filter(diagnostic => diagnostic.fix).length);
+    expect(skipped.length).toBeGreaterThan(0);
+    expect(output).not.toContain('basically');
+  });
+
+  test('should fix everything fixable in one call', () => {
+    const prompt = 'Maybe   just explain how how DNS resolution works for a new engineer.  \n\n\n\nKeep it short.';
+    const { output, fixed, diagnostics } = linter.fixAll(prompt);
+
+    expect(output).toBe('Explain how DNS resolution works for a new engineer.\n\nKeep it short.');
+    expect(fixed).toBeGreaterThanOrEqual(5);
+    expect(diagnostics.filter(diagnostic => diagnostic.fix)).toEqual([]);
+  });
+
+  test('should let the user change severities and turn rules off', async() => {
+    const prompt = 'Please just summarize this article about solar panels for a general audience.';
+    expect(ruleIds(linter.lint(prompt))).toEqual(['no-filler-words']);
+
+    await linter.setRuleSeverity('no-filler-words', 'off');
+    expect(linter.lint(prompt)).toEqual([]);
+    expect(storage.data[PromptLinter.CONFIG_KEY]).toEqual({ 'no-filler-words': 'off' });
+
+    await linter.setRuleSeverity('no-filler-words', 'error');
+    expect(linter.lint(prompt)[0].severity).toBe('error');
+
+    await linter.setRuleSeverity('no-filler-words', 'info');
+    expect(storage.data[PromptLinter.CONFIG_KEY]).toEqual({});
+  });
+
+  test('should reject unknown rules and severities', async() => {
+    await expect(linter.setRuleSeverity('no-such-rule', 'off')).rejects.toThrow('Unknown lint rule \'no-such-rule\'');
+    await expect(linter.setRuleSeverity('min-length', 'fatal')).rejects.toThrow('Severity must be one of: off, info, warning, error');
+  });
+
+  test('should load stored config and ignore invalid entries', async() => {
+    storage.data[PromptLinter.CONFIG_KEY] = { 'min-length': 'off', 'no-such-rule': 'error', 'no-hedging': 'loud' };
+
+    await linter.loadConfig();
+    expect(linter.config).toEqual({ 'min-length': 'off' });
+    expect(linter.lint('Fix this bug')).toEqual([]);
+
+    await linter.resetConfig();
+    expect(storage.remove).toHaveBeenCalledWith(PromptLinter.CONFIG_KEY);
+    expect(ruleIds(linter.lint('Fix this bug'))).toEqual(['min-length']);
+  });
+
+  test('should list rules with default and configured severities', async() => {
+    await linter.setRuleSeverity('specify-output-format', 'warning');
+    const rules = linter.listRules();
+
+    expect(rules.find(rule => rule.id === 'specify-output-format')).toMatchObject({ defaultSeverity: 'info', severity: 'warning', fixable: false });
+    expect(rules.find(rule => rule.id === 'no-extra-whitespace')).toMatchObject({ severity: 'warning', fixable: true });
+    expect(linter.summarize(linter.lint('Maybe fix stuff'))).toEqual({ error: 0, warning: 3, info: 1 });
+  });
+});
+
+describe('LintPanel', () => {
+  let linter;
+  let text;
+  let panel;
+
+  beforeAll(() => {
+    global.ProtectedRegions = ProtectedRegions;
+    window.PromptLinter = PromptLinter;
+    require('../../content/lint-panel.js');
+  });
+
+  beforeEach(() => {
+    document.body.innerHTML = '';
+    linter = new PromptLinter(createMemoryStorage());
+    panel = new window.LintPanel(linter);
+  });
+
+  const open = initial => {
+    text = initial;
+    return panel.open({ getText: () => text, setText: value => { text = value; } });
+  };
+
+  const items = () => Array.from(document.querySelectorAll('.myayai-lint-item'), item => item.dataset.rule);
+
+  test('should list diagnostics and apply one fix at a time', () => {
+    open('Please just explain how stuff works in DNS resolution for a new engineer.');
+
+    expect(items()).toEqual(['no-filler-words', 'no-vague-terms']);
+    expect(document.querySelectorAll('.myayai-lint-fix')).toHaveLength(1);
+
+    document.querySelector('.myayai-lint-fix').click();
+    expect(text).toBe('Please explain how stuff works in DNS resolution for a new engineer.');
+    expect(items()).toEqual(['no-vague-terms']);
+    expect(document.querySelector('.myayai-lint-fix-all').disabled).toBe(true);
+  });
+
+  test('should fix everything and resolve when closed', async() => {
+    const closed = open('Maybe   just explain how how DNS resolution works for a new engineer on the team.');
+
+    document.querySelector('.myayai-lint-fix-all').click();
+    expect(text).toBe('Explain how DNS resolution works for a new engineer on the team.');
+    expect(document.querySelector('.myayai-lint-empty').textContent).toBe('No problems found');
+
+    document.dispatchEvent(new KeyboardEvent('keydown', { key: 'Escape' }));
+    await closed;
+    expect(document.getElementById('myayai-lint-overlay')).toBeNull();
+  });
+});
@@ -0,0 +1,321 @@
+/**
+ * Unit tests for fill-in prompt templates and the in-page template picker
+ */
+
+const ProtectedRegions = require('../../optimization/protected-regions.js');
+const PromptSuggestions = require('../../optimization/prompt-suggestions.js');
+const PromptTemplates = require('../../optimization/prompt-templates.js');
+
+describe('PromptTemplates', () => {
+  let templates;
+
+  beforeAll(() => {
+    global.ProtectedRegions = ProtectedRegions;
+  });
+
+  beforeEach(() => {
+    templates = new PromptTemplates(new PromptSuggestions());
+  });
+
+  test('should list every library template with readable titles', () => {
+    const listed = templates.listTemplates();
+    const debugging = listed.find(template => template.id === 'technical.debugging');
+
+    expect(listed).toHaveLength(15);
+    expect(debugging).toMatchObject({ category: 'technical', categoryLabel: 'Technical', title: 'Debugging' });
+    expect(templates.getTemplate('research.comparative').title).toBe('Comparative');
+    expect(templates.getTemplate('technical.missing')).toBeNull();
+  });
+
+  test('should parse placeholders into fields once each, in order', () => {
+    const fields = templates.getTemplate('technical.debugging').fields;
+
+    expect(fields.map(field => field.name)).toEqual(['error', 'technology', 'language', 'code', 'expected', 'actual', 'environment']);
+    expect(fields.find(field => field.name === 'code')).toEqual({
+      name: 'code', label: 'Code', type: 'code', required: true, multiline: true, options: [], defaultValue: ''
+    });
+    expect(fields.find(field => field.name === 'environment').required).toBe(false);
+  });
+
+  test('should keep a field required if any use of it is required', () => {
+    expect(templates.parseFields('{topic?} and again {topic}')).toEqual([
+      { name: 'topic', label: 'Topic', type: 'text', required: true, multiline: false, options: [], defaultValue: '' }
+    ]);
+  });
+
+  test('should not treat JSON or code braces as placeholders', () => {
+    expect(templates.parseFields('Return {"ok": true} for {name} using function() { return 1; }')
+      .map(field => field.name)).toEqual(['name']);
+  });
+
+  test('should report missing required fields', () => {
+    const { template } = templates.getTemplate('technical.debugging');
+
+    expect(templates.validate(template, { error: 'TypeError', code: '   ' })).toEqual({
+      valid: false,
+      errors: {
+        technology: 'Technology is required',
+        language: 'Language is required',
+        code: 'Code is required',
+        expected: 'Expected is required',
+        actual: 'Actual is required'
+      }
+    });
+  });
+
+  test('should render filled-in templates and drop lines of empty optional fields', () => {
+    const { template } = templates.getTemplate('technical.debugging');
+    const rendered = templates.render(template, {
+      error: 'a TypeError',
+      technology: 'React',
+      language: 'js',
+      code: 'const user = props.user;\nuser.name.trim();',
+      expected: 'The name renders',
+      actual: 'Cannot read properties of undefined'
+    });
+
+    expect(rendered).toBe([
+      'I\'m encountering a TypeError in my React project. Here\'s the relevant code:',
+      '',
+      '```js',
+      'const user = props.user;',
+      'user.name.trim();',
+      '```',
+      '',
+      'Expected behavior: The name renders',
+      'Actual behavior: Cannot read properties of undefined'
+    ].join('\n'));
+  });
+
+  test('should drop empty optional list items but keep filled ones', () => {
+    const template = 'Requirements:\n- {first}\n- {second?}\n- {third?}';
+
+    expect(templates.render(template, { first: 'Fast', third: 'Cheap' })).toBe('Requirements:\n- Fast\n- Cheap');
+  });
+
+  test('should refuse to render without required values', () => {
+    expect(() => templates.render('Compare {item1} and {item2}', { item1: 'Vue' }))
+      .toThrow('Template is missing values: Item 2 is required');
+  });
+
+  test('should render every library template once all fields are filled', () => {
+    templates.listTemplates().forEach(({ template, fields }) => {
+      const values = Object.fromEntries(fields.map(field => [field.name, `value-${field.name}`]));
+      const rendered = templates.render(template, values);
+
+      expect(rendered).not.toMatch(PromptTemplates.PLACEHOLDER);
+      fields.forEach(field => expect(rendered).toContain(`value-${field.name}`));
+    });
+  });
+
+  test('should preview partially filled templates', () => {
+    expect(templates.preview('Compare {item1} and {item2}', { item1: 'Vue ' })).toBe('Compare Vue and {item2}');
+  });
+
+  test('should search by category, title and template text', () => {
+    expect(templates.search('debug').map(template => template.id)).toEqual(['technical.debugging']);
+    expect(templates.search('BUSINESS').every(template => template.category === 'business')).toBe(true);
+    expect(templates.search('')).toHaveLength(15);
+  });
+
+  test('should parse typed placeholders with options and defaults', () => {
+    const fields = templates.parseFields('{tone:choice(formal| casual |formal)=casual} {notes:multiline?} {snippet:code} {audience=developers} {size:choice()}');
+
+    expect(fields).toEqual([
+      { name: 'tone', label: 'Tone', type: 'choice', required: true, multiline: false, options: ['formal', 'casual'], defaultValue: 'casual' },
+      { name: 'notes', label: 'Notes', type: 'multiline', required: false, multiline: true, options: [], defaultValue: '' },
+      { name: 'snippet', label: 'Snippet', type: 'code', required: true, multiline: true, options: [], defaultValue: '' },
+      { name: 'audience', label: 'Audience', type: 'text', required: true, multiline: false, options: [], defaultValue: 'developers' },
+      { name: 'size', label: 'Size', type: 'text', required: true, multiline: false, options: [], defaultValue: '' }
+    ]);
+  });
+
+  test('should take type and default from the first use that gives them', () => {
+    const [field] = templates.parseFields('{lang} then {lang:choice(js|py)=py} and {lang:code=go}');
+
+    expect(field).toMatchObject({ type: 'choice', options: ['js', 'py'], defaultValue: 'py' });
+  });
+
+  test('should fill empty fields with defaults and reject unknown choices', () => {
+    const template = 'Write for {audience=developers} in a {tone:choice(formal|casual)=formal} tone';
+
+    expect(templates.validate(template, {})).toEqual({ valid: true, errors: {} });
+    expect(templates.render(template, { tone: 'casual' })).toBe('Write for developers in a casual tone');
+    expect(templates.preview(template, { audience: ' ' })).toBe('Write for developers in a formal tone');
+    expect(templates.validate(template, { tone: 'shouty' }).errors).toEqual({ tone: 'Tone must be one of: formal, casual' });
+  });
+
+  test('should keep code indentation but drop surrounding blank lines', () => {
+    const rendered = templates.render('```\n{snippet:code}\n```', { snippet: '\n    if (ready) {\n        run();\n    }\n\n' });
+
+    expect(rendered).toBe('```\n    if (ready) {\n        run();\n    }\n```');
+  });
+
+  test('should list and search personal templates ahead of the built-ins', () => {
+    const library = {
+      list: () => [{ id: 'tpl_1', title: 'SQL review', description: 'Check a query', tags: ['sql', 'review'], template: 'Review {query:code}' }],
+      get: id => (id === 'tpl_1' ? library.list()[0] : null),
+      load: jest.fn(async() => {})
+    };
+    const personal = new PromptTemplates(new PromptSuggestions(), library);
+
+    expect(personal.listTemplates()).toHaveLength(16);
+    expect(personal.listTemplates()[0]).toMatchObject({
+      id: 'personal.tpl_1', category: 'personal', categoryLabel: 'My templates', title: 'SQL review', custom: true
+    });
+    expect(personal.getTemplate('personal.tpl_1').fields[0].type).toBe('code');
+    expect(personal.getTemplate('personal.missing')).toBeNull();
+    expect(personal.search('#sql').map(template => template.id)).toEqual(['personal.tpl_1']);
+    expect(personal.search('#review python')).toEqual([]);
+    expect(personal.search('check query').map(template => template.id)).toEqual(['personal.tpl_1']);
+  });
+
+  test('should humanize placeholder names', () => {
+    expect(templates.humanize('useCase')).toBe('Use case');
+    expect(templates.humanize('requirement1')).toBe('Requirement 1');
+    expect(templates.humanize('success_metrics')).toBe('Success metrics');
+  });
+});
+
+describe('TemplatePicker', () => {
+  let picker;
+
+  beforeAll(() => {
+    global.ProtectedRegions = ProtectedRegions;
+    global.PromptSuggestions = PromptSuggestions;
+    window.PromptTemplates = PromptTemplates;
+    require('../../content/template-picker.js');
+  });
+
+  beforeEach(() => {
+    document.body.innerHTML = '';
+    picker = new window.TemplatePicker();
+  });
+
+  const fill = (name, value) => {
+    const input = document.querySelector(`[name="${name}"]`);
+    input.value = value;
+    input.dispatchEvent(new Event('input'));
+  };
+
+  const choose = id => document.querySelector(`[data-template-id="${id}"]`).click();
+
+  test('should list templates grouped by category and filter them', () => {
+    picker.open();
+
+    expect(document.querySelectorAll('.myayai-template-option')).toHaveLength(15);
+    expect(document.querySelectorAll('.myayai-template-category')).toHaveLength(5);
+
+    const search = document.querySelector('.myayai-template-search');
+    search.value = 'comparative';
+    search.dispatchEvent(new Event('input'));
+
+    expect(Array.from(document.querySelectorAll('.myayai-template-option'), option => option.textContent)).toEqual(['Comparative']);
+    picker.close();
+  });
+
+  test('should validate required fields before inserting', () => {
+    picker.open();
+    choose('research.comparative');
+
+    fill('item1', 'PostgreSQL');
+    document.querySelector('.myayai-template-insert').click();
+
+    const invalid = Array.from(document.querySelectorAll('.myayai-template-field.invalid'), label => label.dataset.field);
+    expect(invalid).toEqual(['item2', 'dimension1', 'dimension2', 'useCase']);
+    expect(document.querySelector('[data-field="item2"] .myayai-template-error').textContent).toBe('Item 2 is required');
+    expect(document.getElementById('myayai-template-overlay')).not.toBeNull();
+    picker.close();
+  });
+
+  test('should resolve with the rendered prompt', async() => {
+    const pending = picker.open();
+    choose('research.comparative');
+
+    fill('item1', 'PostgreSQL');
+    fill('item2', 'MySQL');
+    fill('dimension1', 'Performance');
+    fill('dimension2', 'Tooling');
+    fill('useCase', 'a small analytics team');
+
+    expect(document.querySelector('[data-field="dimension3"]').textContent).toContain('(optional)');
+    expect(document.querySelector('.myayai-template-preview').textContent).toContain('- {dimension3?}');
+
+    document.querySelector('.myayai-template-insert').click();
+
+    await expect(pending).resolves.toBe([
+      'Compare PostgreSQL and MySQL across these dimensions:',
+      '- Performance',
+      '- Tooling',
+      '',
+      'Provide a recommendation for a small analytics team with supporting evidence.'
+    ].join('\n'));
+    expect(document.getElementById('myayai-template-overlay')).toBeNull();
+  });
+
+  test('should go back to the list and resolve null on cancel', async() => {
+    const pending = picker.open();
+    choose('general.structured');
+
+    document.querySelector('.myayai-template-back').click();
+    expect(document.querySelectorAll('.myayai-template-option')).toHaveLength(15);
+
+    document.querySelector('.myayai-template-cancel').click();
+    await expect(pending).resolves.toBeNull();
+  });
+
+  test('should offer choices in a select prefilled with the default', async() => {
+    picker = new window.TemplatePicker(new PromptTemplates(new PromptSuggestions(), {
+      list: () => [{ id: 'tpl_1', title: 'Tone check', description: '', tags: [], template: 'Rewrite {text:multiline} in a {tone:choice(formal|casual)=formal} tone' }],
+      get: () => null,
+      load: async() => {}
+    }));
+    const pending = picker.open();
+    choose('personal.tpl_1');
+
+    const select = document.querySelector('select[name="tone"]');
+    expect(Array.from(select.options, option => option.value)).toEqual(['formal', 'casual']);
+    expect(select.value).toBe('formal');
+
+    fill('text', 'hey, the build is broken');
+    select.value = 'casual';
+    select.dispatchEvent(new Event('change'));
+    document.querySelector('.myayai-template-insert').click();
+
+    await expect(pending).resolves.toBe('Rewrite hey, the build is broken in a casual tone');
+  });
+
+  test('should show personal templates once the library loads', async() => {
+    let finishLoading;
+    const entries = [];
+    picker = new window.TemplatePicker(new PromptTemplates(new PromptSuggestions(), {
+      list: () => entries,
+      get: () => null,
+      load: () => new Promise(resolve => {
+        finishLoading = resolve;
+      })
+    }));
+    picker.open();
+    expect(document.querySelectorAll('.myayai-template-option')).toHaveLength(15);
+
+    entries.push({ id: 'tpl_1', title: 'Standup notes', description: '', tags: [], template: 'Summarize {notes:multiline}' });
+    finishLoading();
+    await Promise.resolve();
+    await Promise.resolve();
+
+    expect(document.querySelector('[data-category="personal"]').textContent).toBe('My templates');
+    expect(document.querySelectorAll('.myayai-template-option')).toHaveLength(16);
+    picker.close();
+  });
+
+  test('should open the first match on Enter without submitting the page', () => {
+    picker.open();
+    const submit = new Event('submit', { cancelable: true });
+
+    document.querySelector('.myayai-template-dialog').dispatchEvent(submit);
+
+    expect(submit.defaultPrevented).toBe(true);
+    expect(document.querySelector('.myayai-template-header').textContent).toBe('Contextual');
+    picker.close();
+  });
+});
@@ -0,0 +1,168 @@
+/**
+ * Unit tests for protected prompt regions
+ */
+
+const ProtectedRegions = require('../../optimization/protected-regions.js');
+
+const vagueRewrite = text => text
+  .replace(/\bthing\b/gi, 'specific item')
+  .replace(/\bdon't\b/gi, 'do not');
+
+describe('ProtectedRegions', () => {
+  let regions;
+
+  beforeEach(() => {
+    regions = new ProtectedRegions();
+  });
+
+  const typesOf = text => regions.findRegions(text).map(region => [region.type, region.text]);
+
+  test('should protect fenced code blocks, including unterminated fences', () => {
+    const fenced = 'Fix the thing:\n```js\nconst thing = 1;\n```\nthanks';
+    const open = 'Explain this thing\n~~~\nthing()';
+
+    expect(typesOf(fenced)).toEqual([['code-fence', '```js\nconst thing = 1;\n```']]);
+    expect(typesOf(open)).toEqual([['code-fence', '~~~\nthing()']]);
+    expect(regions.protect(fenced, vagueRewrite)).toBe('Fix the specific item:\n```js\nconst thing = 1;\n```\nthanks');
+  });
+
+  test('should protect inline code', () => {
+    const text = 'Why does `thing.run()` fail for this thing?';
+
+    expect(typesOf(text)).toEqual([['inline-code', '`thing.run()`']]);
+    expect(regions.protect(text, vagueRewrite)).toBe('Why does `thing.run()` fail for this specific item?');
+  });
+
+  test('should protect URLs without trailing punctuation', () => {
+    const text = 'Summarize https://example.com/thing?id=1. Don\'t skip www.example.org/thing!';
+
+    expect(typesOf(text)).toEqual([
+      ['url', 'https://example.com/thing?id=1'],
+      ['url', 'www.example.org/thing']
+    ]);
+    expect(regions.protect(text, vagueRewrite)).toBe('Summarize https://example.com/thing?id=1. do not skip www.example.org/thing!');
+  });
+
+  test('should protect file paths', () => {
+    const text = 'The thing in src/thing/index.js and /var/log/thing.log is broken';
+
+    expect(typesOf(text)).toEqual([
+      ['file-path', 'src/thing/index.js'],
+      ['file-path', '/var/log/thing.log']
+    ]);
+    expect(regions.protect(text, vagueRewrite)).toContain('The specific item in src/thing/index.js and /var/log/thing.log');
+  });
+
+  test('should protect quoted strings but not apostrophes', () => {
+    const text = 'I don\'t get "Error: thing is undefined" or \'thing failed\' here';
+
+    expect(typesOf(text)).toEqual([
+      ['quoted', '"Error: thing is undefined"'],
+      ['quoted', '\'thing failed\'']
+    ]);
+    expect(regions.protect(text, vagueRewrite)).toBe('I do not get "Error: thing is undefined" or \'thing failed\' here');
+  });
+
+  test('should protect bot mentions but not email addresses', () => {
+    const text = '@Claude-3.5-Sonnet fix the thing, then email ops@example.com.';
+
+    expect(typesOf(text)).toEqual([['mention', '@Claude-3.5-Sonnet']]);
+    expect(regions.protect(text, vagueRewrite)).toBe('@Claude-3.5-Sonnet fix the specific item, then email ops@example.com.');
+  });
+
+  test('should protect JSON objects and arrays but not bracketed prose', () => {
+    const text = 'Parse {"thing": [1, 2], "ok": true} and [specific thing] please';
+
+    expect(typesOf(text)).toEqual([['json', '{"thing": [1, 2], "ok": true}']]);
+    expect(regions.protect(text, vagueRewrite)).toBe('Parse {"thing": [1, 2], "ok": true} and [specific specific item] please');
+  });
+
+  test('should find JSON nested in bracketed prose and after stray brackets', () => {
+    expect(regions.findJsonRegions('(see [notes {"a": 1}]) }] then [2, 3]')).toEqual([
+      { start: 12, end: 20 },
+      { start: 31, end: 37 }
+    ]);
+    expect(regions.findJsonRegions('[he said "hi\nthen {"a": 1}')).toEqual([{ start: 18, end: 26 }]);
+  });
+
+  test('should scan large bracket-heavy pastes in one pass', () => {
+    // 50,000 open brackets, of which only the last 1,000 are closed around the object
+    const paste = `${'['.repeat(50000)}{"a": 1}${' ]'.repeat(1000)}`;
+    const started = Date.now();
+
+    expect(regions.findJsonRegions(paste)).toEqual([{ start: 49000, end: 52008 }]);
+    expect(Date.now() - started).toBeLessThan(1000);
+  });
+
+  test('should prefer the outer region when regions overlap', () => {
+    expect(typesOf('Run `curl "https://example.com/a"` now')).toEqual([['inline-code', '`curl "https://example.com/a"`']]);
+  });
+
+  test('should round-trip masked text', () => {
+    const text = 'See `a` and "b" at https://example.com';
+    const { text: masked, regions: found } = regions.mask(text);
+
+    expect(masked).not.toContain('https://');
+    expect(regions.unmask(masked, found)).toMatchObject({ text, missing: [], duplicated: [], corrupted: false });
+  });
+
+  test('should discard rewrites that drop or duplicate a region unless dropping is allowed', () => {
+    const warn = jest.spyOn(console, 'warn').mockImplementation(() => {});
+    const text = 'First sentence. Keep `code` here';
+    const dropSecond = masked => masked.split('.')[0];
+
+    expect(regions.protect(text, dropSecond)).toBe(text);
+    expect(regions.protect(text, masked => `${masked} ${masked}`)).toBe(text);
+    expect(regions.protect(text, dropSecond, { allowDrop: true })).toBe('First sentence');
+    expect(warn).toHaveBeenCalledTimes(2);
+
+    warn.mockRestore();
+  });
+});
+
+describe('PromptOptimizer protected regions', () => {
+  let optimizer;
+
+  beforeAll(() => {
+    global.ProtectedRegions = ProtectedRegions;
+    global.IntentVerifier = require('../../optimization/intent-verifier.js');
+    global.PromptTokenizer = require('../../optimization/tokenizer.js');
+    global.TextDiff = require('../../optimization/text-diff.js');
+    global.TransformationTrace = require('../../optimization/transformation-trace.js');
+    global.OptimizationRules = require('../../optimization/optimization-rules.js');
+    global.QualityScorer = require('../../optimization/quality-scorer.js');
+    require('../../content/platform-detectors.js');
+    global.PlatformDetectors = window.PlatformDetectors;
+
+    const PromptOptimizer = require('../../optimization/prompt-optimizer.js');
+    optimizer = new PromptOptimizer({ enableAnalytics: false });
+  });
+
+  test('should leave every protected region intact through all stages', () => {
+    const prompt = [
+      'I don\'t understand why this thing fails with "Error: can\'t read thing".',
+      'The stuff is in src/app/thing.js and the docs at https://example.com/docs/thing say to call `thing.init()`.',
+      '```',
+      'const thing = load(\'stuff\');',
+      '```',
+      'Config: {"thing": "isn\'t set"}'
+    ].join('\n');
+
+    ['professional', 'technical', 'creative', 'academic'].forEach(style => {
+      ['chatgpt', 'claude', 'gemini', 'perplexity', 'copilot', 'poe', 'characterai'].forEach(platform => {
+        const { optimized } = optimizer.optimizePrompt(prompt, platform, style);
+
+        new ProtectedRegions().findRegions(prompt).forEach(region => {
+          expect(optimized).toContain(region.text);
+        });
+      });
+    });
+  });
+
+  test('should still rewrite text outside protected regions', () => {
+    const { optimized } = optimizer.optimizePrompt('I don\'t know why `don\'t_run()` is called', 'chatgpt', 'professional');
+
+    expect(optimized).toContain('do not know');
+    expect(optimized).toContain('`don\'t_run()`');
+  });
+});
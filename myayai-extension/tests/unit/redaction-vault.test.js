@@ -0,0 +1,136 @@
+/**
+ * Unit tests for reversible redaction with placeholders
+ */
+
+const { webcrypto } = require('crypto');
+const { TextEncoder, TextDecoder } = require('util');
+const SensitiveDataDetector = require('../../optimization/sensitive-data-detector.js');
+const RedactionVault = require('../../optimization/redaction-vault.js');
+
+const SITE = 'chat.example.com';
+
+describe('RedactionVault', () => {
+  let settings;
+  let storage;
+  let session;
+  let detector;
+  let vault;
+
+  beforeAll(() => {
+    global.TextEncoder = global.TextEncoder || TextEncoder;
+    global.TextDecoder = global.TextDecoder || TextDecoder;
+  });
+
+  beforeEach(async() => {
+    settings = createMemoryStorage();
+    storage = createMemoryStorage();
+    session = createMemoryStorage();
+    detector = new SensitiveDataDetector(settings);
+    await detector.loadConfig();
+    await detector.setRedaction({ enabled: true });
+    vault = new RedactionVault(detector, storage, session, webcrypto);
+  });
+
+  test('should replace sensitive values with numbered placeholders', () => {
+    const result = vault.redact('Email ana@example.com and bo@example.com, call 415-555-0134', SITE);
+
+    expect(result.text).toBe('Email [EMAIL_1] and [EMAIL_2], call [PHONE_1]');
+    expect(result.replacements).toEqual([
+      { placeholder: '[EMAIL_1]', label: 'Email address' },
+      { placeholder: '[EMAIL_2]', label: 'Email address' },
+      { placeholder: '[PHONE_1]', label: 'Phone number' }
+    ]);
+  });
+
+  test('should reuse the placeholder for a value seen before on the same site', () => {
+    vault.redact('Write to ana@example.com', SITE);
+
+    expect(vault.redact('ana@example.com and cy@example.com', SITE).text).toBe('[EMAIL_1] and [EMAIL_2]');
+    expect(vault.redact('ana@example.com', 'other.example.com').text).toBe('[EMAIL_1]');
+    expect(vault.restore('[EMAIL_2]', 'other.example.com')).toBe('[EMAIL_2]');
+  });
+
+  test('should restore known placeholders and leave unknown ones', () => {
+    vault.redact('Key sk-proj-abcdefghijklmnopqrstuvwx for ana@example.com', SITE);
+
+    expect(vault.restore('Use [API_KEY_1] to email [EMAIL_1], not [EMAIL_9].', SITE))
+      .toBe('Use sk-proj-abcdefghijklmnopqrstuvwx to email ana@example.com, not [EMAIL_9].');
+    expect(vault.hasPlaceholders('Reply to [EMAIL_1]', SITE)).toBe(true);
+    expect(vault.hasPlaceholders('Reply to [EMAIL_9]', SITE)).toBe(false);
+  });
+
+  test('should name custom pattern placeholders after their label', async() => {
+    await detector.addPattern({ label: 'Customer', pattern: 'CUST-[0-9]{5}', category: 'pii', action: 'warn' });
+
+    expect(vault.redact('Refund CUST-12345 and CUST-67890', SITE).text).toBe('Refund [CUSTOMER_1] and [CUSTOMER_2]');
+    expect(detector.getPlaceholderName('Order #')).toBe('ORDER');
+    expect(detector.getPlaceholderName('42')).toBe('CUSTOM_42');
+  });
+
+  test('should leave text alone when nothing is sensitive or the detector is off', async() => {
+    expect(vault.redact('Plain prompt', SITE)).toEqual({ text: 'Plain prompt', replacements: [] });
+
+    await detector.setAction('email', 'off');
+    expect(vault.redact('ana@example.com', SITE).text).toBe('ana@example.com');
+    expect(vault.hasMappings(SITE)).toBe(false);
+  });
+
+  test('should keep mappings in memory only unless persistence is on', async() => {
+    vault.redact('ana@example.com', SITE);
+    await vault.save(SITE);
+
+    expect(storage.set).not.toHaveBeenCalled();
+    expect(session.set).not.toHaveBeenCalled();
+  });
+
+  test('should save mappings encrypted and load them in another tab', async() => {
+    await detector.setRedaction({ persist: true });
+    vault.redact('ana@example.com', SITE);
+    await vault.save(SITE);
+
+    const saved = storage.data[RedactionVault.STORAGE_KEY][SITE];
+    expect(JSON.stringify(storage.data)).not.toContain('ana@example.com');
+    expect(saved.iv).toEqual(expect.any(String));
+    expect(session.data[RedactionVault.KEY_STORAGE_KEY]).toBeDefined();
+
+    const other = new RedactionVault(detector, storage, session, webcrypto);
+    expect(await other.load(SITE)).toBe(true);
+    expect(other.restore('[EMAIL_1]', SITE)).toBe('ana@example.com');
+    expect(other.redact('cy@example.com', SITE).text).toBe('[EMAIL_2]');
+  });
+
+  test('should drop saved mappings once the session key is gone', async() => {
+    await detector.setRedaction({ persist: true });
+    vault.redact('ana@example.com', SITE);
+    await vault.save(SITE);
+    delete session.data[RedactionVault.KEY_STORAGE_KEY];
+
+    const restarted = new RedactionVault(detector, storage, session, webcrypto);
+    expect(await restarted.load(SITE)).toBe(false);
+    expect(storage.data[RedactionVault.STORAGE_KEY][SITE]).toBeUndefined();
+    expect(restarted.hasMappings(SITE)).toBe(false);
+  });
+
+  test('should forget saved mappings and the key', async() => {
+    await detector.setRedaction({ persist: true });
+    vault.redact('ana@example.com', SITE);
+    await vault.save(SITE);
+    await vault.forgetSaved();
+
+    expect(storage.data[RedactionVault.STORAGE_KEY]).toBeUndefined();
+    expect(session.data[RedactionVault.KEY_STORAGE_KEY]).toBeUndefined();
+
+    vault.reset();
+    expect(vault.restore('[EMAIL_1]', SITE)).toBe('[EMAIL_1]');
+  });
+
+  test('should store redaction settings with the detector config', async() => {
+    expect(settings.data[SensitiveDataDetector.CONFIG_KEY].redaction).toEqual({ enabled: true, persist: false });
+
+    const reloaded = new SensitiveDataDetector(settings);
+    await reloaded.loadConfig();
+    expect(reloaded.getRedaction()).toEqual({ enabled: true, persist: false });
+
+    await expect(detector.setRedaction({ auto: true })).rejects.toThrow(/Unknown redaction option/);
+  });
+});
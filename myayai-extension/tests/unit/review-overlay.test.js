@@ -0,0 +1,109 @@
+/**
+ * Unit tests for the per-change optimization review overlay
+ */
+
+const TextDiff = require('../../optimization/text-diff.js');
+const TransformationTrace = require('../../optimization/transformation-trace.js');
+
+describe('OptimizationReview', () => {
+  let review;
+  let original;
+  let optimized;
+  let trace;
+
+  beforeAll(() => {
+    window.TextDiff = TextDiff;
+    global.TextDiff = TextDiff;
+    require('../../content/review-overlay.js');
+  });
+
+  beforeEach(() => {
+    document.body.innerHTML = '';
+    review = new window.OptimizationReview();
+
+    // Replay a typical optimization through the trace recorder
+    const recorder = new TransformationTrace('Write docs for our API');
+    original = 'Write docs for our API';
+    const steps = [
+      ['core', 'core.expert-role', 'Detected technical task', text => `As a senior software engineer, ${text}`],
+      ['core', 'core.output-requirements', 'No output format', text => `${text}\n\nPlease structure your response with clear headings.`],
+      ['style', 'style.technical.testing', 'Technical style', text => `${text}\n\nAddress testing procedures.`],
+      ['platform', 'platform.claude.think-step-by-step', 'Claude reasons better', text => `${text}\n\nThink through this step-by-step.`]
+    ];
+
+    optimized = steps.reduce((text, [stage, ruleId, reason, transform]) => {
+      recorder.setStage(stage);
+      const next = transform(text);
+      recorder.record(ruleId, reason, text, next);
+      return next;
+    }, original);
+    trace = recorder.getEntries();
+  });
+
+  test('should build one labelled hunk per rule', () => {
+    const { hunks } = review.buildReview(original, optimized, trace);
+
+    expect(hunks.map(hunk => hunk.label)).toEqual([
+      'Role prefix',
+      'Output requirements',
+      'Style additions',
+      'Platform tuning'
+    ]);
+    expect(hunks[0].reason).toBe('Detected technical task');
+    expect(hunks.every(hunk => hunk.accepted)).toBe(true);
+  });
+
+  test('should merge only accepted hunks', () => {
+    const result = review.buildReview(original, optimized, trace);
+
+    expect(review.mergeAccepted(result)).toBe(optimized);
+
+    result.hunks.find(hunk => hunk.id === 'core.expert-role').accepted = false;
+    result.hunks.find(hunk => hunk.id === 'style.technical.testing').accepted = false;
+
+    expect(review.mergeAccepted(result)).toBe(
+      'Write docs for our API\n\nPlease structure your response with clear headings.\n\nThink through this step-by-step.'
+    );
+
+    result.hunks.forEach(hunk => { hunk.accepted = false; });
+    expect(review.mergeAccepted(result)).toBe(original);
+  });
+
+  test('should label changes without a trace entry as other changes', () => {
+    const { hunks } = review.buildReview('Fix the bug', 'Fix the bug quickly', []);
+
+    expect(hunks).toHaveLength(1);
+    expect(hunks[0]).toMatchObject({ id: 'other', label: 'Other changes' });
+  });
+
+  test('should resolve with the merged text when applied', async() => {
+    const pending = review.open(original, optimized, trace);
+    const overlay = document.getElementById('myayai-review-overlay');
+
+    expect(overlay.querySelectorAll('.myayai-review-hunk')).toHaveLength(4);
+
+    const roleToggle = overlay.querySelector('[data-rule-id="core.expert-role"] input');
+    roleToggle.checked = false;
+    roleToggle.dispatchEvent(new Event('change'));
+
+    expect(overlay.querySelector('.myayai-review-preview').textContent.startsWith('Write docs')).toBe(true);
+
+    overlay.querySelector('.myayai-review-apply').click();
+
+    await expect(pending).resolves.toBe(optimized.replace('As a senior software engineer, ', ''));
+    expect(document.getElementById('myayai-review-overlay')).toBeNull();
+  });
+
+  test('should resolve with null when cancelled', async() => {
+    const pending = review.open(original, optimized, trace);
+
+    document.querySelector('.myayai-review-cancel').click();
+
+    await expect(pending).resolves.toBeNull();
+  });
+
+  test('should skip the overlay when nothing changed', async() => {
+    await expect(review.open(original, original, [])).resolves.toBe(original);
+    expect(document.getElementById('myayai-review-overlay')).toBeNull();
+  });
+});
@@ -0,0 +1,249 @@
+/**
+ * Unit tests for the OpenAI-compatible rewrite provider, run against a mock chat completions
+ * server on localhost, and for the optimizer's fallback to its rules
+ */
+
+const http = require('http');
+const LLMRewriteProvider = require('../../optimization/rewrite-provider.js');
+
+/**
+ * Chat completions server; handle(request, body) returns { status, json } or { delay }
+ */
+const startMockServer = async(handle) => {
+  const requests = [];
+  const server = http.createServer((request, response) => {
+    let body = '';
+    request.on('data', chunk => {
+      body += chunk;
+    });
+    request.on('end', () => {
+      const parsed = body ? JSON.parse(body) : null;
+      requests.push({ method: request.method, url: request.url, headers: request.headers, body: parsed });
+
+      const reply = handle(request, parsed);
+      const send = () => {
+        response.writeHead(reply.status || 200, { 'Content-Type': 'application/json' });
+        response.end(JSON.stringify(reply.json || {}));
+      };
+      if (reply.delay) {
+        setTimeout(send, reply.delay);
+      } else {
+        send();
+      }
+    });
+  });
+
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  return {
+    requests,
+    endpoint: `http://127.0.0.1:${server.address().port}/v1`,
+    close: () => new Promise(resolve => {
+      server.closeAllConnections();
+      server.close(resolve);
+    })
+  };
+};
+
+/**
+ * fetch() over Node's http module, since jsdom has no fetch; network errors are TypeErrors as in fetch
+ */
+const httpFetch = (url, { method, headers, body, signal }) => new Promise((resolve, reject) => {
+  const request = http.request(url, { method, headers }, response => {
+    let data = '';
+    response.on('data', chunk => {
+      data += chunk;
+    });
+    response.on('end', () => resolve({
+      ok: response.statusCode >= 200 && response.statusCode < 300,
+      status: response.statusCode,
+      json: async() => JSON.parse(data)
+    }));
+  });
+
+  request.on('error', error => reject(new TypeError(error.message)));
+  signal.addEventListener('abort', () => request.destroy(new Error('The operation was aborted')));
+  request.end(body);
+});
+
+const completion = content => ({ json: { choices: [{ message: { role: 'assistant', content } }] } });
+
+describe('LLMRewriteProvider', () => {
+  const NodeURL = require('url').URL;
+  let originalURL;
+  let storage;
+  let provider;
+  let server;
+
+  beforeAll(() => {
+    originalURL = global.URL;
+    global.URL = NodeURL;
+  });
+
+  afterAll(() => {
+    global.URL = originalURL;
+  });
+
+  beforeEach(() => {
+    storage = createMemoryStorage();
+    provider = new LLMRewriteProvider(storage, httpFetch);
+  });
+
+  afterEach(async() => {
+    if (server) {
+      await server.close();
+      server = null;
+    }
+  });
+
+  test('should send the prompt with the meta-prompt to the chat completions endpoint', async() => {
+    server = await startMockServer(() => completion('You are a teacher. Explain recursion with one example.'));
+    await provider.saveConfig({ enabled: true, endpoint: server.endpoint, model: 'llama3.1', apiKey: 'test-key' });
+
+    const rewritten = await provider.rewrite('explain recursion', { platform: 'claude', style: 'technical' });
+
+    expect(rewritten).toBe('You are a teacher. Explain recursion with one example.');
+    expect(server.requests).toHaveLength(1);
+
+    const [request] = server.requests;
+    expect(request.method).toBe('POST');
+    expect(request.url).toBe('/v1/chat/completions');
+    expect(request.headers.authorization).toBe('Bearer test-key');
+    expect(request.body.model).toBe('llama3.1');
+    expect(request.body.messages[0]).toEqual({ role: 'system', content: LLMRewriteProvider.META_PROMPT });
+    expect(request.body.messages[1].content).toContain('Target assistant: claude');
+    expect(request.body.messages[1].content).toContain('<prompt>\nexplain recursion\n</prompt>');
+  });
+
+  test('should strip echoed prompt tags and code fences from the reply', () => {
+    expect(provider.extractPrompt('<prompt>\nRewritten\n</prompt>')).toBe('Rewritten');
+    expect(provider.extractPrompt('```text\nRewritten\n```')).toBe('Rewritten');
+    expect(provider.extractPrompt(null)).toBe('');
+  });
+
+  test('should fail on error statuses and empty replies', async() => {
+    let reply = { status: 500, json: { error: 'model not loaded' } };
+    server = await startMockServer(() => reply);
+    await provider.saveConfig({ enabled: true, endpoint: `${server.endpoint}/chat/completions`, model: 'm' });
+
+    await expect(provider.rewrite('Hi there')).rejects.toThrow('Rewrite endpoint returned 500');
+    expect(server.requests[0].url).toBe('/v1/chat/completions');
+
+    reply = completion('   ');
+    await expect(provider.rewrite('Hi there')).rejects.toThrow('Rewrite endpoint returned no text');
+  });
+
+  test('should time out slow endpoints', async() => {
+    server = await startMockServer(() => ({ ...completion('late'), delay: 500 }));
+    await provider.saveConfig({ enabled: true, endpoint: server.endpoint, model: 'm' });
+    provider.config.timeoutMs = 50;
+
+    await expect(provider.rewrite('Hi there')).rejects.toThrow('Rewrite endpoint timed out after 0.05s');
+  });
+
+  test('should report endpoints that cannot be reached', async() => {
+    server = await startMockServer(() => completion('unused'));
+    const { endpoint } = server;
+    await server.close();
+    server = null;
+
+    await provider.saveConfig({ enabled: true, endpoint, model: 'm' });
+    await expect(provider.rewrite('Hi there')).rejects.toThrow('Could not reach the rewrite endpoint');
+  });
+
+  test('should validate the config before saving it', async() => {
+    await expect(provider.saveConfig({ endpoint: 'http://llm.example.com/v1' }))
+      .rejects.toThrow('Use https unless the endpoint runs on this computer');
+    await expect(provider.saveConfig({ endpoint: 'localhost:11434' })).rejects.toThrow('Endpoint must');
+    await expect(provider.saveConfig({ enabled: true, endpoint: 'https://llm.example.com/v1' }))
+      .rejects.toThrow('Set an endpoint and a model');
+    await expect(provider.saveConfig({ timeoutMs: 500 })).rejects.toThrow('Timeout must be between 1 and 120 seconds');
+    expect(storage.set).not.toHaveBeenCalled();
+
+    await provider.saveConfig({ enabled: true, endpoint: ' https://llm.example.com/v1/ ', model: 'gpt-4o-mini' });
+    expect(provider.getCompletionsUrl()).toBe('https://llm.example.com/v1/chat/completions');
+    expect(provider.getPermissionOrigin()).toBe('https://llm.example.com/*');
+    expect(provider.getPermissionOrigin('http://localhost:11434/v1')).toBeNull();
+  });
+
+  test('should load stored config and ignore values of the wrong type', async() => {
+    storage.data[LLMRewriteProvider.CONFIG_KEY] = { enabled: 'yes', endpoint: 'https://llm.example.com', model: 'm', timeoutMs: 30000 };
+
+    const config = await provider.loadConfig();
+    expect(config).toEqual({ enabled: false, endpoint: 'https://llm.example.com', model: 'm', apiKey: '', timeoutMs: 30000 });
+    expect(provider.isEnabled()).toBe(false);
+    await expect(provider.rewrite('Hi there')).rejects.toThrow('Rewrite provider is not configured');
+  });
+});
+
+describe('PromptOptimizer with a rewrite provider', () => {
+  let PromptOptimizer;
+  let optimizer;
+
+  beforeAll(() => {
+    global.IntentVerifier = require('../../optimization/intent-verifier.js');
+    global.PromptTokenizer = require('../../optimization/tokenizer.js');
+    global.ProtectedRegions = require('../../optimization/protected-regions.js');
+    global.TextDiff = require('../../optimization/text-diff.js');
+    global.TransformationTrace = require('../../optimization/transformation-trace.js');
+    global.OptimizationRules = require('../../optimization/optimization-rules.js');
+    global.QualityScorer = require('../../optimization/quality-scorer.js');
+    require('../../content/platform-detectors.js');
+    global.PlatformDetectors = window.PlatformDetectors;
+
+    PromptOptimizer = require('../../optimization/prompt-optimizer.js');
+  });
+
+  const prompt = 'Write a 500 word post about Kubernetes for Acme Corp.';
+  const createProvider = rewrite => ({ id: 'mock', label: 'Mock model', isEnabled: () => true, rewrite: jest.fn(rewrite) });
+
+  beforeEach(() => {
+    optimizer = new PromptOptimizer({ enableAnalytics: false });
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('should use the rule engine when no provider is enabled', async() => {
+    const result = await optimizer.optimizeWithProvider(prompt, 'chatgpt', 'professional');
+
+    expect(result.optimized).toBe(optimizer.optimizePrompt(prompt, 'chatgpt', 'professional').optimized);
+    expect(result.provider).toBeUndefined();
+  });
+
+  test('should use the provider rewrite and attribute it in the trace', async() => {
+    const rewritten = 'As a technical writer, write a 500 word post about Kubernetes for Acme Corp. Use headings.';
+    const provider = createProvider(async() => rewritten);
+    optimizer.setRewriteProvider(provider);
+
+    const result = await optimizer.optimizeWithProvider(prompt, 'chatgpt', 'professional');
+
+    expect(provider.rewrite).toHaveBeenCalledWith(prompt, expect.objectContaining({ platform: 'chatgpt', style: 'professional' }));
+    expect(result.optimized).toBe(rewritten);
+    expect(result.provider).toEqual({ id: 'mock', label: 'Mock model', used: true });
+    expect(result.trace).toEqual([expect.objectContaining({ ruleId: 'provider.mock', stage: 'provider' })]);
+    expect(result.verification.passed).toBe(true);
+  });
+
+  test('should fall back to the rules when the provider fails', async() => {
+    optimizer.setRewriteProvider(createProvider(async() => {
+      throw new Error('Rewrite endpoint timed out after 15s');
+    }));
+
+    const result = await optimizer.optimizeWithProvider(prompt, 'chatgpt', 'professional');
+
+    expect(result.optimized).toBe(optimizer.optimizePrompt(prompt, 'chatgpt', 'professional').optimized);
+    expect(result.provider).toEqual({ id: 'mock', label: 'Mock model', used: false, error: 'Rewrite endpoint timed out after 15s' });
+  });
+
+  test('should fall back to the rules when the rewrite drops facts', async() => {
+    optimizer.setRewriteProvider(createProvider(async() => 'Write a short post about containers.'));
+
+    const result = await optimizer.optimizeWithProvider(prompt, 'chatgpt', 'professional');
+
+    expect(result.optimized).toContain('500');
+    expect(result.provider.used).toBe(false);
+    expect(result.provider.error).toEqual(expect.any(String));
+  });
+});
@@ -0,0 +1,195 @@
+/**
+ * Unit tests for declarative optimization rule packs
+ */
+
+const RulePackManager = require('../../optimization/rule-packs.js');
+const OptimizationRules = require('../../optimization/optimization-rules.js');
+
+const houseRules = {
+  formatVersion: 1,
+  id: 'acme-house-rules',
+  name: 'Acme house rules',
+  version: '1.0.0',
+  rules: {
+    expertRoles: {
+      'acme platform engineer': {
+        prefix: 'As a platform engineer at Acme who knows our TypeScript monorepo',
+        enhancements: ['Follow the Acme style guide']
+      }
+    },
+    taskDetectionPatterns: {
+      technical: {
+        patterns: ['typescript|tsx'],
+        expertRoles: ['acme platform engineer']
+      }
+    },
+    platformRules: {
+      chatgpt: {
+        maxOptimalLength: 6000,
+        optimizations: { suffixRules: ['Add: "Use TypeScript"'] }
+      }
+    },
+    promptConstraints: [
+      { id: 'ask-typescript', text: 'Use TypeScript for all code examples', when: { taskTypes: ['technical'] } },
+      { text: 'Reply in British English', when: { platforms: ['claude'] } }
+    ]
+  }
+};
+
+describe('RulePackManager', () => {
+  let manager;
+  let storage;
+
+  beforeEach(() => {
+    storage = createMemoryStorage();
+    manager = new RulePackManager(storage);
+  });
+
+  describe('Validation', () => {
+    test('should accept a well-formed pack', () => {
+      expect(manager.validatePack(houseRules)).toEqual({ valid: true, errors: [] });
+    });
+
+    test('should report missing metadata and unknown sections', () => {
+      const { valid, errors } = manager.validatePack({
+        formatVersion: 2,
+        id: 'Not A Slug',
+        rules: { magic: {} }
+      });
+
+      expect(valid).toBe(false);
+      expect(errors).toEqual(expect.arrayContaining([
+        'formatVersion must be 1',
+        'id must be a lowercase slug (letters, digits, ".", "_" or "-")',
+        'name is required',
+        'rules.magic is not a supported section'
+      ]));
+    });
+
+    test('should reject invalid regular expressions and incomplete roles', () => {
+      const { errors } = manager.validatePack({
+        ...houseRules,
+        rules: {
+          taskDetectionPatterns: { technical: { patterns: ['(unclosed'] } },
+          expertRoles: { 'data wizard': { enhancements: ['Use SQL'] } },
+          promptConstraints: [{ when: { platforms: 'chatgpt' } }]
+        }
+      });
+
+      expect(errors.some(error => error.startsWith('rules.taskDetectionPatterns.technical.patterns[0] is not a valid regular expression'))).toBe(true);
+      expect(errors).toContain('rules.expertRoles.data wizard.prefix is required');
+      expect(errors).toContain('rules.promptConstraints[0].text is required');
+      expect(errors).toContain('rules.promptConstraints[0].when.platforms must be an array of strings');
+    });
+  });
+
+  describe('Installation', () => {
+    test('should import packs from JSON and persist them', async() => {
+      const entry = await manager.importPack(JSON.stringify(houseRules));
+
+      expect(entry.enabled).toBe(true);
+      expect(storage.data[RulePackManager.STORAGE_KEY]).toHaveLength(1);
+
+      const reloaded = new RulePackManager(storage);
+      const packs = await reloaded.listPacks();
+      expect(packs[0]).toMatchObject({ id: 'acme-house-rules', name: 'Acme house rules', enabled: true });
+    });
+
+    test('should refuse invalid packs', async() => {
+      await expect(manager.importPack('{ not json')).rejects.toThrow('Rule pack is not valid JSON');
+      await expect(manager.importPack({ formatVersion: 1, id: 'x', rules: {} })).rejects.toThrow('Invalid rule pack: name is required');
+      expect(storage.set).not.toHaveBeenCalled();
+    });
+
+    test('should toggle packs and keep toggle state on re-import', async() => {
+      await manager.importPack(houseRules);
+      await manager.setPackEnabled('acme-house-rules', false);
+
+      expect(await manager.getEnabledPacks()).toEqual([]);
+
+      const entry = await manager.importPack({ ...houseRules, version: '1.1.0' });
+      expect(entry.enabled).toBe(false);
+      expect(await manager.listPacks()).toHaveLength(1);
+    });
+
+    test('should remove packs', async() => {
+      await manager.importPack(houseRules);
+
+      expect(await manager.removePack('acme-house-rules')).toBe(true);
+      expect(await manager.removePack('acme-house-rules')).toBe(false);
+      await expect(manager.setPackEnabled('acme-house-rules', true)).rejects.toThrow('Rule pack not found');
+    });
+  });
+});
+
+describe('OptimizationRules rule pack layering', () => {
+  let rules;
+
+  beforeEach(() => {
+    rules = new OptimizationRules();
+  });
+
+  test('should layer pack rules over built-ins', () => {
+    const builtInSuffixes = rules.getPlatformRules('chatgpt').optimizations.suffixRules.length;
+
+    rules.applyRulePacks([houseRules]);
+
+    const chatgpt = rules.getPlatformRules('chatgpt');
+    expect(chatgpt.maxOptimalLength).toBe(6000);
+    expect(chatgpt.optimizations.suffixRules).toHaveLength(builtInSuffixes + 1);
+    expect(chatgpt.optimizations.prefixRules.length).toBeGreaterThan(0);
+    expect(rules.taskDetectionPatterns.technical.expertRoles).toContain('acme platform engineer');
+    expect(rules.taskDetectionPatterns.technical.patterns.some(pattern => pattern.test('Convert this to TSX'))).toBe(true);
+    expect(rules.expertRoles['acme platform engineer'].prefix).toMatch(/Acme/);
+    expect(rules.activeRulePacks).toEqual(['acme-house-rules']);
+  });
+
+  test('should add pack constraints only when their conditions match', () => {
+    rules.applyRulePacks([houseRules]);
+
+    const technical = rules.generateConstraints('Fix this TypeScript function that fails to compile with an API error', 'technical', 'chatgpt');
+    expect(technical).toContain('Use TypeScript for all code examples');
+    expect(technical).not.toContain('Reply in British English');
+
+    const claude = rules.generateConstraints('Write a short poem about autumn', 'creative', 'claude');
+    expect(claude).toContain('Reply in British English');
+    expect(claude).not.toContain('Use TypeScript for all code examples');
+  });
+
+  test('should let pack patterns decide built-in task types the classifier knows', () => {
+    global.TaskClassifier = require('../../optimization/task-classifier.js');
+    const classified = new OptimizationRules();
+    delete global.TaskClassifier;
+    const prompt = 'Convert this component to TSX';
+
+    expect(classified.classifier).not.toBeNull();
+    expect(classified.detectTaskType(prompt)?.[0]).not.toBe('technical');
+
+    classified.applyRulePacks([houseRules]);
+
+    expect(classified.detectTaskType(prompt)[0]).toBe('technical');
+    expect(classified.generateConstraints(prompt, 'technical', 'chatgpt')).toContain('Use TypeScript for all code examples');
+  });
+
+  test('should restore built-ins when packs are disabled', () => {
+    rules.applyRulePacks([houseRules]);
+    rules.applyRulePacks([]);
+
+    expect(rules.getPlatformRules('chatgpt').maxOptimalLength).toBe(4000);
+    expect(rules.expertRoles['acme platform engineer']).toBeUndefined();
+    expect(rules.promptConstraints).toEqual([]);
+  });
+
+  test('should let later packs override earlier ones', () => {
+    const override = {
+      formatVersion: 1,
+      id: 'team-override',
+      name: 'Team override',
+      rules: { platformRules: { chatgpt: { maxOptimalLength: 3000 } } }
+    };
+
+    rules.applyRulePacks([houseRules, override]);
+
+    expect(rules.getPlatformRules('chatgpt').maxOptimalLength).toBe(3000);
+  });
+});
@@ -0,0 +1,241 @@
+/**
+ * Unit tests for learned scoring weights and the feedback controls
+ */
+
+const PromptTokenizer = require('../../optimization/tokenizer.js');
+const QualityScorer = require('../../optimization/quality-scorer.js');
+const ScoringCalibrator = require('../../optimization/scoring-calibrator.js');
+
+const sum = values => values.reduce((total, value) => total + value, 0);
+
+const likedPrompts = [
+  'Context: we run a Node 18 API. Write a function that validates emails. It must return a boolean. Example: a@b.co returns true. Format the answer as a code block with tests.',
+  'Background: our team of four is moving off MySQL. List 5 risks of migrating to Postgres as a table with likelihood and impact.',
+  'As a senior engineer, review this code for security issues and output a bulleted list:\n- authentication\n- input handling'
+];
+
+const dislikedPrompts = ['help me with stuff', 'write something good', 'fix it please'];
+
+describe('QualityScorer weights', () => {
+  let scorer;
+
+  beforeAll(() => {
+    global.PromptTokenizer = PromptTokenizer;
+  });
+
+  beforeEach(() => {
+    scorer = new QualityScorer();
+  });
+
+  test('should expose criterion and factor weights', () => {
+    const weights = scorer.getWeights();
+
+    expect(weights.criteria).toEqual({ clarity: 0.25, specificity: 0.25, context: 0.2, structure: 0.15, completeness: 0.15 });
+    expect(weights.factors.context).toEqual({ background_info: 0.4, use_case_clarity: 0.3, domain_context: 0.2, stakeholder_info: 0.1 });
+  });
+
+  test('should apply valid weights and restore the defaults', () => {
+    scorer.applyWeights({
+      criteria: { clarity: 0.5, unknown: 1, context: -1 },
+      factors: { clarity: { language_simplicity: 0.6, made_up: 1 } }
+    });
+
+    expect(scorer.scoringCriteria.clarity.weight).toBe(0.5);
+    expect(scorer.scoringCriteria.context.weight).toBe(0.2);
+    expect(scorer.scoringCriteria.clarity.factors[0].weight).toBe(0.6);
+
+    scorer.resetWeights();
+    expect(scorer.getWeights()).toEqual(scorer.defaultWeights);
+  });
+
+  test('should report factor scores in the breakdown', () => {
+    const { breakdown } = scorer.calculateQualityScore(likedPrompts[0]);
+
+    expect(Object.keys(breakdown.context.factors)).toEqual(['background_info', 'use_case_clarity', 'domain_context', 'stakeholder_info']);
+    expect(breakdown.context.score).toBe(scorer.combineFactorScores(scorer.scoringCriteria.context, breakdown.context.factors));
+  });
+});
+
+describe('ScoringCalibrator', () => {
+  let storage;
+  let calibrator;
+
+  beforeAll(() => {
+    global.PromptTokenizer = PromptTokenizer;
+    global.QualityScorer = QualityScorer;
+  });
+
+  beforeEach(async() => {
+    storage = createMemoryStorage();
+    calibrator = new ScoringCalibrator(storage);
+    await calibrator.load();
+  });
+
+  const rateAll = async() => {
+    for (const prompt of likedPrompts) {
+      await calibrator.recordFeedback({ prompt, rating: 'up' });
+    }
+    for (const prompt of dislikedPrompts) {
+      await calibrator.recordFeedback({ prompt, rating: 'down', target: 'response' });
+    }
+  };
+
+  test('should store scores but not the prompt text', async() => {
+    const { entry, recalibrated } = await calibrator.recordFeedback({ prompt: likedPrompts[0], rating: 'up', platform: 'claude' });
+
+    expect(recalibrated).toBe(false);
+    expect(entry).toMatchObject({ rating: 'up', target: 'optimization', platform: 'claude' });
+    expect(Object.keys(entry.factors.clarity)).toContain('language_simplicity');
+    expect(JSON.stringify(storage.data)).not.toContain('validates emails');
+  });
+
+  test('should reject invalid feedback', async() => {
+    await expect(calibrator.recordFeedback({ prompt: ' ', rating: 'up' })).rejects.toThrow('Feedback needs the prompt that was rated');
+    await expect(calibrator.recordFeedback({ prompt: 'x', rating: 'meh' })).rejects.toThrow('Rating must be one of: up, down');
+    await expect(calibrator.recordFeedback({ prompt: 'x', rating: 'up', target: 'page' }))
+      .rejects.toThrow('Feedback target must be one of: optimization, response');
+  });
+
+  test('should keep the default weights until both ratings have enough samples', async() => {
+    for (const prompt of likedPrompts) {
+      await calibrator.recordFeedback({ prompt, rating: 'up' });
+    }
+    await calibrator.recordFeedback({ prompt: dislikedPrompts[0], rating: 'down' });
+
+    expect(await calibrator.recalibrate()).toBeNull();
+    expect(storage.data[ScoringCalibrator.WEIGHTS_KEY]).toBeUndefined();
+    expect(calibrator.scorer.getWeights()).toEqual(calibrator.scorer.defaultWeights);
+  });
+
+  test('should shift weight toward factors that score higher on liked prompts', async() => {
+    await rateAll();
+
+    const weights = calibrator.getWeights();
+    const defaults = calibrator.defaultWeights;
+    const stored = storage.data[ScoringCalibrator.WEIGHTS_KEY];
+
+    expect(stored.samples).toEqual({ up: 3, down: 3 });
+    expect(stored.history).toHaveLength(1);
+    expect(sum(Object.values(weights.criteria))).toBeCloseTo(1, 3);
+    expect(sum(Object.values(weights.factors.context))).toBeCloseTo(1, 3);
+    expect(weights.factors.context.background_info).toBeGreaterThan(defaults.factors.context.background_info);
+    expect(calibrator.scorer.scoringCriteria.context.factors[0].weight).toBe(weights.factors.context.background_info);
+
+    Object.entries(weights.criteria).forEach(([criterion, weight]) => {
+      expect(weight / defaults.criteria[criterion]).toBeGreaterThan(ScoringCalibrator.MIN_MULTIPLIER / 2);
+      expect(weight / defaults.criteria[criterion]).toBeLessThan(ScoringCalibrator.MAX_MULTIPLIER * 2);
+    });
+  });
+
+  test('should apply learned weights to other scorers', async() => {
+    await rateAll();
+
+    const other = new ScoringCalibrator(storage);
+    const scorer = new QualityScorer();
+    await other.load();
+    other.applyTo(scorer);
+
+    expect(scorer.getWeights()).toEqual(calibrator.getWeights());
+  });
+
+  test('should describe how weights drifted', async() => {
+    await rateAll();
+    const drift = await calibrator.getDrift();
+
+    expect(drift.learned).toBe(true);
+    expect(drift.feedback).toEqual({ up: 3, down: 3, optimization: 3, response: 3 });
+    expect(drift.criteria.map(criterion => criterion.name).sort()).toEqual(['clarity', 'completeness', 'context', 'specificity', 'structure']);
+
+    const changes = drift.criteria.map(criterion => Math.abs(criterion.change));
+    expect(changes).toEqual([...changes].sort((a, b) => b - a));
+
+    const context = drift.criteria.find(criterion => criterion.name === 'context');
+    expect(context).toMatchObject({ defaultWeight: 0.2, description: 'Amount and relevance of contextual information provided' });
+    expect(context.factors).toHaveLength(4);
+  });
+
+  test('should forget feedback on reset', async() => {
+    await rateAll();
+    await calibrator.reset();
+
+    expect(storage.data).toEqual({});
+    expect(calibrator.scorer.getWeights()).toEqual(calibrator.scorer.defaultWeights);
+    expect((await calibrator.getDrift()).learned).toBe(false);
+  });
+
+  test('should keep only the most recent feedback', async() => {
+    storage.data[ScoringCalibrator.FEEDBACK_KEY] = Array.from({ length: ScoringCalibrator.MAX_FEEDBACK }, () => ({ rating: 'up', criteria: {}, factors: {} }));
+
+    await calibrator.recordFeedback({ prompt: dislikedPrompts[0], rating: 'down' });
+
+    const feedback = storage.data[ScoringCalibrator.FEEDBACK_KEY];
+    expect(feedback).toHaveLength(ScoringCalibrator.MAX_FEEDBACK);
+    expect(feedback[feedback.length - 1].rating).toBe('down');
+  });
+});
+
+describe('FeedbackControls', () => {
+  let controls;
+
+  beforeAll(() => {
+    require('../../content/feedback-controls.js');
+  });
+
+  beforeEach(() => {
+    jest.useFakeTimers();
+    document.body.innerHTML = '';
+    controls = new window.FeedbackControls();
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  const flush = () => Promise.resolve().then(() => Promise.resolve());
+
+  test('should rate once and lock the buttons', async() => {
+    const onRate = jest.fn(async() => {});
+    const element = controls.createControls('Rate this', onRate);
+    document.body.appendChild(element);
+
+    element.querySelector('[data-rating="down"]').click();
+    await flush();
+
+    expect(onRate).toHaveBeenCalledWith('down');
+    expect(element.querySelector('.myayai-feedback-label').textContent).toBe('Thanks for the feedback');
+    expect(Array.from(element.querySelectorAll('button'), button => button.disabled)).toEqual([true, true]);
+    expect(element.querySelector('.selected').dataset.rating).toBe('down');
+  });
+
+  test('should let the user retry when saving fails', async() => {
+    const element = controls.createControls('Rate this', jest.fn(async() => {
+      throw new Error('offline');
+    }));
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+
+    element.querySelector('[data-rating="up"]').click();
+    await flush();
+
+    expect(element.querySelector('.myayai-feedback-label').textContent).toBe('Could not save feedback');
+    expect(element.querySelector('[data-rating="up"]').disabled).toBe(false);
+    console.warn.mockRestore();
+  });
+
+  test('should attach response controls once, after the response', () => {
+    const response = document.createElement('div');
+    document.body.appendChild(response);
+
+    expect(controls.attachToResponse(response, jest.fn())).not.toBeNull();
+    expect(controls.attachToResponse(response, jest.fn())).toBeNull();
+    expect(response.nextElementSibling.classList.contains('myayai-feedback-response')).toBe(true);
+    expect(document.querySelectorAll('.myayai-feedback')).toHaveLength(1);
+  });
+
+  test('should dismiss the optimization toast after a while', () => {
+    controls.showForOptimization(jest.fn());
+    expect(document.getElementById('myayai-feedback-toast')).not.toBeNull();
+
+    jest.advanceTimersByTime(window.FeedbackControls.DISMISS_DELAY);
+    expect(document.getElementById('myayai-feedback-toast')).toBeNull();
+  });
+});
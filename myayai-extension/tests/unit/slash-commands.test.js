@@ -0,0 +1,243 @@
+/**
+ * Unit tests for slash commands and the in-composer command menu
+ */
+
+const ProtectedRegions = require('../../optimization/protected-regions.js');
+const PromptSuggestions = require('../../optimization/prompt-suggestions.js');
+const PromptTemplates = require('../../optimization/prompt-templates.js');
+const SlashCommands = require('../../optimization/slash-commands.js');
+
+const createLibrary = (entries = []) => ({
+  list: () => entries,
+  get: id => entries.find(entry => entry.id === id) || null,
+  load: jest.fn(async() => {})
+});
+
+const createCommands = (entries = []) => new SlashCommands(new PromptTemplates(new PromptSuggestions(), createLibrary(entries)));
+
+const standup = {
+  id: 'tpl_standup',
+  title: 'Standup update',
+  description: 'Yesterday, today, blockers',
+  tags: [],
+  command: 'standup',
+  template: 'Yesterday: {yesterday}\nToday: {today}\nBlockers: {blockers=None}'
+};
+
+describe('SlashCommands', () => {
+  let commands;
+
+  beforeAll(() => {
+    global.ProtectedRegions = ProtectedRegions;
+  });
+
+  beforeEach(() => {
+    commands = createCommands([standup]);
+  });
+
+  test('should map the built-in commands to library templates', () => {
+    expect(commands.find('review')).toEqual({
+      name: 'review', templateId: 'technical.codeReview', title: 'Code review', description: 'Ask for a code review', custom: false
+    });
+    expect(commands.find('debug').templateId).toBe('technical.debugging');
+    expect(commands.find('compare').templateId).toBe('research.comparative');
+    expect(commands.find('nope')).toBeNull();
+  });
+
+  test('should add personal templates that define a command', () => {
+    expect(commands.find('standup')).toEqual({
+      name: 'standup', templateId: 'personal.tpl_standup', title: 'Standup update', description: 'Yesterday, today, blockers', custom: true
+    });
+    expect(commands.list().map(command => command.name)).toEqual(['compare', 'debug', 'design', 'plan', 'review', 'standup', 'steps', 'structure']);
+  });
+
+  test('should let a personal command replace a built-in one', () => {
+    const overridden = createCommands([{ ...standup, id: 'tpl_review', title: 'Team review', command: 'review' }]);
+
+    expect(overridden.find('review')).toMatchObject({ templateId: 'personal.tpl_review', custom: true });
+  });
+
+  test('should match by name prefix before title', () => {
+    expect(commands.match('st').map(command => command.name)).toEqual(['standup', 'steps', 'structure']);
+    expect(commands.match('review').map(command => command.name)).toEqual(['review']);
+    expect(commands.match('code').map(command => command.name)).toEqual(['review']);
+    expect(commands.match('').length).toBe(SlashCommands.MAX_MATCHES);
+  });
+
+  test('should find the command typed at the caret', () => {
+    expect(commands.parseTrigger('/rev')).toEqual({ query: 'rev', start: 0, end: 4 });
+    expect(commands.parseTrigger('Please\n/Debug')).toEqual({ query: 'debug', start: 7, end: 13 });
+    expect(commands.parseTrigger('see /')).toEqual({ query: '', start: 4, end: 5 });
+    expect(commands.parseTrigger('/review and more', 7)).toEqual({ query: 'review', start: 0, end: 7 });
+  });
+
+  test('should ignore slashes that are not commands', () => {
+    expect(commands.parseTrigger('src/app')).toBeNull();
+    expect(commands.parseTrigger('https://example.com/')).toBeNull();
+    expect(commands.parseTrigger('/review more')).toBeNull();
+    expect(commands.parseTrigger('/review', 3)).toBeNull();
+  });
+
+  test('should expand the command in place', () => {
+    const text = 'Hi\n/rev thanks';
+    const trigger = commands.parseTrigger(text, 7);
+
+    expect(commands.expand(text, trigger, 'Review this')).toEqual({ text: 'Hi\nReview this thanks', caret: 14 });
+  });
+});
+
+describe('SlashMenu', () => {
+  const uiInjector = {
+    getInputContent: input => (input.tagName === 'TEXTAREA' ? input.value : input.textContent),
+    setInputContent: jest.fn((input, text) => {
+      if (input.tagName === 'TEXTAREA') {
+        input.value = text;
+      } else {
+        input.textContent = text;
+      }
+      return true;
+    })
+  };
+  let menu;
+
+  beforeAll(() => {
+    global.ProtectedRegions = ProtectedRegions;
+    window.PromptTemplates = PromptTemplates;
+    window.SlashCommands = SlashCommands;
+    require('../../content/template-picker.js');
+    require('../../content/slash-menu.js');
+  });
+
+  beforeEach(() => {
+    document.body.innerHTML = '';
+    uiInjector.setInputContent.mockClear();
+    menu = new window.SlashMenu(uiInjector, createCommands([standup]));
+  });
+
+  afterEach(() => {
+    menu.close();
+    document.getElementById('myayai-template-overlay')?.remove();
+  });
+
+  const type = (input, text) => {
+    input.value = text;
+    input.setSelectionRange(text.length, text.length);
+    menu.handleInput(input, new Event('input'));
+  };
+
+  const press = (input, key) => {
+    const event = new KeyboardEvent('keydown', { key, bubbles: true, cancelable: true });
+    input.dispatchEvent(event);
+    return event;
+  };
+
+  const options = () => Array.from(document.querySelectorAll('.myayai-slash-option'), option => option.dataset.command);
+
+  const createTextarea = () => {
+    const textarea = document.createElement('textarea');
+    document.body.appendChild(textarea);
+    textarea.focus();
+    return textarea;
+  };
+
+  test('should open and filter the menu while a command is typed', () => {
+    const textarea = createTextarea();
+
+    type(textarea, 'Hello /');
+    expect(options()).toHaveLength(SlashCommands.MAX_MATCHES);
+
+    type(textarea, 'Hello /de');
+    expect(options()).toEqual(['debug', 'design']);
+
+    type(textarea, 'Hello /de ');
+    expect(document.getElementById('myayai-slash-menu')).toBeNull();
+  });
+
+  test('should move the selection with the arrow keys and close on Escape', () => {
+    const textarea = createTextarea();
+    type(textarea, '/st');
+
+    press(textarea, 'ArrowDown');
+    expect(document.querySelector('[aria-selected="true"]').dataset.command).toBe('steps');
+
+    press(textarea, 'ArrowUp');
+    press(textarea, 'ArrowUp');
+    expect(document.querySelector('[aria-selected="true"]').dataset.command).toBe('structure');
+
+    expect(press(textarea, 'Escape').defaultPrevented).toBe(true);
+    expect(document.getElementById('myayai-slash-menu')).toBeNull();
+  });
+
+  test('should keep Enter from reaching the page and expand into the filled template', async() => {
+    const textarea = createTextarea();
+    const pageHandler = jest.fn();
+    textarea.addEventListener('keydown', pageHandler);
+    type(textarea, 'Team notes:\n/stand');
+
+    expect(press(textarea, 'Enter').defaultPrevented).toBe(true);
+    expect(pageHandler).not.toHaveBeenCalled();
+
+    const yesterday = document.querySelector('[name="yesterday"]');
+    yesterday.value = 'Shipped search';
+    yesterday.dispatchEvent(new Event('input'));
+    const today = document.querySelector('[name="today"]');
+    today.value = 'Slash commands';
+    today.dispatchEvent(new Event('input'));
+    expect(document.querySelector('[name="blockers"]').value).toBe('None');
+    document.querySelector('.myayai-template-insert').click();
+
+    await new Promise(resolve => setTimeout(resolve, 0));
+    expect(textarea.value).toBe('Team notes:\nYesterday: Shipped search\nToday: Slash commands\nBlockers: None');
+    expect(textarea.selectionStart).toBe(textarea.value.length);
+  });
+
+  test('should leave the typed command when the form is cancelled', async() => {
+    const textarea = createTextarea();
+    type(textarea, '/review');
+
+    document.querySelector('[data-command="review"]').click();
+    document.querySelector('.myayai-template-cancel').click();
+
+    await new Promise(resolve => setTimeout(resolve, 0));
+    expect(textarea.value).toBe('/review');
+    expect(uiInjector.setInputContent).not.toHaveBeenCalled();
+  });
+
+  test('should work in contenteditable composers', async() => {
+    const editor = document.createElement('div');
+    editor.contentEditable = 'true';
+    editor.textContent = 'Quick one /standup';
+    document.body.appendChild(editor);
+
+    const range = document.createRange();
+    range.setStart(editor.firstChild, editor.textContent.length);
+    range.collapse(true);
+    window.getSelection().removeAllRanges();
+    window.getSelection().addRange(range);
+
+    menu.handleInput(editor, new Event('input'));
+    expect(options()).toEqual(['standup']);
+
+    press(editor, 'Tab');
+    document.querySelector('[name="yesterday"]').value = 'a';
+    document.querySelector('[name="yesterday"]').dispatchEvent(new Event('input'));
+    document.querySelector('[name="today"]').value = 'b';
+    document.querySelector('[name="today"]').dispatchEvent(new Event('input'));
+    document.querySelector('.myayai-template-insert').click();
+
+    await new Promise(resolve => setTimeout(resolve, 0));
+    expect(editor.textContent).toBe('Quick one Yesterday: a\nToday: b\nBlockers: None');
+  });
+
+  test('should not open while text is selected or after the input loses focus', () => {
+    const textarea = createTextarea();
+    textarea.value = '/review';
+    textarea.setSelectionRange(0, 7);
+    menu.handleInput(textarea, new Event('input'));
+    expect(document.getElementById('myayai-slash-menu')).toBeNull();
+
+    type(textarea, '/rev');
+    menu.handleInput(textarea, new Event('blur'));
+    expect(document.getElementById('myayai-slash-menu')).toBeNull();
+  });
+});
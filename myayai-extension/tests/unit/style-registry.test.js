@@ -0,0 +1,179 @@
+/**
+ * Unit tests for writing styles and the style registration API
+ */
+
+const OptimizationRules = require('../../optimization/optimization-rules.js');
+const QualityScorer = require('../../optimization/quality-scorer.js');
+
+const NEW_STYLES = ['concise', 'casual', 'socratic', 'eli5', 'tutor'];
+
+describe('Style rules', () => {
+  test('should define rules, roles and an output structure for each new style', () => {
+    const rules = new OptimizationRules();
+
+    NEW_STYLES.forEach(style => {
+      expect(rules.styleRules[style].constraints.length).toBeGreaterThan(0);
+      rules.styleRules[style].expertRoles.forEach(role => expect(rules.expertRoles[role]).toBeDefined());
+      expect(rules.getStyleStructure(style).structure.length).toBeGreaterThan(0);
+    });
+  });
+
+  test('should add the style constraints', () => {
+    const constraints = new OptimizationRules().generateConstraints('How do vaccines train the immune system?', 'eli5', 'chatgpt');
+
+    expect(constraints).toContain('Explain with an everyday analogy');
+    expect(constraints).not.toContain('Include actionable next steps and success metrics');
+  });
+
+  test('should keep registered styles when rule packs are reapplied', () => {
+    const rules = new OptimizationRules();
+    rules.registerStyle('bullet', {
+      rules: { constraints: ['Answer as a bulleted list'] },
+      outputStructure: { structure: ['Bullets'], format: 'list' }
+    });
+
+    rules.applyRulePacks([]);
+
+    expect(rules.getStyleRules('bullet').constraints).toEqual(['Answer as a bulleted list']);
+    expect(rules.getStyleStructure('bullet').format).toBe('list');
+  });
+});
+
+describe('Style scoring expectations', () => {
+  let scorer;
+
+  beforeAll(() => {
+    global.PromptTokenizer = require('../../optimization/tokenizer.js');
+  });
+
+  beforeEach(() => {
+    scorer = new QualityScorer();
+  });
+
+  test('should weight criteria by the style', () => {
+    const prompt = 'Explain how compound interest works for a savings account';
+    const concise = scorer.calculateQualityScore(prompt, 'concise');
+    const professional = scorer.calculateQualityScore(prompt, 'professional');
+
+    expect(concise.breakdown.clarity.weight).toBeCloseTo(professional.breakdown.clarity.weight * 1.4);
+    expect(concise.breakdown.structure.weight).toBeCloseTo(professional.breakdown.structure.weight * 0.5);
+    expect(concise.breakdown.clarity.score).toBe(professional.breakdown.clarity.score);
+  });
+
+  test('should leave the original styles unchanged', () => {
+    const weights = scorer.getWeights().criteria;
+    const { breakdown } = scorer.calculateQualityScore('Write a product launch plan', 'technical');
+
+    Object.entries(weights).forEach(([criterion, weight]) => {
+      expect(breakdown[criterion].weight).toBe(weight);
+    });
+  });
+
+  test('should ignore unknown criteria and invalid multipliers', () => {
+    scorer.registerStyleExpectations('bullet', { structure: 0.5, tone: 2, clarity: -1 });
+
+    expect(scorer.styleExpectations.bullet).toEqual({ structure: 0.5 });
+  });
+});
+
+describe('PromptOptimizer styles', () => {
+  let PromptOptimizer;
+  let optimizer;
+
+  const ruleIds = result => result.trace.map(entry => entry.ruleId);
+
+  beforeAll(() => {
+    global.IntentVerifier = require('../../optimization/intent-verifier.js');
+    global.PromptTokenizer = require('../../optimization/tokenizer.js');
+    global.ProtectedRegions = require('../../optimization/protected-regions.js');
+    global.TextDiff = require('../../optimization/text-diff.js');
+    global.TransformationTrace = require('../../optimization/transformation-trace.js');
+    global.OptimizationRules = OptimizationRules;
+    global.QualityScorer = QualityScorer;
+    require('../../content/platform-detectors.js');
+    global.PlatformDetectors = window.PlatformDetectors;
+
+    PromptOptimizer = require('../../optimization/prompt-optimizer.js');
+  });
+
+  beforeEach(() => {
+    optimizer = new PromptOptimizer({ enableAnalytics: false });
+  });
+
+  test('should list the built-in styles', () => {
+    const ids = optimizer.listStyles().map(style => style.id);
+
+    expect(ids).toEqual(['professional', 'creative', 'technical', 'academic', ...NEW_STYLES]);
+  });
+
+  test('should apply each new style processor', () => {
+    const prompt = 'Can you please explain how photosynthesis works? I do not get it.';
+    const expected = {
+      concise: ['style.concise.remove-filler', 'style.concise.brevity'],
+      casual: ['style.casual.contractions', 'style.casual.tone'],
+      socratic: ['style.socratic.questioning'],
+      eli5: ['style.eli5.simple-language', 'style.eli5.analogy'],
+      tutor: ['style.tutor.steps', 'style.tutor.practice']
+    };
+
+    Object.entries(expected).forEach(([style, ids]) => {
+      const result = optimizer.optimizePrompt(prompt, 'chatgpt', style);
+
+      expect(result.style).toBe(style);
+      expect(ruleIds(result)).toEqual(expect.arrayContaining(ids));
+    });
+  });
+
+  test('should drop filler words and use contractions', () => {
+    expect(optimizer.removeFillerWords('Could you please basically summarize this?\nplease be quick'))
+      .toBe('Summarize this?\nBe quick');
+    expect(optimizer.addContractions('Do not worry, it is not hard')).toBe('Don\'t worry, it isn\'t hard');
+  });
+
+  test('should pick the style from a #style directive and remove it', () => {
+    const result = optimizer.optimizePrompt('How do vaccines work? #style:ELI5', 'chatgpt', 'professional');
+
+    expect(result.style).toBe('eli5');
+    expect(result.original).toBe('How do vaccines work?');
+    expect(result.optimized).not.toContain('#style');
+  });
+
+  test('should not treat a hashtag inside a word as a directive', () => {
+    expect(optimizer.extractStyleDirective('See issue#style:eli5')).toEqual({ text: 'See issue#style:eli5', style: null });
+  });
+
+  test('should use the style chosen for the platform when none is given', async() => {
+    chrome.storage.sync.get.mockResolvedValueOnce({ platformStyles: { claude: 'tutor' } });
+    await optimizer.loadPlatformStyles();
+
+    expect(optimizer.optimizePrompt('Explain recursion', 'claude').style).toBe('tutor');
+    expect(optimizer.optimizePrompt('Explain recursion', 'claude', 'concise').style).toBe('concise');
+    expect(optimizer.optimizePrompt('Explain recursion', 'chatgpt').style).not.toBe('tutor');
+  });
+
+  test('should register a style with its processor, rules and expectations', () => {
+    optimizer.registerStyle('bullet', {
+      name: 'Bullet Points',
+      processor(text) {
+        return this.applyRule('style.bullet.format', 'Bullet style asks for a list',
+          text, current => `${current}\n\nAnswer as a bulleted list.`);
+      },
+      rules: { constraints: ['Answer as a bulleted list'] },
+      scorerExpectations: { structure: 0.5 }
+    });
+
+    const result = optimizer.optimizePrompt('List the planets #style:bullet', 'chatgpt');
+
+    expect(result.style).toBe('bullet');
+    expect(ruleIds(result)).toContain('style.bullet.format');
+    expect(result.optimized).toContain('Answer as a bulleted list.');
+    expect(optimizer.rules.getStyleRules('bullet').name).toBe('Bullet Points');
+    expect(optimizer.scorer.styleExpectations.bullet).toEqual({ structure: 0.5 });
+    expect(optimizer.listStyles().map(style => style.id)).toContain('bullet');
+  });
+
+  test('should reject invalid styles', () => {
+    expect(() => optimizer.registerStyle('Bad Style', { processor: text => text })).toThrow('Style id');
+    expect(() => optimizer.registerStyle('bullet', {})).toThrow('needs a processor function');
+  });
+});
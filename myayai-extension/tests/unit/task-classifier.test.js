@@ -0,0 +1,218 @@
+/**
+ * Unit tests for the naive Bayes task classifier and its use in task detection
+ */
+
+const TaskClassifier = require('../../optimization/task-classifier.js');
+
+describe('TaskClassifier', () => {
+  let storage;
+  let classifier;
+
+  beforeEach(() => {
+    storage = createMemoryStorage();
+    classifier = new TaskClassifier(storage);
+  });
+
+  test.each([
+    ['Write a Python function that sorts a list of dictionaries by key', 'technical'],
+    ['Draft a marketing plan and pricing strategy for our product launch', 'business'],
+    ['Write a poem about the sea at night', 'creative'],
+    ['Summarize the studies on sleep and memory with citations', 'research'],
+    ['Explain fractions to my eight year old with an example', 'educational'],
+    ['Write a SQL query for the number of orders per customer', 'data'],
+    ['Review this contract for risky clauses', 'legal'],
+    ['What are the side effects of this medication', 'medical'],
+    ['Translate this paragraph into French', 'translation'],
+    ['Summarize this article in five bullet points', 'summarization'],
+    ['A photo of a lighthouse at sunset, cinematic lighting', 'image_generation'],
+    ['Thanks, tell me a joke', 'general']
+  ])('should classify "%s" as %s', (prompt, label) => {
+    expect(classifier.predict(prompt).label).toBe(label);
+  });
+
+  test('should return a probability for every task type that sums to one', () => {
+    const { label, confidence, probabilities } = classifier.predict('Debug this Docker deployment');
+
+    expect(Object.keys(probabilities).sort()).toEqual(classifier.getLabels().sort());
+    expect(Object.values(probabilities).reduce((sum, p) => sum + p, 0)).toBeCloseTo(1, 10);
+    expect(probabilities[label]).toBe(confidence);
+    expect(Math.max(...Object.values(probabilities))).toBe(confidence);
+  });
+
+  test('should be unsure about text with no known words', () => {
+    const { confidence } = classifier.predict('zxqv blorf');
+
+    expect(confidence).toBeLessThan(TaskClassifier.MIN_CONFIDENCE);
+  });
+
+  test('should pick the calibration temperature from the grid', () => {
+    expect(TaskClassifier.TEMPERATURES).toContain(classifier.temperature);
+  });
+
+  test('should extract words and word pairs without stopwords', () => {
+    expect(classifier.extractFeatures('Please review the C++ code in Node.js')).toEqual([
+      'review', 'c++', 'code', 'node.js', 'review c++', 'c++ code', 'code node.js'
+    ]);
+  });
+
+  test('should learn from labeled prompts and save them', async() => {
+    const prompt = 'Plan the sprint retrospective agenda';
+    const before = classifier.predict(prompt).probabilities.business;
+
+    await classifier.addExample(prompt, 'business');
+    await classifier.addExample('Plan the quarterly sprint review for leadership', 'business');
+
+    expect(classifier.predict(prompt).probabilities.business).toBeGreaterThan(before);
+    expect(storage.data[TaskClassifier.EXAMPLES_KEY]).toEqual([
+      expect.objectContaining({ text: prompt, label: 'business', createdAt: expect.any(Number) }),
+      expect.objectContaining({ label: 'business' })
+    ]);
+    expect(classifier.getExampleCounts()).toEqual({ business: 2 });
+  });
+
+  test('should replace the label of a prompt labeled again and cap the stored labels', async() => {
+    await classifier.addExample('Write a haiku', 'creative');
+    await classifier.addExample(' Write a haiku ', 'educational');
+    expect(classifier.userExamples).toEqual([expect.objectContaining({ text: 'Write a haiku', label: 'educational' })]);
+
+    classifier.userExamples = Array.from({ length: TaskClassifier.MAX_EXAMPLES }, (_, i) => ({ text: `p${i}`, label: 'general' }));
+    await classifier.addExample('newest', 'technical');
+    expect(classifier.userExamples).toHaveLength(TaskClassifier.MAX_EXAMPLES);
+    expect(classifier.userExamples[0].text).toBe('p1');
+  });
+
+  test('should reject empty prompts and unknown task types', async() => {
+    await expect(classifier.addExample('  ', 'technical')).rejects.toThrow('Labeled prompts need text');
+    await expect(classifier.addExample('Hi', 'astrology')).rejects.toThrow('Task type must be one of');
+    expect(storage.set).not.toHaveBeenCalled();
+  });
+
+  test('should load stored labels, skipping invalid ones, and forget them', async() => {
+    storage.data[TaskClassifier.EXAMPLES_KEY] = [
+      { text: 'Plan the sprint retrospective agenda', label: 'business', createdAt: 1 },
+      { text: 'Unknown type', label: 'astrology' },
+      null
+    ];
+
+    const other = new TaskClassifier(storage);
+    await other.loadExamples();
+    expect(other.getExampleCounts()).toEqual({ business: 1 });
+
+    await other.clearExamples();
+    expect(storage.data[TaskClassifier.EXAMPLES_KEY]).toBeUndefined();
+    expect(other.predict('Plan the sprint retrospective agenda')).toEqual(classifier.predict('Plan the sprint retrospective agenda'));
+  });
+});
+
+describe('OptimizationRules task detection', () => {
+  let OptimizationRules;
+
+  beforeAll(() => {
+    OptimizationRules = require('../../optimization/optimization-rules.js');
+  });
+
+  afterEach(() => {
+    delete global.TaskClassifier;
+  });
+
+  test('should use the classifier probabilities when it is loaded', () => {
+    global.TaskClassifier = TaskClassifier;
+    const rules = new OptimizationRules();
+
+    const [taskType, details] = rules.detectTaskType('Write a poem about the sea at night');
+
+    expect(taskType).toBe('creative');
+    expect(details.confidence).toBe(details.probabilities.creative);
+    expect(details.expertRoles).toEqual(rules.taskDetectionPatterns.creative.expertRoles);
+    expect(rules.detectTaskType('Thanks, tell me a joke')).toBeNull();
+    expect(rules.classifyTask('Thanks, tell me a joke').label).toBe('general');
+  });
+
+  test('should keep detecting rule pack task types with their patterns', () => {
+    global.TaskClassifier = TaskClassifier;
+    const rules = new OptimizationRules();
+    rules.applyRulePacks([{
+      id: 'legal',
+      name: 'Legal',
+      rules: {
+        taskDetectionPatterns: {
+          legal: { patterns: ['contract', 'clause'], confidence: 0.9, suggestedStyles: ['professional'], expertRoles: ['lawyer'] }
+        }
+      }
+    }]);
+
+    expect(rules.detectTaskType('Review this contract clause')[0]).toBe('legal');
+    expect(rules.classifier).toBeInstanceOf(TaskClassifier);
+  });
+
+  test.each([
+    ['Write a SQL query to join orders and customers and compute the average order value', 'data'],
+    ['Is this NDA clause about liability enforceable in court', 'legal'],
+    ['My doctor prescribed this medication, what are the side effects', 'medical'],
+    ['Translate this into French and keep the formal tone', 'translation'],
+    ['Summarize the following article and list the key points', 'summarization'],
+    ['Generate an image of a castle, photorealistic, cinematic lighting', 'image_generation']
+  ])('should detect "%s" as %s with patterns', (prompt, taskType) => {
+    expect(new OptimizationRules().detectTaskType(prompt)[0]).toBe(taskType);
+  });
+
+  test('should generate the constraints and output structure of the task type', () => {
+    const rules = new OptimizationRules();
+    const constraints = rules.generateConstraints('Write a SQL query that finds the median order value per region', 'technical', 'chatgpt');
+
+    expect(constraints).toEqual(expect.arrayContaining(rules.getTaskConstraints('data')));
+    expect(constraints).toContain('Structure the response as: Question, Query or Method, Results, Interpretation, Caveats');
+    expect(rules.getTaskConstraints('technical')).toEqual([]);
+    expect(rules.getOutputStructure('technical')).toBeNull();
+    expect(rules.getOutputStructure('image_generation').format).toBe('image_prompt');
+    expect(rules.expertRoles[rules.taskDetectionPatterns.translation.expertRoles[0]].prefix).toMatch(/translator/);
+  });
+
+  test('should fall back to pattern matching without a classifier', () => {
+    const rules = new OptimizationRules();
+
+    expect(rules.classifier).toBeNull();
+    expect(rules.classifyTask('Write a poem')).toBeNull();
+    expect(rules.detectTaskType('debug this code and fix the error in my function')[0]).toBe('technical');
+  });
+});
+
+describe('PromptOptimizer task requirements', () => {
+  let optimizer;
+
+  beforeAll(() => {
+    global.IntentVerifier = require('../../optimization/intent-verifier.js');
+    global.PromptTokenizer = require('../../optimization/tokenizer.js');
+    global.ProtectedRegions = require('../../optimization/protected-regions.js');
+    global.TextDiff = require('../../optimization/text-diff.js');
+    global.TransformationTrace = require('../../optimization/transformation-trace.js');
+    global.OptimizationRules = require('../../optimization/optimization-rules.js');
+    global.QualityScorer = require('../../optimization/quality-scorer.js');
+    require('../../content/platform-detectors.js');
+    global.PlatformDetectors = window.PlatformDetectors;
+
+    const PromptOptimizer = require('../../optimization/prompt-optimizer.js');
+    optimizer = new PromptOptimizer({ enableAnalytics: false });
+  });
+
+  test('should add the task type requirements and structure to the prompt', () => {
+    const result = optimizer.optimizePrompt('translate this into spanish: see you tomorrow', 'chatgpt', 'professional');
+
+    expect(result.taskType).toBe('translation');
+    expect(result.optimized).toContain('For this translation task:\n- Keep names, numbers, formatting and code unchanged');
+    expect(result.optimized).toContain('- Structure the response as: Translation, Translator Notes');
+    expect(result.optimized).not.toContain('Please structure your response with clear headings');
+    expect(result.trace).toEqual(expect.arrayContaining([
+      expect.objectContaining({ ruleId: 'core.task-requirements', stage: 'core' })
+    ]));
+  });
+
+  test('should skip requirements already in the prompt', () => {
+    const text = optimizer.addTaskRequirements('Translate this. Match the tone and register of the source text.',
+      ['translation', {}]);
+
+    expect(text).not.toContain('- Match the tone');
+    expect(text).toContain('- Flag idioms');
+    expect(optimizer.addTaskRequirements('Fix my code', ['technical', {}])).toBe('Fix my code');
+  });
+});
@@ -0,0 +1,151 @@
+/**
+ * Unit tests for the personal template library and its template suggestions
+ */
+
+const TemplateLibrary = require('../../optimization/template-library.js');
+const ProtectedRegions = require('../../optimization/protected-regions.js');
+const PromptSuggestions = require('../../optimization/prompt-suggestions.js');
+
+const sqlReview = {
+  title: 'SQL review',
+  description: 'Check a query for correctness',
+  tags: 'SQL, #Code Review, sql',
+  template: 'Review this {dialect:choice(postgres|mysql)=postgres} query:\n\n```sql\n{query:code}\n```\n'
+};
+
+describe('TemplateLibrary', () => {
+  let storage;
+  let library;
+
+  beforeEach(async() => {
+    storage = createMemoryStorage();
+    library = new TemplateLibrary(storage);
+    await library.load();
+  });
+
+  test('should create templates with normalized tags and persist them', async() => {
+    const created = await library.create(sqlReview);
+
+    expect(created).toMatchObject({ title: 'SQL review', tags: ['sql', 'code-review'] });
+    expect(created.id).toMatch(/^tpl_/);
+    expect(created.template.endsWith('```')).toBe(true);
+    expect(storage.data[TemplateLibrary.STORAGE_KEY]).toEqual([created]);
+
+    const reloaded = new TemplateLibrary(storage);
+    await reloaded.load();
+    expect(reloaded.get(created.id)).toEqual(created);
+  });
+
+  test('should refuse templates without a title or text', async() => {
+    expect(library.validate({ title: ' ', template: '' }).errors).toEqual({
+      title: 'Title is required',
+      template: 'Template text is required'
+    });
+    await expect(library.create({ title: 'x'.repeat(81), template: 'Hi' }))
+      .rejects.toThrow('Invalid template: Title must be at most 80 characters');
+    expect(storage.set).not.toHaveBeenCalled();
+  });
+
+  test('should edit a template and keep its id and creation time', async() => {
+    const created = await library.create(sqlReview);
+    const updated = await library.update(created.id, { title: 'Query review', tags: ['postgres'] });
+
+    expect(updated).toMatchObject({ id: created.id, createdAt: created.createdAt, title: 'Query review', tags: ['postgres'] });
+    expect(updated.template).toBe(created.template);
+    await expect(library.update('tpl_missing', { title: 'Nope' })).rejects.toThrow('Unknown template \'tpl_missing\'');
+  });
+
+  test('should duplicate a template under a new id', async() => {
+    const created = await library.create(sqlReview);
+    const copy = await library.duplicate(created.id);
+
+    expect(copy.id).not.toBe(created.id);
+    expect(copy).toMatchObject({ title: 'SQL review (copy)', tags: created.tags, template: created.template });
+    expect(library.list().map(entry => entry.title)).toEqual(['SQL review', 'SQL review (copy)']);
+  });
+
+  test('should keep slash commands valid and unique', async() => {
+    const created = await library.create({ ...sqlReview, command: '/SQL-Review ' });
+
+    expect(created.command).toBe('sql-review');
+    expect(library.validate({ ...sqlReview, command: 'sql-review' }).errors).toEqual({ command: 'Another template already uses /sql-review' });
+    expect(library.validate({ ...sqlReview, command: 'sql-review' }, created.id).valid).toBe(true);
+    expect(library.validate({ ...sqlReview, command: 'sql review' }).errors.command).toBe('Command must be up to 24 letters, numbers or dashes');
+    expect((await library.duplicate(created.id)).command).toBe('');
+  });
+
+  test('should delete templates', async() => {
+    const created = await library.create(sqlReview);
+    await library.remove(created.id);
+
+    expect(library.list()).toEqual([]);
+    expect(storage.data[TemplateLibrary.STORAGE_KEY]).toEqual([]);
+    await expect(library.remove(created.id)).rejects.toThrow('Unknown template');
+  });
+
+  test('should list tags and hand out copies', async() => {
+    await library.create(sqlReview);
+    await library.create({ title: 'Standup', tags: ['team'], template: 'Summarize {notes:multiline}' });
+
+    expect(library.listTags()).toEqual(['code-review', 'sql', 'team']);
+
+    library.list()[0].tags.push('changed');
+    expect(library.listTags()).toEqual(['code-review', 'sql', 'team']);
+  });
+
+  test('should skip malformed stored entries', async() => {
+    storage.data[TemplateLibrary.STORAGE_KEY] = [
+      { id: 'tpl_ok', title: 'Fine', template: 'Hello {name}' },
+      { id: 'tpl_broken', title: 'No text' },
+      null
+    ];
+    await library.load();
+
+    expect(library.list()).toEqual([{ id: 'tpl_ok', title: 'Fine', description: '', command: '', tags: [], template: 'Hello {name}' }]);
+  });
+});
+
+describe('PromptSuggestions with a template library', () => {
+  const analysis = { scores: { structure: 80 } };
+  let library;
+  let suggestions;
+
+  beforeAll(() => {
+    global.ProtectedRegions = ProtectedRegions;
+  });
+
+  beforeEach(async() => {
+    library = new TemplateLibrary(createMemoryStorage());
+    await library.load();
+    suggestions = new PromptSuggestions(library);
+  });
+
+  test('should suggest personal templates whose tags appear in the prompt', async() => {
+    const created = await library.create(sqlReview);
+    const suggested = suggestions.suggestTemplates('Can you do a code review of my SQL join?', analysis);
+
+    expect(suggested[0]).toEqual({
+      category: 'personal',
+      subcategory: created.id,
+      template: created.template,
+      title: 'SQL review',
+      description: 'Check a query for correctness',
+      tags: ['sql', 'code-review']
+    });
+    expect(suggested.slice(1).map(suggestion => suggestion.subcategory)).toEqual(['codeReview']);
+  });
+
+  test('should match on two title words when no tag matches', async() => {
+    await library.create({ title: 'Weekly status update', template: 'Summarize {notes:multiline}' });
+
+    expect(suggestions.suggestTemplates('Write my weekly status email', analysis)[0].title).toBe('Weekly status update');
+    expect(suggestions.suggestTemplates('What is the status of my order?', analysis)
+      .some(suggestion => suggestion.category === 'personal')).toBe(false);
+  });
+
+  test('should keep the built-in suggestions when nothing personal matches', () => {
+    const withoutLibrary = new PromptSuggestions().suggestTemplates('Debug this code', analysis);
+
+    expect(suggestions.suggestTemplates('Debug this code', analysis)).toEqual(withoutLibrary);
+  });
+});
@@ -0,0 +1,184 @@
+/**
+ * Unit tests for the offline prompt tokenizer
+ */
+
+const PromptTokenizer = require('../../optimization/tokenizer.js');
+
+// Counts from js-tiktoken (o200k_base), @anthropic-ai/tokenizer and @lenml/tokenizer-gemini
+const FIXTURES = [
+  { text: 'Please summarize the following quarterly revenue report for stakeholders.', openai: 10, claude: 11, gemini: 10 },
+  { text: 'The quick brown fox jumps over the lazy dog.', openai: 10, claude: 10, gemini: 10 },
+  { text: 'const {a,b}=x;if(a){return[b];}', openai: 13, claude: 17, gemini: 17 },
+  { text: 'Line one\n\n\n    indented <b>bold</b>', openai: 13, claude: 11, gemini: 10 },
+  { text: '日本語', openai: 2, claude: 4, gemini: 1 }
+];
+
+const ENCODINGS = {
+  openai: require('../../optimization/encodings/o200k-base.json'),
+  claude: require('../../optimization/encodings/claude.json'),
+  gemini: require('../../optimization/encodings/gemini.json')
+};
+
+beforeAll(() => {
+  const tokenizer = new PromptTokenizer();
+  Object.entries(ENCODINGS).forEach(([family, encoding]) => tokenizer.registerEncoding(family, encoding));
+});
+
+describe('PromptTokenizer', () => {
+  let tokenizer;
+
+  beforeEach(() => {
+    tokenizer = new PromptTokenizer();
+  });
+
+  test('should map platforms to tokenizer families', () => {
+    expect(tokenizer.getFamily('chatgpt')).toBe('openai');
+    expect(tokenizer.getFamily('claude')).toBe('claude');
+    expect(tokenizer.getFamily('gemini')).toBe('gemini');
+    expect(tokenizer.getFamily('unknown')).toBe('openai');
+  });
+
+  test('should produce tokens that join back into the input', () => {
+    const text = 'Refactor `parseConfig()` in src/app.js:\n\n  - keep 1,024 entries\n  - don\'t log secrets!';
+
+    ['chatgpt', 'claude', 'gemini'].forEach(platform => {
+      expect(tokenizer.tokenize(text, platform).join('')).toBe(text);
+    });
+  });
+
+  test('should match the providers\' token counts', () => {
+    FIXTURES.forEach(fixture => {
+      PromptTokenizer.FAMILIES.forEach(family => {
+        expect([fixture.text, family, tokenizer.countTokens(fixture.text, family)])
+          .toEqual([fixture.text, family, fixture[family]]);
+      });
+    });
+  });
+
+  test('should split rare words into subword pieces', () => {
+    expect(tokenizer.tokenize('Hello world', 'chatgpt')).toEqual(['Hello', ' world']);
+    expect(tokenizer.tokenize(' tokenization', 'chatgpt')).toEqual([' token', 'ization']);
+    expect(tokenizer.tokenize('useState', 'chatgpt')).toEqual(['use', 'State']);
+    expect(tokenizer.tokenize('useState', 'gemini')).toEqual(['useState']);
+  });
+
+  test('should group digits by family', () => {
+    expect(tokenizer.tokenize('123456', 'chatgpt')).toEqual(['123', '456']);
+    expect(tokenizer.tokenize('123456', 'claude')).toEqual(['123456']);
+    expect(tokenizer.tokenize('2024', 'gemini')).toEqual(['2', '0', '2', '4']);
+  });
+
+  test('should report a character split across tokens with the token it starts in', () => {
+    expect(tokenizer.tokenize('日本語', 'claude')).toEqual(['日', '本', '語', '']);
+  });
+
+  test('should split into words and estimate the count when an encoding is not loaded', () => {
+    const table = PromptTokenizer.tables.get('gemini');
+    PromptTokenizer.tables.delete('gemini');
+
+    expect(tokenizer.tokenize('Hello world, again', 'gemini')).toEqual(['Hello', ' world', ',', ' again']);
+    expect(tokenizer.countTokens('Hello world, again', 'gemini')).toBe(5);
+
+    PromptTokenizer.tables.set('gemini', table);
+  });
+
+  test('should fetch a family\'s encoding once, when it is first needed', async() => {
+    const table = PromptTokenizer.tables.get('claude');
+    PromptTokenizer.tables.delete('claude');
+    global.fetch = jest.fn().mockResolvedValue({ ok: true, json: async() => ENCODINGS.claude });
+
+    const loads = [tokenizer.loadEncoding('claude'), new PromptTokenizer().loadEncoding('claude')];
+
+    await expect(Promise.all(loads)).resolves.toEqual([true, true]);
+    expect(fetch).toHaveBeenCalledTimes(1);
+    expect(fetch).toHaveBeenCalledWith('chrome-extension://test-id/optimization/encodings/claude.json');
+    expect(tokenizer.countTokens(FIXTURES[0].text, 'claude')).toBe(FIXTURES[0].claude);
+
+    PromptTokenizer.tables.set('claude', table);
+    delete global.fetch;
+  });
+
+  test('should keep estimating when an encoding cannot be fetched', async() => {
+    const table = PromptTokenizer.tables.get('gemini');
+    PromptTokenizer.tables.delete('gemini');
+    global.fetch = jest.fn().mockResolvedValue({ ok: false, status: 404 });
+    const warn = jest.spyOn(console, 'warn').mockImplementation(() => {});
+
+    await expect(tokenizer.loadEncoding('gemini')).resolves.toBe(false);
+    expect(warn).toHaveBeenCalled();
+    expect(PromptTokenizer.loading.has('gemini')).toBe(false);
+    expect(tokenizer.countTokens('Hello world, again', 'gemini')).toBe(5);
+
+    warn.mockRestore();
+    PromptTokenizer.tables.set('gemini', table);
+    delete global.fetch;
+  });
+
+  test('should count long unbroken pastes quickly', () => {
+    const bytes = Array.from({ length: 15000 }, (_, i) => (i * 7919 + (i >> 3)) % 256);
+    const base64 = Buffer.from(bytes).toString('base64');
+    const letters = Array.from({ length: 20000 }, (_, i) => String.fromCharCode((i % 2 ? 65 : 97) + (i * 7) % 26)).join('');
+    const start = Date.now();
+
+    PromptTokenizer.FAMILIES.forEach(family => {
+      expect(tokenizer.countTokens(base64, family)).toBeGreaterThan(base64.length / 2);
+      expect(tokenizer.countTokens(letters, family)).toBeGreaterThan(letters.length / 2);
+    });
+    expect(Date.now() - start).toBeLessThan(2000);
+  });
+
+  test('should estimate texts beyond the exact-count threshold', () => {
+    const text = 'The quick brown fox jumps over the lazy dog. '.repeat(2000);
+
+    expect(text.length).toBeGreaterThan(PromptTokenizer.ESTIMATE_THRESHOLD);
+    expect(tokenizer.countTokens(text, 'chatgpt')).toBe(Math.ceil(text.length / PromptTokenizer.BYTES_PER_TOKEN));
+  });
+
+  test('should truncate to a token budget', () => {
+    const text = 'one two three four five';
+
+    expect(tokenizer.truncate(text, 3, 'chatgpt')).toBe('one two three');
+    expect(tokenizer.truncate(text, 10, 'chatgpt')).toBe(text);
+  });
+});
+
+describe('PromptOptimizer token budgets', () => {
+  let optimizer;
+
+  beforeAll(() => {
+    global.PromptTokenizer = PromptTokenizer;
+    global.IntentVerifier = require('../../optimization/intent-verifier.js');
+    global.ProtectedRegions = require('../../optimization/protected-regions.js');
+    global.TextDiff = require('../../optimization/text-diff.js');
+    global.TransformationTrace = require('../../optimization/transformation-trace.js');
+    global.OptimizationRules = require('../../optimization/optimization-rules.js');
+    global.QualityScorer = require('../../optimization/quality-scorer.js');
+    require('../../content/platform-detectors.js');
+    global.PlatformDetectors = window.PlatformDetectors;
+
+    const PromptOptimizer = require('../../optimization/prompt-optimizer.js');
+    optimizer = new PromptOptimizer({ enableAnalytics: false });
+  });
+
+  test('should trim to the platform token budget at sentence boundaries', () => {
+    const text = 'Describe the migration plan in detail. '.repeat(80);
+    const trimmed = optimizer.trimToOptimalLength(text, 'gemini');
+
+    expect(optimizer.tokenizer.countTokens(text, 'gemini')).toBeGreaterThan(375);
+    expect(optimizer.tokenizer.countTokens(trimmed, 'gemini')).toBeLessThanOrEqual(375);
+    expect(trimmed.endsWith('.')).toBe(true);
+  });
+
+  test('should fall back to a token estimate for rules without a token budget', () => {
+    optimizer.rules.platformRules.custom = { maxOptimalLength: 400 };
+
+    expect(optimizer.rules.getMaxOptimalTokens('custom')).toBe(100);
+    delete optimizer.rules.platformRules.custom;
+  });
+
+  test('should report token counts in the scorer analysis', () => {
+    const score = optimizer.scorer.calculateQualityScore('Hello world', 'professional', 'claude');
+
+    expect(score.analysis.tokenCount).toBe(2);
+  });
+});
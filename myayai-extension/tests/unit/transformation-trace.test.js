@@ -0,0 +1,124 @@
+/**
+ * Unit tests for the optimizer transformation trace
+ */
+
+const TextDiff = require('../../optimization/text-diff.js');
+const TransformationTrace = require('../../optimization/transformation-trace.js');
+
+describe('TextDiff', () => {
+  let differ;
+
+  beforeEach(() => {
+    differ = new TextDiff();
+  });
+
+  test('should report appended text as a single insertion', () => {
+    const spans = differ.getChangeSpans('Write a poem', 'Write a poem\n\nUse vivid imagery.');
+
+    expect(spans.removed).toEqual([]);
+    expect(spans.inserted).toEqual([{ start: 12, end: 32, text: '\n\nUse vivid imagery.' }]);
+  });
+
+  test('should report word replacements with offsets in both texts', () => {
+    const spans = differ.getChangeSpans('Fix the thing now', 'Fix the specific item now');
+
+    expect(spans.removed).toEqual([{ start: 8, end: 13, text: 'thing' }]);
+    expect(spans.inserted).toEqual([{ start: 8, end: 21, text: 'specific item' }]);
+  });
+
+  test('should rebuild both texts from diff operations', () => {
+    const before = 'Explain closures. Keep it short.';
+    const after = 'As an expert, explain closures in JavaScript. Keep it short.';
+    const ops = differ.diff(before, after);
+
+    expect(ops.filter(op => op.type !== 'insert').map(op => op.text).join('')).toBe(before);
+    expect(ops.filter(op => op.type !== 'delete').map(op => op.text).join('')).toBe(after);
+  });
+
+  test('should fall back to a replace hunk for very large inputs', () => {
+    const small = new TextDiff({ maxComparisons: 4 });
+    const ops = small.diff('a b c', 'x y z');
+
+    expect(ops.map(op => op.type)).toEqual(['delete', 'insert']);
+  });
+});
+
+describe('TransformationTrace', () => {
+  let trace;
+
+  beforeEach(() => {
+    global.TextDiff = TextDiff;
+    trace = new TransformationTrace('Write a poem');
+  });
+
+  test('should record rule, stage, reason and spans', () => {
+    trace.setStage('style');
+    const entry = trace.record('style.creative.inspirational-framing', 'Creative framing', 'Write a poem', 'Explore: Write a poem');
+
+    expect(entry).toMatchObject({
+      step: 1,
+      ruleId: 'style.creative.inspirational-framing',
+      stage: 'style',
+      reason: 'Creative framing',
+      removed: [],
+      inserted: [{ start: 0, end: 9, text: 'Explore: ' }]
+    });
+  });
+
+  test('should skip rules that did not change the text', () => {
+    expect(trace.record('core.noop', 'Nothing to do', 'same', 'same')).toBeNull();
+    expect(trace.getEntries()).toHaveLength(0);
+  });
+
+  test('should group entries by stage and explain final spans', () => {
+    trace.setStage('core');
+    trace.record('core.add-context', 'No context', 'Write a poem', 'Write a poem\n\nContext: autumn.');
+    trace.setStage('platform');
+    const final = 'Write a poem\n\nContext: autumn.\n\nThink step-by-step.';
+    trace.record('platform.claude.think-step-by-step', 'Claude reasons better', 'Write a poem\n\nContext: autumn.', final);
+
+    expect(trace.getEntriesForStage('core')).toHaveLength(1);
+    expect(trace.explainSpan(final, final.indexOf('Think'), final.length).ruleId).toBe('platform.claude.think-step-by-step');
+    expect(trace.explainSpan(final, 0, 12)).toBeNull();
+  });
+});
+
+describe('PromptOptimizer trace', () => {
+  let optimizer;
+
+  beforeAll(() => {
+    global.TextDiff = TextDiff;
+    global.TransformationTrace = TransformationTrace;
+    global.ProtectedRegions = require('../../optimization/protected-regions.js');
+    global.IntentVerifier = require('../../optimization/intent-verifier.js');
+    global.PromptTokenizer = require('../../optimization/tokenizer.js');
+    global.OptimizationRules = require('../../optimization/optimization-rules.js');
+    global.QualityScorer = require('../../optimization/quality-scorer.js');
+    require('../../content/platform-detectors.js');
+    global.PlatformDetectors = window.PlatformDetectors;
+
+    const PromptOptimizer = require('../../optimization/prompt-optimizer.js');
+    optimizer = new PromptOptimizer({ enableAnalytics: false });
+  });
+
+  test('should trace every stage that changed the prompt', () => {
+    const result = optimizer.optimizePrompt('help me write docs for our API', 'claude', 'technical');
+    const stages = new Set(result.trace.map(entry => entry.stage));
+
+    expect(stages.has('style')).toBe(true);
+    expect(stages.has('platform')).toBe(true);
+    result.trace.forEach(entry => {
+      expect(entry.ruleId).toMatch(/^[a-z-]+\.[a-z0-9.-]+$/);
+      expect(typeof entry.reason).toBe('string');
+      expect(entry.inserted.length + entry.removed.length).toBeGreaterThan(0);
+    });
+  });
+
+  test('should attribute inserted text to the rule that added it', () => {
+    const result = optimizer.optimizePrompt('Write a blog post about remote work', 'chatgpt', 'professional');
+    const examplesRule = result.trace.find(entry => entry.ruleId === 'platform.chatgpt.request-examples');
+
+    expect(examplesRule.inserted[0].text).toContain('Provide specific examples');
+    expect(result.optimized).toContain(examplesRule.inserted[0].text.trim());
+  });
+});
@@ -55,19 +55,18 @@ class Achievements {
   async loadData() {
     return new Promise((resolve) => {
       chrome.storage.sync.get(['achievementsStats', 'unlockedAchievements', 'userXP', 'userLevel'], (data) => {
+        // Stored stats are merged over the defaults so a first run starts from zero
         this.stats = {
-          ...data.achievementsStats,
-          uniquePlatforms: new Set(data.achievementsStats?.uniquePlatforms || [])
-        } || {
           totalOptimizations: 0,
           highQualityOptimizations: 0,
           totalTimeSaved: 0, // seconds
-          uniquePlatforms: new Set(),
           currentStreak: 0,
           lastOptimizationDate: null,
           dailyOptimizations: {},
           maxDailyOptimizations: 0,
-          level: 1 // Ensure level is loaded
+          level: 1, // Ensure level is loaded
+          ...data.achievementsStats,
+          uniquePlatforms: new Set(data.achievementsStats?.uniquePlatforms || [])
         };
         this.unlocked = new Set(data.unlockedAchievements || []);
         this.xp = data.userXP || 0;
@@ -84,11 +84,12 @@ class DashboardComponents {
     }
 
     // Currency animation
-    animateCurrency(element, start, end, duration = 1000) {
+    animateCurrency(element, start, end, duration = 1000, currency = 'USD') {
         if (!this.animationsEnabled || !element) return;
         
         const startTime = performance.now();
         const range = end - start;
+        const formatter = new Intl.NumberFormat('en-US', { style: 'currency', currency });
         
         const updateCounter = (currentTime) => {
             const elapsed = currentTime - startTime;
@@ -97,13 +98,13 @@ class DashboardComponents {
             const easeOut = 1 - Math.pow(1 - progress, 3);
             const current = start + (range * easeOut);
             
-            element.textContent = '$' + current.toFixed(2);
+            element.textContent = formatter.format(current);
             element.classList.add('number-counter');
             
             if (progress < 1) {
                 requestAnimationFrame(updateCounter);
             } else {
-                element.textContent = '$' + end.toFixed(2);
+                element.textContent = formatter.format(end);
                 setTimeout(() => {
                     element.classList.remove('number-counter');
                 }, 100);
@@ -52,6 +52,9 @@ class ValueTracker {
         };
 
         this.levelThresholds = [0, 500, 1200, 2500, 4500, 7500, 12000, 18000, 26000, 36000, 50000];
+
+        this.tokenizer = typeof PromptTokenizer !== 'undefined' ? new PromptTokenizer() : null;
+        this.pricing = typeof PricingRegistry !== 'undefined' ? new PricingRegistry() : null;
         
         this.init();
     }
@@ -75,6 +78,10 @@ class ValueTracker {
             this.userAchievements = data[this.storageKeys.achievements] || { ...this.achievements };
             this.userLevel = data[this.storageKeys.userLevel] || { level: 1, xp: 0, totalXP: 0 };
             this.streak = data[this.storageKeys.streak] || { current: 0, longest: 0, lastUpdate: this.getTodayDate() };
+
+            if (this.pricing) {
+                await this.pricing.load();
+            }
             
         } catch (error) {
             console.error('Failed to load tracker data:', error);
@@ -154,7 +161,10 @@ class ValueTracker {
         } = optimizationData;
 
         // Calculate values
-        const apiCostSaved = this.calculateAPICostSaved(originalPrompt, optimizedPrompt, complexityScore);
+        if (this.tokenizer) {
+            await this.tokenizer.loadEncoding(platform);
+        }
+        const apiCostSaved = this.calculateAPICostSaved(originalPrompt, optimizedPrompt, complexityScore, platform);
         const xpEarned = this.calculateXP(complexityScore, qualityImprovement);
 
         // Update daily stats
@@ -218,24 +228,33 @@ class ValueTracker {
         };
     }
 
-    calculateAPICostSaved(originalPrompt, optimizedPrompt, complexityScore) {
+    calculateAPICostSaved(originalPrompt, optimizedPrompt, complexityScore, platform) {
         // Estimate API cost based on token count and optimization efficiency
-        const originalTokens = this.estimateTokenCount(originalPrompt);
-        const optimizedTokens = this.estimateTokenCount(optimizedPrompt);
+        const originalTokens = this.estimateTokenCount(originalPrompt, platform);
+        const optimizedTokens = this.estimateTokenCount(optimizedPrompt, platform);
         const tokensSaved = Math.max(0, originalTokens - optimizedTokens);
         
-        // Average API cost per 1K tokens (varies by provider)
-        const avgCostPer1KTokens = 0.002; // $0.002 average
-        const baseSavings = (tokensSaved / 1000) * avgCostPer1KTokens;
+        // Price saved input tokens at the rate of the model used on this site; unpriced sites save nothing
+        const baseSavings = this.pricing
+            ? this.pricing.calculateCost({ inputTokens: tokensSaved }, platform) || 0
+            : (tokensSaved / 1000) * 0.002; // $0.002 per 1K tokens if no pricing table is loaded
         
         // Multiply by complexity score (more complex optimizations save more)
         const complexityMultiplier = 1 + (complexityScore - 1) * 0.5;
         
-        return Math.round((baseSavings * complexityMultiplier) * 100) / 100; // Round to cents
+        // Keep sub-cent precision so per-prompt savings add up
+        return Math.round((baseSavings * complexityMultiplier) * 1e6) / 1e6;
     }
 
-    estimateTokenCount(text) {
-        // Rough estimate: ~4 characters per token
+    getCurrency() {
+        return this.pricing ? this.pricing.getTable().currency : 'USD';
+    }
+
+    estimateTokenCount(text, platform) {
+        // Count with the platform's tokenizer; ~4 characters per token if it is not loaded
+        if (this.tokenizer) {
+            return this.tokenizer.countTokens(text, platform);
+        }
         return Math.ceil(text.length / 4);
     }
 
@@ -423,6 +442,7 @@ class ValueTracker {
             promptsOptimized: this.dailyStats.promptsOptimized,
             timeSaved: this.dailyStats.timeSaved,
             apiCostsSaved: this.dailyStats.apiCostsSaved,
+            currency: this.getCurrency(),
             qualityImprovement: this.dailyStats.qualityImprovement,
             todaysOptimizations: this.dailyStats.optimizations.length
         };
@@ -433,6 +453,7 @@ class ValueTracker {
             totalPrompts: this.lifetimeStats.totalPrompts,
             totalTimeSaved: this.lifetimeStats.totalTimeSaved,
             totalApiCostsSaved: this.lifetimeStats.totalApiCostsSaved,
+            currency: this.getCurrency(),
             averageQuality: this.lifetimeStats.averageQuality,
             platformUsage: this.calculatePlatformPercentages()
         };
@@ -0,0 +1,438 @@
+/**
+ * MyAyAI Message Protocol
+ * Declared message types, payload schemas and validation for runtime messaging
+ * between the content script, background, popup and privacy modules
+ */
+
+class MessageValidationError extends Error {
+  constructor(message, details = [], code = 'INVALID_MESSAGE') {
+    super(message);
+    this.name = 'MessageValidationError';
+    this.code = code;
+    this.details = details;
+  }
+}
+
+class MessageProtocol {
+  static VERSION = 1;
+
+  static TYPES = Object.freeze({
+    OPTIMIZE_PROMPT: 'OPTIMIZE_PROMPT',
+    ERROR_REPORT: 'ERROR_REPORT',
+    HEALTH_CHECK: 'HEALTH_CHECK',
+    PLATFORM_RECOVERY_REQUEST: 'PLATFORM_RECOVERY_REQUEST',
+    GET_HEALTH_STATUS: 'GET_HEALTH_STATUS',
+    GET_HEALTH_REPORT: 'GET_HEALTH_REPORT',
+    PERFORMANCE_METRICS: 'PERFORMANCE_METRICS',
+    VALIDATE_SELECTORS: 'VALIDATE_SELECTORS',
+    OPTIMIZATION_COMPLETED: 'OPTIMIZATION_COMPLETED',
+    UPDATE_DASHBOARD: 'UPDATE_DASHBOARD',
+    EXPORT_USER_DATA: 'EXPORT_USER_DATA',
+    DELETE_ALL_USER_DATA: 'DELETE_ALL_USER_DATA',
+    GET_DATA_INVENTORY: 'GET_DATA_INVENTORY',
+    DATA_DELETED: 'DATA_DELETED',
+    INSERT_PROMPT: 'INSERT_PROMPT',
+    RECORD_FEEDBACK: 'RECORD_FEEDBACK'
+  });
+
+  static ValidationError = MessageValidationError;
+
+  constructor() {
+    this.schemas = this.initializeSchemas();
+    this.legacyAliases = this.initializeLegacyAliases();
+  }
+
+  /**
+   * Payload (and optional response) schemas for every declared message type
+   */
+  initializeSchemas() {
+    const types = MessageProtocol.TYPES;
+
+    return {
+      [types.OPTIMIZE_PROMPT]: {
+        description: 'Content script asks the background to optimize composer text',
+        payload: {
+          text: { type: 'string', required: true, minLength: 1 },
+          platform: { type: 'string' },
+          style: { type: 'string' },
+          url: { type: 'string' },
+          bot: { type: 'string' }
+        },
+        response: {
+          optimizedText: { type: 'string', required: true },
+          trace: { type: 'array' },
+          verification: { type: 'object' },
+          provider: { type: 'object' },
+          achievementData: { type: 'object' }
+        },
+        legacyFields: { content: 'text' }
+      },
+      [types.ERROR_REPORT]: {
+        description: 'Content script forwards an error for centralized logging',
+        payload: {
+          message: { type: 'string' },
+          error: { type: 'string' },
+          stack: { type: 'string' },
+          context: {},
+          platform: { type: 'string' },
+          url: { type: 'string' }
+        }
+      },
+      [types.HEALTH_CHECK]: {
+        description: 'Liveness probe for the background script',
+        payload: {
+          timestamp: { type: 'number' }
+        }
+      },
+      [types.PLATFORM_RECOVERY_REQUEST]: {
+        description: 'Content script asks the background to re-detect the platform',
+        payload: {
+          url: { type: 'string', required: true }
+        }
+      },
+      [types.GET_HEALTH_STATUS]: {
+        description: 'Request a health summary from the background',
+        payload: {}
+      },
+      [types.GET_HEALTH_REPORT]: {
+        description: 'Request a detailed health report from the background',
+        payload: {}
+      },
+      [types.PERFORMANCE_METRICS]: {
+        description: 'Content script reports performance metrics',
+        payload: {
+          metrics: { type: 'object', required: true }
+        }
+      },
+      [types.VALIDATE_SELECTORS]: {
+        description: 'Check which platform selectors still match elements',
+        payload: {
+          selectors: { type: 'array', required: true }
+        }
+      },
+      [types.OPTIMIZATION_COMPLETED]: {
+        description: 'Notify the popup that an optimization was recorded',
+        payload: {
+          data: { type: 'object', required: true }
+        }
+      },
+      [types.UPDATE_DASHBOARD]: {
+        description: 'Ask the popup to refresh its dashboard',
+        payload: {}
+      },
+      [types.EXPORT_USER_DATA]: {
+        description: 'Export all stored user data (GDPR Article 20)',
+        payload: {}
+      },
+      [types.DELETE_ALL_USER_DATA]: {
+        description: 'Delete all stored user data (GDPR Article 17)',
+        payload: {}
+      },
+      [types.GET_DATA_INVENTORY]: {
+        description: 'List every stored data item',
+        payload: {}
+      },
+      [types.DATA_DELETED]: {
+        description: 'Broadcast after user data has been deleted',
+        payload: {
+          log: { type: 'object', required: true }
+        }
+      },
+      [types.INSERT_PROMPT]: {
+        description: 'Popup asks the content script to put text into the active composer',
+        payload: {
+          text: { type: 'string', required: true, minLength: 1 }
+        },
+        response: {
+          inserted: { type: 'boolean', required: true }
+        }
+      },
+      [types.RECORD_FEEDBACK]: {
+        description: 'Content script reports a thumbs-up/down on an optimized prompt or the response to it',
+        payload: {
+          prompt: { type: 'string', required: true, minLength: 1 },
+          rating: { type: 'string', required: true, oneOf: ['up', 'down'] },
+          target: { type: 'string', oneOf: ['optimization', 'response'] },
+          platform: { type: 'string' },
+          style: { type: 'string' }
+        },
+        response: {
+          recorded: { type: 'boolean', required: true },
+          recalibrated: { type: 'boolean' }
+        }
+      }
+    };
+  }
+
+  /**
+   * Pre-protocol message names, still sent by older scripts
+   */
+  initializeLegacyAliases() {
+    const types = MessageProtocol.TYPES;
+
+    return {
+      optimizePrompt: types.OPTIMIZE_PROMPT,
+      error_report: types.ERROR_REPORT,
+      health_check: types.HEALTH_CHECK,
+      platform_recovery_request: types.PLATFORM_RECOVERY_REQUEST,
+      get_health_status: types.GET_HEALTH_STATUS,
+      get_health_report: types.GET_HEALTH_REPORT,
+      performance_metrics: types.PERFORMANCE_METRICS,
+      validate_selectors: types.VALIDATE_SELECTORS,
+      optimizationCompleted: types.OPTIMIZATION_COMPLETED,
+      updateDashboard: types.UPDATE_DASHBOARD,
+      exportUserData: types.EXPORT_USER_DATA,
+      deleteAllUserData: types.DELETE_ALL_USER_DATA,
+      getDataInventory: types.GET_DATA_INVENTORY,
+      dataDeleted: types.DATA_DELETED
+    };
+  }
+
+  /**
+   * Build a versioned message, throwing if the payload does not match its schema
+   */
+  createMessage(type, payload = {}) {
+    const message = {
+      type,
+      version: MessageProtocol.VERSION,
+      payload,
+      sentAt: Date.now()
+    };
+
+    return this.assertValid(message);
+  }
+
+  /**
+   * Resolve the declared type for a message, including legacy names
+   */
+  resolveType(message) {
+    if (!message || typeof message !== 'object') return null;
+
+    const name = message.type || message.action;
+    if (this.schemas[name]) return name;
+
+    return this.legacyAliases[name] || null;
+  }
+
+  /**
+   * Convert legacy `{ action, ...fields }` messages into the versioned shape
+   */
+  normalize(message) {
+    const type = this.resolveType(message);
+    if (!type) return message;
+
+    if (message.version !== undefined) {
+      return { ...message, type };
+    }
+
+    let payload = message.payload;
+    if (payload === undefined) {
+      const renames = this.schemas[type].legacyFields || {};
+      payload = {};
+
+      for (const [key, value] of Object.entries(message)) {
+        if (key === 'type' || key === 'action') continue;
+        payload[renames[key] || key] = value;
+      }
+    }
+
+    return { type, version: MessageProtocol.VERSION, payload, legacy: true };
+  }
+
+  /**
+   * Validate a message against its declared schema
+   */
+  validate(message) {
+    const errors = [];
+
+    if (!message || typeof message !== 'object') {
+      return { valid: false, errors: [{ path: '', message: 'Message must be an object' }] };
+    }
+
+    const type = this.resolveType(message);
+    if (!type) {
+      return {
+        valid: false,
+        errors: [{ path: 'type', message: `Unknown message type: ${message.type || message.action}` }]
+      };
+    }
+
+    const normalized = this.normalize(message);
+
+    if (typeof normalized.version !== 'number' || normalized.version > MessageProtocol.VERSION) {
+      errors.push({
+        path: 'version',
+        message: `Unsupported protocol version ${normalized.version} (supported: ${MessageProtocol.VERSION})`
+      });
+    }
+
+    errors.push(...this.validateFields(normalized.payload, this.schemas[type].payload, 'payload'));
+
+    return { valid: errors.length === 0, errors, message: normalized };
+  }
+
+  /**
+   * Validate and return the normalized message, or throw MessageValidationError
+   */
+  assertValid(message) {
+    const result = this.validate(message);
+
+    if (!result.valid) {
+      const unknownType = result.errors.some(error => error.path === 'type');
+      throw new MessageValidationError(
+        unknownType ? 'Unknown message type' : `Invalid ${result.message.type} message`,
+        result.errors,
+        unknownType ? 'UNKNOWN_MESSAGE_TYPE' : 'INVALID_MESSAGE'
+      );
+    }
+
+    return result.message;
+  }
+
+  /**
+   * Validate a response against the response schema of its request type
+   */
+  validateResponse(type, response) {
+    const schema = this.schemas[type]?.response;
+    if (!schema) return [];
+
+    return this.validateFields(response, schema, 'response');
+  }
+
+  validateFields(value, schema, path) {
+    if (!value || typeof value !== 'object' || Array.isArray(value)) {
+      return [{ path, message: `${path} must be an object` }];
+    }
+
+    const errors = [];
+
+    for (const [field, rules] of Object.entries(schema)) {
+      const fieldValue = value[field];
+      const fieldPath = `${path}.${field}`;
+
+      if (fieldValue === undefined || fieldValue === null) {
+        if (rules.required) {
+          errors.push({ path: fieldPath, message: `${fieldPath} is required` });
+        }
+        continue;
+      }
+
+      if (rules.type && this.getValueType(fieldValue) !== rules.type) {
+        errors.push({
+          path: fieldPath,
+          message: `${fieldPath} must be of type ${rules.type}, got ${this.getValueType(fieldValue)}`
+        });
+        continue;
+      }
+
+      if (rules.minLength !== undefined && fieldValue.trim().length < rules.minLength) {
+        errors.push({ path: fieldPath, message: `${fieldPath} must not be empty` });
+      }
+
+      if (rules.oneOf && !rules.oneOf.includes(fieldValue)) {
+        errors.push({ path: fieldPath, message: `${fieldPath} must be one of: ${rules.oneOf.join(', ')}` });
+      }
+    }
+
+    return errors;
+  }
+
+  getValueType(value) {
+    if (Array.isArray(value)) return 'array';
+    return typeof value;
+  }
+
+  /**
+   * Send a validated message through chrome.runtime and validate the response
+   */
+  send(type, payload = {}) {
+    return this.dispatch(type, payload, (message, callback) => chrome.runtime.sendMessage(message, callback));
+  }
+
+  /**
+   * Send a message to the content script of a tab and validate the response
+   */
+  sendToTab(tabId, type, payload = {}) {
+    return this.dispatch(type, payload, (message, callback) => chrome.tabs.sendMessage(tabId, message, callback));
+  }
+
+  dispatch(type, payload, transport) {
+    const message = this.createMessage(type, payload);
+
+    return new Promise((resolve, reject) => {
+      transport(message, (response) => {
+        if (chrome.runtime.lastError) {
+          reject(new Error(chrome.runtime.lastError.message));
+          return;
+        }
+
+        if (response && response.error) {
+          reject(response.code
+            ? new MessageValidationError(response.error, response.details || [], response.code)
+            : new Error(response.message || response.error));
+          return;
+        }
+
+        const responseErrors = this.validateResponse(type, response);
+        if (responseErrors.length > 0) {
+          reject(new MessageValidationError(`Invalid ${type} response`, responseErrors, 'INVALID_RESPONSE'));
+          return;
+        }
+
+        resolve(response);
+      });
+    });
+  }
+
+  /**
+   * Create an onMessage listener that validates messages before dispatching to handlers.
+   * Messages without a handler are left for other listeners.
+   */
+  createListener(handlers) {
+    return (message, sender, sendResponse) => {
+      const type = this.resolveType(message);
+      if (!type || !handlers[type]) {
+        return false;
+      }
+
+      let normalized;
+      try {
+        normalized = this.assertValid(message);
+      } catch (error) {
+        sendResponse(this.createErrorResponse(error));
+        return false;
+      }
+
+      Promise.resolve()
+        .then(() => handlers[type](normalized.payload, sender, normalized))
+        .then(sendResponse)
+        .catch(error => sendResponse(this.createErrorResponse(error)));
+
+      return true; // Async response
+    };
+  }
+
+  /**
+   * Serialize an error for sendResponse
+   */
+  createErrorResponse(error) {
+    if (error instanceof MessageValidationError) {
+      return {
+        error: error.message,
+        code: error.code,
+        details: error.details
+      };
+    }
+
+    return { error: error.message || 'Failed to process message' };
+  }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = MessageProtocol;
+} else if (typeof window !== 'undefined') {
+  window.MessageProtocol = MessageProtocol;
+} else {
+  self.MessageProtocol = MessageProtocol;
+}